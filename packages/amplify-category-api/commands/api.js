@@ -33,6 +33,14 @@ module.exports = {
         name: 'gql-compile',
         description: 'Compiles your GraphQL schema and generates a corresponding cloudformation template',
       },
+      {
+        name: 'searchable-backfill <Type>',
+        description: 'Indexes the existing data of a @searchable model into Elasticsearch',
+      },
+      {
+        name: 'mock',
+        description: 'Runs a local GraphQL endpoint that resolves your schema against local data',
+      },
     ];
 
     context.amplify.showHelp(header, commands);
@@ -0,0 +1,21 @@
+const subcommand = 'mock';
+
+module.exports = {
+  name: subcommand,
+  run: async (context) => {
+    const { options } = context.parameters;
+    const providerController = require('../../provider-utils/awscloudformation/index');
+    try {
+      const server = await providerController.startMockServer(context, {
+        port: options.port,
+        dbPort: options['db-port'],
+      });
+      process.once('SIGINT', () => {
+        server.stop().then(() => process.exit(0));
+      });
+    } catch (err) {
+      context.print.info(err.stack);
+      context.print.error('There was an error starting the mock server');
+    }
+  },
+};
@@ -0,0 +1,24 @@
+const subcommand = 'searchable-backfill';
+const category = 'api';
+
+module.exports = {
+  name: subcommand,
+  run: async (context) => {
+    const { parameters } = context;
+    const typeName = parameters.first;
+    if (!typeName) {
+      context.print.error(`Usage: amplify ${category} ${subcommand} <Type> [--batch-size <number>] [--restart]`);
+      return;
+    }
+    const providerController = require('../../provider-utils/awscloudformation/index');
+    try {
+      await providerController.searchableBackfill(context, typeName, {
+        batchSize: parameters.options['batch-size'],
+        restart: Boolean(parameters.options.restart),
+      });
+    } catch (err) {
+      context.print.info(err.stack);
+      context.print.error(`There was an error indexing the existing ${typeName} data`);
+    }
+  },
+};
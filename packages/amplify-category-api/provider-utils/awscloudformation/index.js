@@ -165,6 +165,16 @@ async function migrateResource(context, projectPath, service, resourceName) {
   return await migrate(context, projectPath, resourceName);
 }
 
+function searchableBackfill(context, typeName, options) {
+  const backfill = require('./searchable-backfill');
+  return backfill.searchableBackfill(context, typeName, options);
+}
+
+function startMockServer(context, options) {
+  const mock = require('./mock');
+  return mock.startMockServer(context, options);
+}
+
 module.exports = {
-  addResource, updateResource, console, migrateResource,
+  addResource, updateResource, console, migrateResource, searchableBackfill, startMockServer,
 };
@@ -0,0 +1,206 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const rootStackFileName = 'cloudformation-template.json';
+
+/**
+ * Loads the output of transformGraphQLSchema from the build directory of an API.
+ * @param buildDir The build directory of the AppSync API resource.
+ * @returns The schema, the resolvers with their templates, the data sources, the DynamoDB
+ * tables and the authentication types of the API.
+ */
+function loadBuild(buildDir) {
+  const schema = fs.readFileSync(path.join(buildDir, 'schema.graphql'), 'utf8');
+  const rootStack = fs.readJsonSync(path.join(buildDir, rootStackFileName));
+  const stacks = [{ name: 'root', template: rootStack, parameters: {} }];
+  const stacksDir = path.join(buildDir, 'stacks');
+  Object.keys(rootStack.Resources)
+    .filter(id => rootStack.Resources[id].Type === 'AWS::CloudFormation::Stack')
+    .forEach((id) => {
+      const stackPath = path.join(stacksDir, `${id}.json`);
+      if (fs.existsSync(stackPath)) {
+        stacks.push({
+          name: id,
+          template: fs.readJsonSync(stackPath),
+          parameters: rootStack.Resources[id].Properties.Parameters || {},
+        });
+      }
+    });
+
+  const tables = [];
+  const dataSources = {};
+  const functions = {};
+  const resolvers = [];
+  stacks.forEach((stack) => {
+    const resources = stack.template.Resources || {};
+    Object.keys(resources).forEach((id) => {
+      const { Type, Properties } = resources[id];
+      if (Type === 'AWS::DynamoDB::Table') {
+        tables.push(Object.assign({ name: id }, Properties));
+      }
+    });
+    Object.keys(resources).forEach((id) => {
+      const { Type, Properties } = resources[id];
+      if (Type === 'AWS::AppSync::DataSource') {
+        dataSources[id] = {
+          name: typeof Properties.Name === 'string' ? Properties.Name : id,
+          type: Properties.Type,
+          tableName: Properties.Type === 'AMAZON_DYNAMODB' ?
+            getLocalTableName(resources, Properties) :
+            undefined,
+        };
+      }
+      if (Type === 'AWS::AppSync::FunctionConfiguration') {
+        functions[id] = {
+          name: typeof Properties.Name === 'string' ? Properties.Name : id,
+          dataSourceId: getResourceId(Properties.DataSourceName, stack.parameters),
+          requestTemplate: getTemplate(buildDir, Properties, 'Request', resources),
+          responseTemplate: getTemplate(buildDir, Properties, 'Response', resources),
+        };
+      }
+      if (Type === 'AWS::AppSync::Resolver') {
+        const isPipeline = Properties.Kind === 'PIPELINE';
+        resolvers.push({
+          typeName: Properties.TypeName,
+          fieldName: Properties.FieldName,
+          kind: isPipeline ? 'PIPELINE' : 'UNIT',
+          dataSourceId: isPipeline ?
+            undefined :
+            getResourceId(Properties.DataSourceName, stack.parameters),
+          functionIds: isPipeline ?
+            Properties.PipelineConfig.Functions.map(fn => getResourceId(fn, stack.parameters)) :
+            [],
+          requestTemplate: getTemplate(buildDir, Properties, 'Request', resources),
+          responseTemplate: getTemplate(buildDir, Properties, 'Response', resources),
+        });
+      }
+    });
+  });
+
+  const api = rootStack.Resources.GraphQLAPI.Properties;
+  return {
+    schema,
+    tables,
+    dataSources,
+    resolvers: resolvers.map(resolver => Object.assign(resolver, {
+      dataSource: findDataSource(dataSources, resolver.dataSourceId),
+      functions: resolver.functionIds.map(id => Object.assign({}, functions[id], {
+        dataSource: functions[id] && findDataSource(dataSources, functions[id].dataSourceId),
+      })),
+    })),
+    authenticationType: api.AuthenticationType,
+    additionalAuthenticationTypes: (api.AdditionalAuthenticationProviders || [])
+      .map(provider => provider.AuthenticationType),
+  };
+}
+
+/**
+ * Local tables are named after the logical id of their table resource. The data source
+ * refers to the table by the same TableName value as the table resource.
+ */
+function getLocalTableName(resources, dataSourceProperties) {
+  const tableName = JSON.stringify(dataSourceProperties.DynamoDBConfig.TableName);
+  const tableId = Object.keys(resources).find(id => resources[id].Type === 'AWS::DynamoDB::Table' &&
+    JSON.stringify(resources[id].Properties.TableName) === tableName);
+  return tableId || dataSourceProperties.Name;
+}
+
+/**
+ * Data sources and functions are referenced with Fn::GetAtt in their own stack and through
+ * a stack parameter holding the Fn::GetAtt from other stacks.
+ */
+function getResourceId(reference, parameters) {
+  if (typeof reference === 'string') {
+    return reference;
+  }
+  if (reference['Fn::GetAtt']) {
+    return reference['Fn::GetAtt'][0];
+  }
+  if (reference.Ref && parameters[reference.Ref]) {
+    return getResourceId(parameters[reference.Ref], {});
+  }
+  return undefined;
+}
+
+function findDataSource(dataSources, dataSourceId) {
+  if (dataSources[dataSourceId]) {
+    return dataSources[dataSourceId];
+  }
+  return Object.keys(dataSources)
+    .map(id => dataSources[id])
+    .find(dataSource => dataSource.name === dataSourceId);
+}
+
+/**
+ * Reads a mapping template either from the resolvers directory or from the resolver itself.
+ * Templates built with intrinsic functions are only known once deployed and are left out,
+ * except for those that only substitute table names such as the templates of batch resolvers.
+ */
+function getTemplate(buildDir, properties, kind, resources) {
+  const inline = properties[`${kind}MappingTemplate`];
+  if (typeof inline === 'string') {
+    return inline;
+  }
+  if (inline && inline['Fn::Sub']) {
+    return substituteTableNames(inline['Fn::Sub'], resources);
+  }
+  const location = properties[`${kind}MappingTemplateS3Location`];
+  const fileName = getTemplateFileName(location);
+  if (fileName) {
+    const templatePath = path.join(buildDir, 'resolvers', fileName);
+    if (fs.existsSync(templatePath)) {
+      return fs.readFileSync(templatePath, 'utf8');
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Resolves an Fn::Sub whose variables are strings or refer to tables of the same stack.
+ * Local tables are named after the logical id of their table resource.
+ */
+function substituteTableNames([template, variables], resources) {
+  const values = {};
+  const resolved = Object.keys(variables || {}).every((name) => {
+    const value = variables[name];
+    if (typeof value === 'string') {
+      values[name] = value;
+    } else if (value.Ref && resources[value.Ref] && resources[value.Ref].Type === 'AWS::DynamoDB::Table') {
+      values[name] = value.Ref;
+    }
+    return values[name] !== undefined;
+  });
+  if (!resolved) {
+    return undefined;
+  }
+  return template.replace(/\$\{(!?)([^}]*)\}/g, (match, escaped, name) => {
+    if (escaped) {
+      return `\${${name}}`;
+    }
+    return values[name] !== undefined ? values[name] : match;
+  });
+}
+
+function getTemplateFileName(location) {
+  if (!location) {
+    return undefined;
+  }
+  if (typeof location === 'string') {
+    return path.basename(location);
+  }
+  if (location['Fn::Sub']) {
+    const [, variables] = location['Fn::Sub'];
+    const fileName = variables && variables.ResolverFileName;
+    if (typeof fileName === 'string') {
+      return fileName;
+    }
+    if (fileName && fileName['Fn::Join']) {
+      return fileName['Fn::Join'][1].join(fileName['Fn::Join'][0]);
+    }
+  }
+  return undefined;
+}
+
+module.exports = {
+  loadBuild,
+};
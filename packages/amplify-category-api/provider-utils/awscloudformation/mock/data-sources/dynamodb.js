@@ -0,0 +1,228 @@
+const { DynamoDB } = require('aws-sdk');
+
+/**
+ * Executes the request document of a DynamoDB resolver against the local store.
+ * @param client A DynamoDB client connected to the local store.
+ * @param tableName The name of the local table backing the data source.
+ * @param request The document rendered by the request mapping template.
+ * @returns The $ctx.result and $ctx.error for the response mapping template.
+ */
+async function executeDynamoDBRequest(client, tableName, request) {
+  const execute = OPERATIONS[request.operation];
+  if (!execute) {
+    return {
+      result: null,
+      error: {
+        type: 'DynamoDB:UnsupportedOperation',
+        message: `The operation ${request.operation} is not supported by the mock server.`,
+      },
+    };
+  }
+  try {
+    return { result: await execute(client, tableName, request) };
+  } catch (err) {
+    const error = { type: `DynamoDB:${err.code || err.name}`, message: err.message };
+    if (err.code === 'ConditionalCheckFailedException' && request.key) {
+      // AppSync returns the item currently in the table when a condition fails.
+      const { Item } = await client.getItem({
+        TableName: tableName,
+        Key: request.key,
+        ConsistentRead: true,
+      }).promise();
+      return { result: Item ? unmarshall(Item) : null, error };
+    }
+    return { result: null, error };
+  }
+}
+
+const OPERATIONS = {
+  GetItem: async (client, tableName, { key, consistentRead }) => {
+    const { Item } = await client.getItem({
+      TableName: tableName,
+      Key: key,
+      ConsistentRead: consistentRead,
+    }).promise();
+    return Item ? unmarshall(Item) : null;
+  },
+
+  PutItem: async (client, tableName, { key, attributeValues, condition }) => {
+    const item = Object.assign({}, attributeValues, key);
+    await client.putItem(Object.assign({
+      TableName: tableName,
+      Item: item,
+    }, toConditionParams(condition))).promise();
+    return unmarshall(item);
+  },
+
+  UpdateItem: async (client, tableName, { key, update, condition }) => {
+    const params = mergeExpressionParams(
+      {
+        TableName: tableName,
+        Key: key,
+        UpdateExpression: update.expression,
+        ReturnValues: 'ALL_NEW',
+      },
+      update,
+    );
+    const conditionParams = toConditionParams(condition);
+    const { Attributes } = await client.updateItem(mergeExpressionParams(
+      Object.assign(params, { ConditionExpression: conditionParams.ConditionExpression }),
+      conditionParams.ConditionExpression ? condition : null,
+    )).promise();
+    return unmarshall(Attributes);
+  },
+
+  DeleteItem: async (client, tableName, { key, condition }) => {
+    const { Attributes } = await client.deleteItem(Object.assign({
+      TableName: tableName,
+      Key: key,
+      ReturnValues: 'ALL_OLD',
+    }, toConditionParams(condition))).promise();
+    return Attributes ? unmarshall(Attributes) : null;
+  },
+
+  Query: async (client, tableName, request) => {
+    const params = mergeExpressionParams(
+      Object.assign({
+        TableName: tableName,
+        KeyConditionExpression: request.query.expression,
+        ScanIndexForward: request.scanIndexForward !== false,
+      }, toPageParams(request)),
+      request.query,
+    );
+    return toPage(await client.query(withFilter(params, request.filter)).promise());
+  },
+
+  Scan: async (client, tableName, request) => {
+    const params = Object.assign({
+      TableName: tableName,
+      Segment: request.segment,
+      TotalSegments: request.totalSegments,
+    }, toPageParams(request));
+    return toPage(await client.scan(withFilter(params, request.filter)).promise());
+  },
+
+  // Batch operations name their tables in the request instead of using the data source table.
+  BatchGetItem: async (client, tableName, { tables }) => {
+    const { Responses, UnprocessedKeys } = await client.batchGetItem({
+      RequestItems: mapTables(tables, ({ keys, consistentRead }) => ({
+        Keys: keys,
+        ConsistentRead: consistentRead,
+      })),
+    }).promise();
+    // Items are returned in the order of their keys and missing items are null.
+    const data = mapTables(tables, ({ keys }, name) => keys.map((key) => {
+      const item = (Responses[name] || []).find(candidate => hasKey(candidate, key));
+      return item ? unmarshall(item) : null;
+    }));
+    const unprocessedKeys = mapTables(tables, (request, name) => (
+      UnprocessedKeys && UnprocessedKeys[name] ? UnprocessedKeys[name].Keys.map(unmarshall) : []
+    ));
+    return { data, unprocessedKeys };
+  },
+
+  BatchPutItem: async (client, tableName, { tables }) => {
+    const { UnprocessedItems } = await client.batchWriteItem({
+      RequestItems: mapTables(tables, items => items.map(item => ({ PutRequest: { Item: item } }))),
+    }).promise();
+    const unprocessedItems = mapTables(tables, (items, name) => (UnprocessedItems[name] || [])
+      .map(({ PutRequest }) => unmarshall(PutRequest.Item)));
+    const data = mapTables(tables, (items, name) => items.map(unmarshall)
+      .filter(item => !unprocessedItems[name].find(unprocessed => hasKey(unprocessed, item))));
+    return { data, unprocessedItems };
+  },
+
+  BatchDeleteItem: async (client, tableName, { tables }) => {
+    const { UnprocessedItems } = await client.batchWriteItem({
+      RequestItems: mapTables(tables, keys => keys.map(key => ({ DeleteRequest: { Key: key } }))),
+    }).promise();
+    const unprocessedKeys = mapTables(tables, (keys, name) => (UnprocessedItems[name] || [])
+      .map(({ DeleteRequest }) => unmarshall(DeleteRequest.Key)));
+    const data = mapTables(tables, (keys, name) => keys.map(unmarshall)
+      .filter(key => !unprocessedKeys[name].find(unprocessed => hasKey(unprocessed, key))));
+    return { data, unprocessedKeys };
+  },
+};
+
+function mapTables(tables, fn) {
+  const result = {};
+  Object.keys(tables).forEach((name) => {
+    result[name] = fn(tables[name], name);
+  });
+  return result;
+}
+
+// True when the item, marshalled or not, holds every attribute of the key.
+function hasKey(item, key) {
+  return Object.keys(key).every(name => JSON.stringify(item[name]) === JSON.stringify(key[name]));
+}
+
+function toConditionParams(condition) {
+  if (!condition || !condition.expression) {
+    return {};
+  }
+  return mergeExpressionParams({ ConditionExpression: condition.expression }, condition);
+}
+
+function toPageParams({
+  index, limit, nextToken, consistentRead, select,
+}) {
+  return {
+    IndexName: index,
+    Limit: limit,
+    ConsistentRead: consistentRead,
+    Select: select,
+    ExclusiveStartKey: nextToken ?
+      JSON.parse(Buffer.from(nextToken, 'base64').toString('utf8')) :
+      undefined,
+  };
+}
+
+function withFilter(params, filter) {
+  if (!filter || !filter.expression) {
+    return params;
+  }
+  params.FilterExpression = filter.expression;
+  return mergeExpressionParams(params, filter);
+}
+
+/**
+ * Adds the names and values of an AppSync expression to the SDK parameters.
+ */
+function mergeExpressionParams(params, expression) {
+  if (!expression) {
+    return params;
+  }
+  const { expressionNames, expressionValues } = expression;
+  if (expressionNames && Object.keys(expressionNames).length > 0) {
+    params.ExpressionAttributeNames = Object.assign(
+      params.ExpressionAttributeNames || {},
+      expressionNames,
+    );
+  }
+  if (expressionValues && Object.keys(expressionValues).length > 0) {
+    params.ExpressionAttributeValues = Object.assign(
+      params.ExpressionAttributeValues || {},
+      expressionValues,
+    );
+  }
+  return params;
+}
+
+function toPage({ Items, LastEvaluatedKey, ScannedCount }) {
+  return {
+    items: Items.map(unmarshall),
+    scannedCount: ScannedCount,
+    nextToken: LastEvaluatedKey ?
+      Buffer.from(JSON.stringify(LastEvaluatedKey)).toString('base64') :
+      null,
+  };
+}
+
+function unmarshall(item) {
+  return DynamoDB.Converter.unmarshall(item, { wrapNumbers: false });
+}
+
+module.exports = {
+  executeDynamoDBRequest,
+};
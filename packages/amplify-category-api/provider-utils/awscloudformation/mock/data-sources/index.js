@@ -0,0 +1,30 @@
+const { executeDynamoDBRequest } = require('./dynamodb');
+
+/**
+ * Executes a rendered request document against the data source of a resolver.
+ * @param dataSource The data source as loaded from the build stacks.
+ * @param request The document rendered by the request mapping template.
+ * @param store The local DynamoDB store.
+ * @returns The $ctx.result and $ctx.error for the response mapping template.
+ */
+async function executeRequest(dataSource, request, store) {
+  switch (dataSource.type) {
+    case 'NONE':
+      return { result: request.payload === undefined ? null : request.payload };
+    case 'AMAZON_DYNAMODB':
+      return executeDynamoDBRequest(store.client, dataSource.tableName, request);
+    default:
+      return {
+        result: null,
+        error: {
+          type: 'MockServer:UnsupportedDataSource',
+          message: `Data sources of type ${dataSource.type} are not supported by the mock server. ` +
+            `The field is resolved by ${dataSource.name}.`,
+        },
+      };
+  }
+}
+
+module.exports = {
+  executeRequest,
+};
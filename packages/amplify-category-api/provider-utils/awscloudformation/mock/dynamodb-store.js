@@ -0,0 +1,104 @@
+const fs = require('fs-extra');
+const dynalite = require('dynalite');
+const { DynamoDB } = require('aws-sdk');
+
+// The local store accepts any credentials, but the SDK requires some to sign its requests.
+const LOCAL_CLIENT_CONFIG = {
+  region: 'us-fake-1',
+  accessKeyId: 'fake',
+  secretAccessKey: 'fake',
+};
+const LOCAL_THROUGHPUT = { ReadCapacityUnits: 5, WriteCapacityUnits: 5 };
+
+/**
+ * Starts a DynamoDB compatible store that keeps its data in a directory of the project so
+ * that it survives restarts of the mock server.
+ * @param dataDir The directory holding the data of the store.
+ * @param port The port the store listens on.
+ */
+async function startDynamoDBStore(dataDir, port) {
+  fs.ensureDirSync(dataDir);
+  const server = dynalite({
+    path: dataDir,
+    createTableMs: 0,
+    deleteTableMs: 0,
+    updateTableMs: 0,
+  });
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, resolve);
+  });
+  const client = new DynamoDB(Object.assign({ endpoint: `http://localhost:${port}` }, LOCAL_CLIENT_CONFIG));
+  return {
+    client,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+/**
+ * Creates the tables of the build in the store. A table whose keys or indexes changed since
+ * it was created is dropped and created again as DynamoDB can not update them in place.
+ * @param store The store returned by startDynamoDBStore.
+ * @param tables The table definitions loaded from the build stacks.
+ * @param print The print object of the CLI context.
+ */
+async function syncTables(store, tables, print) {
+  const { client } = store;
+  const { TableNames } = await client.listTables().promise();
+  await Promise.all(tables.map(async (table) => {
+    const params = toCreateTableParams(table);
+    if (TableNames.includes(params.TableName)) {
+      const { Table } = await client.describeTable({ TableName: params.TableName }).promise();
+      if (getTableShape(Table) === getTableShape(params)) {
+        return;
+      }
+      print.warning(`The keys or indexes of ${params.TableName} changed. Its local data is deleted.`);
+      await client.deleteTable({ TableName: params.TableName }).promise();
+      await client.waitFor('tableNotExists', { TableName: params.TableName }).promise();
+    }
+    await client.createTable(params).promise();
+  }));
+}
+
+function toCreateTableParams(table) {
+  const toIndex = index => ({
+    IndexName: index.IndexName,
+    KeySchema: index.KeySchema,
+    Projection: index.Projection,
+  });
+  const params = {
+    TableName: table.name,
+    KeySchema: table.KeySchema,
+    AttributeDefinitions: table.AttributeDefinitions,
+    ProvisionedThroughput: LOCAL_THROUGHPUT,
+  };
+  if (table.GlobalSecondaryIndexes && table.GlobalSecondaryIndexes.length > 0) {
+    params.GlobalSecondaryIndexes = table.GlobalSecondaryIndexes.map(index => Object.assign(
+      toIndex(index),
+      { ProvisionedThroughput: LOCAL_THROUGHPUT },
+    ));
+  }
+  if (table.LocalSecondaryIndexes && table.LocalSecondaryIndexes.length > 0) {
+    params.LocalSecondaryIndexes = table.LocalSecondaryIndexes.map(toIndex);
+  }
+  return params;
+}
+
+/**
+ * Describes the keys and indexes of a table in a comparable form.
+ */
+function getTableShape(table) {
+  const indexShape = indexes => (indexes || [])
+    .map(index => `${index.IndexName}:${JSON.stringify(index.KeySchema)}`)
+    .sort();
+  return JSON.stringify({
+    keys: table.KeySchema,
+    globalIndexes: indexShape(table.GlobalSecondaryIndexes),
+    localIndexes: indexShape(table.LocalSecondaryIndexes),
+  });
+}
+
+module.exports = {
+  startDynamoDBStore,
+  syncTables,
+};
@@ -0,0 +1,95 @@
+const path = require('path');
+const chokidar = require('chokidar');
+const { loadBuild } = require('./build-loader');
+const { startDynamoDBStore, syncTables } = require('./dynamodb-store');
+const { MockServer, MOCK_API_KEY } = require('./server');
+
+const category = 'api';
+const DEFAULT_PORT = 20002;
+const DEFAULT_DB_PORT = 62224;
+// Writes to the build directory come in bursts while a schema compiles.
+const RELOAD_DELAY_MS = 500;
+
+/**
+ * Compiles the schema of the project's AppSync API and serves it from a local GraphQL
+ * endpoint. Resolvers run their mapping templates against a local DynamoDB store. Edits
+ * to the schema recompile it and every compilation reloads the server.
+ */
+async function startMockServer(context, options = {}) {
+  const { amplify, print } = context;
+  const { amplifyMeta } = amplify.getProjectDetails();
+  const apiName = Object.keys(amplifyMeta[category] || {})
+    .find(resourceName => amplifyMeta[category][resourceName].service === 'AppSync');
+  if (!apiName) {
+    throw new Error('No AppSync API found. Add one with "amplify api add" before starting the mock server.');
+  }
+  const resourceDir = path.join(amplify.pathManager.getBackendDirPath(), category, apiName);
+  const buildDir = path.join(resourceDir, 'build');
+  const port = options.port ? parseInt(options.port, 10) : DEFAULT_PORT;
+  const dbPort = options.dbPort ? parseInt(options.dbPort, 10) : DEFAULT_DB_PORT;
+
+  await compileSchema(context);
+  const dataDir = path.join(amplify.pathManager.getAmplifyDirPath(), 'mock-data', 'dynamodb');
+  const store = await startDynamoDBStore(dataDir, dbPort);
+  const server = new MockServer(store, print);
+  const reload = async () => {
+    const build = loadBuild(buildDir);
+    await syncTables(store, build.tables, print);
+    server.reload(build);
+  };
+  await reload();
+  await server.start(port);
+
+  print.success(`\nAppSync mock endpoint is running at http://localhost:${port}/graphql`);
+  print.info(`Use the API key ${MOCK_API_KEY} or a user pool JWT to authorize requests.`);
+  print.info(`Local data is stored in ${dataDir}\n`);
+
+  let reloadTimer;
+  const buildWatcher = chokidar.watch(buildDir, { ignoreInitial: true }).on('all', () => {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+      reload()
+        .then(() => print.success('Reloaded the mock server with the latest build.'))
+        .catch((err) => {
+          print.error(`The mock server could not reload the build: ${err.message}`);
+        });
+    }, RELOAD_DELAY_MS);
+  });
+
+  let compileTimer;
+  const schemaWatcher = chokidar.watch([
+    path.join(resourceDir, 'schema.graphql'),
+    path.join(resourceDir, 'schema'),
+    path.join(resourceDir, 'resolvers'),
+    path.join(resourceDir, 'stacks'),
+  ], { ignoreInitial: true }).on('all', () => {
+    clearTimeout(compileTimer);
+    compileTimer = setTimeout(() => {
+      compileSchema(context).catch((err) => {
+        print.error(`The schema could not be compiled: ${err.message}`);
+      });
+    }, RELOAD_DELAY_MS);
+  });
+
+  return {
+    stop: async () => {
+      clearTimeout(reloadTimer);
+      clearTimeout(compileTimer);
+      buildWatcher.close();
+      schemaWatcher.close();
+      await server.stop();
+      await store.close();
+    },
+  };
+}
+
+function compileSchema(context) {
+  return context.amplify.executeProviderUtils(context, 'awscloudformation', 'compileSchema', {
+    noConfig: true,
+    forceCompile: true,
+  });
+}
+
+module.exports = {
+  startMockServer,
+};
@@ -0,0 +1,337 @@
+const express = require('express');
+const {
+  graphql, parse, buildASTSchema, defaultFieldResolver, GraphQLObjectType,
+} = require('graphql');
+const { renderTemplate, TemplateError } = require('graphql-mapping-template');
+const { executeRequest } = require('./data-sources');
+
+const MOCK_API_KEY = 'da2-fakeApiId123456';
+
+// Scalars and directives that AppSync defines for every schema.
+const APPSYNC_DEFINITIONS = `
+scalar AWSDate
+scalar AWSTime
+scalar AWSDateTime
+scalar AWSTimestamp
+scalar AWSEmail
+scalar AWSJSON
+scalar AWSURL
+scalar AWSPhone
+scalar AWSIPAddress
+directive @aws_subscribe(mutations: [String]) on FIELD_DEFINITION
+directive @aws_auth(cognito_groups: [String]) on FIELD_DEFINITION
+directive @aws_api_key on FIELD_DEFINITION | OBJECT
+directive @aws_iam on FIELD_DEFINITION | OBJECT
+directive @aws_oidc on FIELD_DEFINITION | OBJECT
+directive @aws_cognito_user_pools(cognito_groups: [String]) on FIELD_DEFINITION | OBJECT
+`;
+
+const AUTH_DIRECTIVES = {
+  aws_api_key: 'API_KEY',
+  aws_iam: 'AWS_IAM',
+  aws_oidc: 'OPENID_CONNECT',
+  aws_cognito_user_pools: 'AMAZON_COGNITO_USER_POOLS',
+};
+
+/**
+ * A GraphQL endpoint that resolves fields with the mapping templates and data sources of a
+ * build. Call reload() with a new build to swap the schema and resolvers of a running server.
+ */
+class MockServer {
+  constructor(store, print) {
+    this.store = store;
+    this.print = print;
+    this.app = express();
+    this.app.use(express.json({ limit: '10mb' }));
+    this.app.post('/graphql', (req, res) => this.handleRequest(req, res));
+  }
+
+  reload(build) {
+    this.api = {
+      authenticationType: build.authenticationType,
+      additionalAuthenticationTypes: build.additionalAuthenticationTypes,
+    };
+    this.schema = this.makeSchema(build);
+  }
+
+  start(port) {
+    return new Promise((resolve, reject) => {
+      this.httpServer = this.app.listen(port, resolve);
+      this.httpServer.once('error', reject);
+    });
+  }
+
+  stop() {
+    return new Promise(resolve => this.httpServer.close(resolve));
+  }
+
+  async handleRequest(req, res) {
+    let auth;
+    try {
+      auth = authenticate(req, this.api);
+    } catch (err) {
+      res.status(401).json({ errors: [{ errorType: 'UnauthorizedException', message: err.message }] });
+      return;
+    }
+    const { query, variables, operationName } = req.body;
+    const context = {
+      authMode: auth.mode,
+      identity: auth.identity,
+      headers: req.headers,
+      appendedErrors: [],
+    };
+    const result = await graphql(this.schema, query, null, context, variables, operationName);
+    const errors = (result.errors || []).map(formatError).concat(context.appendedErrors);
+    const body = { data: result.data === undefined ? null : result.data };
+    if (errors.length > 0) {
+      body.errors = errors;
+    }
+    res.json(body);
+  }
+
+  makeSchema(build) {
+    const document = parse(build.schema);
+    const definedNames = document.definitions
+      .filter(def => def.name)
+      .map(def => def.name.value);
+    const appSyncDefinitions = parse(APPSYNC_DEFINITIONS).definitions
+      .filter(def => !definedNames.includes(def.name.value));
+    const schema = buildASTSchema({
+      kind: 'Document',
+      definitions: [...document.definitions, ...appSyncDefinitions],
+    });
+
+    const resolvers = {};
+    build.resolvers.forEach((resolver) => {
+      resolvers[`${resolver.typeName}.${resolver.fieldName}`] = resolver;
+    });
+    const typeMap = schema.getTypeMap();
+    Object.keys(typeMap)
+      .filter(typeName => !typeName.startsWith('__') && typeMap[typeName] instanceof GraphQLObjectType)
+      .forEach((typeName) => {
+        const type = typeMap[typeName];
+        const fields = type.getFields();
+        Object.keys(fields).forEach((fieldName) => {
+          const field = fields[fieldName];
+          const resolver = resolvers[`${typeName}.${fieldName}`];
+          const resolve = resolver ? this.makeResolver(resolver) : defaultFieldResolver;
+          const allowedModes = getAllowedAuthModes(type, field, this.api.authenticationType);
+          field.resolve = (source, args, context, info) => {
+            if (!allowedModes.includes(context.authMode)) {
+              throw new TemplateError(
+                `Not Authorized to access ${fieldName} on type ${typeName}`,
+                'Unauthorized',
+              );
+            }
+            return resolve(source, args, context, info);
+          };
+        });
+      });
+    return schema;
+  }
+
+  makeResolver(resolver) {
+    const field = `${resolver.typeName}.${resolver.fieldName}`;
+    const units = resolver.kind === 'PIPELINE' ? resolver.functions : [resolver];
+    return async (source, args, context, info) => {
+      if (!resolver.requestTemplate || !resolver.responseTemplate ||
+        units.some(unit => !unit.requestTemplate || !unit.responseTemplate || !unit.dataSource)) {
+        throw new Error(`The resolver of ${field} can not be mocked. ` +
+          'Its mapping templates or data source are only known once deployed.');
+      }
+      const templateContext = {
+        arguments: args,
+        source,
+        identity: context.identity,
+        request: { headers: context.headers },
+        stash: {},
+        info: {
+          fieldName: info.fieldName,
+          parentTypeName: info.parentType.name,
+          variables: info.variableValues,
+        },
+      };
+      if (resolver.kind !== 'PIPELINE') {
+        return this.runUnit(resolver, field, templateContext, context, info);
+      }
+
+      const before = render(resolver.requestTemplate, templateContext, context, info);
+      if (before.isReturn) {
+        return before.document;
+      }
+      parseDocument(before, `${field}.before.vtl`);
+      let result = null;
+      // The functions run one after another and each sees the result of the previous one.
+      await resolver.functions.reduce(async (previous, fn) => {
+        await previous;
+        result = await this.runUnit(
+          fn,
+          `${field}.${fn.name}`,
+          Object.assign({}, templateContext, { prev: { result } }),
+          context,
+          info,
+        );
+      }, Promise.resolve());
+      const after = render(
+        resolver.responseTemplate,
+        Object.assign({}, templateContext, { prev: { result } }),
+        context,
+        info,
+      );
+      return parseDocument(after, `${field}.after.vtl`);
+    };
+  }
+
+  /**
+   * Runs the request template of a unit resolver or pipeline function, sends the request to
+   * its data source and returns what the response template renders.
+   */
+  async runUnit(unit, name, templateContext, context, info) {
+    const request = render(unit.requestTemplate, templateContext, context, info);
+    if (request.isReturn) {
+      // #return in a request template skips the data source.
+      return request.document;
+    }
+    const requestDocument = parseDocument(request, `${name}.req.vtl`);
+
+    const { result, error } = await executeRequest(
+      unit.dataSource,
+      requestDocument,
+      this.store,
+    );
+    const response = render(
+      unit.responseTemplate,
+      Object.assign({}, templateContext, { result, error }),
+      context,
+      info,
+    );
+    if (error) {
+      // Data source errors the response template does not raise are still reported.
+      appendErrors(context, info, [new TemplateError(error.message, error.type)]);
+    }
+    return parseDocument(response, `${name}.res.vtl`);
+  }
+}
+
+/**
+ * Identifies the caller the way AppSync does. API keys are checked against the mock key.
+ * User pool and OIDC tokens are decoded but not verified so that any token can be used to
+ * act as a user.
+ */
+function authenticate(req, api) {
+  const modes = [api.authenticationType, ...api.additionalAuthenticationTypes];
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    if (!modes.includes('API_KEY') || apiKey !== MOCK_API_KEY) {
+      throw new Error('You are not authorized to make this call.');
+    }
+    return { mode: 'API_KEY', identity: null };
+  }
+  const token = req.headers.authorization;
+  const mode = ['AMAZON_COGNITO_USER_POOLS', 'OPENID_CONNECT'].find(m => modes.includes(m));
+  if (token && mode) {
+    const claims = decodeJWT(token);
+    const identity = {
+      sub: claims.sub,
+      issuer: claims.iss,
+      claims,
+      sourceIp: [req.ip],
+      defaultAuthStrategy: 'ALLOW',
+    };
+    if (mode === 'AMAZON_COGNITO_USER_POOLS') {
+      identity.username = claims['cognito:username'] || claims.username;
+      identity.groups = claims['cognito:groups'] || null;
+    }
+    return { mode, identity };
+  }
+  throw new Error('Missing authorization. Send the mock API key in the "x-api-key" header ' +
+    'or a JWT in the "Authorization" header.');
+}
+
+function decodeJWT(token) {
+  const payload = token.replace(/^Bearer /, '').split('.')[1];
+  try {
+    return JSON.parse(Buffer.from(payload, 'base64').toString('utf8'));
+  } catch (err) {
+    throw new Error('The Authorization header does not hold a valid JWT.');
+  }
+}
+
+/**
+ * Fields and types without auth directives are available to the default authentication
+ * type only. Directives on a field take precedence over the directives of its type.
+ */
+function getAllowedAuthModes(type, field, defaultMode) {
+  const toModes = node => ((node && node.directives) || [])
+    .map(directive => AUTH_DIRECTIVES[directive.name.value])
+    .filter(Boolean);
+  const fieldModes = toModes(field.astNode);
+  if (fieldModes.length > 0) {
+    return fieldModes;
+  }
+  const typeModes = toModes(type.astNode);
+  return typeModes.length > 0 ? typeModes : [defaultMode];
+}
+
+function formatError(err) {
+  const formatted = toAppSyncError(err.originalError || err);
+  return Object.assign({ path: err.path, locations: err.locations }, formatted, {
+    message: err.message,
+  });
+}
+
+function parseDocument(rendered, templateName) {
+  if (rendered.document === undefined) {
+    throw new TemplateError(
+      `Unable to parse the JSON document rendered by ${templateName}`,
+      'MappingTemplate',
+    );
+  }
+  return rendered.document;
+}
+
+/**
+ * Renders a template. Errors it appends are added to the response and an error it raises
+ * is thrown.
+ */
+function render(template, templateContext, context, info) {
+  const rendered = renderTemplate(template, templateContext);
+  appendErrors(context, info, rendered.errors);
+  if (rendered.error) {
+    throw rendered.error;
+  }
+  return rendered;
+}
+
+/**
+ * Adds template and data source errors to the errors of the GraphQL response.
+ */
+function appendErrors(context, info, errors) {
+  errors.forEach((err) => {
+    context.appendedErrors.push(Object.assign({ path: getPath(info.path) }, toAppSyncError(err)));
+  });
+}
+
+function toAppSyncError(err) {
+  return {
+    errorType: err.errorType || null,
+    data: err.data === undefined ? null : err.data,
+    errorInfo: err.errorInfo === undefined ? null : err.errorInfo,
+    message: err.message,
+  };
+}
+
+function getPath(path) {
+  const segments = [];
+  let current = path;
+  while (current) {
+    segments.unshift(current.key);
+    current = current.prev;
+  }
+  return segments;
+}
+
+module.exports = {
+  MockServer,
+  MOCK_API_KEY,
+};
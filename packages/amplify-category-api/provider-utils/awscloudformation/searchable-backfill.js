@@ -0,0 +1,203 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const category = 'api';
+const providerName = 'awscloudformation';
+
+// Documents are indexed in the same format as the streaming Lambda of the @searchable transformer.
+const DOC_TYPE = 'doc';
+const DEFAULT_BATCH_SIZE = 100;
+const ES_MAX_RETRIES = 3;
+
+/**
+ * Scans the table of a @searchable model and bulk indexes its items into the
+ * Elasticsearch domain of the API. Progress is saved after every batch so an
+ * interrupted backfill continues where it stopped unless restart is set.
+ */
+async function searchableBackfill(context, typeName, options = {}) {
+  const { amplify } = context;
+  const { amplifyMeta } = amplify.getProjectDetails();
+  const apiName = Object.keys(amplifyMeta[category] || {})
+    .find(resourceName => amplifyMeta[category][resourceName].service === 'AppSync');
+  if (!apiName) {
+    throw new Error('No AppSync API found. Add one with "amplify api add" and push it before running a backfill.');
+  }
+  const apiResource = amplifyMeta[category][apiName];
+  if (!apiResource.providerMetadata || !apiResource.providerMetadata.logicalId) {
+    throw new Error(`The API ${apiName} has not been pushed yet. Run "amplify push" before running a backfill.`);
+  }
+  const batchSize = options.batchSize ? parseInt(options.batchSize, 10) : DEFAULT_BATCH_SIZE;
+  if (!(batchSize > 0)) {
+    throw new Error('The batch size must be a positive number.');
+  }
+
+  const aws = await getConfiguredAWSClient(context);
+  const cfn = new aws.CloudFormation();
+  const rootStackName = amplifyMeta.providers[providerName].StackName;
+  const { logicalId } = apiResource.providerMetadata;
+  const apiStackId = await getPhysicalResourceId(cfn, rootStackName, logicalId);
+  const typeStackId = await getPhysicalResourceId(cfn, apiStackId, typeName);
+  const tableName = await getPhysicalResourceId(cfn, typeStackId, `${typeName}Table`);
+  const searchableStackId = await getPhysicalResourceId(cfn, apiStackId, 'SearchableStack');
+  const domainName = await getPhysicalResourceId(cfn, searchableStackId, 'ElasticsearchDomain');
+
+  const es = new aws.ES();
+  const { DomainStatus } = await es.describeElasticsearchDomain({ DomainName: domainName })
+    .promise();
+  const dynamodb = new aws.DynamoDB();
+  const { Table } = await dynamodb.describeTable({ TableName: tableName }).promise();
+  const keyNames = Table.KeySchema.map(key => key.AttributeName);
+  const indexName = tableName.toLowerCase().split('-')[0];
+
+  const progressFilePath = path.join(
+    amplify.pathManager.getAmplifyDirPath(),
+    '.temp',
+    'searchable-backfill',
+    `${apiName}-${typeName}.json`,
+  );
+  let progress = { tableName, indexed: 0 };
+  if (!options.restart && fs.existsSync(progressFilePath)) {
+    const savedProgress = fs.readJsonSync(progressFilePath);
+    // A table that was replaced since the last run can not be resumed.
+    if (savedProgress.tableName === tableName) {
+      progress = savedProgress;
+      context.print.info(`Resuming the backfill of ${typeName} after ${progress.indexed} items.`);
+    }
+  }
+
+  do {
+    const page = await dynamodb.scan({
+      TableName: tableName,
+      Limit: batchSize,
+      ExclusiveStartKey: progress.lastEvaluatedKey,
+    }).promise();
+    if (page.Items.length > 0) {
+      const payload = makeBulkPayload(aws, page.Items, indexName, keyNames);
+      await postToElasticsearch(aws, DomainStatus.Endpoint, payload);
+    }
+    progress.indexed += page.Items.length;
+    progress.lastEvaluatedKey = page.LastEvaluatedKey;
+    fs.outputJsonSync(progressFilePath, progress);
+    context.print.info(`Indexed ${progress.indexed} ${typeName} items.`);
+  } while (progress.lastEvaluatedKey);
+
+  fs.removeSync(progressFilePath);
+  context.print.success(`Finished indexing ${progress.indexed} ${typeName} items into ${DomainStatus.DomainName}.`);
+}
+
+async function getConfiguredAWSClient(context) {
+  const providerPlugins = context.amplify.getProviderPlugins(context);
+  const provider = require(providerPlugins[providerName]);
+  const aws = await provider.getConfiguredAWSClient(context, category, 'searchable-backfill');
+  // Resolve the credentials up front as they are needed to sign the Elasticsearch requests.
+  await new Promise((resolve, reject) => {
+    aws.config.getCredentials(err => (err ? reject(err) : resolve()));
+  });
+  return aws;
+}
+
+async function getPhysicalResourceId(cfn, stackName, logicalResourceId) {
+  try {
+    const { StackResourceDetail } = await cfn.describeStackResource({
+      StackName: stackName,
+      LogicalResourceId: logicalResourceId,
+    }).promise();
+    return StackResourceDetail.PhysicalResourceId;
+  } catch (err) {
+    throw new Error(`Could not find ${logicalResourceId} in stack ${stackName}. ` +
+      'Make sure the type is annotated with @model and @searchable and the API has been pushed.');
+  }
+}
+
+/**
+ * Creates the body of an Elasticsearch bulk request that indexes the scanned items.
+ */
+function makeBulkPayload(aws, items, indexName, keyNames) {
+  const lines = [];
+  items.forEach((item) => {
+    const doc = aws.DynamoDB.Converter.unmarshall(item);
+    const action = { index: { _index: indexName, _type: DOC_TYPE, _id: getDocId(doc, keyNames) } };
+    lines.push(JSON.stringify(action));
+    lines.push(JSON.stringify(doc, toDocumentValue));
+  });
+  // The bulk API requires a final new line.
+  lines.push('');
+  return lines.join('\n');
+}
+
+/**
+ * Items without an id are indexed under their keys in lexicographic order:
+ * "k1=key_val1|k2=key_val2". Numbers are formatted like the floats of the
+ * streaming Lambda so both write the same documents.
+ */
+function getDocId(doc, keyNames) {
+  if (doc.id !== undefined) {
+    return doc.id;
+  }
+  return keyNames.slice().sort().map((key) => {
+    const value = doc[key];
+    return `${key}=${Number.isInteger(value) ? `${value}.0` : value}`;
+  }).join('|');
+}
+
+function toDocumentValue(key, value) {
+  // Binary attributes are indexed as base64 strings and sets as lists.
+  if (value && value.type === 'Buffer' && Array.isArray(value.data)) {
+    return Buffer.from(value.data).toString('base64');
+  }
+  if (value && value.wrapperName === 'Set') {
+    return value.values;
+  }
+  return value;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function postToElasticsearch(aws, endpoint, payload) {
+  let retries = 0;
+  while (true) {
+    if (retries > 0) {
+      await sleep((2 ** retries) * 100);
+    }
+    const response = await sendSignedRequest(aws, endpoint, '/_bulk', payload);
+    if (response.statusCode >= 200 && response.statusCode <= 299) {
+      const result = JSON.parse(response.body);
+      if (result.errors) {
+        const failedItems = result.items.filter(item => item.index && item.index.error);
+        throw new Error(`Elasticsearch failed to index ${failedItems.length} items: ${JSON.stringify(failedItems)}`);
+      }
+      return result;
+    }
+    retries += 1;
+    if (response.statusCode < 500 || retries >= ES_MAX_RETRIES) {
+      throw new Error(`Elasticsearch bulk request failed with status ${response.statusCode}: ${response.body}`);
+    }
+  }
+}
+
+function sendSignedRequest(aws, endpoint, requestPath, body) {
+  const request = new aws.HttpRequest(new aws.Endpoint(endpoint), aws.config.region);
+  request.method = 'POST';
+  request.path = requestPath;
+  request.body = body;
+  request.headers.host = endpoint;
+  request.headers['Content-Type'] = 'application/json';
+  request.headers['Content-Length'] = Buffer.byteLength(body);
+  const signer = new aws.Signers.V4(request, 'es');
+  signer.addAuthorization(aws.config.credentials, new Date());
+
+  return new Promise((resolve, reject) => {
+    const client = new aws.HttpClient();
+    client.handleRequest(request, null, (response) => {
+      let responseBody = '';
+      response.on('data', (chunk) => { responseBody += chunk; });
+      response.on('end', () => resolve({ statusCode: response.statusCode, body: responseBody }));
+    }, reject);
+  });
+}
+
+module.exports = {
+  searchableBackfill,
+};
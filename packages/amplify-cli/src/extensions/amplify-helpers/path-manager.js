@@ -2,6 +2,7 @@ const path = require('path');
 const fs = require('fs');
 const homedir = require('os').homedir();
 const amplifyCLIConstants = require('./constants.js');
+const { getGlobalNodeModuleDirPath } = require('../../lib/global-prefix');
 
 /* Helpers */
 
@@ -181,4 +182,5 @@ module.exports = {
   getProviderInfoFilePath,
   getBackendConfigFilePath,
   getCurrentBackendConfigFilePath,
+  getGlobalNodeModuleDirPath,
 };
@@ -34,6 +34,7 @@ async function run(context, category, resourceName) {
   return packageResources(context, resources)
     .then(() => transformGraphQLSchema(context, {
       noConfig: true,
+      checkForBreakingChanges: true,
       handleMigration: opts =>
         updateStackForAPIMigration(context, 'api', resourceName, opts),
     }))
@@ -3,14 +3,26 @@ const path = require('path');
 const chalk = require('chalk');
 const inquirer = require('inquirer');
 const DynamoDBModelTransformer = require('graphql-dynamodb-transformer').default;
+const { DefaultValueTransformer } = require('graphql-dynamodb-transformer');
 const ModelAuthTransformer = require('graphql-auth-transformer').default;
+const { collectAuthProviders } = require('graphql-auth-transformer');
 const ModelConnectionTransformer = require('graphql-connection-transformer').default;
+const KeyTransformer = require('graphql-key-transformer').default;
 const SearchableModelTransformer = require('graphql-elasticsearch-transformer').default;
 const VersionedModelTransformer = require('graphql-versioned-transformer').default;
+const FunctionTransformer = require('graphql-function-transformer').default;
+const HttpTransformer = require('graphql-http-transformer').default;
+const {
+  LengthTransformer,
+  RangeTransformer,
+  PatternTransformer,
+  EmailTransformer,
+  UrlTransformer,
+} = require('graphql-validation-transformer');
 const providerName = require('./constants').ProviderName;
 const TransformPackage = require('graphql-transformer-core');
 
-const { collectDirectiveNames } = TransformPackage;
+const { collectDirectiveNames, collectDirectives } = TransformPackage;
 
 const category = 'api';
 const parametersFileName = 'parameters.json';
@@ -18,12 +30,56 @@ const schemaFileName = 'schema.graphql';
 const schemaDirName = 'schema';
 
 function checkForCommonIssues(usedDirectives, opts) {
-  if (usedDirectives.includes('auth') && !opts.isUserPoolEnabled) {
+  // Rules that only use the API key or IAM providers do not need a user pool.
+  if (usedDirectives.includes('auth') && opts.usesUserPools && !opts.isUserPoolEnabled) {
     throw new Error(`You are trying to use the @auth directive without enabling Amazon Cognito user pools for your API.
 Run \`amplify update api\` and choose "Amazon Cognito User Pool" as the authorization type for the API.`);
   }
 }
 
+/**
+ * Adds the functions referenced by @function directives to the dependsOn of the
+ * API so that they are deployed first. The attributes of a dependency are passed
+ * to the API stack as parameters so they are declared in the root stack.
+ */
+function addFunctionDependencies(context, resourceDir, schema) {
+  const functionDirectives = collectDirectives(schema).filter(dir => dir.name.value === 'function');
+  if (functionDirectives.length === 0) {
+    return;
+  }
+  const amplifyMeta = context.amplify.getProjectMeta();
+  const functionResources = amplifyMeta.function || {};
+  const apiResourceName = path.basename(resourceDir);
+  if (!amplifyMeta[category] || !amplifyMeta[category][apiResourceName]) {
+    return;
+  }
+  const dependsOn = amplifyMeta[category][apiResourceName].dependsOn || [];
+  functionDirectives.forEach((directive) => {
+    const nameArgument = directive.arguments.find(arg => arg.name.value === 'name');
+    const resourceName = nameArgument.value.value.replace(/-?\$\{env\}/g, '');
+    if (functionResources[resourceName] &&
+      !dependsOn.find(dep => dep.category === 'function' && dep.resourceName === resourceName)) {
+      dependsOn.push({
+        category: 'function',
+        resourceName,
+        attributes: ['Name', 'Arn'],
+      });
+    }
+  });
+  context.amplify.updateamplifyMetaAfterResourceUpdate(category, apiResourceName, 'dependsOn', dependsOn);
+
+  const rootStackFilePath = path.join(resourceDir, 'build', 'cloudformation-template.json');
+  const rootStack = JSON.parse(fs.readFileSync(rootStackFilePath));
+  dependsOn.filter(dep => dep.category === 'function').forEach((dep) => {
+    dep.attributes.forEach((attribute) => {
+      rootStack.Parameters[`${dep.category}${dep.resourceName}${attribute}`] = {
+        Type: 'String',
+      };
+    });
+  });
+  fs.writeFileSync(rootStackFilePath, JSON.stringify(rootStack, null, 4), 'utf8');
+}
+
 function apiProjectIsFromOldVersion(pathToProject, resourcesToBeCreated) {
   const resources = resourcesToBeCreated.filter(resource => resource.service === 'AppSync');
   if (!pathToProject || resources.length > 0) {
@@ -64,6 +120,7 @@ async function migrateProject(context, options) {
     // After the intermediate update, we need the transform function
     // to look at this directory since we did not overwrite the currentCloudBackend with the build
     options.cloudBackendDirectory = resourceDir;
+    options.checkForBreakingChanges = false;
     await transformGraphQLSchema(context, options);
     const result = await updateAndWaitForStack({ isCLIMigration });
     context.print.info('\nFinished migrating API.');
@@ -196,31 +253,66 @@ async function transformGraphQLSchema(context, options) {
 
   // Check for common errors
   const usedDirectives = collectDirectiveNames(project.schema);
+  const authProviders = usedDirectives.includes('auth') ? collectAuthProviders(project.schema) : [];
   checkForCommonIssues(
     usedDirectives,
-    { isUserPoolEnabled: Boolean(parameters.AuthCognitoUserPoolId) },
+    {
+      isUserPoolEnabled: Boolean(parameters.AuthCognitoUserPoolId),
+      usesUserPools: authProviders.includes('userPools'),
+    },
   );
 
-  const transformerList = [
-    new DynamoDBModelTransformer(getModelConfig(project)),
-    new ModelConnectionTransformer(),
-    new VersionedModelTransformer(),
-  ];
+  const usesAuth = Boolean(parameters.AuthCognitoUserPoolId) || authProviders.length > 0;
 
-  if (usedDirectives.includes('searchable')) {
-    transformerList.push(new SearchableModelTransformer());
-  }
+  // Built-in transformers keyed by their directive.
+  // Custom transformers are placed relative to these.
+  const builtInTransformers = [
+    { directive: 'model', transformer: new DynamoDBModelTransformer(getModelConfig(project)) },
+    { directive: 'key', transformer: new KeyTransformer() },
+    { directive: 'connection', transformer: new ModelConnectionTransformer() },
+    { directive: 'versioned', transformer: new VersionedModelTransformer() },
+    { directive: 'length', transformer: usedDirectives.includes('length') && new LengthTransformer() },
+    { directive: 'range', transformer: usedDirectives.includes('range') && new RangeTransformer() },
+    { directive: 'pattern', transformer: usedDirectives.includes('pattern') && new PatternTransformer() },
+    { directive: 'email', transformer: usedDirectives.includes('email') && new EmailTransformer() },
+    { directive: 'url', transformer: usedDirectives.includes('url') && new UrlTransformer() },
+    { directive: 'default', transformer: usedDirectives.includes('default') && new DefaultValueTransformer() },
+    { directive: 'function', transformer: new FunctionTransformer() },
+    {
+      directive: 'searchable',
+      transformer: usedDirectives.includes('searchable') && new SearchableModelTransformer(),
+    },
+    { directive: 'http', transformer: usedDirectives.includes('http') && new HttpTransformer() },
+    { directive: 'auth', transformer: usesAuth && new ModelAuthTransformer() },
+  ];
+  const customTransformers = loadCustomTransformers(
+    context,
+    resourceDir,
+    builtInTransformers.map(builtIn => builtIn.directive),
+    project.config.Transformers,
+  );
+  const transformerList = orderTransformers(builtInTransformers, customTransformers);
 
-  if (parameters.AuthCognitoUserPoolId) {
-    transformerList.push(new ModelAuthTransformer());
-  }
+  // Read the deployed build before it is overwritten so that the new build can be compared with it
+  const deployedBuild = options.checkForBreakingChanges && previouslyDeployedBackendDir ?
+    await TransformPackage.readBuildOutput(previouslyDeployedBackendDir, 'cloudformation-template.json') :
+    undefined;
 
   await TransformPackage.buildAPIProject({
     projectDirectory: resourceDir,
     transformers: transformerList,
     rootStackFileName: 'cloudformation-template.json',
+    previouslyDeployedBackendDir,
   });
 
+  if (deployedBuild) {
+    const nextBuild = await TransformPackage.readBuildOutput(resourceDir, 'cloudformation-template.json');
+    const breakingChanges = TransformPackage.getBreakingChanges(deployedBuild, nextBuild);
+    await confirmBreakingChanges(context, breakingChanges);
+  }
+
+  addFunctionDependencies(context, resourceDir, project.schema);
+
   context.print.success(`\nGraphQL schema compiled successfully.\n\nEdit your schema at ${schemaFilePath} or \
 place .graphql files in a directory at ${schemaDirPath}`);
 
@@ -229,6 +321,111 @@ place .graphql files in a directory at ${schemaDirPath}`);
   fs.writeFileSync(parametersFilePath, jsonString, 'utf8');
 }
 
+async function confirmBreakingChanges(context, breakingChanges) {
+  if (breakingChanges.length === 0) {
+    return;
+  }
+  context.print.warning('\nThe following changes to your API delete data or break existing clients:');
+  breakingChanges.forEach(change => context.print.warning(`- ${change.message}`));
+  if (context.parameters.options['allow-destructive-changes']) {
+    return;
+  }
+  if (context.exeInfo && context.exeInfo.inputParams && context.exeInfo.inputParams.yes) {
+    throw new Error('Push cancelled. Run the push again with --allow-destructive-changes to deploy these changes.');
+  }
+  const { allowDestructiveChanges } = await inquirer.prompt({
+    name: 'allowDestructiveChanges',
+    type: 'confirm',
+    message: 'Do you want to deploy these changes?',
+    default: false,
+  });
+  if (!allowDestructiveChanges) {
+    throw new Error('Push cancelled. Revert the changes above or run the push again with --allow-destructive-changes.');
+  }
+}
+
+/**
+ * Loads the transformers listed in the Transformers array of transform.conf.json.
+ * Each entry names a package, resolved from the node_modules of the API directory,
+ * the project or the global installation, or a path relative to the API directory.
+ * The Options of an entry are passed to the constructor of the transformer and its
+ * Before or After names the built-in directive it runs next to. Entries without
+ * either run after all of the built-in transformers.
+ */
+function loadCustomTransformers(context, resourceDir, builtInDirectives, transformerConfigs) {
+  return (transformerConfigs || []).map((transformerConfig) => {
+    const {
+      Module: moduleName,
+      Options: transformerOptions,
+      Before: before,
+      After: after,
+    } = transformerConfig;
+    if (!moduleName) {
+      throw new Error('Each entry in the Transformers list of transform.conf.json must specify a Module.');
+    }
+    if (before && after) {
+      throw new Error(`The transformer ${moduleName} specifies both Before and After. Specify one of them.`);
+    }
+    const position = before || after;
+    if (position && !builtInDirectives.includes(position)) {
+      throw new Error(`The transformer ${moduleName} is ordered relative to "${position}" which is not a built-in directive. \
+Use one of ${builtInDirectives.join(', ')}.`);
+    }
+    const transformerModule = require(resolveTransformerModule(context, resourceDir, moduleName));
+    const TransformerClass = transformerModule.default || transformerModule;
+    const transformer = typeof TransformerClass === 'function' ? new TransformerClass(transformerOptions) : undefined;
+    if (!isTransformer(transformer)) {
+      throw new Error(`The module ${moduleName} does not export a Transformer from graphql-transformer-core.`);
+    }
+    return { transformer, before, after };
+  });
+}
+
+function resolveTransformerModule(context, resourceDir, moduleName) {
+  if (moduleName.startsWith('.') || path.isAbsolute(moduleName)) {
+    return path.resolve(resourceDir, moduleName);
+  }
+  const searchPaths = [
+    resourceDir,
+    context.amplify.pathManager.searchProjectRootPath(),
+    context.amplify.pathManager.getGlobalNodeModuleDirPath(),
+  ].filter(searchPath => searchPath);
+  try {
+    return require.resolve(moduleName, { paths: searchPaths });
+  } catch (e) {
+    throw new Error(`Could not find the transformer ${moduleName}. Install it in your project or globally.`);
+  }
+}
+
+// The module may depend on its own copy of graphql-transformer-core so instanceof is not reliable.
+function isTransformer(transformer) {
+  return Boolean(transformer) &&
+    (transformer instanceof TransformPackage.Transformer || (
+      typeof transformer.name === 'string' &&
+      Boolean(transformer.directive) &&
+      transformer.directive.kind === 'DirectiveDefinition'
+    ));
+}
+
+function orderTransformers(builtInTransformers, customTransformers) {
+  const transformerList = [];
+  builtInTransformers.forEach(({ directive, transformer }) => {
+    customTransformers
+      .filter(custom => custom.before === directive)
+      .forEach(custom => transformerList.push(custom.transformer));
+    if (transformer) {
+      transformerList.push(transformer);
+    }
+    customTransformers
+      .filter(custom => custom.after === directive)
+      .forEach(custom => transformerList.push(custom.transformer));
+  });
+  customTransformers
+    .filter(custom => !custom.before && !custom.after)
+    .forEach(custom => transformerList.push(custom.transformer));
+  return transformerList;
+}
+
 function getModelConfig(project) {
   if (project && project.config && project.config.Model && project.config.Model.BillingMode) {
     return {
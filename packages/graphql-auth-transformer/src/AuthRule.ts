@@ -1,11 +1,16 @@
+export type AuthStrategy = 'owner' | 'groups' | 'public' | 'private'
+export type AuthProvider = 'apiKey' | 'iam' | 'userPools'
 export type ModelQuery = 'get' | 'list'
 export type ModelMutation = 'create' | 'update' | 'delete'
+export type ModelSubscription = 'onCreate' | 'onUpdate' | 'onDelete'
 export interface AuthRule {
-    allow: 'owner' | 'groups';
+    allow: AuthStrategy;
+    provider?: AuthProvider;
     ownerField: string;
     identityField: string;
     groupsField: string;
     groups: string[];
     queries: ModelQuery[]
     mutations: ModelMutation[]
+    subscriptions: ModelSubscription[]
 }
\ No newline at end of file
@@ -1,23 +1,41 @@
 import { Transformer, TransformerContext, InvalidDirectiveError } from 'graphql-transformer-core'
 import GraphQLAPI from 'cloudform-types/types/appSync/graphQlApi'
+import { Fn } from 'cloudform-types'
 import { ResourceFactory } from './resources'
-import { AuthRule, ModelQuery, ModelMutation } from './AuthRule'
-import { ObjectTypeDefinitionNode, DirectiveNode, ArgumentNode } from 'graphql'
-import { ResourceConstants, ResolverResourceIDs, isListType } from 'graphql-transformer-common'
+import { AuthRule, ModelQuery, ModelMutation, ModelSubscription, AuthProvider } from './AuthRule'
+import { collectAuthProviders, getAuthRuleProvider, getAuthRules } from './collectAuthProviders'
 import {
-    Expression, print, raw, iff, equals, forEach, set, ref, list, compoundExpression, or, newline,
-    comment
+    ObjectTypeDefinitionNode, DirectiveNode, FieldDefinitionNode, InputValueDefinitionNode, Kind,
+    print as printAST, valueFromASTUntyped
+} from 'graphql'
+import {
+    ResourceConstants, ResolverResourceIDs, ModelResourceIDs, isListType, makeDirective, getBaseType,
+    makeField, makeInputValueDefinition, makeNamedType, makeNonNullType
+} from 'graphql-transformer-common'
+import {
+    Expression, print, raw, iff, ifElse, equals, forEach, set, ref, list, compoundExpression, or, newline,
+    comment, block, not, obj, str, qref, bool, DynamoDBMappingTemplate
 } from 'graphql-mapping-template';
-import { valueFromASTUntyped } from 'graphql'
 
 import {
     OWNER_AUTH_STRATEGY,
     DEFAULT_OWNER_FIELD,
     DEFAULT_IDENTITY_FIELD,
     GROUPS_AUTH_STRATEGY,
-    DEFAULT_GROUPS_FIELD
+    DEFAULT_GROUPS_FIELD,
+    PUBLIC_AUTH_STRATEGY,
+    PRIVATE_AUTH_STRATEGY,
+    API_KEY_AUTH_PROVIDER,
+    IAM_AUTH_PROVIDER,
+    USER_POOLS_AUTH_PROVIDER
 } from './constants'
 
+const PROVIDER_DIRECTIVES: { [k in AuthProvider]: string } = {
+    apiKey: 'aws_api_key',
+    iam: 'aws_iam',
+    userPools: 'aws_cognito_user_pools'
+}
+
 /**
  * Implements the ModelAuthTransformer.
  *
@@ -38,6 +56,9 @@ import {
  * updatePost - Expose "owner" field in input/output and would set conditional update expression to look for owner.
  * deletePost - Conditional expression checking that the owner === $ctx.identity.username
  *
+ * onCreatePost, onUpdatePost, onDeletePost - Require an "owner" argument that must match the identity.
+ *  AppSync only delivers events for records whose "owner" equals the argument.
+ *
  * Note: The name of the "owner" field may be configured via the CF paramaters.
  *
  * type Post @auth(allow: groups, groups: ["Admin", "Dev"]) {
@@ -54,72 +75,132 @@ import {
  * createPost - Update req template to look for the groups in the identity.
  * updatePost - Update req template to look for the groups in the identity.
  * deletePost - Update req template to look for the groups in the identity.
+ * onCreatePost, onUpdatePost, onDeletePost - A subscription resolver looks for the groups in the identity.
+ *
+ * Subscriptions:
+ *
+ * Rules apply to the generated subscriptions unless they set "subscriptions". A rule with
+ * "subscriptions: [onCreate]" applies only to the subscriptions of create mutations and
+ * "subscriptions: null" applies to none. A subscription of a protected type that no rule
+ * applies to is removed from the schema, so setting "subscriptions: null" on every rule
+ * disables subscriptions for the type. Owner and dynamic group rules protect subscriptions
+ * through an argument that is filtered by AppSync, so rules on list fields are not applied.
  *
  * TODO: Document support for dynamic group authorization against
  * attributes of the records using conditional expressions. This will likely
  * be via a new argument such as "groupsField".
+ *
+ * Field Level Usage:
+ *
+ * type Employee @model {
+ *   id: ID!
+ *   name: String
+ *   salary: Int @auth(rules: [{ allow: groups, groups: ["Admin"] }, { allow: owner }])
+ * }
+ *
+ * Impact:
+ *
+ * Employee.salary - A resolver on a NONE data source returns $ctx.source.salary when the
+ *  parent object satisfies at least one rule. Otherwise null is returned for nullable fields
+ *  and an unauthorized error is raised for non-null fields.
+ * createEmployee - If the input contains "salary" the caller must satisfy a create rule.
+ * updateEmployee - If the input contains "salary" the caller must be static group authorized
+ *  or the owner/group rules are added to the update condition expression.
+ *
+ * Public & Private Usage:
+ *
+ * type Post @model @auth(rules: [
+ *   { allow: owner },
+ *   { allow: public, provider: apiKey, queries: [get, list], mutations: null },
+ *   { allow: private, provider: iam, queries: [get, list], mutations: null }
+ * ]) {
+ *   id: ID!
+ *   title: String
+ * }
+ *
+ * Impact:
+ *
+ * Public rules authorize any caller of the provider (apiKey by default, or iam to include
+ * unauthenticated identity pool roles). Private rules authorize any signed in caller of the
+ * provider (userPools by default, or iam). The generated VTL identifies the provider from
+ * $ctx.identity. When @auth rules use more than one provider the API is configured with
+ * AdditionalAuthenticationProviders and the protected types and operations are annotated
+ * with the matching @aws_api_key, @aws_iam and @aws_cognito_user_pools directives.
  */
 export class ModelAuthTransformer extends Transformer {
 
     resources: ResourceFactory
 
+    /**
+     * The providers used by @auth rules other than the API's default provider.
+     * When set, protected types and fields are annotated with provider directives.
+     */
+    additionalProviders: AuthProvider[] = []
+
     constructor() {
         super(
             'ModelAuthTransformer',
             `
-            directive @auth(rules: [AuthRule!]!) on OBJECT
+            directive @auth(rules: [AuthRule!]!) on OBJECT | FIELD_DEFINITION
             input AuthRule {
                 allow: AuthStrategy!
+                provider: AuthProvider
                 ownerField: String # defaults to "owner"
                 identityField: String # defaults to "cognito:username"
                 groupsField: String
                 groups: [String]
                 queries: [ModelQuery]
                 mutations: [ModelMutation]
+                subscriptions: [ModelSubscription]
             }
-            enum AuthStrategy { owner groups }
+            enum AuthStrategy { owner groups private public }
+            enum AuthProvider { apiKey iam userPools }
             enum ModelQuery { get list }
             enum ModelMutation { create update delete }
+            enum ModelSubscription { onCreate onUpdate onDelete }
             `
         )
         this.resources = new ResourceFactory();
     }
 
     /**
-     * Updates the GraphQL API record to use user pool auth.
+     * Updates the GraphQL API record to use the providers of the @auth rules.
      */
-    private updateAPIForUserPools = (ctx: TransformerContext): void => {
+    private updateAPIAuthentication = (ctx: TransformerContext, defaultProvider: AuthProvider): void => {
         const apiRecord = ctx.getResource(ResourceConstants.RESOURCES.GraphQLAPILogicalID) as GraphQLAPI
-        const updated = this.resources.updateGraphQLAPIWithAuth(apiRecord)
+        const updated = this.resources.updateGraphQLAPIWithAuth(apiRecord, defaultProvider, this.additionalProviders)
         ctx.setResource(ResourceConstants.RESOURCES.GraphQLAPILogicalID, updated)
     }
 
     public before = (ctx: TransformerContext): void => {
-        const template = this.resources.initTemplate();
-        ctx.mergeResources(template.Resources)
-        ctx.mergeParameters(template.Parameters)
-        ctx.mergeOutputs(template.Outputs)
-        ctx.mergeConditions(template.Conditions)
-        this.updateAPIForUserPools(ctx)
+        const providers = collectAuthProviders(printAST(ctx.inputDocument))
+        // The user pool remains the default so that existing APIs are unchanged.
+        const usesUserPools = providers.length === 0 || providers.indexOf(USER_POOLS_AUTH_PROVIDER) !== -1
+        if (usesUserPools) {
+            const template = this.resources.initTemplate();
+            ctx.mergeResources(template.Resources)
+            ctx.mergeParameters(template.Parameters)
+            ctx.mergeOutputs(template.Outputs)
+            ctx.mergeConditions(template.Conditions)
+        }
+        const defaultProvider = usesUserPools ?
+            USER_POOLS_AUTH_PROVIDER :
+            providers.indexOf(API_KEY_AUTH_PROVIDER) !== -1 ? API_KEY_AUTH_PROVIDER : IAM_AUTH_PROVIDER
+        this.additionalProviders = providers.filter(p => p !== defaultProvider)
+        this.updateAPIAuthentication(ctx, defaultProvider)
     }
 
     /**
      * Implement the transform for an object type. Depending on which operations are to be protected
      */
     public object = (def: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext): void => {
-        const get = (s: string) => (arg: ArgumentNode) => arg.name.value === s
-        const getArg = (arg: string, dflt?: any) => {
-            const argument = directive.arguments.find(get(arg))
-            return argument ? valueFromASTUntyped(argument.value) : dflt
-        }
-
         const modelDirective = def.directives.find((dir) => dir.name.value === 'model')
         if (!modelDirective) {
             throw new InvalidDirectiveError('Types annotated with @auth must also be annotated with @model.')
         }
 
         // Get the auth rules.
-        const rules = getArg('rules', []) as AuthRule[]
+        const rules = this.getAuthRules(directive)
 
         // Create a reverse index on rules from operation -> rules list.
         const queryRules: { [k in ModelQuery]: AuthRule[] } = {
@@ -131,24 +212,8 @@ export class ModelAuthTransformer extends Transformer {
             update: [],
             delete: []
         }
-        const matchQuery = (op: ModelQuery) => (rule: AuthRule) => {
-            if (rule.queries) {
-                const matchesOp = rule.queries.find(o => o === op)
-                return Boolean(matchesOp)
-            } else if (rule.queries === null) {
-                return false
-            }
-            return true
-        }
-        const matchMutation = (op: ModelMutation) => (rule: AuthRule) => {
-            if (rule.mutations) {
-                const matchesOp = rule.mutations.find(o => o === op)
-                return Boolean(matchesOp)
-            } else if (rule.mutations === null) {
-                return false
-            }
-            return true
-        }
+        const matchQuery = this.matchQuery
+        const matchMutation = this.matchMutation
         for (const rule of rules) {
             if (matchQuery('get')(rule)) {
                 queryRules.get.push(rule)
@@ -167,12 +232,398 @@ export class ModelAuthTransformer extends Transformer {
             }
         }
 
+        // When the API has several providers, annotate the type and its operations.
+        if (this.additionalProviders.length > 0) {
+            this.addProviderDirectives(ctx, def.name.value, undefined, rules)
+            this.addProviderDirectives(ctx, ModelResourceIDs.ModelConnectionTypeName(def.name.value), undefined, rules)
+            const operationRules: [string, AuthRule[]][] = [
+                [ResolverResourceIDs.DynamoDBGetResolverResourceID(def.name.value), queryRules.get],
+                [ResolverResourceIDs.DynamoDBListResolverResourceID(def.name.value), queryRules.list],
+                [ResolverResourceIDs.DynamoDBCreateResolverResourceID(def.name.value), mutationRules.create],
+                [ResolverResourceIDs.DynamoDBUpdateResolverResourceID(def.name.value), mutationRules.update],
+                [ResolverResourceIDs.DynamoDBDeleteResolverResourceID(def.name.value), mutationRules.delete],
+                [ResolverResourceIDs.DynamoDBRestoreResolverResourceID(def.name.value), mutationRules.delete],
+                [ResolverResourceIDs.DynamoDBBatchGetResolverResourceID(def.name.value), queryRules.get],
+                [ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(def.name.value), mutationRules.create],
+                [ResolverResourceIDs.DynamoDBBatchDeleteResolverResourceID(def.name.value), mutationRules.delete]
+            ]
+            for (const [resolverResourceId, opRules] of operationRules) {
+                const resolver = ctx.getResource(resolverResourceId)
+                if (resolver && opRules.length > 0) {
+                    this.addProviderDirectives(ctx, resolver.Properties.TypeName, resolver.Properties.FieldName, opRules)
+                }
+            }
+        }
+
         // For each operation evaluate the rules and apply the changes to the relevant resolver.
         this.protectCreateMutation(ctx, ResolverResourceIDs.DynamoDBCreateResolverResourceID(def.name.value), mutationRules.create, def)
         this.protectUpdateMutation(ctx, ResolverResourceIDs.DynamoDBUpdateResolverResourceID(def.name.value), mutationRules.update, def)
         this.protectDeleteMutation(ctx, ResolverResourceIDs.DynamoDBDeleteResolverResourceID(def.name.value), mutationRules.delete, def)
+        // Those who may delete an item may also restore it.
+        this.protectDeleteMutation(ctx, ResolverResourceIDs.DynamoDBRestoreResolverResourceID(def.name.value), mutationRules.delete, def)
         this.protectGetQuery(ctx, ResolverResourceIDs.DynamoDBGetResolverResourceID(def.name.value), queryRules.get)
         this.protectListQuery(ctx, ResolverResourceIDs.DynamoDBListResolverResourceID(def.name.value), queryRules.list)
+        this.protectBatchCreateMutation(ctx, ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(def.name.value), mutationRules.create, def)
+        this.protectBatchDeleteMutation(ctx, def.name.value, mutationRules.delete)
+        this.protectBatchGetQuery(ctx, def.name.value, queryRules.get)
+        this.protectSubscriptions(ctx, def, rules)
+    }
+
+    /**
+     * Implement the transform for a field. Reads of the field are protected by a field resolver
+     * and writes of the field are protected in the create and update resolvers of the parent @model.
+     */
+    public field = (
+        parent: ObjectTypeDefinitionNode,
+        definition: FieldDefinitionNode,
+        directive: DirectiveNode,
+        ctx: TransformerContext
+    ): void => {
+        const typeName = parent.name.value
+        const fieldName = definition.name.value
+        if (definition.directives.find((dir) => dir.name.value === 'connection')) {
+            throw new InvalidDirectiveError(
+                `@auth is not supported on @connection fields. Protect the related type "${typeName}.${fieldName}" instead.`
+            )
+        }
+
+        const rules = this.getAuthRules(directive)
+        const readRules = rules.filter(rule => this.matchQuery('get')(rule) || this.matchQuery('list')(rule))
+        this.protectFieldRead(ctx, typeName, definition, readRules)
+        if (this.additionalProviders.length > 0 && readRules.length > 0) {
+            this.addProviderDirectives(ctx, typeName, fieldName, readRules)
+        }
+
+        const isModel = parent.directives.find((dir) => dir.name.value === 'model')
+        if (isModel) {
+            const createRules = rules.filter(this.matchMutation('create'))
+            const updateRules = rules.filter(this.matchMutation('update'))
+            this.protectFieldCreate(ctx, ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName), fieldName, createRules, parent)
+            this.protectFieldCreate(ctx, ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(typeName), fieldName, createRules, parent, true)
+            this.protectFieldUpdate(ctx, ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName), fieldName, updateRules, parent)
+        }
+    }
+
+    /**
+     * Protect reads of a field with a resolver on a NONE data source.
+     * The response template returns the value from $ctx.source if the parent
+     * object satisfies at least one of the rules.
+     * @param ctx The transformer context.
+     * @param typeName The name of the parent type.
+     * @param field The protected field.
+     * @param rules The auth rules to apply.
+     */
+    private protectFieldRead(ctx: TransformerContext, typeName: string, field: FieldDefinitionNode, rules: AuthRule[]) {
+        if (!rules || rules.length === 0) {
+            return
+        }
+        const fieldName = field.name.value
+        this.ensureNoneDataSource(ctx)
+        const resolverResourceId = ResolverResourceIDs.ResolverResourceID(typeName, fieldName)
+        const resolver = this.resources.makeFieldResolver(typeName, fieldName)
+
+        const staticGroupAuthorizationExpression = this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules))
+        const publicAndPrivateAuthorizationExpression = this.resources.publicAndPrivateAuthorizationExpression(
+            this.getPublicAndPrivateRules(rules)
+        )
+        const dynamicGroupAuthorizationExpression = this.resources.dynamicGroupAuthorizationExpressionForReadOperations(
+            this.getDynamicGroupRules(rules),
+            'ctx.source'
+        )
+        const ownerAuthorizationExpression = this.resources.ownerAuthorizationExpressionForReadOperations(
+            this.getOwnerRules(rules),
+            'ctx.source'
+        )
+        // Non-null fields cannot resolve to null so the error is surfaced instead.
+        const unauthorizedExpression = field.type.kind === Kind.NON_NULL_TYPE ?
+            raw('$util.unauthorized()') :
+            raw('null')
+        resolver.Properties.ResponseMappingTemplate = print(
+            compoundExpression([
+                staticGroupAuthorizationExpression,
+                newline(),
+                publicAndPrivateAuthorizationExpression,
+                newline(),
+                dynamicGroupAuthorizationExpression,
+                newline(),
+                ownerAuthorizationExpression,
+                newline(),
+                ifElse(
+                    this.resources.isAuthorized(),
+                    raw(resolver.Properties.ResponseMappingTemplate as string),
+                    unauthorizedExpression
+                )
+            ])
+        )
+        ctx.setResource(resolverResourceId, resolver)
+    }
+
+    /**
+     * Protect a field in create mutations.
+     * If the input contains the field then the caller must be static group
+     * authorized or the input must satisfy a dynamic group or owner rule.
+     * @param ctx The transformer context.
+     * @param resolverResourceId The logical id of the create resolver.
+     * @param fieldName The name of the protected field.
+     * @param rules The auth rules to apply.
+     * @param parent The parent @model type.
+     * @param isBatch When true, each item of a batch create input is checked.
+     */
+    private protectFieldCreate(
+        ctx: TransformerContext,
+        resolverResourceId: string,
+        fieldName: string,
+        rules: AuthRule[],
+        parent: ObjectTypeDefinitionNode,
+        isBatch: boolean = false
+    ) {
+        const resolver = ctx.getResource(resolverResourceId)
+        if (!resolver) {
+            return
+        }
+        const variableToCheck = isBatch ? 'item' : 'ctx.args.input'
+        const staticGroupVariable = `${ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable}_${fieldName}`
+        const dynamicGroupVariable = `${ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable}_${fieldName}`
+        const ownerVariable = `${ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable}_${fieldName}`
+        const fieldAuthorizationExpression = iff(
+            raw(`$${variableToCheck}.containsKey("${fieldName}")`),
+            compoundExpression([
+                set(ref(staticGroupVariable), raw('false')),
+                set(ref(dynamicGroupVariable), raw('false')),
+                set(ref(ownerVariable), raw('false')),
+                this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules), staticGroupVariable),
+                this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules), staticGroupVariable),
+                this.resources.dynamicGroupAuthorizationExpressionForCreateOperations(
+                    this.getDynamicGroupRules(rules),
+                    variableToCheck,
+                    dynamicGroupVariable
+                ),
+                this.resources.ownerAuthorizationExpressionForCreateOperations(
+                    this.getOwnerRules(rules),
+                    this.fieldIsList(parent),
+                    variableToCheck,
+                    ownerVariable
+                ),
+                this.resources.throwIfUnauthorized(staticGroupVariable, dynamicGroupVariable, ownerVariable)
+            ])
+        )
+        resolver.Properties.RequestMappingTemplate = [
+            print(block(`Field Authorization Checks for "${fieldName}"`, [
+                isBatch ?
+                    forEach(ref('item'), ref('ctx.args.input'), [fieldAuthorizationExpression]) :
+                    fieldAuthorizationExpression
+            ])),
+            resolver.Properties.RequestMappingTemplate
+        ].join('\n\n')
+        ctx.setResource(resolverResourceId, resolver)
+    }
+
+    /**
+     * Protect a field in update mutations.
+     * If the input contains the field and the caller is not static group
+     * authorized, the dynamic group and owner rules are added to the update
+     * condition expression so that the existing object must satisfy one of them.
+     * @param ctx The transformer context.
+     * @param resolverResourceId The logical id of the update resolver.
+     * @param fieldName The name of the protected field.
+     * @param rules The auth rules to apply.
+     * @param parent The parent @model type.
+     */
+    private protectFieldUpdate(
+        ctx: TransformerContext,
+        resolverResourceId: string,
+        fieldName: string,
+        rules: AuthRule[],
+        parent: ObjectTypeDefinitionNode
+    ) {
+        const resolver = ctx.getResource(resolverResourceId)
+        if (!resolver) {
+            return
+        }
+        const staticGroupVariable = `${ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable}_${fieldName}`
+        const fieldAuthorizationExpression = block(`Field Authorization Checks for "${fieldName}"`, [
+            iff(
+                raw(`$ctx.args.input.containsKey("${fieldName}")`),
+                compoundExpression([
+                    set(ref(staticGroupVariable), raw('false')),
+                    this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules), staticGroupVariable),
+                    this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules), staticGroupVariable),
+                    iff(
+                        not(ref(staticGroupVariable)),
+                        compoundExpression([
+                            set(ref('groupAuthExpressions'), list([])),
+                            set(ref('groupAuthExpressionValues'), obj({})),
+                            set(ref('groupAuthExpressionNames'), obj({})),
+                            set(ref('ownerAuthExpressions'), list([])),
+                            set(ref('ownerAuthExpressionValues'), obj({})),
+                            set(ref('ownerAuthExpressionNames'), obj({})),
+                            this.resources.dynamicGroupAuthorizationExpressionForUpdateOrDeleteOperations(
+                                this.getDynamicGroupRules(rules),
+                                'ctx.args.input',
+                                ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable,
+                                `${fieldName}_`
+                            ),
+                            this.resources.ownerAuthorizationExpressionForUpdateOrDeleteOperations(
+                                this.getOwnerRules(rules),
+                                this.fieldIsList(parent),
+                                'ctx.args.input',
+                                ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable,
+                                `${fieldName}_`
+                            ),
+                            this.resources.collectFieldAuthCondition(fieldName)
+                        ])
+                    )
+                ])
+            )
+        ])
+        resolver.Properties.RequestMappingTemplate = [
+            print(fieldAuthorizationExpression),
+            resolver.Properties.RequestMappingTemplate
+        ].join('\n\n')
+        ctx.setResource(resolverResourceId, resolver)
+    }
+
+    /**
+     * Protect the subscriptions of a @model type. Each subscription field that is
+     * triggered by the type's mutations is protected by the rules that apply to
+     * all of its mutations. Subscriptions that no rule applies to are removed.
+     * @param ctx The transformer context.
+     * @param def The @model type.
+     * @param rules The auth rules of the type.
+     */
+    private protectSubscriptions(ctx: TransformerContext, def: ObjectTypeDefinitionNode, rules: AuthRule[]) {
+        const subscription = ctx.getSubscription()
+        if (!subscription) {
+            return
+        }
+        const typeName = def.name.value
+        const mutationOperations: { [mutationField: string]: ModelSubscription } = {}
+        const resolverOperations: [string, ModelSubscription][] = [
+            [ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName), 'onCreate'],
+            [ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName), 'onUpdate'],
+            [ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName), 'onDelete']
+        ]
+        for (const [resolverResourceId, op] of resolverOperations) {
+            const resolver = ctx.getResource(resolverResourceId)
+            if (resolver) {
+                mutationOperations[resolver.Properties.FieldName] = op
+            }
+        }
+
+        const fields: FieldDefinitionNode[] = []
+        for (const field of subscription.fields) {
+            const subscribe = field.directives.find(dir => dir.name.value === 'aws_subscribe')
+            const mutationsArgument = subscribe ?
+                subscribe.arguments.find(arg => arg.name.value === 'mutations') :
+                undefined
+            const mutations: string[] = mutationsArgument ? valueFromASTUntyped(mutationsArgument.value) : []
+            const ops = mutations.map(m => mutationOperations[m]).filter(op => Boolean(op))
+            if (ops.length === 0) {
+                fields.push(field)
+                continue
+            }
+            const fieldRules = rules.filter(
+                rule => ops.every(op => this.matchSubscription(op)(rule)) && this.canProtectSubscription(ctx, typeName, rule)
+            )
+            if (fieldRules.length > 0) {
+                fields.push(this.protectSubscription(ctx, subscription.name.value, field, typeName, fieldRules))
+            }
+        }
+        ctx.putType({
+            ...ctx.getSubscription(),
+            fields
+        })
+    }
+
+    /**
+     * Owner and dynamic group rules are verified against a subscription argument.
+     * AppSync filters events by comparing arguments with the fields of the mutation
+     * result so the rule can only be applied to fields that are not lists.
+     */
+    private canProtectSubscription(ctx: TransformerContext, typeName: string, rule: AuthRule): boolean {
+        if (rule.allow === PUBLIC_AUTH_STRATEGY || rule.allow === PRIVATE_AUTH_STRATEGY || rule.groups) {
+            return true
+        }
+        const type = ctx.getObject(typeName)
+        const fieldName = rule.allow === 'owner' ? rule.ownerField || DEFAULT_OWNER_FIELD : rule.groupsField || DEFAULT_GROUPS_FIELD
+        const field = type.fields.find(f => f.name.value === fieldName)
+        if (!field) {
+            // The owner is stored by the create mutation so it may be added to the type.
+            return rule.allow === 'owner'
+        }
+        return !isListType(field.type)
+    }
+
+    /**
+     * Protect a subscription field with a resolver on a NONE data source. Owner and
+     * dynamic group rules add an argument that the request template verifies against
+     * the identity. When the only rule is an owner or dynamic group rule the argument
+     * is required.
+     * @param ctx The transformer context.
+     * @param subscriptionTypeName The name of the subscription type.
+     * @param field The subscription field.
+     * @param typeName The name of the @model type.
+     * @param rules The rules that apply to the subscription.
+     */
+    private protectSubscription(
+        ctx: TransformerContext,
+        subscriptionTypeName: string,
+        field: FieldDefinitionNode,
+        typeName: string,
+        rules: AuthRule[]
+    ): FieldDefinitionNode {
+        const fieldName = field.name.value
+        const ownerRules = this.getOwnerRules(rules)
+        const dynamicGroupRules = this.getDynamicGroupRules(rules)
+        const argumentIsRequired = rules.length === 1 && (ownerRules.length === 1 || dynamicGroupRules.length === 1)
+
+        const args: InputValueDefinitionNode[] = [...field.arguments]
+        const argumentNames = [
+            ...ownerRules.map(rule => rule.ownerField || DEFAULT_OWNER_FIELD),
+            ...dynamicGroupRules.map(rule => rule.groupsField || DEFAULT_GROUPS_FIELD)
+        ]
+        for (const argumentName of argumentNames) {
+            if (args.find(arg => arg.name.value === argumentName)) {
+                continue
+            }
+            const type = ctx.getObject(typeName)
+            const typeField = type.fields.find(f => f.name.value === argumentName)
+            if (!typeField) {
+                ctx.putType({
+                    ...type,
+                    fields: [...type.fields, makeField(argumentName, [], makeNamedType('String'))]
+                })
+            }
+            const argumentType = makeNamedType(typeField ? getBaseType(typeField.type) : 'String')
+            args.push(makeInputValueDefinition(argumentName, argumentIsRequired ? makeNonNullType(argumentType) : argumentType))
+        }
+
+        this.ensureNoneDataSource(ctx)
+        const resolverResourceId = ResolverResourceIDs.ResolverResourceID(subscriptionTypeName, fieldName)
+        const resolver = this.resources.makeSubscriptionResolver(subscriptionTypeName, fieldName)
+        resolver.Properties.RequestMappingTemplate = [
+            print(
+                compoundExpression([
+                    this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules)),
+                    newline(),
+                    this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules)),
+                    newline(),
+                    this.resources.dynamicGroupAuthorizationExpressionForReadOperations(dynamicGroupRules, 'ctx.args'),
+                    newline(),
+                    this.resources.ownerAuthorizationExpressionForReadOperations(ownerRules, 'ctx.args'),
+                    newline(),
+                    this.resources.throwIfUnauthorized()
+                ])
+            ),
+            resolver.Properties.RequestMappingTemplate
+        ].join('\n\n')
+        ctx.setResource(resolverResourceId, resolver)
+        ctx.addToStackMapping(typeName, `^${resolverResourceId}$`)
+
+        const directives = this.additionalProviders.length > 0 ?
+            this.withProviderDirectives(field.directives, rules) :
+            field.directives
+        return { ...field, arguments: args, directives }
     }
 
     /**
@@ -199,6 +650,9 @@ export class ModelAuthTransformer extends Transformer {
 
             // Generate the expressions to validate each strategy.
             const staticGroupAuthorizationExpression = this.resources.staticGroupAuthorizationExpression(staticGroupAuthorizationRules)
+            const publicAndPrivateAuthorizationExpression = this.resources.publicAndPrivateAuthorizationExpression(
+                this.getPublicAndPrivateRules(rules)
+            )
             const dynamicGroupAuthorizationExpression = this.resources.dynamicGroupAuthorizationExpressionForReadOperations(
                 dynamicGroupAuthorizationRules
             )
@@ -211,6 +665,8 @@ export class ModelAuthTransformer extends Transformer {
             const responseMappingTemplatePrefixExpressions = [
                 staticGroupAuthorizationExpression,
                 newline(),
+                publicAndPrivateAuthorizationExpression,
+                newline(),
                 dynamicGroupAuthorizationExpression,
                 newline(),
                 ownerAuthorizationExpression,
@@ -227,14 +683,14 @@ export class ModelAuthTransformer extends Transformer {
     }
 
     /**
-     * Protect list queries.
+     * Protect list queries with an "Auth" pipeline function that filters the result of the query.
      * If static group:
      *  If the user is statically authorized then return items and stop.
      * If dynamic group and/or owner:
      *  Loop through all items and find items that satisfy any of the group or
      *  owner conditions.
      * @param ctx The transformer context.
-     * @param resolverResourceId The logical id of the resolver to be updated in the CF template.
+     * @param resolverResourceId The logical id of the list resolver.
      * @param rules The set of rules that apply to the operation.
      */
     private protectListQuery(ctx: TransformerContext, resolverResourceId: string, rules: AuthRule[]) {
@@ -249,6 +705,9 @@ export class ModelAuthTransformer extends Transformer {
 
             // Generate the expressions to validate each strategy.
             const staticGroupAuthorizationExpression = this.resources.staticGroupAuthorizationExpression(staticGroupAuthorizationRules)
+            const publicAndPrivateAuthorizationExpression = this.resources.publicAndPrivateAuthorizationExpression(
+                this.getPublicAndPrivateRules(rules)
+            )
 
             // In list queries, the dynamic group and ownership authorization checks
             // occur on a per item basis. The helpers take the variable names
@@ -273,7 +732,7 @@ export class ModelAuthTransformer extends Transformer {
                     set(ref('items'), list([])),
                     forEach(
                         ref('item'),
-                        ref('ctx.result.items'),
+                        ref('ctx.prev.result.items'),
                         [
                             dynamicGroupAuthorizationExpression,
                             newline(),
@@ -282,23 +741,31 @@ export class ModelAuthTransformer extends Transformer {
                             appendIfLocallyAuthorized
                         ]
                     ),
-                    set(ref('ctx.result.items'), ref('items'))
+                    qref('$ctx.prev.result.put("items", $items)')
                 ])
             )
-            const templateParts = [
-                print(
+            ctx.addPipelineFunction(resolver.Properties.TypeName, resolver.Properties.FieldName, {
+                name: 'Auth',
+                slot: 'postProcessing',
+                requestMappingTemplate: print(
+                    obj({
+                        version: str('2018-05-29'),
+                        payload: obj({})
+                    })
+                ),
+                responseMappingTemplate: print(
                     compoundExpression([
                         staticGroupAuthorizationExpression,
                         newline(),
+                        publicAndPrivateAuthorizationExpression,
+                        newline(),
                         comment('[Start] If not static group authorized, filter items'),
                         ifNotStaticallyAuthedFilterObjects,
-                        comment('[End] If not static group authorized, filter items')
+                        comment('[End] If not static group authorized, filter items'),
+                        ref('util.toJson($ctx.prev.result)')
                     ])
-                ),
-                resolver.Properties.ResponseMappingTemplate
-            ]
-            resolver.Properties.ResponseMappingTemplate = templateParts.join('\n\n')
-            ctx.setResource(resolverResourceId, resolver)
+                )
+            })
         }
     }
 
@@ -331,6 +798,9 @@ export class ModelAuthTransformer extends Transformer {
 
             // Generate the expressions to validate each strategy.
             const staticGroupAuthorizationExpression = this.resources.staticGroupAuthorizationExpression(staticGroupAuthorizationRules)
+            const publicAndPrivateAuthorizationExpression = this.resources.publicAndPrivateAuthorizationExpression(
+                this.getPublicAndPrivateRules(rules)
+            )
 
             // In create mutations, the dynamic group and ownership authorization checks
             // are done before calling PutItem.
@@ -355,6 +825,8 @@ export class ModelAuthTransformer extends Transformer {
                     compoundExpression([
                         staticGroupAuthorizationExpression,
                         newline(),
+                        publicAndPrivateAuthorizationExpression,
+                        newline(),
                         dynamicGroupAuthorizationExpression,
                         newline(),
                         ownerAuthorizationExpression,
@@ -403,6 +875,9 @@ export class ModelAuthTransformer extends Transformer {
 
             // Generate the expressions to validate each strategy.
             const staticGroupAuthorizationExpression = this.resources.staticGroupAuthorizationExpression(staticGroupAuthorizationRules)
+            const publicAndPrivateAuthorizationExpression = this.resources.publicAndPrivateAuthorizationExpression(
+                this.getPublicAndPrivateRules(rules)
+            )
 
             // In create mutations, the dynamic group and ownership authorization checks
             // are done before calling PutItem.
@@ -441,6 +916,8 @@ export class ModelAuthTransformer extends Transformer {
                     compoundExpression([
                         staticGroupAuthorizationExpression,
                         newline(),
+                        publicAndPrivateAuthorizationExpression,
+                        newline(),
                         ifNotStaticallyAuthedCreateAuthCondition,
                         newline(),
                         throwIfNotStaticGroupAuthorizedOrAuthConditionIsEmpty
@@ -461,6 +938,318 @@ export class ModelAuthTransformer extends Transformer {
         return this.protectUpdateOrDeleteMutation(ctx, resolverResourceId, rules, parent)
     }
 
+    /**
+     * Protect batch create mutations. The owner and dynamic group checks of create
+     * mutations are applied to each item of the input and the whole batch fails if
+     * any item is unauthorized.
+     * @param ctx The transformer context.
+     * @param resolverResourceId The logical id of the batch create resolver.
+     * @param rules The auth rules to apply.
+     * @param parent The parent @model type.
+     */
+    private protectBatchCreateMutation(
+        ctx: TransformerContext,
+        resolverResourceId: string,
+        rules: AuthRule[],
+        parent: ObjectTypeDefinitionNode
+    ) {
+        const resolver = ctx.getResource(resolverResourceId)
+        if (!rules || rules.length === 0 || !resolver) {
+            return
+        }
+        const itemAuthorizationExpression = forEach(ref('item'), ref('ctx.args.input'), [
+            set(ref(ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable), raw('false')),
+            this.resources.dynamicGroupAuthorizationExpressionForCreateOperations(
+                this.getDynamicGroupRules(rules),
+                'item',
+                ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable
+            ),
+            newline(),
+            this.resources.ownerAuthorizationExpressionForCreateOperations(
+                this.getOwnerRules(rules),
+                this.fieldIsList(parent),
+                'item',
+                ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable
+            ),
+            newline(),
+            this.resources.throwIfUnauthorized(
+                ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable,
+                ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable,
+                ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable
+            )
+        ])
+        const templateParts = [
+            print(
+                compoundExpression([
+                    this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules)),
+                    newline(),
+                    this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules)),
+                    newline(),
+                    comment('[Start] Authorize each item'),
+                    itemAuthorizationExpression,
+                    comment('[End] Authorize each item')
+                ])
+            ),
+            resolver.Properties.RequestMappingTemplate
+        ]
+        resolver.Properties.RequestMappingTemplate = templateParts.join('\n\n')
+        ctx.setResource(resolverResourceId, resolver)
+    }
+
+    /**
+     * Protect batch delete mutations.
+     * BatchDeleteItem does not support condition expressions, so when owner or dynamic
+     * group rules apply an "Auth" pipeline function reads the items first and the whole
+     * batch fails if the caller may not delete any existing item. Callers that are static
+     * group authorized skip the read.
+     * @param ctx The transformer context.
+     * @param typeName The name of the @model type.
+     * @param rules The auth rules to apply.
+     */
+    private protectBatchDeleteMutation(ctx: TransformerContext, typeName: string, rules: AuthRule[]) {
+        const resolverResourceId = ResolverResourceIDs.DynamoDBBatchDeleteResolverResourceID(typeName)
+        const resolver = ctx.getResource(resolverResourceId)
+        if (!rules || rules.length === 0 || !resolver) {
+            return
+        }
+        const staticAuthorizationExpression = compoundExpression([
+            this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules)),
+            newline(),
+            this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules))
+        ])
+        if (this.getOwnerRules(rules).length === 0 && this.getDynamicGroupRules(rules).length === 0) {
+            resolver.Properties.RequestMappingTemplate = [
+                print(compoundExpression([staticAuthorizationExpression, newline(), this.resources.throwIfUnauthorized()])),
+                resolver.Properties.RequestMappingTemplate
+            ].join('\n\n')
+            ctx.setResource(resolverResourceId, resolver)
+            return
+        }
+        const tableName = '${tableName}'
+        const requestMappingTemplate = print(
+            compoundExpression([
+                staticAuthorizationExpression,
+                newline(),
+                iff(equals(ref(ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable), raw('true')), raw('#return')),
+                set(ref('keys'), list([])),
+                forEach(ref('key'), ref('ctx.args.keys'), [
+                    qref('$keys.add($util.dynamodb.toMapValues($key))')
+                ]),
+                DynamoDBMappingTemplate.batchGetItem({
+                    tableName,
+                    keys: ref('util.toJson($keys)'),
+                    consistentRead: bool(true)
+                })
+            ])
+        )
+        const responseMappingTemplate = print(
+            compoundExpression([
+                iff(ref('ctx.error'), raw('$util.error($ctx.error.message, $ctx.error.type)')),
+                comment('Items that could not be read cannot be authorized.'),
+                iff(
+                    raw(`!$util.isNullOrEmpty($ctx.result.unprocessedKeys.get("${tableName}"))`),
+                    raw('$util.unauthorized()')
+                ),
+                comment('[Start] Authorize each existing item'),
+                forEach(ref('item'), ref(`ctx.result.data.get("${tableName}")`), [
+                    iff(
+                        not(ref('util.isNull($item)')),
+                        compoundExpression([
+                            this.resources.dynamicGroupAuthorizationExpressionForReadOperations(
+                                this.getDynamicGroupRules(rules),
+                                'item',
+                                ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable,
+                                raw('false')
+                            ),
+                            newline(),
+                            this.resources.ownerAuthorizationExpressionForReadOperations(
+                                this.getOwnerRules(rules),
+                                'item',
+                                ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable,
+                                raw('false')
+                            ),
+                            newline(),
+                            iff(
+                                not(this.resources.isLocallyAuthorized()),
+                                raw('$util.unauthorized()')
+                            )
+                        ])
+                    )
+                ]),
+                comment('[End] Authorize each existing item'),
+                obj({})
+            ])
+        )
+        const tableNameVariables = { tableName: Fn.Ref(ModelResourceIDs.ModelTableResourceID(typeName)) }
+        ctx.addPipelineFunction(resolver.Properties.TypeName, resolver.Properties.FieldName, {
+            name: 'Auth',
+            slot: 'auth',
+            dataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(typeName), 'Name'),
+            requestMappingTemplate: Fn.Sub(requestMappingTemplate, tableNameVariables),
+            responseMappingTemplate: Fn.Sub(responseMappingTemplate, tableNameVariables)
+        })
+    }
+
+    /**
+     * Protect batch get queries.
+     * When owner or dynamic group rules apply, an "Auth" pipeline function removes the
+     * items the caller may not read from the result unless the caller is static group
+     * authorized. Otherwise the caller must be static group authorized.
+     * @param ctx The transformer context.
+     * @param typeName The name of the @model type.
+     * @param rules The auth rules to apply.
+     */
+    private protectBatchGetQuery(ctx: TransformerContext, typeName: string, rules: AuthRule[]) {
+        const resolverResourceId = ResolverResourceIDs.DynamoDBBatchGetResolverResourceID(typeName)
+        const resolver = ctx.getResource(resolverResourceId)
+        if (!rules || rules.length === 0 || !resolver) {
+            return
+        }
+        const staticAuthorizationExpression = compoundExpression([
+            this.resources.staticGroupAuthorizationExpression(this.getStaticGroupRules(rules)),
+            newline(),
+            this.resources.publicAndPrivateAuthorizationExpression(this.getPublicAndPrivateRules(rules))
+        ])
+        if (this.getOwnerRules(rules).length === 0 && this.getDynamicGroupRules(rules).length === 0) {
+            resolver.Properties.ResponseMappingTemplate = [
+                print(compoundExpression([staticAuthorizationExpression, newline(), this.resources.throwIfUnauthorized()])),
+                resolver.Properties.ResponseMappingTemplate
+            ].join('\n\n')
+            ctx.setResource(resolverResourceId, resolver)
+            return
+        }
+        ctx.addPipelineFunction(resolver.Properties.TypeName, resolver.Properties.FieldName, {
+            name: 'Auth',
+            slot: 'postProcessing',
+            requestMappingTemplate: print(
+                obj({
+                    version: str('2018-05-29'),
+                    payload: obj({})
+                })
+            ),
+            responseMappingTemplate: print(
+                compoundExpression([
+                    staticAuthorizationExpression,
+                    newline(),
+                    comment('[Start] If not static group authorized, filter items'),
+                    iff(
+                        raw(`! $${ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable}`),
+                        compoundExpression([
+                            set(ref('items'), list([])),
+                            forEach(ref('item'), ref('ctx.prev.result.items'), [
+                                this.resources.dynamicGroupAuthorizationExpressionForReadOperations(
+                                    this.getDynamicGroupRules(rules),
+                                    'item',
+                                    ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable,
+                                    raw('false')
+                                ),
+                                newline(),
+                                this.resources.ownerAuthorizationExpressionForReadOperations(
+                                    this.getOwnerRules(rules),
+                                    'item',
+                                    ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable,
+                                    raw('false')
+                                ),
+                                newline(),
+                                this.resources.appendItemIfLocallyAuthorized()
+                            ]),
+                            qref('$ctx.prev.result.put("items", $items)')
+                        ])
+                    ),
+                    comment('[End] If not static group authorized, filter items'),
+                    ref('util.toJson($ctx.prev.result)')
+                ])
+            )
+        })
+    }
+
+    private getAuthRules(directive: DirectiveNode): AuthRule[] {
+        const rules = getAuthRules(directive)
+        for (const rule of rules) {
+            const provider = getAuthRuleProvider(rule)
+            const isPublicOrPrivate = rule.allow === PUBLIC_AUTH_STRATEGY || rule.allow === PRIVATE_AUTH_STRATEGY
+            if (!isPublicOrPrivate && provider !== USER_POOLS_AUTH_PROVIDER) {
+                throw new InvalidDirectiveError(`@auth rules with "allow: ${rule.allow}" only support the "userPools" provider.`)
+            }
+            if (rule.allow === PUBLIC_AUTH_STRATEGY && provider === USER_POOLS_AUTH_PROVIDER) {
+                throw new InvalidDirectiveError(`@auth rules with "allow: public" support the "apiKey" and "iam" providers.`)
+            }
+            if (rule.allow === PRIVATE_AUTH_STRATEGY && provider === API_KEY_AUTH_PROVIDER) {
+                throw new InvalidDirectiveError(`@auth rules with "allow: private" support the "iam" and "userPools" providers.`)
+            }
+        }
+        return rules
+    }
+
+    /**
+     * Adds the AppSync provider directives of the rules to a type or to a field of a type.
+     * Fields and types without provider directives are only reachable with the default provider.
+     */
+    private addProviderDirectives(ctx: TransformerContext, typeName: string, fieldName: string | undefined, rules: AuthRule[]) {
+        const type = ctx.getType(typeName) as ObjectTypeDefinitionNode
+        if (!type) {
+            return
+        }
+        const addDirectives = (directives: ReadonlyArray<DirectiveNode>) => this.withProviderDirectives(directives, rules)
+        if (fieldName) {
+            ctx.putType({
+                ...type,
+                fields: type.fields.map(
+                    field => field.name.value === fieldName ? { ...field, directives: addDirectives(field.directives) } : field
+                )
+            })
+        } else {
+            ctx.putType({
+                ...type,
+                directives: addDirectives(type.directives)
+            })
+        }
+    }
+
+    private matchQuery = (op: ModelQuery) => (rule: AuthRule) => {
+        if (rule.queries) {
+            const matchesOp = rule.queries.find(o => o === op)
+            return Boolean(matchesOp)
+        } else if (rule.queries === null) {
+            return false
+        }
+        return true
+    }
+
+    private matchMutation = (op: ModelMutation) => (rule: AuthRule) => {
+        if (rule.mutations) {
+            const matchesOp = rule.mutations.find(o => o === op)
+            return Boolean(matchesOp)
+        } else if (rule.mutations === null) {
+            return false
+        }
+        return true
+    }
+
+    private matchSubscription = (op: ModelSubscription) => (rule: AuthRule) => {
+        if (rule.subscriptions) {
+            const matchesOp = rule.subscriptions.find(o => o === op)
+            return Boolean(matchesOp)
+        } else if (rule.subscriptions === null) {
+            return false
+        }
+        return true
+    }
+
+    private ensureNoneDataSource(ctx: TransformerContext) {
+        if (!ctx.getResource(ResourceConstants.RESOURCES.NoneDataSource)) {
+            ctx.setResource(ResourceConstants.RESOURCES.NoneDataSource, this.resources.makeNoneDataSource())
+        }
+    }
+
+    private fieldIsList = (parent: ObjectTypeDefinitionNode) => (fieldName: string) => {
+        const field = parent.fields.find(f => f.name.value === fieldName);
+        if (field) {
+            return isListType(field.type);
+        }
+        return false;
+    }
+
     private getOwnerRules(rules: AuthRule[]): AuthRule[] {
         return rules.filter(rule => rule.allow === 'owner');
     }
@@ -469,6 +1258,21 @@ export class ModelAuthTransformer extends Transformer {
         return rules.filter(rule => rule.allow === 'groups' && Boolean(rule.groups));
     }
 
+    private withProviderDirectives(directives: ReadonlyArray<DirectiveNode>, rules: AuthRule[]): DirectiveNode[] {
+        const newDirectives = [...directives]
+        for (const rule of rules) {
+            const directiveName = PROVIDER_DIRECTIVES[getAuthRuleProvider(rule)]
+            if (!newDirectives.find(d => d.name.value === directiveName)) {
+                newDirectives.push(makeDirective(directiveName, []))
+            }
+        }
+        return newDirectives
+    }
+
+    private getPublicAndPrivateRules(rules: AuthRule[]): AuthRule[] {
+        return rules.filter(rule => rule.allow === PUBLIC_AUTH_STRATEGY || rule.allow === PRIVATE_AUTH_STRATEGY);
+    }
+
     private getDynamicGroupRules(rules: AuthRule[]): AuthRule[] {
         return rules.filter(rule => rule.allow === 'groups' && !Boolean(rule.groups));
     }
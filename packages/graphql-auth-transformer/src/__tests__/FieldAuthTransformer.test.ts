@@ -0,0 +1,69 @@
+import GraphQLTransform from 'graphql-transformer-core'
+import { ResourceConstants, ResolverResourceIDs } from 'graphql-transformer-common'
+import { DynamoDBModelTransformer } from 'graphql-dynamodb-transformer'
+import { ModelAuthTransformer } from '../ModelAuthTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new ModelAuthTransformer()
+    ]
+})
+
+test('Test field level @auth creates a field resolver that filters the response', () => {
+    const validSchema = `
+    type Employee @model {
+        id: ID!
+        name: String
+        salary: Int @auth(rules: [{ allow: groups, groups: ["Admin"] }, { allow: owner }])
+        email: String! @auth(rules: [{ allow: owner }])
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    expect(out.rootStack.Resources[ResourceConstants.RESOURCES.NoneDataSource]).toBeDefined()
+    expect(out.rootStack.Resources[ResourceConstants.RESOURCES.NoneDataSource].Properties.Type).toEqual('NONE')
+    const resolverId = ResolverResourceIDs.ResolverResourceID('Employee', 'salary')
+    expect(out.stacks.Employee.Resources[resolverId]).toBeDefined()
+
+    const salaryTemplate = out.resolvers['Employee.salary.res.vtl']
+    expect(salaryTemplate).toContain('"Admin"')
+    expect(salaryTemplate).toContain('$ctx.source.owner')
+    expect(salaryTemplate).toContain('$util.toJson($ctx.source.salary)')
+    expect(salaryTemplate).toContain('null')
+    expect(salaryTemplate).not.toContain('$util.unauthorized()')
+    // Non-null fields raise an error rather than returning null.
+    expect(out.resolvers['Employee.email.res.vtl']).toContain('$util.unauthorized()')
+})
+
+test('Test field level @auth protects create and update inputs', () => {
+    const validSchema = `
+    type Employee @model @auth(rules: [{ allow: owner }]) {
+        id: ID!
+        name: String
+        salary: Int @auth(rules: [{ allow: groups, groups: ["Admin"] }])
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const createTemplate = out.resolvers['Mutation.createEmployee.req.vtl']
+    expect(createTemplate).toContain('$ctx.args.input.containsKey("salary")')
+    expect(createTemplate).toContain('$isStaticGroupAuthorized_salary')
+    expect(createTemplate.indexOf('containsKey("salary")')).toBeLessThan(createTemplate.indexOf('"PutItem"'))
+
+    const updateTemplate = out.resolvers['Mutation.updateEmployee.req.vtl']
+    expect(updateTemplate).toContain('$ctx.args.input.containsKey("salary")')
+    expect(updateTemplate).toContain('Collect Auth Condition for "salary"')
+    // The object level owner condition is joined with any field level condition.
+    expect(updateTemplate).toContain('$authCondition.expression AND ($totalAuthExpression)')
+
+    // Fields without rules for a mutation can not be written by that mutation.
+    const readOnlySchema = `
+    type Employee @model {
+        id: ID!
+        salary: Int @auth(rules: [{ allow: owner, mutations: [update] }])
+    }
+    `
+    const readOnlyOut = makeTransformer().transform(readOnlySchema)
+    const readOnlyCreate = readOnlyOut.resolvers['Mutation.createEmployee.req.vtl']
+    expect(readOnlyCreate).toContain('$ctx.args.input.containsKey("salary")')
+    expect(readOnlyCreate).toContain('$util.unauthorized()')
+})
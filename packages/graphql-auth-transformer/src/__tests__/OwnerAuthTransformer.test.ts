@@ -5,6 +5,7 @@ import {
 import GraphQLTransform from 'graphql-transformer-core'
 import { ResourceConstants } from 'graphql-transformer-common'
 import { DynamoDBModelTransformer } from 'graphql-dynamodb-transformer'
+import { renderTemplate } from 'graphql-mapping-template'
 import { ModelAuthTransformer } from '../ModelAuthTransformer'
 
 test('Test ModelAuthTransformer validation happy case', () => {
@@ -27,4 +28,116 @@ test('Test ModelAuthTransformer validation happy case', () => {
     expect(
         out.rootStack.Resources[ResourceConstants.RESOURCES.GraphQLAPILogicalID].Properties.AuthenticationType
     ).toEqual('AMAZON_COGNITO_USER_POOLS')
-});
\ No newline at end of file
+});
+test('Test ModelAuthTransformer applies owner rules to each item of batch operations', () => {
+    const validSchema = `
+    type Post @model(batch: { create: "batchCreatePost", delete: "batchDeletePost", get: "batchGetPost" })
+        @auth(rules: [{allow: owner}, {allow: groups, groups: ["Admin"]}]) {
+        id: ID!
+        title: String!
+        owner: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new ModelAuthTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema)
+    const resources = out.stacks.Post.Resources
+    const identity = { claims: { 'cognito:username': 'alice' } }
+    const withTableName = (template: any) => template['Fn::Sub'][0].replace(/\$\{tableName\}/g, 'PostTable')
+
+    // Each created item is checked and missing owners are filled in.
+    const createTemplate = withTableName(resources.BatchCreatePostResolver.Properties.RequestMappingTemplate)
+    const created = renderTemplate(createTemplate, { arguments: { input: [{ title: 'a' }, { title: 'b', owner: 'alice' }] }, identity })
+    expect(created.error).toBeUndefined()
+    expect(created.document.tables.PostTable.map(item => item.owner)).toEqual([{ S: 'alice' }, { S: 'alice' }])
+    const rejected = renderTemplate(createTemplate, { arguments: { input: [{ title: 'a' }, { title: 'b', owner: 'bob' }] }, identity })
+    expect(rejected.error.errorType).toEqual('Unauthorized')
+
+    // Batch deletes read the items first because BatchDeleteItem has no conditions.
+    expect(resources.BatchDeletePostResolver.Properties.Kind).toEqual('PIPELINE')
+    const deleteAuth = resources.MutationbatchDeletePostAuthFunction.Properties
+    expect(deleteAuth.DataSourceName).toEqual({ 'Fn::GetAtt': ['PostDataSource', 'Name'] })
+    const readItems = renderTemplate(withTableName(deleteAuth.RequestMappingTemplate), { arguments: { keys: [{ id: '1' }] }, identity })
+    expect(readItems.document.operation).toEqual('BatchGetItem')
+    const asAdmin = renderTemplate(withTableName(deleteAuth.RequestMappingTemplate), {
+        arguments: { keys: [{ id: '1' }] },
+        identity: { claims: { 'cognito:username': 'carol', 'cognito:groups': ['Admin'] } }
+    })
+    expect(asAdmin.isReturn).toEqual(true)
+    const checkItems = (items: any[]) => renderTemplate(withTableName(deleteAuth.ResponseMappingTemplate), {
+        result: { data: { PostTable: items }, unprocessedKeys: { PostTable: [] } },
+        identity
+    })
+    expect(checkItems([{ id: '1', owner: 'alice' }, null]).error).toBeUndefined()
+    expect(checkItems([{ id: '1', owner: 'alice' }, { id: '2', owner: 'bob' }]).error.errorType).toEqual('Unauthorized')
+
+    // Batch gets only return the items the caller owns.
+    const filtered = renderTemplate(out.resolvers['Query.batchGetPost.Auth.res.vtl'], {
+        prev: { result: { items: [{ id: '1', owner: 'alice' }, { id: '2', owner: 'bob' }, null], unprocessedItems: [] } },
+        identity
+    })
+    expect(filtered.document.items).toEqual([{ id: '1', owner: 'alice' }])
+});
+test('Test ModelAuthTransformer filters list queries in a pipeline function', () => {
+    const validSchema = `
+    type Post @model @auth(rules: [{allow: owner}, {allow: groups, groups: ["Admin"]}]) {
+        id: ID!
+        title: String!
+        owner: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new ModelAuthTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema)
+    const resources = out.stacks.Post.Resources
+    expect(resources.ListPostResolver.Properties.Kind).toEqual('PIPELINE')
+    expect(resources.ListPostResolver.Properties.PipelineConfig.Functions).toEqual([
+        { 'Fn::GetAtt': ['QuerylistPostsDataFunction', 'FunctionId'] },
+        { 'Fn::GetAtt': ['QuerylistPostsAuthFunction', 'FunctionId'] }
+    ])
+    expect(out.resolvers['Query.listPosts.res.vtl']).not.toContain('Owner Authorization Checks')
+
+    const result = { items: [{ id: '1', owner: 'alice' }, { id: '2', owner: 'bob' }], nextToken: 'next' }
+    const asAlice = renderTemplate(out.resolvers['Query.listPosts.Auth.res.vtl'], {
+        prev: { result },
+        identity: { claims: { 'cognito:username': 'alice' } }
+    })
+    expect(asAlice.document).toEqual({ items: [{ id: '1', owner: 'alice' }], nextToken: 'next' })
+    const asAdmin = renderTemplate(out.resolvers['Query.listPosts.Auth.res.vtl'], {
+        prev: { result },
+        identity: { claims: { 'cognito:username': 'carol', 'cognito:groups': ['Admin'] } }
+    })
+    expect(asAdmin.document.items).toHaveLength(2)
+});
+test('Test ModelAuthTransformer applies the delete rules to restore mutations', () => {
+    const validSchema = `
+    type Post @model(softDelete: {}) @auth(rules: [{allow: owner}]) {
+        id: ID!
+        title: String!
+        owner: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new ModelAuthTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema)
+    for (const template of [out.resolvers['Mutation.deletePost.req.vtl'], out.resolvers['Mutation.restorePost.req.vtl']]) {
+        const request = JSON.parse(renderTemplate(template, {
+            arguments: { input: { id: '1' } },
+            identity: { claims: { 'cognito:username': 'alice' } }
+        }).output)
+        expect(request.operation).toEqual('UpdateItem')
+        expect(request.condition.expression).toMatch(/^\( #owner0 = :identity0\) AND attribute_exists\(#id\) AND attribute_\w+\(#_deleted\)$/)
+    }
+});
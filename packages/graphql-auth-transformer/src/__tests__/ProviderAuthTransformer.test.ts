@@ -0,0 +1,105 @@
+import {
+    ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode, DefinitionNode, Kind
+} from 'graphql'
+import GraphQLTransform from 'graphql-transformer-core'
+import { ResourceConstants } from 'graphql-transformer-common'
+import { DynamoDBModelTransformer } from 'graphql-dynamodb-transformer'
+import { ModelAuthTransformer } from '../ModelAuthTransformer'
+import { collectAuthProviders } from '../collectAuthProviders'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new ModelAuthTransformer()
+    ]
+})
+
+test('Test public api key rules do not require a user pool', () => {
+    const validSchema = `
+    type Post @model @auth(rules: [{ allow: public }]) {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const api = out.rootStack.Resources[ResourceConstants.RESOURCES.GraphQLAPILogicalID]
+    expect(api.Properties.AuthenticationType).toEqual('API_KEY')
+    expect(api.Properties.UserPoolConfig).toBeUndefined()
+    expect(api.Properties.AdditionalAuthenticationProviders).toBeUndefined()
+    expect(out.rootStack.Resources[ResourceConstants.RESOURCES.AuthCognitoUserPoolLogicalID]).toBeUndefined()
+    expect(out.rootStack.Parameters[ResourceConstants.PARAMETERS.AuthCognitoUserPoolId]).toBeUndefined()
+
+    const getTemplate = out.resolvers['Query.getPost.res.vtl']
+    expect(getTemplate).toContain('Public and Private Authorization Checks')
+    expect(getTemplate).toContain('$util.isNull($ctx.identity)')
+})
+
+test('Test owner rules combined with public and private rules create a multi-auth API', () => {
+    const validSchema = `
+    type Post @model @auth(rules: [
+        { allow: owner },
+        { allow: public, provider: iam, queries: [get, list], mutations: null },
+        { allow: private, provider: iam, queries: [get], mutations: null }
+    ]) {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const api = out.rootStack.Resources[ResourceConstants.RESOURCES.GraphQLAPILogicalID]
+    expect(api.Properties.AuthenticationType).toEqual('AMAZON_COGNITO_USER_POOLS')
+    expect(api.Properties.UserPoolConfig.DefaultAction).toEqual('ALLOW')
+    expect(api.Properties.AdditionalAuthenticationProviders).toEqual([{ AuthenticationType: 'AWS_IAM' }])
+
+    const listTemplate = out.resolvers['Query.listPosts.Auth.res.vtl']
+    expect(listTemplate).toContain('!$util.isNull($ctx.identity.userArn)')
+    expect(listTemplate).not.toContain('cognitoIdentityAuthType')
+    expect(out.resolvers['Query.getPost.res.vtl']).toContain('$ctx.identity.cognitoIdentityAuthType != "unauthenticated"')
+    expect(out.resolvers['Mutation.createPost.req.vtl']).not.toContain('Public and Private Authorization Checks')
+
+    const schemaDoc = parse(out.schema)
+    const postType = getObjectType(schemaDoc, 'Post')
+    expectDirectives(postType.directives, ['aws_cognito_user_pools', 'aws_iam'])
+    const queryType = getObjectType(schemaDoc, 'Query')
+    expectDirectives(getFieldNamed(queryType, 'listPosts').directives, ['aws_cognito_user_pools', 'aws_iam'])
+    const mutationType = getObjectType(schemaDoc, 'Mutation')
+    expectDirectives(getFieldNamed(mutationType, 'createPost').directives, ['aws_cognito_user_pools'])
+})
+
+test('Test public and private rules validate their provider', () => {
+    const expectInvalid = (schema: string) => {
+        try {
+            makeTransformer().transform(schema)
+            expect(true).toEqual(false)
+        } catch (e) {
+            expect(e.name).toEqual('InvalidDirectiveError')
+        }
+    }
+    expectInvalid(`type Post @model @auth(rules: [{ allow: public, provider: userPools }]) { id: ID! }`)
+    expectInvalid(`type Post @model @auth(rules: [{ allow: private, provider: apiKey }]) { id: ID! }`)
+    expectInvalid(`type Post @model @auth(rules: [{ allow: owner, provider: iam }]) { id: ID! }`)
+})
+
+test('Test collectAuthProviders', () => {
+    expect(collectAuthProviders(`type Post @model { id: ID! }`)).toEqual([])
+    expect(collectAuthProviders(`
+    type Post @model @auth(rules: [{ allow: public }, { allow: private, provider: iam }]) {
+        id: ID!
+        secret: String @auth(rules: [{ allow: owner }])
+    }
+    `).sort()).toEqual(['apiKey', 'iam', 'userPools'])
+})
+
+function expectDirectives(directives: ReadonlyArray<any>, names: string[]) {
+    expect(directives.map(d => d.name.value).sort()).toEqual(names.sort())
+}
+
+function getFieldNamed(type: ObjectTypeDefinitionNode, name: string): FieldDefinitionNode | undefined {
+    return type.fields.find((f: FieldDefinitionNode) => f.name.value === name)
+}
+
+function getObjectType(doc: DocumentNode, type: string): ObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as ObjectTypeDefinitionNode | undefined
+}
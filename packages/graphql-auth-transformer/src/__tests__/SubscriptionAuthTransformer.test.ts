@@ -0,0 +1,101 @@
+import {
+    ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode, DefinitionNode, Kind
+} from 'graphql'
+import GraphQLTransform from 'graphql-transformer-core'
+import { ResourceConstants, ResolverResourceIDs } from 'graphql-transformer-common'
+import { DynamoDBModelTransformer } from 'graphql-dynamodb-transformer'
+import { ModelAuthTransformer } from '../ModelAuthTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new ModelAuthTransformer()
+    ]
+})
+
+test('Test owner rules require an owner argument on subscriptions', () => {
+    const validSchema = `
+    type Post @model @auth(rules: [{ allow: owner }]) {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const schemaDoc = parse(out.schema)
+    const subscriptionType = getObjectType(schemaDoc, 'Subscription')
+    for (const fieldName of ['onCreatePost', 'onUpdatePost', 'onDeletePost']) {
+        const field = getFieldNamed(subscriptionType, fieldName)
+        expect(field.arguments.map(a => a.name.value)).toEqual(['owner'])
+        expect(field.arguments[0].type.kind).toEqual(Kind.NON_NULL_TYPE)
+    }
+    // The owner is added to the type so that AppSync can filter events by it.
+    expect(getFieldNamed(getObjectType(schemaDoc, 'Post'), 'owner')).toBeDefined()
+
+    const resolverId = ResolverResourceIDs.ResolverResourceID('Subscription', 'onCreatePost')
+    expect(out.stacks.Post.Resources[resolverId]).toBeDefined()
+    expect(out.stacks.Post.Resources[resolverId].Properties.DataSourceName).toBeDefined()
+    expect(out.rootStack.Resources[ResourceConstants.RESOURCES.NoneDataSource]).toBeDefined()
+    const requestTemplate = out.resolvers['Subscription.onCreatePost.req.vtl']
+    expect(requestTemplate).toContain('$ctx.args.owner')
+    expect(requestTemplate).toContain('$util.unauthorized()')
+    expect(out.resolvers['Subscription.onCreatePost.res.vtl']).toContain('$util.toJson(null)')
+})
+
+test('Test group rules protect subscriptions', () => {
+    const validSchema = `
+    type Post @model @auth(rules: [
+        { allow: groups, groups: ["Admin"] },
+        { allow: groups, groupsField: "editors" }
+    ]) {
+        id: ID!
+        title: String!
+        editors: String
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const schemaDoc = parse(out.schema)
+    const field = getFieldNamed(getObjectType(schemaDoc, 'Subscription'), 'onUpdatePost')
+    expect(field.arguments.map(a => a.name.value)).toEqual(['editors'])
+    // Admins may subscribe without the argument.
+    expect(field.arguments[0].type.kind).toEqual(Kind.NAMED_TYPE)
+
+    const requestTemplate = out.resolvers['Subscription.onUpdatePost.req.vtl']
+    expect(requestTemplate).toContain('"Admin"')
+    expect(requestTemplate).toContain('$ctx.args.editors')
+})
+
+test('Test rules can limit or disable subscriptions', () => {
+    const limitedSchema = `
+    type Post @model @auth(rules: [{ allow: owner, subscriptions: [onCreate] }]) {
+        id: ID!
+        title: String!
+    }
+    `
+    const limitedOut = makeTransformer().transform(limitedSchema)
+    const limitedSubscription = getObjectType(parse(limitedOut.schema), 'Subscription')
+    expect(limitedSubscription.fields.map(f => f.name.value)).toEqual(['onCreatePost'])
+
+    const disabledSchema = `
+    type Post @model @auth(rules: [{ allow: owner, subscriptions: null }]) {
+        id: ID!
+        title: String!
+    }
+    type Comment @model {
+        id: ID!
+    }
+    `
+    const disabledOut = makeTransformer().transform(disabledSchema)
+    const disabledSubscription = getObjectType(parse(disabledOut.schema), 'Subscription')
+    expect(disabledSubscription.fields.map(f => f.name.value)).toEqual(['onCreateComment', 'onUpdateComment', 'onDeleteComment'])
+    expect(disabledOut.resolvers['Subscription.onCreateComment.req.vtl']).toBeUndefined()
+})
+
+function getFieldNamed(type: ObjectTypeDefinitionNode, name: string): FieldDefinitionNode | undefined {
+    return type.fields.find((f: FieldDefinitionNode) => f.name.value === name)
+}
+
+function getObjectType(doc: DocumentNode, type: string): ObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as ObjectTypeDefinitionNode | undefined
+}
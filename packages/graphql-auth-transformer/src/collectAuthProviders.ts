@@ -0,0 +1,39 @@
+import { DirectiveNode, ArgumentNode, valueFromASTUntyped } from 'graphql'
+import { collectDirectives } from 'graphql-transformer-core'
+import { AuthRule, AuthProvider } from './AuthRule'
+import { PUBLIC_AUTH_STRATEGY, API_KEY_AUTH_PROVIDER, USER_POOLS_AUTH_PROVIDER } from './constants'
+
+/**
+ * Returns the provider that authenticates callers for a rule. Public rules
+ * default to API keys and all other rules default to user pools.
+ * @param rule The auth rule.
+ */
+export function getAuthRuleProvider(rule: AuthRule): AuthProvider {
+    if (rule.provider) {
+        return rule.provider
+    }
+    return rule.allow === PUBLIC_AUTH_STRATEGY ? API_KEY_AUTH_PROVIDER : USER_POOLS_AUTH_PROVIDER
+}
+
+export function getAuthRules(directive: DirectiveNode): AuthRule[] {
+    const argument = directive.arguments.find((arg: ArgumentNode) => arg.name.value === 'rules')
+    return argument ? valueFromASTUntyped(argument.value) as AuthRule[] : []
+}
+
+/**
+ * Collects the unique auth providers used by all @auth rules in the schema.
+ * @param sdl The schema.
+ */
+export function collectAuthProviders(sdl: string): AuthProvider[] {
+    const providers: AuthProvider[] = []
+    const authDirectives = collectDirectives(sdl).filter(d => d.name.value === 'auth')
+    for (const directive of authDirectives) {
+        for (const rule of getAuthRules(directive)) {
+            const provider = getAuthRuleProvider(rule)
+            if (providers.indexOf(provider) === -1) {
+                providers.push(provider)
+            }
+        }
+    }
+    return providers
+}
@@ -2,4 +2,9 @@ export const OWNER_AUTH_STRATEGY = "owner"
 export const DEFAULT_OWNER_FIELD = "owner"
 export const DEFAULT_IDENTITY_FIELD = "username"
 export const GROUPS_AUTH_STRATEGY = "groups"
-export const DEFAULT_GROUPS_FIELD = "groups"
\ No newline at end of file
+export const DEFAULT_GROUPS_FIELD = "groups"
+export const PUBLIC_AUTH_STRATEGY = "public"
+export const PRIVATE_AUTH_STRATEGY = "private"
+export const API_KEY_AUTH_PROVIDER = "apiKey"
+export const IAM_AUTH_PROVIDER = "iam"
+export const USER_POOLS_AUTH_PROVIDER = "userPools"
\ No newline at end of file
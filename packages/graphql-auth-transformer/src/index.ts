@@ -1,3 +1,4 @@
 import { ModelAuthTransformer } from './ModelAuthTransformer'
 export * from './ModelAuthTransformer'
+export { collectAuthProviders } from './collectAuthProviders'
 export default ModelAuthTransformer
\ No newline at end of file
@@ -2,13 +2,13 @@ import Template from 'cloudform-types/types/template'
 import Cognito from 'cloudform-types/types/cognito'
 import Output from 'cloudform-types/types/output'
 import GraphQLAPI, { UserPoolConfig } from 'cloudform-types/types/appSync/graphQlApi'
-import { Fn, StringParameter, Refs, NumberParameter, Condition } from 'cloudform-types'
-import { AuthRule } from './AuthRule'
+import { AppSync, Fn, StringParameter, Refs, NumberParameter, Condition } from 'cloudform-types'
+import { AuthRule, AuthProvider } from './AuthRule'
 import {
-    str, ref, obj, set, iff, list, raw,
+    str, ref, obj, set, iff, ifElse, list, raw,
     forEach, compoundExpression, qref, equals, comment,
     or, Expression, SetNode, and, not, parens,
-    block
+    block, print
 } from 'graphql-mapping-template'
 import { ResourceConstants, NONE_VALUE } from 'graphql-transformer-common'
 
@@ -17,9 +17,19 @@ import {
     DEFAULT_OWNER_FIELD,
     DEFAULT_IDENTITY_FIELD,
     GROUPS_AUTH_STRATEGY,
-    DEFAULT_GROUPS_FIELD
+    DEFAULT_GROUPS_FIELD,
+    PUBLIC_AUTH_STRATEGY,
+    API_KEY_AUTH_PROVIDER,
+    IAM_AUTH_PROVIDER,
+    USER_POOLS_AUTH_PROVIDER
 } from './constants'
 
+const AUTHENTICATION_TYPES: { [k in AuthProvider]: string } = {
+    apiKey: 'API_KEY',
+    iam: 'AWS_IAM',
+    userPools: 'AMAZON_COGNITO_USER_POOLS'
+}
+
 function replaceIfUsername(identityField: string): string {
     return (identityField === 'username') ? 'cognito:username' : identityField;
 }
@@ -129,21 +139,55 @@ export class ResourceFactory {
         }
     }
 
-    public updateGraphQLAPIWithAuth(apiRecord: GraphQLAPI) {
-        return new GraphQLAPI({
+    /**
+     * Updates the API to authorize requests with the default provider. Any
+     * additional providers are configured as AdditionalAuthenticationProviders.
+     * @param apiRecord The GraphQL API resource.
+     * @param defaultProvider The provider used for types and fields without auth directives.
+     * @param additionalProviders The other providers used by @auth rules.
+     */
+    public updateGraphQLAPIWithAuth(
+        apiRecord: GraphQLAPI,
+        defaultProvider: AuthProvider = USER_POOLS_AUTH_PROVIDER,
+        additionalProviders: AuthProvider[] = []
+    ) {
+        const properties: any = {
             ...apiRecord.Properties,
             Name: apiRecord.Properties.Name,
-            AuthenticationType: 'AMAZON_COGNITO_USER_POOLS',
-            UserPoolConfig: new UserPoolConfig({
-                UserPoolId: Fn.If(
-                    ResourceConstants.CONDITIONS.AuthShouldCreateUserPool,
-                    Fn.Ref(ResourceConstants.RESOURCES.AuthCognitoUserPoolLogicalID),
-                    Fn.Ref(ResourceConstants.PARAMETERS.AuthCognitoUserPoolId)
-                ),
-                AwsRegion: Refs.Region,
-                DefaultAction: 'ALLOW'
-            })
-        })
+            AuthenticationType: AUTHENTICATION_TYPES[defaultProvider]
+        }
+        if (defaultProvider === USER_POOLS_AUTH_PROVIDER) {
+            properties.UserPoolConfig = this.makeUserPoolConfig('ALLOW')
+        } else {
+            delete properties.UserPoolConfig
+        }
+        if (additionalProviders.length > 0) {
+            properties.AdditionalAuthenticationProviders = additionalProviders.map(provider => (
+                provider === USER_POOLS_AUTH_PROVIDER ? {
+                    AuthenticationType: AUTHENTICATION_TYPES[provider],
+                    UserPoolConfig: this.makeUserPoolConfig()
+                } : {
+                    AuthenticationType: AUTHENTICATION_TYPES[provider]
+                }
+            ))
+        }
+        return new GraphQLAPI(properties)
+    }
+
+    private makeUserPoolConfig(defaultAction?: string) {
+        const config: UserPoolConfig = {
+            UserPoolId: Fn.If(
+                ResourceConstants.CONDITIONS.AuthShouldCreateUserPool,
+                Fn.Ref(ResourceConstants.RESOURCES.AuthCognitoUserPoolLogicalID),
+                Fn.Ref(ResourceConstants.PARAMETERS.AuthCognitoUserPoolId)
+            ),
+            AwsRegion: Refs.Region
+        }
+        // Additional user pool providers do not accept a default action.
+        if (defaultAction) {
+            config.DefaultAction = defaultAction
+        }
+        return new UserPoolConfig(config)
     }
 
     public makeUserPool() {
@@ -205,8 +249,12 @@ export class ResourceFactory {
      * ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable variable to
      * true if the user is static group authorized.
      * @param rules The list of static group authorization rules.
+     * @param variableToSet The name of the variable to set when auth is satisfied.
      */
-    public staticGroupAuthorizationExpression(rules: AuthRule[]): Expression {
+    public staticGroupAuthorizationExpression(
+        rules: AuthRule[],
+        variableToSet: string = ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable
+    ): Expression {
         if (!rules || rules.length === 0) {
             return comment(`No Static Group Authorization Rules`)
         }
@@ -223,19 +271,67 @@ export class ResourceFactory {
         return block('Static Group Authorization Checks', [
             this.setUserGroups(),
             set(ref('allowedGroups'), list(allowedGroups.map(s => str(s)))),
-            // tslint:disable-next-line
-            raw(`#set($${ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable} = $util.defaultIfNull($${ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable}, false))`),
+            raw(`#set($${variableToSet} = $util.defaultIfNull($${variableToSet}, false))`),
             forEach(ref('userGroup'), ref('userGroups'), [
                 forEach(ref('allowedGroup'), ref('allowedGroups'), [
                     iff(
                         raw('$allowedGroup == $userGroup'),
-                        set(ref(ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable), raw('true'))
+                        set(ref(variableToSet), raw('true'))
                     )
                 ])
             ])
         ])
     }
 
+    /**
+     * Builds a VTL expression that sets the variable to true if the caller was
+     * authenticated by the provider of at least one public or private rule.
+     * Like static group rules, public and private rules authorize the entire
+     * operation so they share the static group variable by default.
+     * The provider is identified by the shape of $ctx.identity. API key requests
+     * have no identity, IAM requests have a userArn and user pool requests have a sub.
+     * @param rules The list of public and private authorization rules.
+     * @param variableToSet The name of the variable to set when auth is satisfied.
+     */
+    public publicAndPrivateAuthorizationExpression(
+        rules: AuthRule[],
+        variableToSet: string = ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable
+    ): Expression {
+        if (!rules || rules.length === 0) {
+            return comment(`No Public or Private Authorization Rules`)
+        }
+        const providerExpressions = []
+        for (const rule of rules) {
+            const provider = rule.provider || (rule.allow === PUBLIC_AUTH_STRATEGY ? API_KEY_AUTH_PROVIDER : USER_POOLS_AUTH_PROVIDER)
+            providerExpressions.push(
+                comment(`Authorization rule: { allow: "${rule.allow}", provider: "${provider}" }`),
+                iff(
+                    this.identityMatchesProvider(rule.allow, provider),
+                    set(ref(variableToSet), raw('true'))
+                )
+            )
+        }
+        return block('Public and Private Authorization Checks', [
+            raw(`#set($${variableToSet} = $util.defaultIfNull($${variableToSet}, false))`),
+            ...providerExpressions
+        ])
+    }
+
+    private identityMatchesProvider(allow: string, provider: AuthProvider): Expression {
+        switch (provider) {
+            case API_KEY_AUTH_PROVIDER:
+                return raw('$util.isNull($ctx.identity)')
+            case IAM_AUTH_PROVIDER:
+                // Public IAM rules also admit unauthenticated Cognito identity pool roles.
+                return allow === PUBLIC_AUTH_STRATEGY ?
+                    raw('!$util.isNull($ctx.identity) && !$util.isNull($ctx.identity.userArn)') :
+                    raw('!$util.isNull($ctx.identity) && !$util.isNull($ctx.identity.userArn) && ' +
+                        '$ctx.identity.cognitoIdentityAuthType != "unauthenticated"')
+            default:
+                return raw('!$util.isNull($ctx.identity) && !$util.isNullOrEmpty($ctx.identity.sub)')
+        }
+    }
+
     /**
      * Given a set of dynamic group authorization rules verifies that input
      * value satisfies at least one dynamic group authorization rule.
@@ -262,16 +358,16 @@ export class ResourceFactory {
                 ),
                 forEach(ref('userGroup'), ref('userGroups'), [
                     iff(
-                        ref(`$util.isList($ctx.args.input.${groupsAttribute})`),
+                        raw(`$util.isList($${variableToCheck}.${groupsAttribute})`),
                         iff(
                             ref(`${variableToCheck}.${groupsAttribute}.contains($userGroup)`),
                             set(ref(variableToSet), raw('true'))
                         ),
                     ),
                     iff(
-                        raw(`$util.isString($ctx.args.input.${groupsAttribute})`),
+                        raw(`$util.isString($${variableToCheck}.${groupsAttribute})`),
                         iff(
-                            raw(`$ctx.args.input.${groupsAttribute} == $userGroup`),
+                            raw(`$${variableToCheck}.${groupsAttribute} == $userGroup`),
                             set(ref(variableToSet), raw('true'))
                         ),
                     )
@@ -286,7 +382,8 @@ export class ResourceFactory {
 
     /**
      * Given a set of owner authorization rules verifies that input
-     * value satisfies at least one rule.
+     * value satisfies at least one rule. Callers without a user pool
+     * identity, such as API key callers, never satisfy an owner rule.
      * @param rules The list of authorization rules.
      * @param variableToCheck The name of the value containing the input.
      * @param variableToSet The name of the variable to set when auth is satisfied.
@@ -321,7 +418,7 @@ export class ResourceFactory {
                     raw(`$util.isList($${allowedOwnersVariable})`),
                     forEach(ref('allowedOwner'), ref(allowedOwnersVariable), [
                         iff(
-                            raw(`$allowedOwner == $identityValue`),
+                            raw(`$allowedOwner == $identityValue && $identityValue != "${NONE_VALUE}"`),
                             set(ref(variableToSet), raw('true'))),
                     ])
                 ),
@@ -329,7 +426,7 @@ export class ResourceFactory {
                 iff(
                     raw(`$util.isString($${allowedOwnersVariable})`),
                     iff(
-                        raw(`$${allowedOwnersVariable} == $identityValue`),
+                        raw(`$${allowedOwnersVariable} == $identityValue && $identityValue != "${NONE_VALUE}"`),
                         set(ref(variableToSet), raw('true'))),
                 )
             )
@@ -343,6 +440,7 @@ export class ResourceFactory {
                         and([
                             raw(`$util.isNull($${allowedOwnersVariable})`),
                             parens(raw(`! $${variableToCheck}.containsKey("${ownerAttribute}")`)),
+                            raw(`$identityValue != "${NONE_VALUE}"`)
                         ]),
                         compoundExpression([
                             qref(`$${variableToCheck}.put("${ownerAttribute}", $identityValue)`),
@@ -361,6 +459,7 @@ export class ResourceFactory {
                         and([
                             raw(`$util.isNull($${allowedOwnersVariable})`),
                             parens(raw(`! $${variableToCheck}.containsKey("${ownerAttribute}")`)),
+                            raw(`$identityValue != "${NONE_VALUE}"`)
                         ]),
                         compoundExpression([
                             qref(`$${variableToCheck}.put("${ownerAttribute}", ["$identityValue"])`),
@@ -383,11 +482,13 @@ export class ResourceFactory {
      * @param rules The list of authorization rules.
      * @param variableToCheck The name of the value containing the input.
      * @param variableToSet The name of the variable to set when auth is satisfied.
+     * @param namePrefix Prefixes the expression names and values so that conditions may be combined.
      */
     public dynamicGroupAuthorizationExpressionForUpdateOrDeleteOperations(
         rules: AuthRule[],
         variableToCheck: string = 'ctx.args.input',
         variableToSet: string = ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable,
+        namePrefix: string = ''
     ): Expression {
         if (!rules || rules.length === 0) {
             return comment(`No Dynamic Group Authorization Rules`)
@@ -397,8 +498,8 @@ export class ResourceFactory {
         let ruleNumber = 0
         for (const rule of rules) {
             const groupsAttribute = rule.groupsField || DEFAULT_GROUPS_FIELD
-            const groupsAttributeName = `groupsAttribute${ruleNumber}`
-            const groupName = `group${ruleNumber}`
+            const groupsAttributeName = `${namePrefix}groupsAttribute${ruleNumber}`
+            const groupName = `${namePrefix}group${ruleNumber}`
             groupAuthorizationExpressions = groupAuthorizationExpressions.concat(
                 comment(`Authorization rule: { allow: "${rule.allow}", groupsField: "${groupsAttribute}" }`),
                 // Add the new auth expression and values
@@ -425,12 +526,14 @@ export class ResourceFactory {
      * @param rules The list of authorization rules.
      * @param variableToCheck The name of the value containing the input.
      * @param variableToSet The name of the variable to set when auth is satisfied.
+     * @param namePrefix Prefixes the expression names and values so that conditions may be combined.
      */
     public ownerAuthorizationExpressionForUpdateOrDeleteOperations(
         rules: AuthRule[],
         fieldIsList: (fieldName: string) => boolean,
         variableToCheck: string = 'ctx.args.input',
         variableToSet: string = ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable,
+        namePrefix: string = ''
     ): Expression {
         if (!rules || rules.length === 0) {
             return comment(`No Owner Authorization Rules`)
@@ -443,8 +546,8 @@ export class ResourceFactory {
             const isUsern = isUsername(rawUsername)
             const identityAttribute = replaceIfUsername(rawUsername)
             const ownerFieldIsList = fieldIsList(ownerAttribute)
-            const ownerName = `owner${ruleNumber}`
-            const identityName = `identity${ruleNumber}`
+            const ownerName = `${namePrefix}owner${ruleNumber}`
+            const identityName = `${namePrefix}identity${ruleNumber}`
 
             ownerAuthorizationExpressions.push(
                 comment(`Authorization rule: { allow: "${rule.allow}", ownerField: "${ownerAttribute}", identityField: "${identityAttribute}" }`),
@@ -573,21 +676,34 @@ export class ResourceFactory {
 
     //
 
-    public throwIfUnauthorized(): Expression {
+    public throwIfUnauthorized(
+        staticGroupVariable: string = ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable,
+        dynamicGroupVariable: string = ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable,
+        ownerVariable: string = ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable
+    ): Expression {
         const ifUnauthThrow = iff(
-            not(parens(
-                or([
-                    equals(ref(ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable), raw('true')),
-                    equals(ref(ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable), raw('true')),
-                    equals(ref(ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable), raw('true'))
-                ])
-            )), raw('$util.unauthorized()')
+            not(this.isAuthorized(staticGroupVariable, dynamicGroupVariable, ownerVariable)),
+            raw('$util.unauthorized()')
         )
         return block('Throw if unauthorized', [
             ifUnauthThrow,
         ])
     }
 
+    public isAuthorized(
+        staticGroupVariable: string = ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable,
+        dynamicGroupVariable: string = ResourceConstants.SNIPPETS.IsDynamicGroupAuthorizedVariable,
+        ownerVariable: string = ResourceConstants.SNIPPETS.IsOwnerAuthorizedVariable
+    ): Expression {
+        return parens(
+            or([
+                equals(ref(staticGroupVariable), raw('true')),
+                equals(ref(dynamicGroupVariable), raw('true')),
+                equals(ref(ownerVariable), raw('true'))
+            ])
+        )
+    }
+
     // A = IsStaticallyAuthed
     // B = AuthConditionIsNotNull
     // ! (A OR B) == (!A AND !B)
@@ -596,7 +712,7 @@ export class ResourceFactory {
             not(parens(
                 or([
                     equals(ref(ResourceConstants.SNIPPETS.IsStaticGroupAuthorizedVariable), raw('true')),
-                    parens(raw('$authCondition && $authCondition.expression != ""'))
+                    parens(raw('$totalAuthExpression && $totalAuthExpression != ""'))
                 ])
             )), raw('$util.unauthorized()')
         )
@@ -607,13 +723,17 @@ export class ResourceFactory {
 
     public collectAuthCondition(): Expression {
         return block('Collect Auth Condition', [
-            set(
-                ref(ResourceConstants.SNIPPETS.AuthCondition),
-                obj({
-                    expression: str(""),
-                    expressionNames: obj({}),
-                    expressionValues: obj({})
-                })
+            comment('Keep any condition added by field level authorization rules'),
+            iff(
+                raw(`! $${ResourceConstants.SNIPPETS.AuthCondition}`),
+                set(
+                    ref(ResourceConstants.SNIPPETS.AuthCondition),
+                    obj({
+                        expression: str(""),
+                        expressionNames: obj({}),
+                        expressionValues: obj({})
+                    })
+                )
             ),
             set(ref('totalAuthExpression'), str('')),
             comment('Add dynamic group auth conditions if they exist'),
@@ -653,22 +773,140 @@ export class ResourceFactory {
             comment('Set final expression if it has changed.'),
             iff(
                 raw(`$totalAuthExpression != ""`),
-                set(ref(`${ResourceConstants.SNIPPETS.AuthCondition}.expression`), str('($totalAuthExpression)'))
+                ifElse(
+                    raw(`$${ResourceConstants.SNIPPETS.AuthCondition}.expression != ""`),
+                    set(
+                        ref(`${ResourceConstants.SNIPPETS.AuthCondition}.expression`),
+                        str(`$${ResourceConstants.SNIPPETS.AuthCondition}.expression AND ($totalAuthExpression)`)
+                    ),
+                    set(ref(`${ResourceConstants.SNIPPETS.AuthCondition}.expression`), str('($totalAuthExpression)'))
+                )
             )
         ])
     }
 
+    /**
+     * Adds the dynamic group and owner conditions collected for a protected field to
+     * the auth condition. Throws if the field rules did not produce any condition.
+     * @param fieldName The name of the protected field.
+     */
+    public collectFieldAuthCondition(fieldName: string): Expression {
+        const fieldAuthExpression = `fieldAuthExpression`
+        return block(`Collect Auth Condition for "${fieldName}"`, [
+            set(ref(fieldAuthExpression), str('')),
+            forEach(ref('authExpr'), ref('groupAuthExpressions'), [
+                set(ref(fieldAuthExpression), str(`$${fieldAuthExpression} $authExpr`)),
+                iff(ref('foreach.hasNext'), set(ref(fieldAuthExpression), str(`$${fieldAuthExpression} OR`)))
+            ]),
+            iff(
+                raw(`$${fieldAuthExpression} != "" && $ownerAuthExpressions.size() > 0`),
+                set(ref(fieldAuthExpression), str(`$${fieldAuthExpression} OR`))
+            ),
+            forEach(ref('authExpr'), ref('ownerAuthExpressions'), [
+                set(ref(fieldAuthExpression), str(`$${fieldAuthExpression} $authExpr`)),
+                iff(ref('foreach.hasNext'), set(ref(fieldAuthExpression), str(`$${fieldAuthExpression} OR`)))
+            ]),
+            iff(raw(`$${fieldAuthExpression} == ""`), raw('$util.unauthorized()')),
+            iff(
+                raw(`! $${ResourceConstants.SNIPPETS.AuthCondition}`),
+                set(
+                    ref(ResourceConstants.SNIPPETS.AuthCondition),
+                    obj({
+                        expression: str(""),
+                        expressionNames: obj({}),
+                        expressionValues: obj({})
+                    })
+                )
+            ),
+            ifElse(
+                raw(`$${ResourceConstants.SNIPPETS.AuthCondition}.expression != ""`),
+                set(
+                    ref(`${ResourceConstants.SNIPPETS.AuthCondition}.expression`),
+                    str(`$${ResourceConstants.SNIPPETS.AuthCondition}.expression AND ($${fieldAuthExpression})`)
+                ),
+                set(ref(`${ResourceConstants.SNIPPETS.AuthCondition}.expression`), str(`($${fieldAuthExpression})`))
+            ),
+            qref(`$${ResourceConstants.SNIPPETS.AuthCondition}.expressionNames.putAll($groupAuthExpressionNames)`),
+            qref(`$${ResourceConstants.SNIPPETS.AuthCondition}.expressionNames.putAll($ownerAuthExpressionNames)`),
+            qref(`$${ResourceConstants.SNIPPETS.AuthCondition}.expressionValues.putAll($groupAuthExpressionValues)`),
+            qref(`$${ResourceConstants.SNIPPETS.AuthCondition}.expressionValues.putAll($ownerAuthExpressionValues)`)
+        ])
+    }
+
     public appendItemIfLocallyAuthorized(): Expression {
-        return iff(
-            parens(
-                or([
-                    equals(ref(ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable), raw('true')),
-                    equals(ref(ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable), raw('true'))
-                ])
-            ), qref('$items.add($item)')
+        return iff(this.isLocallyAuthorized(), qref('$items.add($item)'))
+    }
+
+    public isLocallyAuthorized(): Expression {
+        return parens(
+            or([
+                equals(ref(ResourceConstants.SNIPPETS.IsLocalDynamicGroupAuthorizedVariable), raw('true')),
+                equals(ref(ResourceConstants.SNIPPETS.IsLocalOwnerAuthorizedVariable), raw('true'))
+            ])
         )
     }
 
+    /**
+     * Field level authorization resolvers do not read from a data source and
+     * instead resolve the field from the parent object.
+     */
+    public makeNoneDataSource() {
+        return new AppSync.DataSource({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            Name: ResourceConstants.RESOURCES.NoneDataSource,
+            Type: 'NONE'
+        })
+    }
+
+    /**
+     * Create a resolver that returns the value of a protected field from
+     * $ctx.source. The authorization checks are added to the response template.
+     * @param type The name of the parent type.
+     * @param field The name of the protected field.
+     */
+    public makeFieldResolver(type: string, field: string) {
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ResourceConstants.RESOURCES.NoneDataSource, 'Name'),
+            FieldName: field,
+            TypeName: type,
+            RequestMappingTemplate: print(
+                obj({
+                    version: str('2017-02-28'),
+                    payload: obj({})
+                })
+            ),
+            ResponseMappingTemplate: print(
+                ref(`util.toJson($ctx.source.${field})`)
+            )
+        }).dependsOn(ResourceConstants.RESOURCES.NoneDataSource)
+    }
+
+    /**
+     * Create a resolver that authorizes subscription requests. The authorization
+     * checks are added to the request template and the response template returns
+     * null as AppSync expects for subscription resolvers.
+     * @param type The name of the subscription type.
+     * @param field The name of the subscription field.
+     */
+    public makeSubscriptionResolver(type: string, field: string) {
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ResourceConstants.RESOURCES.NoneDataSource, 'Name'),
+            FieldName: field,
+            TypeName: type,
+            RequestMappingTemplate: print(
+                obj({
+                    version: str('2017-02-28'),
+                    payload: obj({})
+                })
+            ),
+            ResponseMappingTemplate: print(
+                ref('util.toJson(null)')
+            )
+        }).dependsOn(ResourceConstants.RESOURCES.NoneDataSource)
+    }
+
     public setUserGroups(): SetNode {
         return set(ref('userGroups'), ref('ctx.identity.claims.get("cognito:groups")'));
     }
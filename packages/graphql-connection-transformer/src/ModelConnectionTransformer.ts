@@ -12,14 +12,21 @@ import {
     makeScalarFilterInputs,
     makeModelXFilterInputObject,
     makeModelSortDirectionEnumObject,
+    makeIncludeDeletedArgument,
+    hasSoftDeletes,
+    ModelResourceFactory
 } from 'graphql-dynamodb-transformer'
 import {
     getBaseType, isListType, getDirectiveArgument, blankObject,
     isScalar, STANDARD_SCALARS,
-    toCamelCase, isNonNullType
+    toCamelCase, isNonNullType, graphqlName, toUpper,
+    makeField, makeInputValueDefinition, makeNonNullType, makeNamedType
 } from 'graphql-transformer-common'
 import { ResolverResourceIDs, ModelResourceIDs } from 'graphql-transformer-common'
-import { updateCreateInputWithConnectionField, updateUpdateInputWithConnectionField } from './definitions';
+import {
+    updateCreateInputWithConnectionField, updateUpdateInputWithConnectionField,
+    makeJoinObject, makeLinkInputObject
+} from './definitions';
 import Resource from 'cloudform-types/types/resource';
 
 const CONNECTION_STACK_NAME = 'ConnectionStack'
@@ -53,6 +60,7 @@ function validateKeyField(field: FieldDefinitionNode): void {
 export class ModelConnectionTransformer extends Transformer {
 
     resources: ResourceFactory
+    modelResources: ModelResourceFactory
 
     constructor() {
         super(
@@ -60,6 +68,7 @@ export class ModelConnectionTransformer extends Transformer {
             `directive @connection(name: String, keyField: String, sortField: String) on FIELD_DEFINITION`
         )
         this.resources = new ResourceFactory();
+        this.modelResources = new ModelResourceFactory();
     }
 
     public before = (ctx: TransformerContext): void => {
@@ -70,7 +79,7 @@ export class ModelConnectionTransformer extends Transformer {
     }
 
     /**
-     * Create a 1-1, 1-M, or M-1 connection between two model types.
+     * Create a 1-1, 1-M, M-1 or M-M connection between two model types.
      * Throws an error if the related type is not an object type annotated with @model.
      */
     public field = (
@@ -101,6 +110,8 @@ export class ModelConnectionTransformer extends Transformer {
         if (!modelDirective) {
             throw new InvalidDirectiveError(`Object type ${relatedTypeName} must be annotated with @model.`)
         }
+        // Connections to a type with soft deletes leave out deleted items unless includeDeleted is true.
+        const softDelete = hasSoftDeletes(relatedType)
 
         let connectionName = getDirectiveArgument(directive)("name")
         let associatedSortFieldName = null
@@ -158,9 +169,50 @@ export class ModelConnectionTransformer extends Transformer {
         // 4. [] to ?
         // 5. {} to ?
         if (leftConnectionIsList && rightConnectionIsList) {
-            // 1. TODO.
-            // Use an intermediary table or other strategy like embedded string sets for many to many.
-            throw new InvalidDirectiveError(`Many to Many connections are not yet supported.`)
+            // 1. [] to []
+            // Store the associations in a join table with a GSI for each side and
+            // wire up a Query resolver that returns the join items of this side.
+            if (connectionAttributeName || associatedSortFieldName) {
+                throw new InvalidDirectiveError(
+                    `Many to many connection "${connectionName}" does not support the keyField or sortField arguments.`
+                )
+            }
+            if (parentTypeName === relatedTypeName) {
+                throw new InvalidDirectiveError(
+                    `Many to many connection "${connectionName}" must connect two different types.`
+                )
+            }
+            const joinTypeName = graphqlName(toUpper(connectionName))
+            const joinTypeIsDefined = ctx.inputDocument.definitions.find(
+                d => (d as any).name && (d as any).name.value === joinTypeName
+            )
+            if (joinTypeIsDefined) {
+                throw new InvalidDirectiveError(
+                    `Could not create the join type for many to many connection "${connectionName}". ` +
+                    `A type named ${joinTypeName} already exists.`
+                )
+            }
+            const joinTableLogicalId = ModelResourceIDs.ModelTableResourceID(joinTypeName)
+            if (!ctx.getResource(joinTableLogicalId)) {
+                this.createJoinModel(ctx, joinTypeName, [parentTypeName, relatedTypeName].sort())
+            }
+            connectionAttributeName = makeConnectionAttributeName(parentTypeName)
+            const joinIndexName = `${parentTypeName}.${fieldName}`
+
+            const table = ctx.getResource(joinTableLogicalId) as Table
+            const updated = this.resources.updateTableForConnection(table, joinIndexName, connectionAttributeName)
+            ctx.setResource(joinTableLogicalId, updated)
+
+            const queryResolver = this.resources.makeQueryConnectionResolver(
+                parentTypeName,
+                fieldName,
+                joinTypeName,
+                connectionAttributeName,
+                joinIndexName
+            )
+            ctx.setResource(ResolverResourceIDs.ResolverResourceID(parentTypeName, fieldName), queryResolver)
+
+            this.extendTypeWithConnection(ctx, parent, field, ctx.getObject(joinTypeName))
         } else if (leftConnectionIsList && rightConnectionIsList === false) {
             // 2. [] to {} when the association exists. Note: false and undefined are not equal.
             // Store a foreign key on the related table and wire up a Query resolver.
@@ -177,11 +229,15 @@ export class ModelConnectionTransformer extends Transformer {
                 fieldName,
                 relatedTypeName,
                 connectionAttributeName,
-                connectionName
+                connectionName,
+                softDelete
             )
             ctx.setResource(ResolverResourceIDs.ResolverResourceID(parentTypeName, fieldName), queryResolver)
 
             this.extendTypeWithConnection(ctx, parent, field, relatedType)
+            if (softDelete) {
+                this.addIncludeDeletedArgument(ctx, parentTypeName, fieldName)
+            }
         } else if (!leftConnectionIsList && rightConnectionIsList) {
             // 3. {} to [] when the association exists.
             // Store foreign key on this table and wire up a GetItem resolver.
@@ -213,9 +269,13 @@ export class ModelConnectionTransformer extends Transformer {
                 parentTypeName,
                 fieldName,
                 relatedTypeName,
-                connectionAttributeName
+                connectionAttributeName,
+                softDelete
             )
             ctx.setResource(ResolverResourceIDs.ResolverResourceID(parentTypeName, fieldName), getResolver)
+            if (softDelete) {
+                this.addIncludeDeletedArgument(ctx, parentTypeName, fieldName)
+            }
 
             // Update the create & update input objects for this
             const createInputName = ModelResourceIDs.ModelCreateInputObjectName(parentTypeName)
@@ -253,11 +313,15 @@ export class ModelConnectionTransformer extends Transformer {
                 fieldName,
                 relatedTypeName,
                 connectionAttributeName,
-                connectionName
+                connectionName,
+                softDelete
             )
             ctx.setResource(ResolverResourceIDs.ResolverResourceID(parentTypeName, fieldName), queryResolver)
 
             this.extendTypeWithConnection(ctx, parent, field, relatedType)
+            if (softDelete) {
+                this.addIncludeDeletedArgument(ctx, parentTypeName, fieldName)
+            }
 
             // Update the create & update input objects for the related type
             const createInputName = ModelResourceIDs.ModelCreateInputObjectName(relatedTypeName)
@@ -288,9 +352,13 @@ export class ModelConnectionTransformer extends Transformer {
                 parentTypeName,
                 fieldName,
                 relatedTypeName,
-                connectionAttributeName
+                connectionAttributeName,
+                softDelete
             )
             ctx.setResource(ResolverResourceIDs.ResolverResourceID(parentTypeName, fieldName), getResolver)
+            if (softDelete) {
+                this.addIncludeDeletedArgument(ctx, parentTypeName, fieldName)
+            }
 
             // Update the create & update input objects for this type
             const createInputName = ModelResourceIDs.ModelCreateInputObjectName(parentTypeName)
@@ -308,6 +376,72 @@ export class ModelConnectionTransformer extends Transformer {
         }
     }
 
+    /**
+     * Create the hidden join model of a many to many connection. The join type has no
+     * queries of its own and is written through the link & unlink mutations.
+     * @param joinTypeName The name of the join type.
+     * @param relatedTypeNames The names of the two connected types.
+     */
+    private createJoinModel(ctx: TransformerContext, joinTypeName: string, relatedTypeNames: string[]): void {
+        const tableLogicalID = ModelResourceIDs.ModelTableResourceID(joinTypeName)
+        const iamRoleLogicalID = ModelResourceIDs.ModelTableIAMRoleID(joinTypeName)
+        const dataSourceLogicalID = ModelResourceIDs.ModelTableDataSourceID(joinTypeName)
+        ctx.setResource(tableLogicalID, this.modelResources.makeModelTable(joinTypeName))
+        ctx.setResource(iamRoleLogicalID, this.modelResources.makeIAMRole(joinTypeName))
+        ctx.setResource(
+            dataSourceLogicalID,
+            this.modelResources.makeDynamoDBDataSource(tableLogicalID, iamRoleLogicalID, joinTypeName)
+        )
+        const stackResources = [tableLogicalID, iamRoleLogicalID, dataSourceLogicalID]
+
+        const sides = relatedTypeNames.map(typeName => ({ typeName, keyField: makeConnectionAttributeName(typeName) }))
+        const keyFields = sides.map(side => side.keyField)
+        ctx.addObject(makeJoinObject(joinTypeName, sides))
+        for (const side of sides) {
+            const sideFieldName = toCamelCase([side.typeName])
+            const sideType = ctx.inputDocument.definitions.find(
+                d => d.kind === Kind.OBJECT_TYPE_DEFINITION && d.name.value === side.typeName
+            ) as ObjectTypeDefinitionNode
+            const softDelete = hasSoftDeletes(sideType)
+            const resolverID = ResolverResourceIDs.ResolverResourceID(joinTypeName, sideFieldName)
+            ctx.setResource(
+                resolverID,
+                this.resources.makeGetItemConnectionResolver(
+                    joinTypeName, sideFieldName, side.typeName, side.keyField, softDelete
+                )
+            )
+            stackResources.push(resolverID)
+            if (softDelete) {
+                this.addIncludeDeletedArgument(ctx, joinTypeName, sideFieldName)
+            }
+        }
+
+        const linkInputName = graphqlName(`Link${joinTypeName}Input`)
+        ctx.addInput(makeLinkInputObject(linkInputName, keyFields))
+        const linkFieldName = graphqlName(`link${joinTypeName}`)
+        const unlinkFieldName = graphqlName(`unlink${joinTypeName}`)
+        const mutationTypeName = ctx.getMutationTypeName()
+        const linkArgs = [makeInputValueDefinition('input', makeNonNullType(makeNamedType(linkInputName)))]
+        ctx.addMutationFields([
+            makeField(linkFieldName, linkArgs, makeNamedType(joinTypeName)),
+            makeField(unlinkFieldName, linkArgs, makeNamedType(joinTypeName))
+        ])
+        const linkResolverID = ResolverResourceIDs.ResolverResourceID(mutationTypeName, linkFieldName)
+        const unlinkResolverID = ResolverResourceIDs.ResolverResourceID(mutationTypeName, unlinkFieldName)
+        ctx.setResource(
+            linkResolverID,
+            this.resources.makeLinkResolver(joinTypeName, linkFieldName, keyFields, mutationTypeName)
+        )
+        ctx.setResource(
+            unlinkResolverID,
+            this.resources.makeUnlinkResolver(joinTypeName, unlinkFieldName, keyFields, mutationTypeName)
+        )
+        stackResources.push(linkResolverID, unlinkResolverID)
+
+        // The join model gets its own stack like any other @model type.
+        ctx.putStackMapping(joinTypeName, stackResources.map(id => `^${id}$`))
+    }
+
     private typeExist(type: string, ctx: TransformerContext): boolean {
         return Boolean(type in ctx.nodeMap);
     }
@@ -368,6 +502,19 @@ export class ModelConnectionTransformer extends Transformer {
         }
     }
 
+    /**
+     * Add the includeDeleted argument to a connection field that reads a type with soft deletes.
+     */
+    private addIncludeDeletedArgument(ctx: TransformerContext, typeName: string, fieldName: string) {
+        const type = ctx.getObject(typeName)
+        const fields = type.fields.map(
+            (f: FieldDefinitionNode) => f.name.value === fieldName ?
+                { ...f, arguments: [...f.arguments, makeIncludeDeletedArgument()] } :
+                f
+        )
+        ctx.putType({ ...type, fields })
+    }
+
     private generateFilterInputs(ctx: TransformerContext, field: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode): void {
         const scalarFilters = makeScalarFilterInputs()
         for (const filter of scalarFilters) {
@@ -6,6 +6,7 @@ import {
 import GraphQLTransform, { InvalidDirectiveError } from 'graphql-transformer-core'
 import { ResourceConstants, ResolverResourceIDs, ModelResourceIDs } from 'graphql-transformer-common'
 import DynamoDBModelTransformer from 'graphql-dynamodb-transformer'
+import { renderTemplate } from 'graphql-mapping-template'
 import { ModelConnectionTransformer } from '../ModelConnectionTransformer'
 
 test('Test ModelConnectionTransformer simple one to many happy case', () => {
@@ -193,17 +194,17 @@ test('Test ModelConnectionTransformer complex one to many happy case', () => {
     expect((postField.type as any).name.value).toEqual('Post')
 });
 
-test('Test ModelConnectionTransformer many to many should fail', () => {
+test('Test ModelConnectionTransformer many to many creates a join model', () => {
     const validSchema = `
     type Post @model {
         id: ID!
         title: String!
-        comments: [Comment] @connection(name: "ManyToMany")
+        tags: [Tag] @connection(name: "PostTags")
     }
-    type Comment @model {
+    type Tag @model {
         id: ID!
-        content: String
-        posts: [Post] @connection(name: "ManyToMany")
+        label: String
+        posts: [Post] @connection(name: "PostTags")
     }
     `
     const transformer = new GraphQLTransform({
@@ -212,14 +213,83 @@ test('Test ModelConnectionTransformer many to many should fail', () => {
             new ModelConnectionTransformer()
         ]
     })
-    try {
-        transformer.transform(validSchema);
-        expect(true).toEqual(false)
-    } catch (e) {
-        // Should throw bc we don't let support many to many
-        expect(e).toBeTruthy()
-        expect(e.name).toEqual('InvalidDirectiveError')
+    const out = transformer.transform(validSchema);
+    expect(out).toBeDefined()
+
+    // The join table has a GSI for each side of the connection.
+    const joinTable = out.stacks.PostTags.Resources[ModelResourceIDs.ModelTableResourceID('PostTags')]
+    expect(joinTable).toBeDefined()
+    expect(joinTable.Properties.GlobalSecondaryIndexes.map(gsi => gsi.IndexName)).toEqual(['gsi-Post.tags', 'gsi-Tag.posts'])
+    expect(joinTable.Properties.GlobalSecondaryIndexes[0].KeySchema).toEqual([{ AttributeName: 'postId', KeyType: 'HASH' }])
+    expect(joinTable.Properties.GlobalSecondaryIndexes[1].KeySchema).toEqual([{ AttributeName: 'tagId', KeyType: 'HASH' }])
+    expect(out.stacks.PostTags.Resources[ModelResourceIDs.ModelTableDataSourceID('PostTags')]).toBeDefined()
+    expect(out.stacks.ConnectionStack.Resources[ResolverResourceIDs.ResolverResourceID('Post', 'tags')]).toBeTruthy()
+    expect(out.stacks.ConnectionStack.Resources[ResolverResourceIDs.ResolverResourceID('Tag', 'posts')]).toBeTruthy()
+    expect(out.resolvers['Post.tags.req.vtl']).toContain('"index": "gsi-Post.tags"')
+    expect(out.resolvers['PostTags.tag.req.vtl']).toContain('$ctx.source.tagId')
+
+    const schemaDoc = parse(out.schema)
+    const joinType = getObjectType(schemaDoc, 'PostTags')
+    expectFields(joinType, ['id', 'postId', 'tagId', 'post', 'tag'])
+    const postType = getObjectType(schemaDoc, 'Post')
+    const tagsField = postType.fields.find(f => f.name.value === 'tags')
+    expectArguments(tagsField, ['filter', 'limit', 'nextToken', 'sortDirection'])
+    expect((tagsField.type as any).name.value).toEqual('ModelPostTagsConnection')
+    const postsField = getObjectType(schemaDoc, 'Tag').fields.find(f => f.name.value === 'posts')
+    expect((postsField.type as any).name.value).toEqual('ModelPostTagsConnection')
+
+    // The join model is only written through the link & unlink mutations.
+    const queryType = getObjectType(schemaDoc, 'Query')
+    doNotExpectFields(queryType, ['getPostTags', 'listPostTagss'])
+    const mutationType = getObjectType(schemaDoc, 'Mutation')
+    expectFields(mutationType, ['linkPostTags', 'unlinkPostTags'])
+    doNotExpectFields(mutationType, ['createPostTags'])
+    const linkInput = getInputType(schemaDoc, 'LinkPostTagsInput')
+    expect(linkInput.fields.map(f => f.name.value)).toEqual(['postId', 'tagId'])
+    expect(out.stacks.PostTags.Resources[ResolverResourceIDs.ResolverResourceID('Mutation', 'linkPostTags')]).toBeDefined()
+    const linkTemplate = out.resolvers['Mutation.linkPostTags.req.vtl']
+    expect(linkTemplate).toContain('"operation": "PutItem"')
+    expect(linkTemplate).toContain('${ctx.args.input.postId}:${ctx.args.input.tagId}')
+    expect(out.resolvers['Mutation.unlinkPostTags.req.vtl']).toContain('"operation": "DeleteItem"')
+});
+
+test('Test ModelConnectionTransformer many to many validation', () => {
+    const expectInvalid = (schema: string) => {
+        const transformer = new GraphQLTransform({
+            transformers: [
+                new DynamoDBModelTransformer(),
+                new ModelConnectionTransformer()
+            ]
+        })
+        try {
+            transformer.transform(schema);
+            expect(true).toEqual(false)
+        } catch (e) {
+            expect(e.name).toEqual('InvalidDirectiveError')
+        }
+    }
+    // The join type name is taken.
+    expectInvalid(`
+    type Post @model {
+        id: ID!
+        tags: [Tag] @connection(name: "Post")
+    }
+    type Tag @model {
+        id: ID!
+        posts: [Post] @connection(name: "Post")
+    }
+    `)
+    // keyField is not supported.
+    expectInvalid(`
+    type Post @model {
+        id: ID!
+        tags: [Tag] @connection(name: "PostTags", keyField: "tagIds")
+    }
+    type Tag @model {
+        id: ID!
+        posts: [Post] @connection(name: "PostTags")
     }
+    `)
 });
 
 test('Test ModelConnectionTransformer many to many should fail due to missing other "name"', () => {
@@ -495,6 +565,54 @@ test('Test ModelConnectionTransformer does not throw with valid key fields', ()
     expect(() => transformer.transform(validSchema3)).toBeTruthy();
 })
 
+test('Test ModelConnectionTransformer leaves soft deleted items out of connections', () => {
+    const validSchema = `
+    type Post @model {
+        id: ID!
+        title: String!
+        comments: [Comment] @connection(name: "PostComments")
+    }
+    type Comment @model(softDelete: {}) {
+        id: ID!
+        content: String
+        post: Post @connection(name: "PostComments")
+        author: Author @connection
+    }
+    type Author @model(softDelete: {}) {
+        id: ID!
+        name: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new ModelConnectionTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema)
+    const schemaDoc = parse(out.schema)
+
+    const postType = getObjectType(schemaDoc, 'Post')
+    expectArguments(postType.fields.find(f => f.name.value === 'comments'), ['filter', 'limit', 'nextToken', 'includeDeleted'])
+    const commentType = getObjectType(schemaDoc, 'Comment')
+    expectArguments(commentType.fields.find(f => f.name.value === 'author'), ['includeDeleted'])
+    expect(commentType.fields.find(f => f.name.value === 'post').arguments).toHaveLength(0)
+
+    const listTemplate = out.resolvers['Post.comments.req.vtl']
+    const source = { id: 'post1' }
+    const request = JSON.parse(renderTemplate(listTemplate, { source, arguments: {} }).output)
+    expect(request.index).toEqual('gsi-PostComments')
+    expect(request.filter).toEqual({ expression: 'attribute_not_exists(#_deleted)', expressionNames: { '#_deleted': '_deleted' } })
+    const withDeleted = JSON.parse(renderTemplate(listTemplate, { source, arguments: { includeDeleted: true } }).output)
+    expect(withDeleted.filter).toBeNull()
+
+    const getTemplate = out.resolvers['Comment.author.res.vtl']
+    const deleted = { id: 'author1', _deleted: true }
+    expect(renderTemplate(getTemplate, { arguments: {}, result: deleted }).output.trim()).toEqual('null')
+    const included = renderTemplate(getTemplate, { arguments: { includeDeleted: true }, result: deleted }).output
+    expect(JSON.parse(included)).toEqual(deleted)
+})
+
 function expectFields(type: ObjectTypeDefinitionNode, fields: string[]) {
     for (const fieldName of fields) {
         const foundField = type.fields.find((f: FieldDefinitionNode) => f.name.value === fieldName)
@@ -1,5 +1,7 @@
-import { InputObjectTypeDefinitionNode } from 'graphql'
-import { makeInputValueDefinition, makeNonNullType, makeNamedType } from 'graphql-transformer-common';
+import { InputObjectTypeDefinitionNode, ObjectTypeDefinitionNode, Kind } from 'graphql'
+import {
+    makeInputValueDefinition, makeNonNullType, makeNamedType, makeField, toCamelCase
+} from 'graphql-transformer-common';
 
 export function updateCreateInputWithConnectionField(
     input: InputObjectTypeDefinitionNode,
@@ -41,3 +43,40 @@ export function updateUpdateInputWithConnectionField(
         fields: updatedFields
     }
 }
+
+/**
+ * Create the object type stored in the join table of a many to many connection.
+ * Each item links one object of each related type and exposes both of them.
+ * @param name The name of the join type.
+ * @param sides The related type names and the attributes holding their ids.
+ */
+export function makeJoinObject(
+    name: string,
+    sides: { typeName: string, keyField: string }[]
+): ObjectTypeDefinitionNode {
+    return {
+        kind: Kind.OBJECT_TYPE_DEFINITION,
+        name: { kind: 'Name', value: name },
+        fields: [
+            makeField('id', [], makeNonNullType(makeNamedType('ID'))),
+            ...sides.map(side => makeField(side.keyField, [], makeNonNullType(makeNamedType('ID')))),
+            ...sides.map(side => makeField(toCamelCase([side.typeName]), [], makeNamedType(side.typeName)))
+        ],
+        directives: [],
+        interfaces: []
+    }
+}
+
+/**
+ * Create the input object used by the link & unlink mutations of a many to many connection.
+ * @param name The name of the input object.
+ * @param keyFields The attributes holding the ids of the related objects.
+ */
+export function makeLinkInputObject(name: string, keyFields: string[]): InputObjectTypeDefinitionNode {
+    return {
+        kind: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+        name: { kind: 'Name', value: name },
+        fields: keyFields.map(keyField => makeInputValueDefinition(keyField, makeNonNullType(makeNamedType('ID')))),
+        directives: []
+    }
+}
@@ -5,13 +5,16 @@ import { Fn, Refs } from 'cloudform-types'
 import {
     DynamoDBMappingTemplate, str, print,
     ref, obj, set, nul,
-    ifElse, compoundExpression, bool, equals, iff, raw
+    ifElse, compoundExpression, bool, equals, iff, raw, qref
 } from 'graphql-mapping-template'
 import { ResourceConstants, ModelResourceIDs, DEFAULT_SCALARS, NONE_VALUE } from 'graphql-transformer-common'
 import { InvalidDirectiveError } from 'graphql-transformer-core';
+import { ModelResourceFactory } from 'graphql-dynamodb-transformer'
 
 export class ResourceFactory {
 
+    private modelResources = new ModelResourceFactory()
+
     public makeParams() {
         return {}
     }
@@ -100,8 +103,11 @@ export class ResourceFactory {
      * @param field The connection field name.
      * @param relatedType The name of the related type to fetch from.
      * @param connectionAttribute The name of the underlying attribute containing the id.
+     * @param softDelete When true, a soft deleted item is returned as null unless the includeDeleted argument is true.
      */
-    public makeGetItemConnectionResolver(type: string, field: string, relatedType: string, connectionAttribute: string): Resolver {
+    public makeGetItemConnectionResolver(
+        type: string, field: string, relatedType: string, connectionAttribute: string, softDelete: boolean = false
+    ): Resolver {
         return new Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
             DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(relatedType), 'Name'),
@@ -115,7 +121,7 @@ export class ResourceFactory {
                 })
             ),
             ResponseMappingTemplate: print(
-                ref('util.toJson($context.result)')
+                softDelete ? this.modelResources.makeSoftDeleteResponse() : ref('util.toJson($context.result)')
             )
         }).dependsOn(ResourceConstants.RESOURCES.GraphQLSchemaLogicalID)
     }
@@ -123,8 +129,12 @@ export class ResourceFactory {
     /**
      * Create a resolver that queries an item in DynamoDB.
      * @param type
+     * @param softDelete When true, soft deleted items are left out unless the includeDeleted argument is true.
      */
-    public makeQueryConnectionResolver(type: string, field: string, relatedType: string, connectionAttribute: string, connectionName: string) {
+    public makeQueryConnectionResolver(
+        type: string, field: string, relatedType: string, connectionAttribute: string, connectionName: string,
+        softDelete: boolean = false
+    ) {
         const defaultPageLimit = 10
         return new Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -134,6 +144,7 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     set(ref('limit'), ref(`util.defaultIfNull($context.args.limit, ${defaultPageLimit})`)),
+                    ...(softDelete ? [this.modelResources.makeSoftDeleteFilter()] : []),
                     DynamoDBMappingTemplate.query({
                         query: obj({
                             'expression': str('#connectionAttribute = :connectionAttribute'),
@@ -155,11 +166,7 @@ export class ResourceFactory {
                             ),
                             bool(true)
                         ),
-                        filter: ifElse(
-                            ref('context.args.filter'),
-                            ref('util.transform.toDynamoDBFilterExpression($ctx.args.filter)'),
-                            nul()
-                        ),
+                        filter: this.modelResources.makeListFilter(softDelete),
                         limit: ref('limit'),
                         nextToken: ifElse(
                             ref('context.args.nextToken'),
@@ -178,4 +185,86 @@ export class ResourceFactory {
             )
         }).dependsOn(ResourceConstants.RESOURCES.GraphQLSchemaLogicalID)
     }
+
+    /**
+     * Create a resolver that links two objects of a many to many connection
+     * by putting an item in the join table.
+     * @param joinType The name of the join type.
+     * @param field The name of the link mutation.
+     * @param keyFields The attributes holding the ids of the related objects.
+     */
+    public makeLinkResolver(joinType: string, field: string, keyFields: string[], mutationTypeName: string = 'Mutation') {
+        return new Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(joinType), 'Name'),
+            FieldName: field,
+            TypeName: mutationTypeName,
+            RequestMappingTemplate: print(
+                compoundExpression([
+                    this.setJoinId(keyFields),
+                    qref('$context.args.input.put("createdAt", $util.time.nowISO8601())'),
+                    qref('$context.args.input.put("updatedAt", $util.time.nowISO8601())'),
+                    qref(`$context.args.input.put("__typename", "${joinType}")`),
+                    DynamoDBMappingTemplate.putItem({
+                        key: obj({
+                            id: ref('util.dynamodb.toDynamoDBJson($joinId)')
+                        }),
+                        attributeValues: ref('util.dynamodb.toMapValuesJson($context.args.input)'),
+                        condition: obj({
+                            expression: str('attribute_not_exists(#id)'),
+                            expressionNames: obj({
+                                '#id': str('id')
+                            })
+                        })
+                    })
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                ref('util.toJson($context.result)')
+            )
+        }).dependsOn(ResourceConstants.RESOURCES.GraphQLSchemaLogicalID)
+    }
+
+    /**
+     * Create a resolver that unlinks two objects of a many to many connection
+     * by deleting their item from the join table.
+     * @param joinType The name of the join type.
+     * @param field The name of the unlink mutation.
+     * @param keyFields The attributes holding the ids of the related objects.
+     */
+    public makeUnlinkResolver(joinType: string, field: string, keyFields: string[], mutationTypeName: string = 'Mutation') {
+        return new Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(joinType), 'Name'),
+            FieldName: field,
+            TypeName: mutationTypeName,
+            RequestMappingTemplate: print(
+                compoundExpression([
+                    this.setJoinId(keyFields),
+                    DynamoDBMappingTemplate.deleteItem({
+                        key: obj({
+                            id: ref('util.dynamodb.toDynamoDBJson($joinId)')
+                        }),
+                        condition: obj({
+                            expression: str('attribute_exists(#id)'),
+                            expressionNames: obj({
+                                '#id': str('id')
+                            })
+                        })
+                    })
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                ref('util.toJson($context.result)')
+            )
+        }).dependsOn(ResourceConstants.RESOURCES.GraphQLSchemaLogicalID)
+    }
+
+    /**
+     * The id of a join item is derived from the ids it links so that
+     * each pair of objects may only be linked once.
+     */
+    private setJoinId(keyFields: string[]) {
+        return set(ref('joinId'), str(keyFields.map(k => `\${ctx.args.input.${k}}`).join(':')))
+    }
 }
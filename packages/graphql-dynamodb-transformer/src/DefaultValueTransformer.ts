@@ -0,0 +1,114 @@
+import { Transformer, TransformerContext, InvalidDirectiveError } from 'graphql-transformer-core'
+import {
+    DirectiveNode, ObjectTypeDefinitionNode, FieldDefinitionNode, InterfaceTypeDefinitionNode,
+    EnumTypeDefinitionNode, Kind
+} from 'graphql'
+import { printBlock, iff, raw, qref, forEach, ref } from 'graphql-mapping-template'
+import { ResolverResourceIDs, DEFAULT_SCALARS, MAP_SCALARS, getBaseType, isListType } from 'graphql-transformer-common'
+
+/**
+ * The @default transformer. Gives a field of a @model type a value when the create or batch
+ * create mutation leaves it out or sets it to null. The field becomes optional in the create input.
+ *
+ * type Post @model {
+ *   id: ID!
+ *   status: PostStatus! @default(value: "DRAFT")
+ *   views: Int! @default(value: "0")
+ * }
+ *
+ * The value is written as a string and read as the type of the field.
+ */
+export class DefaultValueTransformer extends Transformer {
+
+    constructor() {
+        super(
+            'DefaultValueTransformer',
+            `directive @default(value: String!) on FIELD_DEFINITION`
+        )
+    }
+
+    public field = (
+        parent: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode,
+        definition: FieldDefinitionNode,
+        directive: DirectiveNode,
+        ctx: TransformerContext
+    ): void => {
+        const typeName = parent.name.value
+        const fieldName = definition.name.value
+        if (parent.kind !== Kind.OBJECT_TYPE_DEFINITION || !parent.directives.find(dir => dir.name.value === 'model')) {
+            throw new InvalidDirectiveError(`@default on "${typeName}.${fieldName}" may only be used on fields of @model types.`)
+        }
+        if (isListType(definition.type)) {
+            throw new InvalidDirectiveError(`@default on "${typeName}.${fieldName}" may not be used on a list field.`)
+        }
+        const { value } = this.getDirectiveArgumentMap(directive) as { value: string }
+        const defaultValue = this.parseDefaultValue(typeName, fieldName, getBaseType(definition.type), value, ctx)
+
+        // Single quoted strings are not interpolated. A single quote is escaped by the JSON.
+        const json = JSON.stringify(defaultValue).replace(/'/g, '\\u0027')
+        const setDefault = (input: string) => iff(
+            raw(`$util.isNull(${input}.${fieldName})`),
+            qref(`${input}.put("${fieldName}", $util.parseJson('${json}'))`)
+        )
+        const comment = `Set the default value of "${fieldName}"`
+        this.prependSnippet(ctx, ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName),
+            printBlock(comment)(setDefault('$ctx.args.input'))
+        )
+        this.prependSnippet(ctx, ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(typeName),
+            printBlock(comment)(forEach(ref('item'), ref('ctx.args.input'), [setDefault('$item')]))
+        )
+    }
+
+    private prependSnippet(ctx: TransformerContext, resolverId: string, snippet: string) {
+        const resolver = ctx.getResource(resolverId)
+        if (resolver) {
+            resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
+            ctx.setResource(resolverId, resolver)
+        }
+    }
+
+    /**
+     * Reads the value of the directive as the type of the field.
+     */
+    private parseDefaultValue(typeName: string, fieldName: string, baseType: string, value: string, ctx: TransformerContext): any {
+        const invalid = (expected: string) => new InvalidDirectiveError(
+            `@default on "${typeName}.${fieldName}" has the value "${value}" which is not ${expected}.`
+        )
+        switch (DEFAULT_SCALARS[baseType]) {
+            case 'Int':
+                if (!/^-?\d+$/.test(value)) {
+                    throw invalid('an Int')
+                }
+                return parseInt(value, 10)
+            case 'Float':
+                if (value.trim() === '' || !isFinite(Number(value))) {
+                    throw invalid('a Float')
+                }
+                return Number(value)
+            case 'Boolean':
+                if (value !== 'true' && value !== 'false') {
+                    throw invalid('a Boolean')
+                }
+                return value === 'true'
+            case 'String':
+            case 'ID':
+                if (MAP_SCALARS[baseType]) {
+                    try {
+                        JSON.parse(value)
+                    } catch (e) {
+                        throw invalid('JSON')
+                    }
+                }
+                return value
+        }
+        const typeDefinition = ctx.getType(baseType)
+        if (typeDefinition && typeDefinition.kind === Kind.ENUM_TYPE_DEFINITION) {
+            const enumValues = (typeDefinition as EnumTypeDefinitionNode).values.map(v => v.name.value)
+            if (enumValues.indexOf(value) === -1) {
+                throw invalid(`a value of the enum ${baseType}`)
+            }
+            return value
+        }
+        throw new InvalidDirectiveError(`@default on "${typeName}.${fieldName}" may only be used on fields of a scalar or enum type.`)
+    }
+}
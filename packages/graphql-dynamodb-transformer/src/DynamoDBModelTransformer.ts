@@ -1,17 +1,23 @@
-import { Transformer, TransformerContext, TransformerContractError } from 'graphql-transformer-core'
+import { Transformer, TransformerContext, TransformerContractError, InvalidDirectiveError } from 'graphql-transformer-core'
 import {
     DirectiveNode, ObjectTypeDefinitionNode, InputObjectTypeDefinitionNode, print
 } from 'graphql'
-import { ResourceFactory } from './resources'
+import Table from 'cloudform-types/types/dynamoDb/table'
+import Resolver from 'cloudform-types/types/appSync/resolver'
+import {
+    ResourceFactory, ModelTableConfig, ModelTimestampConfig, ModelSoftDeleteConfig, SOFT_DELETE_ATTRIBUTES
+} from './resources'
 import {
     makeCreateInputObject, makeUpdateInputObject, makeDeleteInputObject,
     makeModelScalarFilterInputObject, makeModelXFilterInputObject, makeModelSortDirectionEnumObject,
     makeModelConnectionType, makeModelConnectionField,
-    makeScalarFilterInputs, makeModelScanField, makeSubscriptionField, getNonModelObjectArray, makeNonModelInputObject, makeEnumFilterInputObjects
+    makeScalarFilterInputs, makeModelScanField, makeSubscriptionField, getNonModelObjectArray, makeNonModelInputObject, makeEnumFilterInputObjects,
+    makeModelKeyInputObject, makeModelBatchResultType, makeModelBatchDeleteResultType, makeModelXConditionInputObject,
+    makeRestoreInputObject, makeIncludeDeletedArgument
 } from './definitions'
 import {
     blankObject, makeField, makeInputValueDefinition, makeNamedType,
-    makeNonNullType
+    makeNonNullType, makeListType, wrapNonNull, getBaseType, isListType
 } from 'graphql-transformer-common'
 import { ResolverResourceIDs, ModelResourceIDs } from 'graphql-transformer-common'
 
@@ -33,12 +39,24 @@ interface SubscriptionNameMap {
     onDelete?: string[];
 }
 
+interface BatchNameMap {
+    get?: string;
+    create?: string;
+    delete?: string;
+}
+
 interface ModelDirectiveArgs {
     queries?: QueryNameMap,
     mutations?: MutationNameMap,
-    subscriptions?: SubscriptionNameMap
+    subscriptions?: SubscriptionNameMap,
+    batch?: BatchNameMap,
+    table?: ModelTableConfig,
+    timestamps?: ModelTimestampConfig,
+    softDelete?: ModelSoftDeleteConfig
 }
 
+const DEFAULT_TIMESTAMPS: ModelTimestampConfig = { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+
 /**
  * The @model transformer.
  *
@@ -58,6 +76,12 @@ export class DynamoDBModelTransformer extends Transformer {
 
     resources: ResourceFactory
 
+    private batchResolvers: { resolverId: string, typeName: string }[] = []
+
+    private listResolvers: { resolverId: string, typeName: string }[] = []
+
+    private timestampResolvers: { resolverId: string, fieldNames: string[] }[] = []
+
     constructor() {
         super(
             'DynamoDBModelTransformer',
@@ -65,7 +89,11 @@ export class DynamoDBModelTransformer extends Transformer {
             directive @model(
                 queries: ModelQueryMap,
                 mutations: ModelMutationMap,
-                subscriptions: ModelSubscriptionMap
+                subscriptions: ModelSubscriptionMap,
+                batch: ModelBatchMap,
+                table: ModelTableConfig,
+                timestamps: ModelTimestampConfig,
+                softDelete: ModelSoftDeleteConfig
             ) on OBJECT
             input ModelMutationMap { create: String, update: String, delete: String }
             input ModelQueryMap { get: String, list: String }
@@ -74,6 +102,19 @@ export class DynamoDBModelTransformer extends Transformer {
                 onUpdate: [String]
                 onDelete: [String]
             }
+            input ModelBatchMap { get: String, create: String, delete: String }
+            input ModelTableConfig {
+                timeToLiveAttribute: String
+                pointInTimeRecovery: Boolean
+                streamViewType: ModelStreamViewType
+                deletionPolicy: ModelDeletionPolicy
+                tags: [ModelTableTag!]
+            }
+            enum ModelStreamViewType { KEYS_ONLY NEW_IMAGE OLD_IMAGE NEW_AND_OLD_IMAGES }
+            enum ModelDeletionPolicy { Delete Retain }
+            input ModelTableTag { key: String!, value: String! }
+            input ModelTimestampConfig { createdAt: String, updatedAt: String }
+            input ModelSoftDeleteConfig { restore: String, expiresAfter: Int }
             `
         )
         this.resources = new ResourceFactory();
@@ -123,14 +164,19 @@ export class DynamoDBModelTransformer extends Transformer {
             }
         )
 
-        // Create the dynamodb table to hold the @model type
-        // TODO: Handle types with more than a single "id" hash key
+        // Create the dynamodb table to hold the @model type. The table is keyed by "id"
+        // until a primary @key replaces the key schema (see KeyTransformer).
         const typeName = def.name.value
         const tableLogicalID = ModelResourceIDs.ModelTableResourceID(typeName)
         const iamRoleLogicalID = ModelResourceIDs.ModelTableIAMRoleID(typeName)
+        const directiveArguments: ModelDirectiveArgs = super.getDirectiveArgumentMap(directive)
+        const tableConfig = directiveArguments.table || {}
+        this.validateTableConfig(def, tableConfig)
+        this.validateTimestampConfig(def, this.getTimestampConfig(directiveArguments))
+        this.validateSoftDeleteConfig(def, directiveArguments)
         ctx.setResource(
             tableLogicalID,
-            this.resources.makeModelTable(typeName, undefined, undefined)
+            this.resources.makeModelTable(typeName, undefined, undefined, tableConfig)
         )
         ctx.setResource(
             iamRoleLogicalID,
@@ -144,6 +190,126 @@ export class DynamoDBModelTransformer extends Transformer {
         this.createQueries(def, directive, ctx)
         this.createMutations(def, directive, ctx, nonModelArray)
         this.createSubscriptions(def, directive, ctx)
+        this.createBatchOperations(def, directive, ctx)
+    }
+
+    /**
+     * Batch operations address the table by name. Other transformers modify the templates
+     * of batch resolvers as strings so the table name is only substituted once they are done.
+     * List resolvers learn the keys of the table once other transformers added its indexes.
+     * Timestamps are set before the snippets other transformers added to the mutations.
+     */
+    public after = (ctx: TransformerContext): void => {
+        for (const { resolverId, fieldNames } of this.timestampResolvers) {
+            const resolver = ctx.getResource(resolverId)
+            if (resolver && typeof resolver.Properties.RequestMappingTemplate === 'string') {
+                resolver.Properties.RequestMappingTemplate =
+                    this.resources.makeTimestampsSnippet(fieldNames) + '\n\n' + resolver.Properties.RequestMappingTemplate
+                ctx.setResource(resolverId, resolver)
+            }
+        }
+        for (const { resolverId, typeName } of this.listResolvers) {
+            const resolver = ctx.getResource(resolverId)
+            const table = ctx.getResource(ModelResourceIDs.ModelTableResourceID(typeName)) as Table
+            if (resolver && typeof resolver.Properties.RequestMappingTemplate === 'string') {
+                resolver.Properties.RequestMappingTemplate =
+                    this.resources.makeIndexKeysSnippet(table) + '\n\n' + resolver.Properties.RequestMappingTemplate
+                ctx.setResource(resolverId, resolver)
+            }
+        }
+        for (const { resolverId, typeName } of this.batchResolvers) {
+            const resolver = ctx.getResource(resolverId)
+            for (const property of ['RequestMappingTemplate', 'ResponseMappingTemplate']) {
+                const template = resolver.Properties[property]
+                if (typeof template === 'string') {
+                    resolver.Properties[property] = this.resources.makeBatchMappingTemplate(template, typeName)
+                }
+            }
+            ctx.setResource(resolverId, resolver)
+        }
+    }
+
+    /**
+     * DynamoDB deletes items once the epoch time in seconds held by the time to live attribute
+     * has passed. The attribute must be a Number so only Int and AWSTimestamp fields qualify.
+     */
+    private validateTableConfig(def: ObjectTypeDefinitionNode, config: ModelTableConfig) {
+        const typeName = def.name.value
+        const attributeName = config.timeToLiveAttribute
+        if (attributeName) {
+            const field = def.fields.find(f => f.name.value === attributeName)
+            if (!field) {
+                throw new InvalidDirectiveError(`The timeToLiveAttribute "${attributeName}" does not exist on type "${typeName}".`)
+            }
+            if (isListType(field.type) || ['Int', 'AWSTimestamp'].indexOf(getBaseType(field.type)) === -1) {
+                throw new InvalidDirectiveError(
+                    `The timeToLiveAttribute "${typeName}.${attributeName}" must be of type Int or AWSTimestamp.`
+                )
+            }
+        }
+    }
+
+    /**
+     * The create and update mutations set the "createdAt" and "updatedAt" fields unless
+     * the *timestamps* argument renames them. A timestamp left out of the argument keeps
+     * its default name. A timestamp set to null, or every timestamp when the argument is
+     * null, is not set.
+     *
+     * type Post @model(timestamps: { createdAt: "publishedOn", updatedAt: null }) {
+     *      id: ID!
+     *      publishedOn: AWSDateTime
+     * }
+     */
+    private getTimestampConfig(directiveArguments: ModelDirectiveArgs): ModelTimestampConfig {
+        const timestamps = directiveArguments.timestamps
+        if (timestamps === null) {
+            return {}
+        }
+        const withDefault = (key: keyof ModelTimestampConfig) =>
+            !timestamps || timestamps[key] === undefined ? DEFAULT_TIMESTAMPS[key] : timestamps[key]
+        return { createdAt: withDefault('createdAt'), updatedAt: withDefault('updatedAt') }
+    }
+
+    /**
+     * Timestamp fields hold ISO 8601 strings so a timestamp field of the type must be an
+     * AWSDateTime or a String.
+     */
+    private validateTimestampConfig(def: ObjectTypeDefinitionNode, config: ModelTimestampConfig) {
+        const typeName = def.name.value
+        if (config.createdAt && config.createdAt === config.updatedAt) {
+            throw new InvalidDirectiveError(`The createdAt and updatedAt timestamps of type "${typeName}" must be different fields.`)
+        }
+        for (const fieldName of [config.createdAt, config.updatedAt]) {
+            const field = fieldName && def.fields.find(f => f.name.value === fieldName)
+            if (field && (isListType(field.type) || ['AWSDateTime', 'String'].indexOf(getBaseType(field.type)) === -1)) {
+                throw new InvalidDirectiveError(`The timestamp field "${typeName}.${fieldName}" must be of type AWSDateTime or String.`)
+            }
+        }
+    }
+
+    /**
+     * Soft deleted items expire through the time to live attribute of the table. Batch deletes
+     * cannot mark items as deleted so they may not be combined with soft deletes.
+     */
+    private validateSoftDeleteConfig(def: ObjectTypeDefinitionNode, directiveArguments: ModelDirectiveArgs) {
+        const typeName = def.name.value
+        const softDelete = directiveArguments.softDelete
+        if (!softDelete) {
+            return
+        }
+        if (typeof softDelete.expiresAfter === 'number') {
+            if (softDelete.expiresAfter <= 0) {
+                throw new InvalidDirectiveError(`The expiresAfter of the soft deletes of type "${typeName}" must be a positive number of seconds.`)
+            }
+            if (!directiveArguments.table || !directiveArguments.table.timeToLiveAttribute) {
+                throw new InvalidDirectiveError(
+                    `The soft deletes of type "${typeName}" expire through the table's timeToLiveAttribute which is not set.`
+                )
+            }
+        }
+        if (directiveArguments.batch && directiveArguments.batch.delete) {
+            throw new InvalidDirectiveError(`Type "${typeName}" with soft deletes may not have a batch delete operation.`)
+        }
     }
 
     private createMutations = (
@@ -153,9 +319,17 @@ export class DynamoDBModelTransformer extends Transformer {
         nonModelArray: ObjectTypeDefinitionNode[]
     ) => {
         const typeName = def.name.value
-        // Create the input types.
-        const createInput = makeCreateInputObject(def, nonModelArray, ctx)
-        const updateInput = makeUpdateInputObject(def, nonModelArray, ctx)
+        const modelArguments: ModelDirectiveArgs = this.getDirectiveArgumentMap(directive)
+        const timestamps = this.getTimestampConfig(modelArguments)
+        const softDelete = modelArguments.softDelete
+        // Create the input types. Clients may not set the timestamps or the soft delete attributes.
+        const serverManagedFields = [
+            timestamps.createdAt,
+            timestamps.updatedAt,
+            ...(softDelete ? [SOFT_DELETE_ATTRIBUTES.deleted, SOFT_DELETE_ATTRIBUTES.deletedAt] : [])
+        ].filter(fieldName => Boolean(fieldName))
+        const createInput = makeCreateInputObject(def, nonModelArray, ctx, serverManagedFields)
+        const updateInput = makeUpdateInputObject(def, nonModelArray, ctx, serverManagedFields)
         const deleteInput = makeDeleteInputObject(def)
         ctx.addInput(createInput)
         ctx.addInput(updateInput)
@@ -198,10 +372,20 @@ export class DynamoDBModelTransformer extends Transformer {
             }
         }
 
+        if (shouldMakeUpdate || shouldMakeDelete) {
+            this.generateConditionInputs(ctx, def)
+        }
+        const conditionArgument = makeInputValueDefinition(
+            'condition', makeNamedType(ModelResourceIDs.ModelConditionInputTypeName(typeName))
+        )
+
         // Create the mutations.
         if (shouldMakeCreate) {
             const createResolver = this.resources.makeCreateResolver(def.name.value, createFieldNameOverride)
             ctx.setResource(ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName), createResolver)
+            this.setTimestampResolver(
+                ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName), [timestamps.createdAt, timestamps.updatedAt]
+            )
             mutationFields.push(makeField(
                 createResolver.Properties.FieldName,
                 [makeInputValueDefinition('input', makeNonNullType(makeNamedType(createInput.name.value)))],
@@ -212,21 +396,40 @@ export class DynamoDBModelTransformer extends Transformer {
         if (shouldMakeUpdate) {
             const updateResolver = this.resources.makeUpdateResolver(def.name.value, updateFieldNameOverride)
             ctx.setResource(ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName), updateResolver)
+            this.setTimestampResolver(ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName), [timestamps.updatedAt])
             mutationFields.push(makeField(
                 updateResolver.Properties.FieldName,
-                [makeInputValueDefinition('input', makeNonNullType(makeNamedType(updateInput.name.value)))],
+                [makeInputValueDefinition('input', makeNonNullType(makeNamedType(updateInput.name.value))), conditionArgument],
                 makeNamedType(def.name.value)
             ));
         }
 
         if (shouldMakeDelete) {
-            const deleteResolver = this.resources.makeDeleteResolver(def.name.value, deleteFieldNameOverride)
+            // Soft deleted items expire through the time to live attribute when expiresAfter is set.
+            const timeToLiveAttribute = softDelete && softDelete.expiresAfter ? modelArguments.table.timeToLiveAttribute : undefined
+            const deleteResolver = this.resources.makeDeleteResolver(
+                def.name.value, deleteFieldNameOverride, undefined, softDelete || undefined, timeToLiveAttribute
+            )
             ctx.setResource(ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName), deleteResolver)
             mutationFields.push(makeField(
                 deleteResolver.Properties.FieldName,
-                [makeInputValueDefinition('input', makeNonNullType(makeNamedType(deleteInput.name.value)))],
+                [makeInputValueDefinition('input', makeNonNullType(makeNamedType(deleteInput.name.value))), conditionArgument],
                 makeNamedType(def.name.value)
             ));
+
+            if (softDelete) {
+                const restoreInput = makeRestoreInputObject(def)
+                ctx.addInput(restoreInput)
+                const restoreResolver = this.resources.makeRestoreResolver(
+                    def.name.value, softDelete.restore, undefined, timeToLiveAttribute
+                )
+                ctx.setResource(ResolverResourceIDs.DynamoDBRestoreResolverResourceID(typeName), restoreResolver)
+                mutationFields.push(makeField(
+                    restoreResolver.Properties.FieldName,
+                    [makeInputValueDefinition('input', makeNonNullType(makeNamedType(restoreInput.name.value)))],
+                    makeNamedType(def.name.value)
+                ));
+            }
         }
         ctx.addMutationFields(mutationFields)
     }
@@ -239,6 +442,9 @@ export class DynamoDBModelTransformer extends Transformer {
         const typeName = def.name.value
         const queryFields = []
         const directiveArguments: ModelDirectiveArgs = this.getDirectiveArgumentMap(directive)
+        // Soft deleted items are left out unless the includeDeleted argument is true.
+        const softDelete = Boolean(directiveArguments.softDelete)
+        const softDeleteArguments = softDelete ? [makeIncludeDeletedArgument()] : []
 
         // Configure queries based on *queries* argument
         let shouldMakeGet = true;
@@ -275,12 +481,12 @@ export class DynamoDBModelTransformer extends Transformer {
 
         // Create get queries
         if (shouldMakeGet) {
-            const getResolver = this.resources.makeGetResolver(def.name.value, getFieldNameOverride, ctx.getQueryTypeName())
+            const getResolver = this.resources.makeGetResolver(def.name.value, getFieldNameOverride, ctx.getQueryTypeName(), softDelete)
             ctx.setResource(ResolverResourceIDs.DynamoDBGetResolverResourceID(typeName), getResolver)
 
             queryFields.push(makeField(
                 getResolver.Properties.FieldName,
-                [makeInputValueDefinition('id', makeNonNullType(makeNamedType('ID')))],
+                [makeInputValueDefinition('id', makeNonNullType(makeNamedType('ID'))), ...softDeleteArguments],
                 makeNamedType(def.name.value)
             ))
         }
@@ -290,17 +496,105 @@ export class DynamoDBModelTransformer extends Transformer {
             this.generateModelXConnectionType(ctx, def)
 
             // Create the list resolver
-            const listResolver = this.resources.makeListResolver(def.name.value, listFieldNameOverride, ctx.getQueryTypeName())
+            const listResolver = this.resources.makeListResolver(def.name.value, listFieldNameOverride, ctx.getQueryTypeName(), softDelete)
             ctx.setResource(ResolverResourceIDs.DynamoDBListResolverResourceID(typeName), listResolver)
+            this.listResolvers.push({ resolverId: ResolverResourceIDs.DynamoDBListResolverResourceID(typeName), typeName })
 
             this.generateFilterInputs(ctx, def)
 
-            queryFields.push(makeModelScanField(listResolver.Properties.FieldName, def.name.value))
+            const listField = makeModelScanField(listResolver.Properties.FieldName, def.name.value)
+            queryFields.push({ ...listField, arguments: [...listField.arguments, ...softDeleteArguments] })
         }
 
         ctx.addQueryFields(queryFields)
     }
 
+    /**
+     * Creates the batch operations named in the *batch* argument. Unlike the other operations
+     * batch operations are opt-in.
+     *
+     * type Post @model(batch: { create: "batchCreatePost", get: "batchGetPost" }) {
+     *      id: ID!
+     *      title: String!
+     * }
+     *
+     * will create the fields:
+     *
+     * type Mutation {
+     *      batchCreatePost(input: [CreatePostInput!]!): ModelPostBatchResult
+     * }
+     * type Query {
+     *      batchGetPost(keys: [ModelPostKeyInput!]!): ModelPostBatchResult
+     * }
+     */
+    private createBatchOperations = (def: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext) => {
+        const typeName = def.name.value
+        const directiveArguments: ModelDirectiveArgs = this.getDirectiveArgumentMap(directive)
+        const batch = directiveArguments.batch
+        if (!batch || !(batch.get || batch.create || batch.delete)) {
+            return
+        }
+        const keysArgument = () => {
+            const keyInput = makeModelKeyInputObject(def)
+            if (!this.typeExist(keyInput.name.value, ctx)) {
+                ctx.addInput(keyInput)
+            }
+            return makeInputValueDefinition('keys', wrapNonNull(makeListType(makeNonNullType(makeNamedType(keyInput.name.value)))))
+        }
+        const addResult = (resultType: ObjectTypeDefinitionNode) => {
+            if (!this.typeExist(resultType.name.value, ctx)) {
+                ctx.addObject(resultType)
+            }
+            return makeNamedType(resultType.name.value)
+        }
+
+        if (batch.create) {
+            const createInputName = ModelResourceIDs.ModelCreateInputObjectName(typeName)
+            const hasIdField = Boolean(def.fields.find(f => f.name.value === 'id'))
+            const resolver = this.resources.makeBatchCreateResolver(
+                typeName, hasIdField, batch.create, ctx.getMutationTypeName(), this.getTimestampConfig(directiveArguments)
+            )
+            this.setBatchResolver(ctx, ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(typeName), typeName, resolver)
+            ctx.addMutationFields([makeField(
+                resolver.Properties.FieldName,
+                [makeInputValueDefinition('input', wrapNonNull(makeListType(makeNonNullType(makeNamedType(createInputName)))))],
+                addResult(makeModelBatchResultType(typeName))
+            )])
+        }
+
+        if (batch.delete) {
+            const resolver = this.resources.makeBatchDeleteResolver(typeName, batch.delete, ctx.getMutationTypeName())
+            this.setBatchResolver(ctx, ResolverResourceIDs.DynamoDBBatchDeleteResolverResourceID(typeName), typeName, resolver)
+            ctx.addMutationFields([makeField(
+                resolver.Properties.FieldName,
+                [keysArgument()],
+                addResult(makeModelBatchDeleteResultType(typeName))
+            )])
+        }
+
+        if (batch.get) {
+            const resolver = this.resources.makeBatchGetResolver(typeName, batch.get, ctx.getQueryTypeName())
+            this.setBatchResolver(ctx, ResolverResourceIDs.DynamoDBBatchGetResolverResourceID(typeName), typeName, resolver)
+            ctx.addQueryFields([makeField(
+                resolver.Properties.FieldName,
+                [keysArgument()],
+                addResult(makeModelBatchResultType(typeName))
+            )])
+        }
+    }
+
+    private setTimestampResolver(resolverId: string, fieldNames: string[]) {
+        const timestampFieldNames = fieldNames.filter(fieldName => Boolean(fieldName))
+        if (timestampFieldNames.length) {
+            this.timestampResolvers.push({ resolverId, fieldNames: timestampFieldNames })
+        }
+    }
+
+    private setBatchResolver(ctx: TransformerContext, resolverId: string, typeName: string, resolver: Resolver) {
+        ctx.setResource(resolverId, resolver)
+        this.batchResolvers.push({ resolverId, typeName })
+    }
+
     /**
      * Creates subscriptions for a @model object type. By default creates a subscription for
      * create, update, and delete mutations.
@@ -415,6 +709,32 @@ export class DynamoDBModelTransformer extends Transformer {
     private generateFilterInputs(
         ctx: TransformerContext,
         def: ObjectTypeDefinitionNode,
+    ): void {
+        this.generateScalarFilterInputs(ctx, def)
+
+        // Create the ModelXFilterInput
+        const tableXQueryFilterInput = makeModelXFilterInputObject(def, ctx)
+        if (!this.typeExist(tableXQueryFilterInput.name.value, ctx)) {
+            ctx.addInput(tableXQueryFilterInput)
+        }
+    }
+
+    private generateConditionInputs(
+        ctx: TransformerContext,
+        def: ObjectTypeDefinitionNode,
+    ): void {
+        this.generateScalarFilterInputs(ctx, def)
+
+        // Create the ModelXConditionInput
+        const tableXMutationConditionInput = makeModelXConditionInputObject(def, ctx)
+        if (!this.typeExist(tableXMutationConditionInput.name.value, ctx)) {
+            ctx.addInput(tableXMutationConditionInput)
+        }
+    }
+
+    private generateScalarFilterInputs(
+        ctx: TransformerContext,
+        def: ObjectTypeDefinitionNode,
     ): void {
         const scalarFilters = makeScalarFilterInputs()
         for (const filter of scalarFilters) {
@@ -430,11 +750,5 @@ export class DynamoDBModelTransformer extends Transformer {
                 ctx.addInput(filter)
             }
         }
-
-        // Create the ModelXFilterInput
-        const tableXQueryFilterInput = makeModelXFilterInputObject(def, ctx)
-        if (!this.typeExist(tableXQueryFilterInput.name.value, ctx)) {
-            ctx.addInput(tableXQueryFilterInput)
-        }
     }
 }
@@ -0,0 +1,86 @@
+import { parse, print, InputObjectTypeDefinitionNode } from 'graphql'
+import GraphQLTransform from 'graphql-transformer-core'
+import { renderTemplate } from 'graphql-mapping-template'
+import { DynamoDBModelTransformer } from '../DynamoDBModelTransformer'
+import { DefaultValueTransformer } from '../DefaultValueTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new DefaultValueTransformer()
+    ]
+})
+
+const validSchema = `
+type Post @model {
+    id: ID!
+    title: String! @default(value: "It's \\"new\\" $title")
+    status: PostStatus! @default(value: "DRAFT")
+    views: Int! @default(value: "0")
+    rating: Float @default(value: "2.5")
+    pinned: Boolean @default(value: "false")
+    metadata: AWSJSON @default(value: "{\\"tags\\": []}")
+}
+enum PostStatus { DRAFT PUBLISHED }
+`
+
+test('Test DefaultValueTransformer sets the values the create input leaves out', () => {
+    const out = makeTransformer().transform(validSchema)
+    const createInput = parse(out.schema).definitions.find(
+        d => d.kind === 'InputObjectTypeDefinition' && d.name.value === 'CreatePostInput'
+    ) as InputObjectTypeDefinitionNode
+    expect(createInput.fields.map(f => `${f.name.value}: ${print(f.type)}`)).toEqual([
+        'id: ID', 'title: String', 'status: PostStatus', 'views: Int', 'rating: Float', 'pinned: Boolean', 'metadata: AWSJSON'
+    ])
+    expect(out.resolvers['Mutation.updatePost.req.vtl']).not.toContain('default value')
+
+    const template = out.resolvers['Mutation.createPost.req.vtl']
+    const defaults = JSON.parse(renderTemplate(template, { arguments: { input: {} } }).output).attributeValues
+    expect(defaults.title).toEqual({ S: `It's "new" $title` })
+    expect(defaults.status).toEqual({ S: 'DRAFT' })
+    expect(defaults.views).toEqual({ N: '0' })
+    expect(defaults.rating).toEqual({ N: '2.5' })
+    expect(defaults.pinned).toEqual({ BOOL: false })
+    expect(defaults.metadata).toEqual({ S: '{"tags": []}' })
+
+    const given = JSON.parse(renderTemplate(template, {
+        arguments: { input: { title: 'Hello', views: 7, pinned: true } }
+    }).output).attributeValues
+    expect(given.title).toEqual({ S: 'Hello' })
+    expect(given.views).toEqual({ N: '7' })
+    expect(given.pinned).toEqual({ BOOL: true })
+})
+
+test('Test DefaultValueTransformer sets the values each item of a batch create leaves out', () => {
+    const schema = `
+    type Post @model(batch: { create: "batchCreatePost" }) {
+        id: ID!
+        status: PostStatus! @default(value: "DRAFT")
+        views: Int! @default(value: "0")
+    }
+    enum PostStatus { DRAFT PUBLISHED }
+    `
+    const out = makeTransformer().transform(schema)
+    const template = out.stacks.Post.Resources.BatchCreatePostResolver.Properties.RequestMappingTemplate['Fn::Sub'][0]
+    const items = JSON.parse(renderTemplate(template, {
+        arguments: { input: [{ id: '1' }, { id: '2', status: 'PUBLISHED', views: 3 }] }
+    }).output).tables['${tableName}']
+    expect(items.map(item => item.status)).toEqual([{ S: 'DRAFT' }, { S: 'PUBLISHED' }])
+    expect(items.map(item => item.views)).toEqual([{ N: '0' }, { N: '3' }])
+})
+
+test('Test DefaultValueTransformer rejects values that do not match the type of the field', () => {
+    const invalidSchemas = [
+        'type Post { id: ID! views: Int @default(value: "0") }',
+        'type Post @model { id: ID! tags: [String] @default(value: "a") }',
+        'type Post @model { id: ID! views: Int @default(value: "1.5") }',
+        'type Post @model { id: ID! rating: Float @default(value: "high") }',
+        'type Post @model { id: ID! pinned: Boolean @default(value: "yes") }',
+        'type Post @model { id: ID! metadata: AWSJSON @default(value: "{") }',
+        'type Post @model { id: ID! status: PostStatus @default(value: "DELETED") } enum PostStatus { DRAFT }',
+        'type Post @model { id: ID! author: Author @default(value: "a") } type Author { name: String }'
+    ]
+    for (const schema of invalidSchemas) {
+        expect(() => makeTransformer().transform(schema)).toThrow(/^@default on "Post\.\w+"/)
+    }
+})
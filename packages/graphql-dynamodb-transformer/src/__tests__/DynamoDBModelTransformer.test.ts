@@ -1,10 +1,11 @@
 import {
     ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode,
     DefinitionNode, Kind, InputObjectTypeDefinitionNode, ListValueNode,
-    InputValueDefinitionNode, TypeNode, NamedTypeNode
+    InputValueDefinitionNode, TypeNode, NamedTypeNode, print
 } from 'graphql'
 import GraphQLTransform from 'graphql-transformer-core'
 import { ResourceConstants } from 'graphql-transformer-common'
+import { renderTemplate } from 'graphql-mapping-template'
 import { DynamoDBModelTransformer } from '../DynamoDBModelTransformer'
 
 test('Test DynamoDBModelTransformer validation happy case', () => {
@@ -45,7 +46,8 @@ test('Test DynamoDBModelTransformer with query overrides', () => {
     expect(definition).toBeDefined()
     const parsed = parse(definition);
     const createPostInput = getInputType(parsed, 'CreatePostInput')
-    expectFieldsOnInputType(createPostInput, ['id', 'title', 'createdAt', 'updatedAt'])
+    // The timestamps are set by the server.
+    expect(createPostInput.fields.map(f => f.name.value)).toEqual(['id', 'title'])
     // This id should always be optional.
     // aka a named type node aka name.value would not be set if it were a non null node
     const idField = createPostInput.fields.find(f => f.name.value === 'id')
@@ -376,6 +378,281 @@ test('Test DynamoDBModelTransformer with non-model types and enums', () => {
     expect(verifyInputCount(parsed, 'TagInput', 1)).toBeTruthy();
 });
 
+test('Test DynamoDBModelTransformer with table options', () => {
+    const validSchema = `
+    type Session @model(table: {
+        timeToLiveAttribute: "expiresAt",
+        pointInTimeRecovery: true,
+        streamViewType: KEYS_ONLY,
+        deletionPolicy: Retain,
+        tags: [{ key: "tier", value: "hot" }]
+    }) {
+        id: ID!
+        expiresAt: AWSTimestamp
+    }
+    type Post @model {
+        id: ID!
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const sessionTable = out.stacks.Session.Resources.SessionTable
+    expect(sessionTable.DeletionPolicy).toEqual('Retain')
+    expect(sessionTable.Properties.TimeToLiveSpecification).toEqual({ AttributeName: 'expiresAt', Enabled: true })
+    expect(sessionTable.Properties.PointInTimeRecoverySpecification).toEqual({ PointInTimeRecoveryEnabled: true })
+    expect(sessionTable.Properties.StreamSpecification).toEqual({ StreamViewType: 'KEYS_ONLY' })
+    expect(sessionTable.Properties.Tags).toEqual([{ Key: 'tier', Value: 'hot' }])
+
+    const postTable = out.stacks.Post.Resources.PostTable
+    expect(postTable.DeletionPolicy).toBeUndefined()
+    expect(postTable.Properties.TimeToLiveSpecification).toBeUndefined()
+    expect(postTable.Properties.StreamSpecification).toEqual({ StreamViewType: 'NEW_AND_OLD_IMAGES' })
+    expect(out.schema).not.toContain('ModelTableConfig')
+});
+
+test('Test DynamoDBModelTransformer rejects invalid time to live attributes', () => {
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    expect(() => transformer.transform(`type Session @model(table: { timeToLiveAttribute: "ttl" }) { id: ID! }`))
+        .toThrow('The timeToLiveAttribute "ttl" does not exist on type "Session".')
+    expect(() => transformer.transform(`type Session @model(table: { timeToLiveAttribute: "ttl" }) { id: ID! ttl: String }`))
+        .toThrow('The timeToLiveAttribute "Session.ttl" must be of type Int or AWSTimestamp.')
+    // CloudFormation cannot snapshot a DynamoDB table when it is deleted.
+    expect(() => transformer.transform(`type Session @model(table: { deletionPolicy: Snapshot }) { id: ID! }`))
+        .toThrow(/Expected type ModelDeletionPolicy/)
+});
+
+test('Test DynamoDBModelTransformer with batch operations', () => {
+    const validSchema = `
+    type Post @model(batch: { create: "batchCreatePost", delete: "batchDeletePost", get: "batchGetPost" }) {
+        id: ID!
+        title: String!
+    }
+    type Comment @model {
+        id: ID!
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const definition = out.schema
+    expect(definition).toBeDefined()
+    const parsed = parse(definition);
+    const mutationType = getObjectType(parsed, 'Mutation')
+    expectFields(mutationType, ['batchCreatePost', 'batchDeletePost'])
+    doNotExpectFields(mutationType, ['batchCreateComment', 'batchDeleteComment'])
+    expect(print(getFieldOnObjectType(mutationType, 'batchCreatePost').arguments[0].type)).toEqual('[CreatePostInput!]!')
+    expect(print(getFieldOnObjectType(mutationType, 'batchDeletePost').type)).toEqual('ModelPostBatchDeleteResult')
+    const queryType = getObjectType(parsed, 'Query')
+    expect(print(getFieldOnObjectType(queryType, 'batchGetPost').arguments[0].type)).toEqual('[ModelPostKeyInput!]!')
+    expectFields(getObjectType(parsed, 'ModelPostBatchResult'), ['items', 'unprocessedItems'])
+    expectFieldsOnInputType(getInputType(parsed, 'ModelPostKeyInput'), ['id'])
+
+    // Batch operations address the table by name.
+    const resolver = out.stacks.Post.Resources.BatchCreatePostResolver
+    const [template, variables] = resolver.Properties.RequestMappingTemplate['Fn::Sub']
+    expect(template).toContain('"operation": "BatchPutItem"')
+    expect(template).toContain('"${tableName}": $util.toJson($batchItems)')
+    expect(variables).toEqual({ tableName: { Ref: 'PostTable' } })
+    expect(out.stacks.Post.Resources.BatchGetPostResolver.Properties.ResponseMappingTemplate['Fn::Sub'][0])
+        .toContain('$ctx.result.unprocessedKeys.get("${tableName}")')
+    expect(out.stacks.Post.Resources.BatchDeletePostResolver).toBeDefined()
+    expect(out.stacks.Comment.Resources.BatchCreateCommentResolver).toBeUndefined()
+});
+
+test('Test DynamoDBModelTransformer with conditional update and delete mutations', () => {
+    const validSchema = `
+    type Order @model {
+        id: ID!
+        status: OrderStatus
+        total: Int
+    }
+    enum OrderStatus { PENDING CANCELLED }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const parsed = parse(out.schema);
+    const mutationType = getObjectType(parsed, 'Mutation')
+    expect(print(getFieldOnObjectType(mutationType, 'updateOrder').arguments[1])).toEqual('condition: ModelOrderConditionInput')
+    expect(print(getFieldOnObjectType(mutationType, 'deleteOrder').arguments[1])).toEqual('condition: ModelOrderConditionInput')
+    expect(getFieldOnObjectType(mutationType, 'createOrder').arguments).toHaveLength(1)
+    const conditionInput = getInputType(parsed, 'ModelOrderConditionInput')
+    expectFieldsOnInputType(conditionInput, ['id', 'status', 'total', 'and', 'or', 'not'])
+    expect(print(getFieldOnInputType(conditionInput, 'status').type)).toEqual('ModelOrderStatusFilterInput')
+    expect(print(getFieldOnInputType(conditionInput, 'and').type)).toEqual('[ModelOrderConditionInput]')
+
+    // The condition is combined with the key condition of the request.
+    const request = renderTemplate(out.resolvers['Mutation.deleteOrder.req.vtl'], {
+        arguments: { input: { id: '1' }, condition: { status: { eq: 'PENDING' } } }
+    })
+    expect(request.errors).toEqual([])
+    expect(JSON.parse(request.output).condition).toEqual({
+        expression: '(attribute_exists(#id)) AND ((#status = :conditionValue1))',
+        expressionNames: { '#id': 'id', '#status': 'status' },
+        expressionValues: { ':conditionValue1': { S: 'PENDING' } }
+    })
+    const update = renderTemplate(out.resolvers['Mutation.updateOrder.req.vtl'], {
+        arguments: { input: { id: '1', status: 'CANCELLED' } }
+    })
+    expect(JSON.parse(update.output).condition.expression).toEqual('attribute_exists(#id)')
+});
+
+test('Test DynamoDBModelTransformer list queries the table when the filter pins its key', () => {
+    const validSchema = `
+    type Post @model {
+        id: ID!
+        title: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const listTemplate = out.resolvers['Query.listPosts.req.vtl']
+    const query = JSON.parse(renderTemplate(listTemplate, {
+        arguments: { filter: { id: { eq: '1' }, title: { beginsWith: 'a' } } }
+    }).output)
+    expect(query.operation).toEqual('Query')
+    expect(query.index).toBeUndefined()
+    expect(query.query.expressionNames).toEqual({ '#hashKey': 'id' })
+    expect(query.filter.expressionNames).toEqual({ '#title': 'title' })
+    const scan = JSON.parse(renderTemplate(listTemplate, {
+        arguments: { filter: { title: { eq: 'a' } } }
+    }).output)
+    expect(scan.operation).toEqual('Scan')
+});
+
+test('Test DynamoDBModelTransformer with renamed and disabled timestamps', () => {
+    const validSchema = `
+    type Post @model(timestamps: { createdAt: "publishedOn" }, batch: { create: "batchCreatePost" }) {
+        id: ID!
+        title: String
+        publishedOn: AWSDateTime!
+        updatedAt: AWSDateTime
+    }
+    type Comment @model(timestamps: { updatedAt: null }) {
+        id: ID!
+        updatedAt: AWSDateTime
+    }
+    type Draft @model(timestamps: null) {
+        id: ID!
+        createdAt: AWSDateTime
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const parsed = parse(out.schema)
+    expect(getInputType(parsed, 'CreatePostInput').fields.map(f => f.name.value)).toEqual(['id', 'title'])
+    expect(getInputType(parsed, 'UpdatePostInput').fields.map(f => f.name.value)).toEqual(['id', 'title'])
+    expect(getInputType(parsed, 'CreateCommentInput').fields.map(f => f.name.value)).toEqual(['id', 'updatedAt'])
+    expect(getInputType(parsed, 'CreateDraftInput').fields.map(f => f.name.value)).toEqual(['id', 'createdAt'])
+
+    // Timestamps the client sends are overwritten.
+    const create = renderTemplate(out.resolvers['Mutation.createPost.req.vtl'], {
+        arguments: { input: { title: 'Hello', updatedAt: '2019-01-01T00:00:00.000Z' } }
+    })
+    const attributes = JSON.parse(create.output).attributeValues
+    expect(attributes.publishedOn.S).toMatch(/^\d{4}-\d{2}-\d{2}T/)
+    expect(attributes.updatedAt.S).toEqual(attributes.publishedOn.S)
+    expect(attributes.createdAt).toBeUndefined()
+    expect(out.resolvers['Mutation.updatePost.req.vtl']).toContain('$ctx.args.input.put("updatedAt", $util.time.nowISO8601())')
+    expect(out.stacks.Post.Resources.BatchCreatePostResolver.Properties.RequestMappingTemplate['Fn::Sub'][0])
+        .toContain('$item.put("publishedOn", $util.time.nowISO8601())')
+    expect(out.resolvers['Mutation.createComment.req.vtl']).toContain('"createdAt"')
+    expect(out.resolvers['Mutation.updateComment.req.vtl']).not.toContain('$util.time.nowISO8601()')
+    expect(out.resolvers['Mutation.createDraft.req.vtl']).not.toContain('$util.time.nowISO8601()')
+
+    expect(() => transformer.transform(`type Post @model(timestamps: { createdAt: "stamp" }) { id: ID! stamp: Int }`))
+        .toThrow('The timestamp field "Post.stamp" must be of type AWSDateTime or String.')
+    expect(() => transformer.transform(`type Post @model(timestamps: { createdAt: "stamp", updatedAt: "stamp" }) { id: ID! }`))
+        .toThrow('The createdAt and updatedAt timestamps of type "Post" must be different fields.')
+});
+
+test('Test DynamoDBModelTransformer with soft deletes', () => {
+    const validSchema = `
+    type Post @model(softDelete: { restore: "undeletePost", expiresAfter: 86400 }, table: { timeToLiveAttribute: "expiresAt" }) {
+        id: ID!
+        title: String
+        deletedAt: AWSDateTime
+        expiresAt: AWSTimestamp
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const parsed = parse(out.schema)
+    const mutationType = getObjectType(parsed, 'Mutation')
+    expectFields(mutationType, ['deletePost', 'undeletePost'])
+    expect(print(getFieldOnObjectType(mutationType, 'undeletePost').arguments[0].type)).toEqual('RestorePostInput!')
+    expectFieldsOnInputType(getInputType(parsed, 'RestorePostInput'), ['id'])
+    expect(getInputType(parsed, 'CreatePostInput').fields.map(f => f.name.value)).toEqual(['id', 'title', 'expiresAt'])
+    const queryType = getObjectType(parsed, 'Query')
+    expect(getFieldOnObjectType(queryType, 'getPost').arguments.map(a => a.name.value)).toEqual(['id', 'includeDeleted'])
+    expect(getFieldOnObjectType(queryType, 'listPosts').arguments.map(a => a.name.value))
+        .toEqual(['filter', 'limit', 'nextToken', 'includeDeleted'])
+
+    const deleteRequest = JSON.parse(renderTemplate(out.resolvers['Mutation.deletePost.req.vtl'], {
+        arguments: { input: { id: '1' } }
+    }).output)
+    expect(deleteRequest.operation).toEqual('UpdateItem')
+    expect(deleteRequest.key).toEqual({ id: { S: '1' } })
+    expect(deleteRequest.condition.expression).toEqual('attribute_exists(#id) AND attribute_not_exists(#_deleted)')
+    expect(deleteRequest.update.expression).toEqual('SET #_deleted = :_deleted, #deletedAt = :deletedAt, #expiresAt = :expiresAt')
+    expect(deleteRequest.update.expressionValues[':_deleted']).toEqual({ BOOL: true })
+    const expiresAt = Number(deleteRequest.update.expressionValues[':expiresAt'].N)
+    expect(expiresAt - Math.floor(Date.now() / 1000)).toBeGreaterThan(86390)
+
+    const restoreRequest = JSON.parse(renderTemplate(out.resolvers['Mutation.undeletePost.req.vtl'], {
+        arguments: { input: { id: '1' } }
+    }).output)
+    expect(restoreRequest.operation).toEqual('UpdateItem')
+    expect(restoreRequest.condition.expression).toEqual('attribute_exists(#id) AND attribute_exists(#_deleted)')
+    expect(restoreRequest.update.expression.trim()).toEqual('REMOVE #_deleted, #deletedAt, #expiresAt')
+
+    const getResponse = out.resolvers['Query.getPost.res.vtl']
+    const deletedPost = { id: '1', _deleted: true }
+    expect(renderTemplate(getResponse, { arguments: { id: '1' }, result: deletedPost }).output.trim()).toEqual('null')
+    expect(JSON.parse(renderTemplate(getResponse, { arguments: { id: '1', includeDeleted: true }, result: deletedPost }).output))
+        .toEqual(deletedPost)
+
+    const listTemplate = out.resolvers['Query.listPosts.req.vtl']
+    const scan = JSON.parse(renderTemplate(listTemplate, { arguments: {} }).output)
+    expect(scan.filter).toEqual({ expression: 'attribute_not_exists(#_deleted)', expressionNames: { '#_deleted': '_deleted' } })
+    const filtered = JSON.parse(renderTemplate(listTemplate, { arguments: { filter: { title: { eq: 'a' } } } }).output)
+    expect(filtered.filter.expression).toMatch(/^\(.+\) AND attribute_not_exists\(#_deleted\)$/)
+    expect(filtered.filter.expressionNames).toEqual({ '#title': 'title', '#_deleted': '_deleted' })
+    const withDeleted = JSON.parse(renderTemplate(listTemplate, { arguments: { includeDeleted: true } }).output)
+    expect(withDeleted.filter).toBeNull()
+
+    expect(() => transformer.transform(`type Post @model(softDelete: { expiresAfter: 60 }) { id: ID! }`))
+        .toThrow(`The soft deletes of type "Post" expire through the table's timeToLiveAttribute which is not set.`)
+    expect(() => transformer.transform(`type Post @model(softDelete: {}, batch: { delete: "batchDeletePost" }) { id: ID! }`))
+        .toThrow('Type "Post" with soft deletes may not have a batch delete operation.')
+});
+
 function expectFields(type: ObjectTypeDefinitionNode, fields: string[]) {
     for (const fieldName of fields) {
         const foundField = type.fields.find((f: FieldDefinitionNode) => f.name.value === fieldName)
@@ -6,14 +6,15 @@ import {
 } from 'graphql'
 import {
     wrapNonNull, unwrapNonNull, makeNamedType, toUpper, graphqlName, makeListType,
-    isScalar, getBaseType, blankObjectExtension, extensionWithFields, makeField,
+    isScalar, getBaseType, blankObject, blankObjectExtension, extensionWithFields, makeField,
     makeInputValueDefinition,
     ModelResourceIDs,
     makeDirective,
     makeArgument,
     makeValueNode,
     withNamedNodeNamed,
-    isListType
+    isListType,
+    getDirectiveArgument
 } from 'graphql-transformer-common'
 import { TransformerContext } from 'graphql-transformer-core';
 
@@ -22,6 +23,8 @@ const ID_CONDITIONS = ['ne', 'eq', 'le', 'lt', 'ge', 'gt', 'contains', 'notConta
 const INT_CONDITIONS = ['ne', 'eq', 'le', 'lt', 'ge', 'gt', 'contains', 'notContains', 'between']
 const FLOAT_CONDITIONS = ['ne', 'eq', 'le', 'lt', 'ge', 'gt', 'contains', 'notContains', 'between']
 const BOOLEAN_CONDITIONS = ['ne', 'eq']
+const STRING_KEY_CONDITIONS = ['eq', 'le', 'lt', 'ge', 'gt', 'between', 'beginsWith']
+const NUMERIC_KEY_CONDITIONS = ['eq', 'le', 'lt', 'ge', 'gt', 'between']
 
 export function getNonModelObjectArray(
     obj: ObjectTypeDefinitionNode,
@@ -106,12 +109,16 @@ export function makeNonModelInputObject(
 export function makeCreateInputObject(
     obj: ObjectTypeDefinitionNode,
     nonModelTypes: ObjectTypeDefinitionNode[],
-    ctx: TransformerContext
+    ctx: TransformerContext,
+    serverManagedFields: string[] = []
 ): InputObjectTypeDefinitionNode {
     const name = ModelResourceIDs.ModelCreateInputObjectName(obj.name.value)
     const fields: InputValueDefinitionNode[] = obj.fields
         .filter((field: FieldDefinitionNode) => {
             const fieldType = ctx.getType(getBaseType(field.type))
+            if (serverManagedFields.indexOf(field.name.value) !== -1) {
+                return false
+            }
             if (
                 isScalar(field.type) ||
                 nonModelTypes.find(e => e.name.value === getBaseType(field.type)) ||
@@ -138,6 +145,10 @@ export function makeCreateInputObject(
                     type = nonModelTypes.find(e => e.name.value === getBaseType(field.type)) ?
                         withNamedNodeNamed(field.type, ModelResourceIDs.NonModelInputObjectName(getBaseType(field.type))) :
                         field.type
+                    // Fields with a @default value are given one when left out.
+                    if (field.directives.find(d => d.name.value === 'default')) {
+                        type = unwrapNonNull(type)
+                    }
                 }
                 return {
                     kind: Kind.INPUT_VALUE_DEFINITION,
@@ -168,12 +179,16 @@ export function makeCreateInputObject(
 export function makeUpdateInputObject(
     obj: ObjectTypeDefinitionNode,
     nonModelTypes: ObjectTypeDefinitionNode[],
-    ctx: TransformerContext
+    ctx: TransformerContext,
+    serverManagedFields: string[] = []
 ): InputObjectTypeDefinitionNode {
     const name = ModelResourceIDs.ModelUpdateInputObjectName(obj.name.value)
     const fields: InputValueDefinitionNode[] = obj.fields
         .filter(f => {
             const fieldType = ctx.getType(getBaseType(f.type))
+            if (serverManagedFields.indexOf(f.name.value) !== -1) {
+                return false
+            }
             if (
                 isScalar(f.type) ||
                 nonModelTypes.find(e => e.name.value === getBaseType(f.type)) ||
@@ -249,11 +264,77 @@ export function makeDeleteInputObject(obj: ObjectTypeDefinitionNode): InputObjec
     }
 }
 
+/**
+ * The key of the soft deleted item a restore mutation restores. The @key transformer
+ * replaces the fields when the type has a custom primary key.
+ */
+export function makeRestoreInputObject(obj: ObjectTypeDefinitionNode): InputObjectTypeDefinitionNode {
+    return {
+        kind: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: ModelResourceIDs.ModelRestoreInputObjectName(obj.name.value)
+        },
+        fields: [makeInputValueDefinition('id', wrapNonNull(makeNamedType('ID')))],
+        directives: []
+    }
+}
+
+/**
+ * Whether the @model directive of a type turns on soft deletes.
+ */
+export function hasSoftDeletes(obj: ObjectTypeDefinitionNode): boolean {
+    const modelDirective = obj.directives.find(d => d.name.value === 'model')
+    return Boolean(modelDirective && getDirectiveArgument(modelDirective)('softDelete'))
+}
+
+/**
+ * Fields that read a type with soft deletes return soft deleted items only when this
+ * argument is true.
+ */
+export function makeIncludeDeletedArgument(): InputValueDefinitionNode {
+    return makeInputValueDefinition('includeDeleted', makeNamedType('Boolean'))
+}
+
+/**
+ * The key of an item addressed by batch get and batch delete operations. The
+ * @key transformer replaces the fields when the type has a custom primary key.
+ */
+export function makeModelKeyInputObject(obj: ObjectTypeDefinitionNode): InputObjectTypeDefinitionNode {
+    return {
+        kind: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: ModelResourceIDs.ModelKeyInputObjectName(obj.name.value)
+        },
+        fields: [makeInputValueDefinition('id', wrapNonNull(makeNamedType('ID')))],
+        directives: []
+    }
+}
+
 export function makeModelXFilterInputObject(
     obj: ObjectTypeDefinitionNode,
     ctx: TransformerContext
 ): InputObjectTypeDefinitionNode {
-    const name = ModelResourceIDs.ModelFilterInputTypeName(obj.name.value)
+    return makeModelXConditionalInputObject(ModelResourceIDs.ModelFilterInputTypeName(obj.name.value), obj, ctx)
+}
+
+/**
+ * The condition input of update and delete mutations. It accepts the same conditions
+ * as the filter input and is translated into a DynamoDB condition expression.
+ */
+export function makeModelXConditionInputObject(
+    obj: ObjectTypeDefinitionNode,
+    ctx: TransformerContext
+): InputObjectTypeDefinitionNode {
+    return makeModelXConditionalInputObject(ModelResourceIDs.ModelConditionInputTypeName(obj.name.value), obj, ctx)
+}
+
+function makeModelXConditionalInputObject(
+    name: string,
+    obj: ObjectTypeDefinitionNode,
+    ctx: TransformerContext
+): InputObjectTypeDefinitionNode {
     const fields: InputValueDefinitionNode[] = obj.fields
         .filter((field: FieldDefinitionNode) => {
             const fieldType = ctx.getType(getBaseType(field.type))
@@ -460,6 +541,28 @@ export function makeModelScalarFilterInputObject(type: string): InputObjectTypeD
     }
 }
 
+/**
+ * The sort key conditions of a query. DynamoDB accepts a single condition on the sort key
+ * of a query so the resolver rejects inputs that set more than one.
+ * @param type The String, ID, Int or Float type of the sort key.
+ */
+export function makeModelScalarKeyConditionInputObject(type: string): InputObjectTypeDefinitionNode {
+    const name = ModelResourceIDs.ModelKeyConditionInputTypeName(type)
+    const conditions = type === 'Int' || type === 'Float' ? NUMERIC_KEY_CONDITIONS : STRING_KEY_CONDITIONS
+    return {
+        kind: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: name
+        },
+        fields: conditions.map(condition => makeInputValueDefinition(
+            condition,
+            condition === 'between' ? makeListType(makeNamedType(type)) : makeNamedType(type)
+        )),
+        directives: []
+    }
+}
+
 function getScalarFilterInputType(condition: string, type: string, filterInputName: string): TypeNode {
     switch (condition) {
         case 'between':
@@ -511,6 +614,34 @@ export function makeModelConnectionType(typeName: string): ObjectTypeExtensionNo
     return connectionTypeExtension
 }
 
+/**
+ * The result of batch create and batch get operations. Items that DynamoDB did not
+ * process, or the keys of items it did not read, are returned as JSON so that they
+ * can be retried.
+ */
+export function makeModelBatchResultType(typeName: string): ObjectTypeDefinitionNode {
+    return {
+        ...blankObject(ModelResourceIDs.ModelBatchResultTypeName(typeName)),
+        fields: [
+            makeField('items', [], makeListType(makeNamedType(typeName))),
+            makeField('unprocessedItems', [], makeListType(makeNamedType('AWSJSON')))
+        ]
+    }
+}
+
+/**
+ * The result of batch delete operations. DynamoDB only returns the keys of deleted items.
+ */
+export function makeModelBatchDeleteResultType(typeName: string): ObjectTypeDefinitionNode {
+    return {
+        ...blankObject(ModelResourceIDs.ModelBatchDeleteResultTypeName(typeName)),
+        fields: [
+            makeField('keys', [], makeListType(makeNamedType('AWSJSON'))),
+            makeField('unprocessedKeys', [], makeListType(makeNamedType('AWSJSON')))
+        ]
+    }
+}
+
 export function makeSubscriptionField(fieldName: string, returnTypeName: string, mutations: string[]): FieldDefinitionNode {
     return makeField(
         fieldName,
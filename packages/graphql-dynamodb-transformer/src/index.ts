@@ -1,4 +1,6 @@
 import { DynamoDBModelTransformer } from './DynamoDBModelTransformer'
 export * from './DynamoDBModelTransformer'
+export * from './DefaultValueTransformer'
 export default DynamoDBModelTransformer
-export * from './definitions'
\ No newline at end of file
+export * from './definitions'
+export { ResourceFactory as ModelResourceFactory } from './resources'
@@ -1,12 +1,66 @@
 import { DynamoDB, AppSync, IAM, Template, Fn, StringParameter, NumberParameter, Refs, IntrinsicFunction } from 'cloudform-types'
+import Table, {
+    GlobalSecondaryIndex, LocalSecondaryIndex, KeySchema, Projection
+} from 'cloudform-types/types/dynamoDb/table'
 import Output from 'cloudform-types/types/output';
+import { DeletionPolicy } from 'cloudform-types/types/resource';
 import {
     DynamoDBMappingTemplate, printBlock, str, print,
-    ref, obj, set, nul,
-    ifElse, compoundExpression, qref, bool, equals, iff, raw, comment
+    ref, obj, set, nul, list,
+    ifElse, compoundExpression, qref, bool, equals, iff, raw, comment, forEach, and, not, Expression
 } from 'graphql-mapping-template'
 import { ResourceConstants, plurality, graphqlName, toUpper, ModelResourceIDs } from 'graphql-transformer-common'
 
+/**
+ * The table options of a @model type.
+ */
+export interface ModelTableConfig {
+    // A Number attribute holding the epoch time in seconds after which DynamoDB deletes an item.
+    timeToLiveAttribute?: string
+    pointInTimeRecovery?: boolean
+    streamViewType?: string
+    deletionPolicy?: string
+    tags?: { key: string, value: string }[]
+}
+
+/**
+ * The names of the fields the create and update mutations set to the current time.
+ * A timestamp without a name is not set.
+ */
+export interface ModelTimestampConfig {
+    createdAt?: string
+    updatedAt?: string
+}
+
+/**
+ * Soft deletes keep an item in the table and mark it with these attributes.
+ */
+export const SOFT_DELETE_ATTRIBUTES = { deleted: '_deleted', deletedAt: 'deletedAt' }
+
+/**
+ * The soft delete options of a @model type.
+ */
+export interface ModelSoftDeleteConfig {
+    // The name of the mutation that restores a soft deleted item.
+    restore?: string
+    // The number of seconds after a soft delete at which DynamoDB deletes the item.
+    expiresAfter?: number
+}
+
+/**
+ * Batch operations address their table by name. The request and response templates of
+ * batch resolvers refer to the table with this Fn::Sub variable until the table name is
+ * substituted by makeBatchMappingTemplate.
+ */
+const BATCH_TABLE_NAME_VARIABLE = 'tableName'
+const BATCH_TABLE_NAME = '${' + BATCH_TABLE_NAME_VARIABLE + '}'
+
+/**
+ * The operators DynamoDB accepts in the sort key condition of a query.
+ */
+const SORT_KEY_OPERATORS = { eq: '=', le: '<=', lt: '<', ge: '>=', gt: '>' }
+const SORT_KEY_CONDITIONS = [...Object.keys(SORT_KEY_OPERATORS), 'beginsWith', 'between']
+
 export class ResourceFactory {
 
     public makeParams() {
@@ -140,7 +194,7 @@ export class ResourceFactory {
     /**
      * Create a DynamoDB table for a specific type.
      */
-    public makeModelTable(typeName: string, hashKey: string = 'id', rangeKey?: string) {
+    public makeModelTable(typeName: string, hashKey: string = 'id', rangeKey?: string, config: ModelTableConfig = {}) {
         const keySchema = hashKey && rangeKey ? [
             {
                 AttributeName: hashKey,
@@ -157,12 +211,12 @@ export class ResourceFactory {
                 AttributeName: rangeKey,
                 AttributeType: 'S'
             }] : [{ AttributeName: hashKey, AttributeType: 'S' }]
-        return new DynamoDB.Table({
+        const table = new DynamoDB.Table({
             TableName: this.dynamoDBTableName(typeName),
             KeySchema: keySchema,
             AttributeDefinitions: attributeDefinitions,
             StreamSpecification: {
-                StreamViewType: 'NEW_AND_OLD_IMAGES'
+                StreamViewType: config.streamViewType || 'NEW_AND_OLD_IMAGES'
             },
             BillingMode: Fn.If(
                 ResourceConstants.CONDITIONS.ShouldUsePayPerRequestBilling,
@@ -181,6 +235,24 @@ export class ResourceFactory {
                 SSEEnabled: true
             },
         })
+        if (config.timeToLiveAttribute) {
+            table.Properties.TimeToLiveSpecification = {
+                AttributeName: config.timeToLiveAttribute,
+                Enabled: true
+            }
+        }
+        if (config.pointInTimeRecovery !== undefined && config.pointInTimeRecovery !== null) {
+            table.Properties.PointInTimeRecoverySpecification = {
+                PointInTimeRecoveryEnabled: config.pointInTimeRecovery
+            }
+        }
+        if (config.tags && config.tags.length > 0) {
+            table.Properties.Tags = config.tags.map(tag => ({ Key: tag.key, Value: tag.value }))
+        }
+        if (config.deletionPolicy) {
+            table.deletionPolicy(config.deletionPolicy as DeletionPolicy)
+        }
+        return table
     }
 
     private dynamoDBTableName(typeName: string): IntrinsicFunction {
@@ -298,20 +370,20 @@ export class ResourceFactory {
             TypeName: mutationTypeName,
             RequestMappingTemplate: printBlock('Prepare DynamoDB PutItem Request')(
                 compoundExpression([
-                    qref('$context.args.input.put("createdAt", $util.time.nowISO8601())'),
-                    qref('$context.args.input.put("updatedAt", $util.time.nowISO8601())'),
                     qref(`$context.args.input.put("__typename", "${type}")`),
+                    this.makeKeyCondition('attribute_not_exists'),
+                    set(ref('condition'), ref('keyCondition')),
                     DynamoDBMappingTemplate.putItem({
-                        key: obj({
-                            id: raw(`$util.dynamodb.toDynamoDBJson($util.defaultIfNullOrBlank($ctx.args.input.id, $util.autoId()))`)
-                        }),
+                        key: ifElse(
+                            ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+                            raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelObjectKey})`),
+                            obj({
+                                id: raw(`$util.dynamodb.toDynamoDBJson($util.defaultIfNullOrBlank($ctx.args.input.id, $util.autoId()))`)
+                            }),
+                            true
+                        ),
                         attributeValues: ref('util.dynamodb.toMapValuesJson($context.args.input)'),
-                        condition: obj({
-                            expression: str(`attribute_not_exists(#id)`),
-                            expressionNames: obj({
-                                "#id": str('id')
-                            })
-                        })
+                        condition: ref('util.toJson($condition)')
                     }),
                 ])
             ),
@@ -330,23 +402,20 @@ export class ResourceFactory {
             TypeName: mutationTypeName,
             RequestMappingTemplate: print(
                 compoundExpression([
+                    this.makeKeyCondition('attribute_exists'),
                     ifElse(
                         raw(`$${ResourceConstants.SNIPPETS.AuthCondition} && $${ResourceConstants.SNIPPETS.AuthCondition}.expression != ""`),
                         compoundExpression([
                             set(ref('condition'), ref(ResourceConstants.SNIPPETS.AuthCondition)),
-                            qref('$condition.put("expression", "$condition.expression AND attribute_exists(#id)")'),
-                            qref('$condition.expressionNames.put("#id", "id")')
+                            qref('$condition.put("expression", "$condition.expression AND $keyCondition.expression")'),
+                            qref('$condition.expressionNames.putAll($keyCondition.expressionNames)')
                         ]),
                         set(ref('condition'), obj({
-                            expression: str("attribute_exists(#id)"),
-                            expressionNames: obj({
-                                "#id": str("id")
-                            }),
+                            expression: str('$keyCondition.expression'),
+                            expressionNames: ref('keyCondition.expressionNames'),
                             expressionValues: obj({}),
                         }))
                     ),
-                    comment('Automatically set the updatedAt timestamp.'),
-                    qref('$context.args.input.put("updatedAt", $util.time.nowISO8601())'),
                     qref(`$context.args.input.put("__typename", "${type}")`),
                     comment('Update condition if type is @versioned'),
                     iff(
@@ -355,14 +424,24 @@ export class ResourceFactory {
                             // tslint:disable-next-line
                             qref(`$condition.put("expression", "($condition.expression) AND $${ResourceConstants.SNIPPETS.VersionedCondition}.expression")`),
                             qref(`$condition.expressionNames.putAll($${ResourceConstants.SNIPPETS.VersionedCondition}.expressionNames)`),
-                            qref(`$condition.expressionValues.putAll($${ResourceConstants.SNIPPETS.VersionedCondition}.expressionValues)`)
+                            qref(`$condition.expressionValues.putAll($${ResourceConstants.SNIPPETS.VersionedCondition}.expressionValues)`),
+                            this.makeConflictHandler()
                         ])
                     ),
+                    this.makeConditionArgument(),
                     DynamoDBMappingTemplate.updateItem({
-                        key: obj({
-                            id: obj({ S: str('$context.args.input.id') })
-                        }),
-                        condition: ref('util.toJson($condition)')
+                        key: ifElse(
+                            ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+                            raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelObjectKey})`),
+                            obj({
+                                id: obj({ S: str('$context.args.input.id') })
+                            }),
+                            true
+                        ),
+                        condition: ref('util.toJson($condition)'),
+                        objectKeyVariable: ResourceConstants.SNIPPETS.ModelObjectKey,
+                        addValuesVariable: ResourceConstants.SNIPPETS.VersionedIncrement,
+                        setExpressionsVariable: ResourceConstants.SNIPPETS.VersionedSet
                     })
                 ])
             ),
@@ -373,10 +452,12 @@ export class ResourceFactory {
     }
 
     /**
-     * Create a resolver that creates an item in DynamoDB.
+     * Create a resolver that gets an item from DynamoDB.
      * @param type
+     * @param softDelete When true, soft deleted items are returned as null unless the
+     * includeDeleted argument is true.
      */
-    public makeGetResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query') {
+    public makeGetResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query', softDelete: boolean = false) {
         const fieldName = nameOverride ? nameOverride : graphqlName('get' + toUpper(type))
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -385,22 +466,46 @@ export class ResourceFactory {
             TypeName: queryTypeName,
             RequestMappingTemplate: print(
                 DynamoDBMappingTemplate.getItem({
-                    key: obj({
-                        id: ref('util.dynamodb.toDynamoDBJson($ctx.args.id)')
-                    })
+                    key: ifElse(
+                        ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+                        raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelObjectKey})`),
+                        obj({
+                            id: ref('util.dynamodb.toDynamoDBJson($ctx.args.id)')
+                        }),
+                        true
+                    )
                 })
             ),
             ResponseMappingTemplate: print(
-                ref('util.toJson($context.result)')
+                softDelete ? this.makeSoftDeleteResponse() : ref('util.toJson($context.result)')
             )
         })
     }
 
     /**
-     * Create a resolver that queries an item in DynamoDB.
+     * Returns the item got by the request, or null when it is soft deleted and the
+     * includeDeleted argument is not true.
+     */
+    public makeSoftDeleteResponse(): Expression {
+        return ifElse(
+            raw(`$context.result && $context.result.${SOFT_DELETE_ATTRIBUTES.deleted} && !$context.args.includeDeleted`),
+            raw('null'),
+            ref('util.toJson($context.result)')
+        )
+    }
+
+    /**
+     * Create a resolver that queries items in DynamoDB. The key condition is read from the
+     * $modelQueryExpression variable that must be set by a snippet prepended to this template.
      * @param type
+     * @param nameOverride A user provided override for the field name.
+     * @param queryTypeName The name of the query type.
+     * @param indexName The name of the secondary index to query. The table itself is queried if not provided.
+     * @param softDelete When true, soft deleted items are left out unless the includeDeleted argument is true.
      */
-    public makeQueryResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query') {
+    public makeQueryResolver(
+        type: string, nameOverride?: string, queryTypeName: string = 'Query', indexName?: string, softDelete: boolean = false
+    ) {
         const fieldName = nameOverride ? nameOverride : graphqlName(`query${toUpper(type)}`)
         const defaultPageLimit = 10
         return new AppSync.Resolver({
@@ -411,39 +516,8 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     set(ref('limit'), ref(`util.defaultIfNull($context.args.limit, ${defaultPageLimit})`)),
-                    DynamoDBMappingTemplate.query({
-                        query: obj({
-                            'expression': str('#typename = :typename'),
-                            'expressionNames': obj({
-                                '#typename': str('__typename')
-                            }),
-                            'expressionValues': obj({
-                                ':typename': obj({
-                                    'S': str(type)
-                                })
-                            })
-                        }),
-                        scanIndexForward: ifElse(
-                            ref('context.args.sortDirection'),
-                            ifElse(
-                                equals(ref('context.args.sortDirection'), str('ASC')),
-                                bool(true),
-                                bool(false)
-                            ),
-                            bool(true)
-                        ),
-                        filter: ifElse(
-                            ref('context.args.filter'),
-                            ref('util.transform.toDynamoDBFilterExpression($ctx.args.filter)'),
-                            nul()
-                        ),
-                        limit: ref('limit'),
-                        nextToken: ifElse(
-                            ref('context.args.nextToken'),
-                            str('$context.args.nextToken'),
-                            nul()
-                        )
-                    })
+                    ...(softDelete ? [this.makeSoftDeleteFilter()] : []),
+                    this.makeQueryRequest(indexName, softDelete)
                 ])
             ),
             ResponseMappingTemplate: print(
@@ -455,13 +529,295 @@ export class ResourceFactory {
         })
     }
 
+    private makeQueryRequest(indexName?: string, softDelete: boolean = false) {
+        return DynamoDBMappingTemplate.query({
+            query: raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelQueryExpression})`),
+            scanIndexForward: ifElse(
+                ref('context.args.sortDirection'),
+                ifElse(
+                    equals(ref('context.args.sortDirection'), str('ASC')),
+                    bool(true),
+                    bool(false)
+                ),
+                bool(true)
+            ),
+            filter: this.makeListFilter(softDelete),
+            limit: ref('limit'),
+            nextToken: ifElse(
+                ref('context.args.nextToken'),
+                str('$context.args.nextToken'),
+                nul()
+            ),
+            index: indexName ? str(indexName) : undefined
+        })
+    }
+
+    /**
+     * The filter expression of a list request. The filter of a type with soft deletes is
+     * held by $filter.
+     */
+    public makeListFilter(softDelete: boolean): Expression {
+        return softDelete ?
+            ifElse(ref('filter'), ref('util.toJson($filter)'), nul()) :
+            ifElse(
+                ref('context.args.filter'),
+                ref('util.transform.toDynamoDBFilterExpression($ctx.args.filter)'),
+                nul()
+            )
+    }
 
     /**
-     * Create a resolver that lists items in DynamoDB.
-     * TODO: actually fill out the right filter expression. This is a placeholder only.
+     * Sets $filter to the filter argument and leaves out soft deleted items unless the
+     * includeDeleted argument is true.
+     */
+    public makeSoftDeleteFilter(): Expression {
+        const deletedCondition = `attribute_not_exists(#${SOFT_DELETE_ATTRIBUTES.deleted})`
+        return compoundExpression([
+            set(ref('filter'), nul()),
+            iff(
+                ref('context.args.filter'),
+                set(ref('filter'), ref('util.parseJson($util.transform.toDynamoDBFilterExpression($ctx.args.filter))'))
+            ),
+            iff(
+                not(ref('context.args.includeDeleted')),
+                ifElse(
+                    raw('$filter && !$util.isNullOrEmpty($filter.expression)'),
+                    compoundExpression([
+                        qref(`$filter.put("expression", "($filter.expression) AND ${deletedCondition}")`),
+                        iff(not(ref('filter.expressionNames')), set(ref('filter.expressionNames'), obj({}))),
+                        qref(`$filter.expressionNames.put("#${SOFT_DELETE_ATTRIBUTES.deleted}", "${SOFT_DELETE_ATTRIBUTES.deleted}")`)
+                    ]),
+                    set(ref('filter'), obj({
+                        expression: str(deletedCondition),
+                        expressionNames: obj({
+                            [`#${SOFT_DELETE_ATTRIBUTES.deleted}`]: str(SOFT_DELETE_ATTRIBUTES.deleted)
+                        })
+                    }))
+                )
+            )
+        ])
+    }
+
+    /**
+     * Lists the keys of the table and of its secondary indexes that project all attributes.
+     * The list resolver queries the first of them whose key is pinned by the filter argument.
+     * @param table The table of the @model type.
+     */
+    public makeIndexKeysSnippet(table: Table): string {
+        const keyOf = (keySchema: any) => {
+            const hashKey = (keySchema as KeySchema[]).find(k => k.KeyType === 'HASH')
+            const sortKey = (keySchema as KeySchema[]).find(k => k.KeyType === 'RANGE')
+            return sortKey ?
+                { hashKey: str(hashKey.AttributeName as string), sortKey: str(sortKey.AttributeName as string) } :
+                { hashKey: str(hashKey.AttributeName as string) }
+        }
+        const indexes = [
+            ...(table.Properties.LocalSecondaryIndexes || []) as LocalSecondaryIndex[],
+            ...(table.Properties.GlobalSecondaryIndexes || []) as GlobalSecondaryIndex[]
+        ].filter(index => (index.Projection as Projection).ProjectionType === 'ALL')
+        return printBlock('Set the keys the filter may query')(
+            set(ref(ResourceConstants.SNIPPETS.ModelIndexKeys), list([
+                obj(keyOf(table.Properties.KeySchema)),
+                ...indexes.map(index => obj({ index: str(index.IndexName as string), ...keyOf(index.KeySchema) }))
+            ]))
+        )
+    }
+
+    /**
+     * Sets the timestamp fields of the mutation input to the current time. The snippet is
+     * placed first in the request template so that the snippets of other transformers,
+     * such as the key of the item, see the values the item is written with.
+     * @param fieldNames The names of the timestamp fields.
+     */
+    public makeTimestampsSnippet(fieldNames: string[]): string {
+        return printBlock('Set the timestamps')(
+            compoundExpression(this.makeTimestampExpressions('$ctx.args.input', fieldNames))
+        )
+    }
+
+    private makeTimestampExpressions(item: string, fieldNames: string[]): Expression[] {
+        return fieldNames
+            .filter(fieldName => Boolean(fieldName))
+            .map(fieldName => qref(`${item}.put("${fieldName}", $util.time.nowISO8601())`))
+    }
+
+    /**
+     * Sets $modelQueryExpression when the filter argument pins the key of one of the indexes in
+     * $modelIndexKeys. The hash key must be compared with "eq" and the sort key, when filtered on,
+     * with a single key condition. The key attributes are removed from the filter because DynamoDB
+     * does not accept them in the filter expression of a query.
+     */
+    private makeFilterQueryExpression(): Expression {
+        const queryExpression = ResourceConstants.SNIPPETS.ModelQueryExpression
+        return iff(
+            raw(`!$${queryExpression}.expression && $ctx.args.filter && $${ResourceConstants.SNIPPETS.ModelIndexKeys}`),
+            compoundExpression([
+                comment('Query an index when the filter pins its key.'),
+                set(ref('sortKeyConditions'), list(SORT_KEY_CONDITIONS.map(condition => str(condition)))),
+                forEach(ref('indexKey'), ref(ResourceConstants.SNIPPETS.ModelIndexKeys), [
+                    set(ref('hashKeyFilter'), ref('util.defaultIfNull($ctx.args.filter.get($indexKey.hashKey), {})')),
+                    set(ref('sortKeyFilter'), ref('util.defaultIfNull($ctx.args.filter.get($indexKey.sortKey), {})')),
+                    iff(
+                        raw('!$filterIndexKey && $hashKeyFilter.size() == 1 && !$util.isNull($hashKeyFilter.eq) && $sortKeyFilter.size() <= 1'),
+                        ifElse(
+                            raw('$sortKeyFilter.isEmpty()'),
+                            set(ref('filterIndexKey'), ref('indexKey')),
+                            forEach(ref('entry'), ref('sortKeyFilter.entrySet()'), [
+                                iff(raw('$sortKeyConditions.contains($entry.key)'), set(ref('filterIndexKey'), ref('indexKey')))
+                            ])
+                        )
+                    )
+                ]),
+                iff(
+                    ref('filterIndexKey'),
+                    compoundExpression([
+                        set(ref(queryExpression), obj({
+                            expression: str('#hashKey = :hashKey'),
+                            expressionNames: obj({ '#hashKey': str('$filterIndexKey.hashKey') }),
+                            expressionValues: obj({
+                                ':hashKey': ref('util.dynamodb.toDynamoDB($ctx.args.filter.get($filterIndexKey.hashKey).eq)')
+                            })
+                        })),
+                        set(ref('sortKeyFilter'), ref('util.defaultIfNull($ctx.args.filter.get($filterIndexKey.sortKey), {})')),
+                        this.makeSortKeyCondition('$filterIndexKey.sortKey', 'sortKeyFilter'),
+                        iff(ref('filterIndexKey.index'), set(ref(ResourceConstants.SNIPPETS.ModelQueryIndex), ref('filterIndexKey.index'))),
+                        set(
+                            ref('filter'),
+                            ref('util.map.copyAndRemoveAllKeys($ctx.args.filter, [$filterIndexKey.hashKey, $filterIndexKey.sortKey])')
+                        ),
+                        ifElse(
+                            raw('$filter.isEmpty()'),
+                            qref('$ctx.args.remove("filter")'),
+                            qref('$ctx.args.put("filter", $filter)')
+                        )
+                    ])
+                )
+            ])
+        )
+    }
+
+    /**
+     * Adds a sort key condition to $modelQueryExpression.
+     * @param sortKeyName The name of the sort key attribute. May reference a template variable.
+     * @param conditions The name of a template variable holding a Model<Type>KeyConditionInput.
+     */
+    public makeSortKeyCondition(sortKeyName: string, conditions: string): Expression {
+        const queryExpression = ResourceConstants.SNIPPETS.ModelQueryExpression
+        const addExpression = (expression: string) =>
+            qref(`$${queryExpression}.put("expression", "$${queryExpression}.expression AND ${expression}")`)
+        const addValue = (name: string, value: string) =>
+            qref(`$${queryExpression}.expressionValues.put("${name}", $util.dynamodb.toDynamoDB(${value}))`)
+        return compoundExpression([
+            iff(
+                raw(`$${conditions}.size() > 1`),
+                raw('$util.error("A sort key condition may only set one of eq, le, lt, ge, gt, between and beginsWith.")')
+            ),
+            set(ref('sortKeyOperators'), obj(Object.keys(SORT_KEY_OPERATORS).reduce(
+                (acc, condition) => ({ ...acc, [condition]: str(SORT_KEY_OPERATORS[condition]) }),
+                {}
+            ))),
+            forEach(ref('sortKeyCondition'), ref(`${conditions}.entrySet()`), [
+                qref(`$${queryExpression}.expressionNames.put("#sortKey", "${sortKeyName}")`),
+                ifElse(
+                    raw('$sortKeyCondition.key == "beginsWith"'),
+                    compoundExpression([
+                        addExpression('begins_with(#sortKey, :sortKey)'),
+                        addValue(':sortKey', '$sortKeyCondition.value')
+                    ]),
+                    ifElse(
+                        raw('$sortKeyCondition.key == "between"'),
+                        compoundExpression([
+                            addExpression('#sortKey BETWEEN :sortKey0 AND :sortKey1'),
+                            addValue(':sortKey0', '$sortKeyCondition.value.get(0)'),
+                            addValue(':sortKey1', '$sortKeyCondition.value.get(1)')
+                        ]),
+                        compoundExpression([
+                            set(ref('sortKeyOperator'), ref('sortKeyOperators.get($sortKeyCondition.key)')),
+                            addExpression('#sortKey $sortKeyOperator :sortKey'),
+                            addValue(':sortKey', '$sortKeyCondition.value')
+                        ])
+                    )
+                )
+            ])
+        ])
+    }
+
+    /**
+     * Copies the conditionalCheckFailedHandler of a @versioned condition onto $condition so that
+     * AppSync hands version conflicts to the configured conflict handler.
+     */
+    private makeConflictHandler(): Expression {
+        const handler = `${ResourceConstants.SNIPPETS.VersionedCondition}.conditionalCheckFailedHandler`
+        return iff(
+            ref(handler),
+            qref(`$condition.put("conditionalCheckFailedHandler", $${handler})`)
+        )
+    }
+
+    /**
+     * Adds the condition argument of an update or delete mutation to $condition. The
+     * Model<Type>ConditionInput is translated into a DynamoDB condition expression.
+     */
+    private makeConditionArgument(): Expression {
+        return iff(
+            ref('context.args.condition'),
+            compoundExpression([
+                set(
+                    ref('conditionArgument'),
+                    ref('util.parseJson($util.transform.toDynamoDBConditionExpression($context.args.condition))')
+                ),
+                iff(
+                    ref('conditionArgument'),
+                    compoundExpression([
+                        qref('$condition.put("expression", "($condition.expression) AND ($conditionArgument.expression)")'),
+                        qref('$condition.expressionNames.putAll($conditionArgument.expressionNames)'),
+                        set(ref('expressionValues'), raw('$util.defaultIfNull($condition.expressionValues, {})')),
+                        qref('$expressionValues.putAll($conditionArgument.expressionValues)'),
+                        set(ref('condition.expressionValues'), ref('expressionValues'))
+                    ])
+                )
+            ])
+        )
+    }
+
+    /**
+     * Builds the $keyCondition variable. The condition applies the given function to each
+     * attribute in $modelObjectKey when a custom key is configured and to "id" otherwise.
+     * @param conditionFunction The DynamoDB condition function to apply to each key attribute.
+     */
+    private makeKeyCondition(conditionFunction: string): Expression {
+        return ifElse(
+            ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+            compoundExpression([
+                set(ref('keyCondition'), obj({
+                    expression: str(''),
+                    expressionNames: obj({})
+                })),
+                forEach(ref('entry'), ref(`${ResourceConstants.SNIPPETS.ModelObjectKey}.entrySet()`), [
+                    ifElse(
+                        raw('$foreach.count == 1'),
+                        qref(`$keyCondition.put("expression", "${conditionFunction}(#keyCondition$foreach.count)")`),
+                        // tslint:disable-next-line
+                        qref(`$keyCondition.put("expression", "$keyCondition.expression AND ${conditionFunction}(#keyCondition$foreach.count)")`)
+                    ),
+                    qref('$keyCondition.expressionNames.put("#keyCondition$foreach.count", "$entry.key")')
+                ])
+            ]),
+            set(ref('keyCondition'), obj({
+                expression: str(`${conditionFunction}(#id)`),
+                expressionNames: obj({
+                    "#id": str('id')
+                })
+            }))
+        )
+    }
+
+    /**
+     * Create a resolver that lists items in DynamoDB. The table is scanned unless a
+     * snippet sets $modelQueryExpression to a key condition, in which case it is queried.
      * @param type
      */
-    public makeListResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query') {
+    public makeListResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query', softDelete: boolean = false) {
         const fieldName = nameOverride ? nameOverride : graphqlName('list' + plurality(toUpper(type)))
         const defaultPageLimit = 10
 
@@ -473,19 +829,29 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     set(ref('limit'), ref(`util.defaultIfNull($context.args.limit, ${defaultPageLimit})`)),
-                    DynamoDBMappingTemplate.listItem({
-                        filter: ifElse(
-                            ref('context.args.filter'),
-                            ref('util.transform.toDynamoDBFilterExpression($ctx.args.filter)'),
-                            nul()
+                    this.makeFilterQueryExpression(),
+                    ...(softDelete ? [this.makeSoftDeleteFilter()] : []),
+                    comment('Query the table when a key condition was provided, otherwise scan.'),
+                    ifElse(
+                        and([
+                            ref(ResourceConstants.SNIPPETS.ModelQueryExpression),
+                            not(ref(`util.isNullOrEmpty($${ResourceConstants.SNIPPETS.ModelQueryExpression}.expression)`))
+                        ]),
+                        ifElse(
+                            ref(ResourceConstants.SNIPPETS.ModelQueryIndex),
+                            this.makeQueryRequest(`$${ResourceConstants.SNIPPETS.ModelQueryIndex}`, softDelete),
+                            this.makeQueryRequest(undefined, softDelete)
                         ),
-                        limit: ref('limit'),
-                        nextToken: ifElse(
-                            ref('context.args.nextToken'),
-                            str('$context.args.nextToken'),
-                            nul()
-                        )
-                    })
+                        DynamoDBMappingTemplate.listItem({
+                            filter: this.makeListFilter(softDelete),
+                            limit: ref('limit'),
+                            nextToken: ifElse(
+                                ref('context.args.nextToken'),
+                                str('$context.args.nextToken'),
+                                nul()
+                            )
+                        })
+                    )
                 ])
             ),
             ResponseMappingTemplate: print(
@@ -498,9 +864,18 @@ export class ResourceFactory {
      * Create a resolver that deletes an item from DynamoDB.
      * @param type The name of the type to delete an item of.
      * @param nameOverride A user provided override for the field name.
+     * @param softDelete When set, the item is kept and marked as deleted instead.
+     * @param timeToLiveAttribute The attribute that expires a soft deleted item after softDelete.expiresAfter seconds.
      */
-    public makeDeleteResolver(type: string, nameOverride?: string, mutationTypeName: string = 'Mutation') {
+    public makeDeleteResolver(
+        type: string,
+        nameOverride?: string,
+        mutationTypeName: string = 'Mutation',
+        softDelete?: ModelSoftDeleteConfig,
+        timeToLiveAttribute?: string
+    ) {
         const fieldName = nameOverride ? nameOverride : graphqlName('delete' + toUpper(type))
+        const expiresAfter = softDelete && timeToLiveAttribute && softDelete.expiresAfter
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
             DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(type), 'Name'),
@@ -508,20 +883,7 @@ export class ResourceFactory {
             TypeName: mutationTypeName,
             RequestMappingTemplate: print(
                 compoundExpression([
-                    ifElse(
-                        ref(ResourceConstants.SNIPPETS.AuthCondition),
-                        compoundExpression([
-                            set(ref('condition'), ref(ResourceConstants.SNIPPETS.AuthCondition)),
-                            qref('$condition.put("expression", "$condition.expression AND attribute_exists(#id)")'),
-                            qref('$condition.expressionNames.put("#id", "id")')
-                        ]),
-                        set(ref('condition'), obj({
-                            expression: str("attribute_exists(#id)"),
-                            expressionNames: obj({
-                                "#id": str("id")
-                            })
-                        }))
-                    ),
+                    ...this.makeDeleteCondition(softDelete ? 'attribute_not_exists' : undefined),
                     iff(
                         ref(ResourceConstants.SNIPPETS.VersionedCondition),
                         compoundExpression([
@@ -530,15 +892,33 @@ export class ResourceFactory {
                             qref(`$condition.expressionNames.putAll($${ResourceConstants.SNIPPETS.VersionedCondition}.expressionNames)`),
                             set(ref('expressionValues'), raw('$util.defaultIfNull($condition.expressionValues, {})')),
                             qref(`$expressionValues.putAll($${ResourceConstants.SNIPPETS.VersionedCondition}.expressionValues)`),
-                            set(ref('condition.expressionValues'), ref('expressionValues'))
+                            set(ref('condition.expressionValues'), ref('expressionValues')),
+                            this.makeConflictHandler()
                         ])
                     ),
-                    DynamoDBMappingTemplate.deleteItem({
-                        key: obj({
-                            id: ref('util.dynamodb.toDynamoDBJson($ctx.args.input.id)')
-                        }),
-                        condition: ref('util.toJson($condition)')
-                    })
+                    this.makeConditionArgument(),
+                    softDelete ?
+                        compoundExpression([
+                            comment('Keep the item and mark it as deleted.'),
+                            qref(`$ctx.args.input.put("${SOFT_DELETE_ATTRIBUTES.deleted}", true)`),
+                            qref(`$ctx.args.input.put("${SOFT_DELETE_ATTRIBUTES.deletedAt}", $util.time.nowISO8601())`),
+                            ...(expiresAfter ? [
+                                set(ref('expiresAt'), raw(`$util.time.nowEpochSeconds() + ${expiresAfter}`)),
+                                qref(`$ctx.args.input.put("${timeToLiveAttribute}", $expiresAt)`)
+                            ] : []),
+                            this.makeSoftDeleteUpdateItem()
+                        ]) :
+                        DynamoDBMappingTemplate.deleteItem({
+                            key: ifElse(
+                                ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+                                raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelObjectKey})`),
+                                obj({
+                                    id: ref('util.dynamodb.toDynamoDBJson($ctx.args.input.id)')
+                                }),
+                                true
+                            ),
+                            condition: ref('util.toJson($condition)')
+                        })
                 ])
             ),
             ResponseMappingTemplate: print(
@@ -546,4 +926,228 @@ export class ResourceFactory {
             )
         })
     }
+
+    /**
+     * Create a resolver that restores a soft deleted item.
+     * @param type The name of the type to restore an item of.
+     * @param nameOverride A user provided override for the field name.
+     * @param timeToLiveAttribute The attribute that expires soft deleted items. It is removed on restore.
+     */
+    public makeRestoreResolver(type: string, nameOverride?: string, mutationTypeName: string = 'Mutation', timeToLiveAttribute?: string) {
+        const fieldName = nameOverride ? nameOverride : graphqlName('restore' + toUpper(type))
+        const removedAttributes = [
+            SOFT_DELETE_ATTRIBUTES.deleted,
+            SOFT_DELETE_ATTRIBUTES.deletedAt,
+            ...(timeToLiveAttribute ? [timeToLiveAttribute] : [])
+        ]
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(type), 'Name'),
+            FieldName: fieldName,
+            TypeName: mutationTypeName,
+            RequestMappingTemplate: print(
+                compoundExpression([
+                    ...this.makeDeleteCondition('attribute_exists'),
+                    comment('Null attributes are removed from the item.'),
+                    ...removedAttributes.map(attribute => qref(`$ctx.args.input.put("${attribute}", $null)`)),
+                    this.makeSoftDeleteUpdateItem()
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                ref('util.toJson($context.result)')
+            )
+        })
+    }
+
+    /**
+     * Builds $condition from the key of the item and the $authCondition of @auth. The deleted
+     * condition applies a condition function to the soft delete marker of the item.
+     */
+    private makeDeleteCondition(deletedConditionFunction?: string): Expression[] {
+        return [
+            this.makeKeyCondition('attribute_exists'),
+            ...(deletedConditionFunction ? [
+                // tslint:disable-next-line
+                qref(`$keyCondition.put("expression", "$keyCondition.expression AND ${deletedConditionFunction}(#${SOFT_DELETE_ATTRIBUTES.deleted})")`),
+                qref(`$keyCondition.expressionNames.put("#${SOFT_DELETE_ATTRIBUTES.deleted}", "${SOFT_DELETE_ATTRIBUTES.deleted}")`)
+            ] : []),
+            ifElse(
+                ref(ResourceConstants.SNIPPETS.AuthCondition),
+                compoundExpression([
+                    set(ref('condition'), ref(ResourceConstants.SNIPPETS.AuthCondition)),
+                    qref('$condition.put("expression", "$condition.expression AND $keyCondition.expression")'),
+                    qref('$condition.expressionNames.putAll($keyCondition.expressionNames)')
+                ]),
+                set(ref('condition'), ref('keyCondition'))
+            )
+        ]
+    }
+
+    /**
+     * Soft deletes and restores write the soft delete attributes put on the input.
+     */
+    private makeSoftDeleteUpdateItem(): Expression {
+        return DynamoDBMappingTemplate.updateItem({
+            key: ifElse(
+                ref(ResourceConstants.SNIPPETS.ModelObjectKey),
+                raw(`$util.toJson($${ResourceConstants.SNIPPETS.ModelObjectKey})`),
+                obj({
+                    id: obj({ S: str('$context.args.input.id') })
+                }),
+                true
+            ),
+            condition: ref('util.toJson($condition)'),
+            objectKeyVariable: ResourceConstants.SNIPPETS.ModelObjectKey
+        })
+    }
+
+    /**
+     * Create a resolver that puts a list of items in a single BatchPutItem request.
+     * @param type The name of the type to create items of.
+     * @param hasIdField When true, items without an id are given one.
+     * @param nameOverride A user provided override for the field name.
+     * @param timestamps The names of the timestamp fields set on each item.
+     */
+    public makeBatchCreateResolver(
+        type: string,
+        hasIdField: boolean,
+        nameOverride?: string,
+        mutationTypeName: string = 'Mutation',
+        timestamps: ModelTimestampConfig = {}
+    ) {
+        const fieldName = nameOverride ? nameOverride : graphqlName('batchCreate' + toUpper(type))
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(type), 'Name'),
+            FieldName: fieldName,
+            TypeName: mutationTypeName,
+            RequestMappingTemplate: printBlock('Prepare DynamoDB BatchPutItem Request')(
+                compoundExpression([
+                    set(ref('batchItems'), list([])),
+                    forEach(ref('item'), ref('ctx.args.input'), [
+                        ...(hasIdField ? [qref('$item.put("id", $util.defaultIfNullOrBlank($item.id, $util.autoId()))')] : []),
+                        ...this.makeTimestampExpressions('$item', [timestamps.createdAt, timestamps.updatedAt]),
+                        qref(`$item.put("__typename", "${type}")`),
+                        qref('$batchItems.add($util.dynamodb.toMapValues($item))')
+                    ]),
+                    DynamoDBMappingTemplate.batchPutItem({
+                        tableName: BATCH_TABLE_NAME,
+                        items: ref('util.toJson($batchItems)')
+                    })
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                this.makeBatchResponse('items', 'unprocessedItems', 'unprocessedItems', false)
+            )
+        })
+    }
+
+    /**
+     * Create a resolver that deletes a list of items by key in a single BatchDeleteItem request.
+     * BatchDeleteItem does not support condition expressions.
+     * @param type The name of the type to delete items of.
+     * @param nameOverride A user provided override for the field name.
+     */
+    public makeBatchDeleteResolver(type: string, nameOverride?: string, mutationTypeName: string = 'Mutation') {
+        const fieldName = nameOverride ? nameOverride : graphqlName('batchDelete' + toUpper(type))
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(type), 'Name'),
+            FieldName: fieldName,
+            TypeName: mutationTypeName,
+            RequestMappingTemplate: print(
+                compoundExpression([
+                    this.makeBatchKeys(),
+                    DynamoDBMappingTemplate.batchDeleteItem({
+                        tableName: BATCH_TABLE_NAME,
+                        keys: ref('util.toJson($batchKeys)')
+                    })
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                this.makeBatchResponse('keys', 'unprocessedKeys', 'unprocessedKeys', true)
+            )
+        })
+    }
+
+    /**
+     * Create a resolver that reads a list of items by key in a single BatchGetItem request.
+     * Keys that do not match an item resolve to null.
+     * @param type The name of the type to get items of.
+     * @param nameOverride A user provided override for the field name.
+     */
+    public makeBatchGetResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query') {
+        const fieldName = nameOverride ? nameOverride : graphqlName('batchGet' + toUpper(type))
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(ModelResourceIDs.ModelTableDataSourceID(type), 'Name'),
+            FieldName: fieldName,
+            TypeName: queryTypeName,
+            RequestMappingTemplate: print(
+                compoundExpression([
+                    this.makeBatchKeys(),
+                    DynamoDBMappingTemplate.batchGetItem({
+                        tableName: BATCH_TABLE_NAME,
+                        keys: ref('util.toJson($batchKeys)')
+                    })
+                ])
+            ),
+            ResponseMappingTemplate: print(
+                this.makeBatchResponse('items', 'unprocessedKeys', 'unprocessedItems', false)
+            )
+        })
+    }
+
+    /**
+     * Substitutes the name of the @model table into a batch resolver template. Any other
+     * "${" sequence in the template is escaped so that Fn::Sub keeps it as is.
+     * @param template The request or response template of a batch resolver.
+     * @param type The name of the @model type.
+     */
+    public makeBatchMappingTemplate(template: string, type: string): IntrinsicFunction {
+        const escaped = template.split(BATCH_TABLE_NAME).map(part => part.replace(/\$\{/g, '${!')).join(BATCH_TABLE_NAME)
+        return Fn.Sub(escaped, {
+            [BATCH_TABLE_NAME_VARIABLE]: Fn.Ref(ModelResourceIDs.ModelTableResourceID(type))
+        })
+    }
+
+    /**
+     * Converts the $ctx.args.keys of a batch operation into a $batchKeys list of DynamoDB keys.
+     */
+    private makeBatchKeys(): Expression {
+        return compoundExpression([
+            set(ref('batchKeys'), list([])),
+            forEach(ref('key'), ref('ctx.args.keys'), [
+                qref('$batchKeys.add($util.dynamodb.toMapValues($key))')
+            ])
+        ])
+    }
+
+    /**
+     * Returns the items of a batch operation together with those DynamoDB did not process.
+     * Unprocessed items are reported as JSON strings so that clients can retry them and
+     * errors are appended rather than raised so that the processed items are still returned.
+     * @param field The result field holding the processed items.
+     * @param unprocessed The name of the result attribute AppSync reports unprocessed items in.
+     * @param unprocessedField The result field holding the unprocessed items.
+     * @param itemsAsJson When true the processed items are also reported as JSON strings.
+     */
+    private makeBatchResponse(field: string, unprocessed: string, unprocessedField: string, itemsAsJson: boolean): Expression {
+        const toJsonList = (variable: string, source: string) => compoundExpression([
+            set(ref(variable), list([])),
+            forEach(ref('item'), ref(`util.defaultIfNull(${source}, [])`), [
+                qref(`$${variable}.add($util.toJson($item))`)
+            ])
+        ])
+        const items = `$ctx.result.data.get("${BATCH_TABLE_NAME}")`
+        return compoundExpression([
+            iff(ref('ctx.error'), raw('$util.appendError($ctx.error.message, $ctx.error.type)')),
+            itemsAsJson ? toJsonList('batchResultItems', items) : set(ref('batchResultItems'), raw(`$util.defaultIfNull(${items}, [])`)),
+            toJsonList('batchUnprocessedItems', `$ctx.result.${unprocessed}.get("${BATCH_TABLE_NAME}")`),
+            obj({
+                [field]: ref('util.toJson($batchResultItems)'),
+                [unprocessedField]: ref('util.toJson($batchUnprocessedItems)')
+            })
+        ])
+    }
 }
@@ -1,13 +1,16 @@
-import { Transformer, TransformerContext } from "graphql-transformer-core";
+import { Transformer, TransformerContext, InvalidDirectiveError } from "graphql-transformer-core";
 import {
     DirectiveNode,
-    ObjectTypeDefinitionNode
+    ObjectTypeDefinitionNode,
+    FieldDefinitionNode
 } from "graphql";
 import { ResourceFactory } from "./resources";
 import {
     makeSearchableScalarInputObject, makeSearchableXFilterInputObject,
     makeSearchableSortDirectionEnumObject, makeSearchableXSortableFieldsEnumObject,
-    makeSearchableXSortInputObject
+    makeSearchableXSortInputObject, makeSearchableAggregateTypeEnumObject,
+    makeSearchableXAggregateFieldEnumObject, makeSearchableXAggregationInputObject,
+    makeSearchableAggregateResultTypes
 } from "./definitions";
 import {
     makeNamedType,
@@ -17,9 +20,11 @@ import {
     blankObject,
     makeListType,
     makeInputValueDefinition,
-    makeNonNullType
+    makeNonNullType,
+    getBaseType,
+    isScalar
 } from "graphql-transformer-common";
-import { ResolverResourceIDs, SearchableResourceIDs } from 'graphql-transformer-common'
+import { ResolverResourceIDs, SearchableResourceIDs, ModelResourceIDs } from 'graphql-transformer-common'
 import path = require('path');
 
 const STACK_NAME = 'SearchableStack';
@@ -91,6 +96,14 @@ export class SearchableModelTransformer extends Transformer {
         }
 
         const typeName = def.name.value
+        // The streaming function indexes new images and removes documents using old images.
+        const table = ctx.getResource(ModelResourceIDs.ModelTableResourceID(typeName))
+        const streamSpecification = table && table.Properties.StreamSpecification
+        if (streamSpecification && streamSpecification.StreamViewType !== 'NEW_AND_OLD_IMAGES') {
+            throw new InvalidDirectiveError(
+                `@searchable requires the table of type "${typeName}" to use the NEW_AND_OLD_IMAGES stream view type.`
+            )
+        }
         ctx.setResource(
             SearchableResourceIDs.SearchableEventSourceMappingID(typeName),
             this.resources.makeDynamoDBStreamEventSourceMapping(typeName)
@@ -104,7 +117,12 @@ export class SearchableModelTransformer extends Transformer {
             this.generateSearchableInputs(ctx, def)
             this.generateSearchableXConnectionType(ctx, def)
 
-            const searchResolver = this.resources.makeSearchResolver(def.name.value, searchFieldNameOverride)
+            const searchResolver = this.resources.makeSearchResolver(
+                def.name.value,
+                searchFieldNameOverride,
+                undefined,
+                this.getKeywordFields(def)
+            )
             ctx.setResource(ResolverResourceIDs.ElasticsearchSearchResolverResourceID(def.name.value), searchResolver)
             queryFields.push(makeField(
                 searchResolver.Properties.FieldName,
@@ -112,7 +130,8 @@ export class SearchableModelTransformer extends Transformer {
                     makeInputValueDefinition('filter', makeNamedType(`Searchable${def.name.value}FilterInput`)),
                     makeInputValueDefinition('sort', makeNamedType(`Searchable${def.name.value}SortInput`)),
                     makeInputValueDefinition('limit', makeNamedType('Int')),
-                    makeInputValueDefinition('nextToken', makeNamedType('Int'))
+                    makeInputValueDefinition('nextToken', makeNamedType('Int')),
+                    makeInputValueDefinition('aggregates', makeListType(makeNamedType(`Searchable${def.name.value}AggregationInput`)))
                 ],
                 makeNamedType(`Searchable${def.name.value}Connection`)
             ))
@@ -149,9 +168,27 @@ export class SearchableModelTransformer extends Transformer {
                 makeNamedType('String')
             )]
         )
+        connectionTypeExtension = extensionWithFields(
+            connectionTypeExtension,
+            [
+                makeField('total', [], makeNamedType('Int')),
+                makeField('aggregateItems', [], makeListType(makeNamedType('SearchableAggregateResult')))
+            ]
+        )
         ctx.addObjectExtension(connectionTypeExtension)
     }
 
+    /**
+     * Dynamically mapped string fields are stored as text in Elasticsearch and
+     * can only be aggregated by terms through their keyword sub field.
+     */
+    private getKeywordFields(def: ObjectTypeDefinitionNode): string[] {
+        return def.fields
+            .filter((field: FieldDefinitionNode) => isScalar(field.type) &&
+                (getBaseType(field.type) === 'String' || getBaseType(field.type) === 'ID'))
+            .map((field: FieldDefinitionNode) => field.name.value)
+    }
+
     private typeExist(type: string, ctx: TransformerContext): boolean {
         return Boolean(type in ctx.nodeMap);
     }
@@ -203,5 +240,20 @@ export class SearchableModelTransformer extends Transformer {
             const searchableXSortableInputDirection = makeSearchableXSortInputObject(def)
             ctx.addInput(searchableXSortableInputDirection)
         }
+
+        if (!this.typeExist('SearchableAggregateType', ctx)) {
+            ctx.addEnum(makeSearchableAggregateTypeEnumObject())
+            for (const resultType of makeSearchableAggregateResultTypes()) {
+                ctx.addType(resultType)
+            }
+        }
+
+        if (!this.typeExist(`Searchable${def.name.value}AggregateField`, ctx)) {
+            ctx.addEnum(makeSearchableXAggregateFieldEnumObject(def))
+        }
+
+        if (!this.typeExist(`Searchable${def.name.value}AggregationInput`, ctx)) {
+            ctx.addInput(makeSearchableXAggregationInputObject(def))
+        }
     }
 }
@@ -1,3 +1,84 @@
+import {
+    ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode,
+    DefinitionNode, Kind, InputObjectTypeDefinitionNode, UnionTypeDefinitionNode
+} from 'graphql'
+import GraphQLTransform from 'graphql-transformer-core'
+import DynamoDBModelTransformer from 'graphql-dynamodb-transformer'
+import { SearchableModelTransformer } from '../SearchableModelTransformer'
+
+test('Test SearchableModelTransformer adds aggregates and a total count', () => {
+    const validSchema = `
+    type Post @model @searchable {
+        id: ID!
+        title: String!
+        views: Int
+        createdAt: String
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new SearchableModelTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema)
+    const schemaDoc = parse(out.schema)
+
+    const searchField = getFieldNamed(getObjectType(schemaDoc, 'Query'), 'searchPosts')
+    expect(searchField.arguments.map(a => a.name.value)).toEqual(['filter', 'sort', 'limit', 'nextToken', 'aggregates'])
+    const aggregationInput = getInputType(schemaDoc, 'SearchablePostAggregationInput')
+    expect(aggregationInput.fields.map(f => f.name.value)).toEqual(['name', 'type', 'field', 'interval'])
+    const connectionType = getObjectType(schemaDoc, 'SearchablePostConnection')
+    expect(connectionType.fields.map(f => f.name.value)).toEqual(['items', 'nextToken', 'total', 'aggregateItems'])
+    const resultUnion = schemaDoc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.UNION_TYPE_DEFINITION
+    ) as UnionTypeDefinitionNode
+    expect(resultUnion.name.value).toEqual('SearchableAggregateGenericResult')
+    expect(resultUnion.types.map(t => t.name.value)).toEqual(['SearchableAggregateScalarResult', 'SearchableAggregateBucketResult'])
+
+    const requestTemplate = out.resolvers['Query.searchPosts.req.vtl']
+    expect(requestTemplate).toContain('#set( $keywordFields = ["id", "title", "createdAt"] )')
+    expect(requestTemplate).toContain('"date_histogram"')
+    expect(requestTemplate).toContain('"aggs": $util.toJson($aggs)')
+    const responseTemplate = out.resolvers['Query.searchPosts.res.vtl']
+    expect(responseTemplate).toContain('$context.result.aggregations.get($aggItem.name)')
+    expect(responseTemplate).toContain('"aggregateItems": $aggregateItems')
+});
+
+test('Test SearchableModelTransformer requires new and old stream images', () => {
+    const invalidSchema = `
+    type Post @model(table: { streamViewType: KEYS_ONLY }) @searchable {
+        id: ID!
+        title: String!
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new DynamoDBModelTransformer(),
+            new SearchableModelTransformer()
+        ]
+    })
+    expect(() => transformer.transform(invalidSchema)).toThrow(
+        '@searchable requires the table of type "Post" to use the NEW_AND_OLD_IMAGES stream view type.'
+    )
+});
+
+function getFieldNamed(type: ObjectTypeDefinitionNode, name: string): FieldDefinitionNode | undefined {
+    return type.fields.find((f: FieldDefinitionNode) => f.name.value === name)
+}
+
+function getObjectType(doc: DocumentNode, type: string): ObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as ObjectTypeDefinitionNode | undefined
+}
+
+function getInputType(doc: DocumentNode, type: string): InputObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as InputObjectTypeDefinitionNode | undefined
+}
+
 // import {
 //     ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode,
 //     DefinitionNode, Kind, InputObjectTypeDefinitionNode
@@ -237,4 +318,4 @@
 
 // function verifyInputCount(doc: DocumentNode, type: string, count: number): boolean {
 //     return doc.definitions.filter(def => def.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION && def.name.value === type).length == count;
-// }
\ No newline at end of file
+// }
@@ -1,10 +1,12 @@
 import {
     ObjectTypeDefinitionNode, InputValueDefinitionNode, InputObjectTypeDefinitionNode,
-    FieldDefinitionNode, Kind, TypeNode, EnumTypeDefinitionNode, EnumValueDefinitionNode
+    FieldDefinitionNode, Kind, TypeNode, EnumTypeDefinitionNode, EnumValueDefinitionNode,
+    UnionTypeDefinitionNode
 } from 'graphql'
 import {
     graphqlName, makeNamedType, isScalar,
-    makeListType, getBaseType, SearchableResourceIDs
+    makeListType, getBaseType, SearchableResourceIDs,
+    makeField, makeNonNullType, makeInputValueDefinition
 } from 'graphql-transformer-common'
 
 const STRING_CONDITIONS = ['ne', 'eq', 'match', 'matchPhrase', 'matchPhrasePrefix', 'multiMatch', 'exists', 'wildcard', 'regexp']
@@ -12,6 +14,7 @@ const ID_CONDITIONS = ['ne', 'eq', 'match', 'matchPhrase', 'matchPhrasePrefix',
 const INT_CONDITIONS = ['ne', 'gt', 'lt', 'gte', 'lte', 'eq', 'range']
 const FLOAT_CONDITIONS = ['ne', 'gt', 'lt', 'gte', 'lte', 'eq', 'range']
 const BOOLEAN_CONDITIONS = ['eq', 'ne']
+const AGGREGATE_TYPES = ['terms', 'avg', 'min', 'max', 'sum', 'cardinality', 'dateHistogram']
 
 export function makeSearchableScalarInputObject(type: string): InputObjectTypeDefinitionNode {
     const name = SearchableResourceIDs.SearchableFilterInputTypeName(type)
@@ -190,6 +193,104 @@ export function makeSearchableXSortInputObject(obj: ObjectTypeDefinitionNode): I
     }
 }
 
+export function makeSearchableAggregateTypeEnumObject(): EnumTypeDefinitionNode {
+    return {
+        kind: Kind.ENUM_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: 'SearchableAggregateType'
+        },
+        values: AGGREGATE_TYPES.map((type: string) => ({
+            kind: Kind.ENUM_VALUE_DEFINITION,
+            name: { kind: 'Name' as 'Name', value: type },
+            directives: []
+        })),
+        directives: []
+    }
+}
+
+export function makeSearchableXAggregateFieldEnumObject(obj: ObjectTypeDefinitionNode): EnumTypeDefinitionNode {
+    const name = graphqlName(`Searchable${obj.name.value}AggregateField`)
+    const values: EnumValueDefinitionNode[] = obj.fields
+        .filter((field: FieldDefinitionNode) => isScalar(field.type) === true)
+        .map(
+            (field: FieldDefinitionNode) => ({
+                kind: Kind.ENUM_VALUE_DEFINITION,
+                name: field.name,
+                directives: []
+            })
+        )
+
+    return {
+        kind: Kind.ENUM_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: name
+        },
+        values,
+        directives: []
+    }
+}
+
+export function makeSearchableXAggregationInputObject(obj: ObjectTypeDefinitionNode): InputObjectTypeDefinitionNode {
+    const name = graphqlName(`Searchable${obj.name.value}AggregationInput`)
+    return {
+        kind: Kind.INPUT_OBJECT_TYPE_DEFINITION,
+        name: {
+            kind: 'Name',
+            value: name
+        },
+        fields: [
+            makeInputValueDefinition('name', makeNonNullType(makeNamedType('String'))),
+            makeInputValueDefinition('type', makeNonNullType(makeNamedType('SearchableAggregateType'))),
+            makeInputValueDefinition('field', makeNonNullType(makeNamedType(`Searchable${obj.name.value}AggregateField`))),
+            // The bucket interval of a dateHistogram aggregate, e.g. "1d" or "month".
+            makeInputValueDefinition('interval', makeNamedType('String'))
+        ],
+        directives: []
+    }
+}
+
+/**
+ * The aggregate result types shared by all searchable types. The result of
+ * a metric aggregate is a single value and the result of a terms or
+ * dateHistogram aggregate is a list of buckets.
+ */
+export function makeSearchableAggregateResultTypes(): (ObjectTypeDefinitionNode | UnionTypeDefinitionNode)[] {
+    const makeObject = (name: string, fields: FieldDefinitionNode[]): ObjectTypeDefinitionNode => ({
+        kind: Kind.OBJECT_TYPE_DEFINITION,
+        name: { kind: 'Name', value: name },
+        fields,
+        directives: [],
+        interfaces: []
+    })
+    return [
+        makeObject('SearchableAggregateResult', [
+            makeField('name', [], makeNonNullType(makeNamedType('String'))),
+            makeField('result', [], makeNamedType('SearchableAggregateGenericResult'))
+        ]),
+        makeObject('SearchableAggregateScalarResult', [
+            makeField('value', [], makeNonNullType(makeNamedType('Float')))
+        ]),
+        makeObject('SearchableAggregateBucketResult', [
+            makeField('buckets', [], makeListType(makeNamedType('SearchableAggregateBucketResultItem')))
+        ]),
+        makeObject('SearchableAggregateBucketResultItem', [
+            makeField('key', [], makeNonNullType(makeNamedType('String'))),
+            makeField('docCount', [], makeNonNullType(makeNamedType('Int')))
+        ]),
+        {
+            kind: Kind.UNION_TYPE_DEFINITION,
+            name: { kind: 'Name', value: 'SearchableAggregateGenericResult' },
+            types: [
+                makeNamedType('SearchableAggregateScalarResult'),
+                makeNamedType('SearchableAggregateBucketResult')
+            ],
+            directives: []
+        }
+    ]
+}
+
 function getScalarFilterInputType(condition: string, type: string, filterInputName: string): TypeNode {
     switch (condition) {
         case 'range':
@@ -383,8 +383,9 @@ export class ResourceFactory {
 
     /**
      * Create the Elasticsearch search resolver.
+     * @param keywordFields Text fields that are aggregated through their keyword sub field.
      */
-    public makeSearchResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query') {
+    public makeSearchResolver(type: string, nameOverride?: string, queryTypeName: string = 'Query', keywordFields: string[] = []) {
         const fieldName = nameOverride ? nameOverride : graphqlName('search' + plurality(toUpper(type)))
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -394,6 +395,7 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     set(ref('indexPath'), str(`/${type.toLowerCase()}/doc/_search`)),
+                    ElasticsearchMappingTemplate.aggregations(keywordFields),
                     ElasticsearchMappingTemplate.searchItem({
                         path: str('$indexPath'),
                         size: ifElse(
@@ -424,7 +426,8 @@ export class ResourceFactory {
                                 ),
                                 str('_doc')
                             ]),
-                            list([]))
+                            list([])),
+                        aggs: ref('util.toJson($aggs)')
                     })
                 ])
             ),
@@ -442,10 +445,12 @@ export class ResourceFactory {
                             qref('$items.add($entry.get("_source"))')
                         ]
                     ),
+                    ElasticsearchMappingTemplate.aggregationResults(),
                     toJson(obj({
                         "items": ref('items'),
                         "total": ref('ctx.result.hits.total'),
-                        "nextToken": ref('nextToken')
+                        "nextToken": ref('nextToken'),
+                        "aggregateItems": ref('aggregateItems')
                     }))
                 ])
             )
@@ -0,0 +1,64 @@
+import { Transformer, TransformerContext, InvalidDirectiveError } from 'graphql-transformer-core'
+import { DirectiveNode, ObjectTypeDefinitionNode, FieldDefinitionNode, InterfaceTypeDefinitionNode } from 'graphql'
+import { ResourceFactory } from './resources'
+import { ResolverResourceIDs, FunctionResourceIDs, getDirectiveArgument } from 'graphql-transformer-common'
+
+const FUNCTION_STACK_NAME = 'FunctionDirectiveStack'
+
+/**
+ * The @function transform.
+ *
+ * This transform attaches a resolver that invokes an existing AWS Lambda function
+ * to any field with the @function directive.
+ *
+ * type Query {
+ *   echo(msg: String): String @function(name: "echofunction-${env}")
+ * }
+ *
+ * The "${env}" placeholder is replaced with the name of the environment so that
+ * functions created with "amplify add function" may be referenced in every environment.
+ * One data source and IAM role is created per function.
+ */
+export class FunctionTransformer extends Transformer {
+
+    resources: ResourceFactory
+
+    constructor() {
+        super(
+            'FunctionTransformer',
+            `directive @function(name: String!) on FIELD_DEFINITION`
+        )
+        this.resources = new ResourceFactory();
+    }
+
+    /**
+     * Create the data source, IAM role and resolver for the field.
+     */
+    public field = (
+        parent: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode,
+        definition: FieldDefinitionNode,
+        directive: DirectiveNode,
+        ctx: TransformerContext
+    ): void => {
+        const name: string = getDirectiveArgument(directive)('name')
+        if (!name) {
+            throw new InvalidDirectiveError(`@function on "${definition.name.value}" requires a function name.`)
+        }
+
+        // Create the data source and role once per function.
+        const dataSourceID = FunctionResourceIDs.FunctionDataSourceID(name)
+        const iamRoleID = FunctionResourceIDs.FunctionIAMRoleID(name)
+        if (!ctx.getResource(dataSourceID)) {
+            ctx.addToStackMapping(FUNCTION_STACK_NAME, `^${iamRoleID}$`)
+            ctx.setResource(iamRoleID, this.resources.makeLambdaIAMRole(name))
+            ctx.addToStackMapping(FUNCTION_STACK_NAME, `^${dataSourceID}$`)
+            ctx.setResource(dataSourceID, this.resources.makeLambdaDataSource(name))
+        }
+
+        const typeName = parent.name.value
+        const fieldName = definition.name.value
+        const resolverID = ResolverResourceIDs.ResolverResourceID(typeName, fieldName)
+        ctx.addToStackMapping(FUNCTION_STACK_NAME, `^${resolverID}$`)
+        ctx.setResource(resolverID, this.resources.makeResolver(typeName, fieldName, name))
+    }
+}
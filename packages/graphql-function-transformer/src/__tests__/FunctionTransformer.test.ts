@@ -0,0 +1,66 @@
+import GraphQLTransform from 'graphql-transformer-core'
+import { ResolverResourceIDs, FunctionResourceIDs, ResourceConstants } from 'graphql-transformer-common'
+import { FunctionTransformer } from '../FunctionTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new FunctionTransformer()
+    ]
+})
+
+test('Test FunctionTransformer creates a data source, role and resolver', () => {
+    const validSchema = `
+    type Query {
+        echo(msg: String): String @function(name: "echofunction-\${env}")
+        otherEcho(msg: String): String @function(name: "echofunction-\${env}")
+        plain: String @function(name: "otherfunction")
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const stack = out.stacks.FunctionDirectiveStack
+    expect(stack).toBeDefined()
+
+    const dataSourceID = FunctionResourceIDs.FunctionDataSourceID('echofunction-${env}')
+    expect(dataSourceID).toEqual('EchofunctionLambdaDataSource')
+    const dataSource = stack.Resources[dataSourceID]
+    expect(dataSource.Type).toEqual('AWS::AppSync::DataSource')
+    expect(dataSource.Properties.Type).toEqual('AWS_LAMBDA')
+    expect(dataSource.Properties.ServiceRoleArn).toEqual({
+        'Fn::GetAtt': [FunctionResourceIDs.FunctionIAMRoleID('echofunction-${env}'), 'Arn']
+    })
+    const functionName = dataSource.Properties.LambdaConfig.LambdaFunctionArn['Fn::Sub'][1].name
+    expect(functionName['Fn::If'][0]).toEqual(ResourceConstants.CONDITIONS.HasEnvironmentParameter)
+    expect(functionName['Fn::If'][1]['Fn::Sub'][0]).toEqual('echofunction-${env}')
+    expect(functionName['Fn::If'][2]['Fn::Sub'][0]).toEqual('echofunction')
+
+    const role = stack.Resources[FunctionResourceIDs.FunctionIAMRoleID('echofunction-${env}')]
+    expect(role.Type).toEqual('AWS::IAM::Role')
+    expect(role.Properties.Policies[0].PolicyDocument.Statement[0].Action).toEqual(['lambda:InvokeFunction'])
+
+    expect(stack.Resources[ResolverResourceIDs.ResolverResourceID('Query', 'echo')]).toBeDefined()
+    expect(stack.Resources[ResolverResourceIDs.ResolverResourceID('Query', 'otherEcho')]).toBeDefined()
+    expect(stack.Resources[ResolverResourceIDs.ResolverResourceID('Query', 'plain')]).toBeDefined()
+    const otherDataSource = stack.Resources[FunctionResourceIDs.FunctionDataSourceID('otherfunction')]
+    expect(otherDataSource.Properties.LambdaConfig.LambdaFunctionArn['Fn::Sub'][1].name).toEqual('otherfunction')
+
+    const requestTemplate = out.resolvers['Query.echo.req.vtl']
+    expect(requestTemplate).toContain('"operation": "Invoke"')
+    expect(requestTemplate).toContain('"fieldName": "echo"')
+    expect(requestTemplate).toContain('$util.toJson($ctx.args)')
+    expect(out.resolvers['Query.echo.res.vtl']).toContain('$util.error($ctx.error.message, $ctx.error.type)')
+})
+
+test('Test FunctionTransformer allows one @function per field', () => {
+    const invalidSchema = `
+    type Query {
+        echo: String @function(name: "first") @function(name: "second")
+    }
+    `
+    try {
+        makeTransformer().transform(invalidSchema)
+        expect(true).toEqual(false)
+    } catch (e) {
+        expect(e.name).toEqual('SchemaValidationError')
+        expect(e.message).toMatch(/The directive "function" can only be used once at this location./)
+    }
+})
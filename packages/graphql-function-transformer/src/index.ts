@@ -0,0 +1,3 @@
+import { FunctionTransformer } from './FunctionTransformer'
+export * from './FunctionTransformer'
+export default FunctionTransformer
\ No newline at end of file
@@ -0,0 +1,157 @@
+import Template from 'cloudform-types/types/template'
+import { Fn, AppSync, IAM } from 'cloudform-types'
+import { str, print, ref, obj, iff, raw, compoundExpression } from 'graphql-mapping-template'
+import { ResourceConstants, FunctionResourceIDs, graphqlName } from 'graphql-transformer-common'
+
+export class ResourceFactory {
+
+    public makeParams() {
+        return {}
+    }
+
+    /**
+     * Creates the barebones template for an application.
+     */
+    public initTemplate(): Template {
+        return {
+            Parameters: this.makeParams(),
+            Resources: {},
+            Outputs: {}
+        }
+    }
+
+    /**
+     * Returns the name of the Lambda function. A "${env}" placeholder is replaced
+     * with the environment name, or removed along with a leading "-" when the API
+     * is deployed without an environment.
+     * @param name The function name passed to the @function directive.
+     */
+    public lambdaFunctionName(name: string) {
+        if (name.indexOf('${env}') === -1) {
+            return name
+        }
+        return Fn.If(
+            ResourceConstants.CONDITIONS.HasEnvironmentParameter,
+            Fn.Sub(name, {
+                env: Fn.Ref(ResourceConstants.PARAMETERS.Env)
+            }),
+            Fn.Sub(name.replace(/-?\$\{env\}/g, ''), {})
+        )
+    }
+
+    public lambdaFunctionArn(name: string) {
+        return Fn.Sub(
+            'arn:aws:lambda:${AWS::Region}:${AWS::AccountId}:function:${name}',
+            { name: this.lambdaFunctionName(name) }
+        )
+    }
+
+    /**
+     * Create a role that allows AppSync to invoke the Lambda function.
+     * @param name The function name passed to the @function directive.
+     */
+    public makeLambdaIAMRole(name: string) {
+        const roleName = graphqlName(name.replace(/-?\$\{env\}/g, ''))
+        return new IAM.Role({
+            RoleName: Fn.If(
+                ResourceConstants.CONDITIONS.HasEnvironmentParameter,
+                Fn.Join('-', [
+                    roleName.slice(0, 21), // max of 64. 64-10-26-4-3 = 21
+                    'role', // 4
+                    Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'), // 26
+                    Fn.Ref(ResourceConstants.PARAMETERS.Env) // 10
+                ]),
+                Fn.Join('-', [
+                    roleName.slice(0, 31), // max of 64. 64-26-4-3 = 31
+                    'role',
+                    Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId')
+                ])
+            ),
+            AssumeRolePolicyDocument: {
+                Version: '2012-10-17',
+                Statement: [
+                    {
+                        Effect: 'Allow',
+                        Principal: {
+                            Service: 'appsync.amazonaws.com'
+                        },
+                        Action: 'sts:AssumeRole'
+                    }
+                ]
+            },
+            Policies: [
+                new IAM.Role.Policy({
+                    PolicyName: 'InvokeLambdaFunction',
+                    PolicyDocument: {
+                        Version: '2012-10-17',
+                        Statement: [
+                            {
+                                Effect: 'Allow',
+                                Action: [
+                                    'lambda:InvokeFunction'
+                                ],
+                                Resource: this.lambdaFunctionArn(name)
+                            }
+                        ]
+                    }
+                })
+            ]
+        })
+    }
+
+    /**
+     * Create a Lambda data source for the function.
+     * @param name The function name passed to the @function directive.
+     */
+    public makeLambdaDataSource(name: string) {
+        return new AppSync.DataSource({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            Name: FunctionResourceIDs.FunctionDataSourceID(name),
+            Type: 'AWS_LAMBDA',
+            ServiceRoleArn: Fn.GetAtt(FunctionResourceIDs.FunctionIAMRoleID(name), 'Arn'),
+            LambdaConfig: {
+                LambdaFunctionArn: this.lambdaFunctionArn(name)
+            }
+        }).dependsOn(FunctionResourceIDs.FunctionIAMRoleID(name))
+    }
+
+    /**
+     * Create a resolver that invokes the function with the arguments, identity,
+     * source and request of the field. Errors raised by the function are
+     * returned to the caller.
+     * @param type The name of the parent type.
+     * @param field The name of the field.
+     * @param name The function name passed to the @function directive.
+     */
+    public makeResolver(type: string, field: string, name: string) {
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt(FunctionResourceIDs.FunctionDataSourceID(name), 'Name'),
+            FieldName: field,
+            TypeName: type,
+            RequestMappingTemplate: print(
+                obj({
+                    version: str('2017-02-28'),
+                    operation: str('Invoke'),
+                    payload: obj({
+                        typeName: str(type),
+                        fieldName: str(field),
+                        arguments: ref('util.toJson($ctx.args)'),
+                        identity: ref('util.toJson($ctx.identity)'),
+                        source: ref('util.toJson($ctx.source)'),
+                        request: ref('util.toJson($ctx.request)')
+                    })
+                })
+            ),
+            ResponseMappingTemplate: print(
+                compoundExpression([
+                    iff(
+                        ref('ctx.error'),
+                        raw('$util.error($ctx.error.message, $ctx.error.type)')
+                    ),
+                    raw('$util.toJson($ctx.result)')
+                ])
+            )
+        }).dependsOn(FunctionResourceIDs.FunctionDataSourceID(name))
+    }
+}
@@ -1,10 +1,10 @@
-import { Transformer, TransformerContext, TransformerContractError } from 'graphql-transformer-core'
+import { Transformer, TransformerContext, TransformerContractError, InvalidDirectiveError } from 'graphql-transformer-core'
 import {
     DirectiveNode, ObjectTypeDefinitionNode,
     Kind, FieldDefinitionNode, InterfaceTypeDefinitionNode,
     InputValueDefinitionNode, print
 } from 'graphql'
-import { ResourceFactory } from './resources'
+import { ResourceFactory, HttpHeader, HttpArgumentMapping } from './resources'
 import {
     getDirectiveArgument, isScalar
 } from 'graphql-transformer-common'
@@ -17,12 +17,17 @@ import {
 } from './definitions';
 
 const HTTP_STACK_NAME = 'HttpStack'
+// The characters of an HTTP token (RFC 7230).
+const HEADER_NAME_REGEX = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/
 
 type HttpMethod = 'GET' | 'POST' | 'PUT' | 'DELETE' | 'PATCH'
 
 interface HttpDirectiveArgs {
     method?: HttpMethod,
     url: String,
+    headers?: HttpHeader[],
+    queryParams?: string[],
+    bodyParams?: string[]
 }
 
 /**
@@ -30,6 +35,20 @@ interface HttpDirectiveArgs {
  *
  * This transform attaches http resolvers to any fields with the @http directive.
  * Works with GET, POST, PUT, DELETE requests.
+ *
+ * The url may contain ":param" path parameters and a "${env}" placeholder in the host
+ * that is replaced with the environment name. Static headers are added with the
+ * headers argument. By default the field arguments are wrapped in generated "query"
+ * and "body" inputs. Listing them in queryParams and bodyParams instead keeps the field
+ * arguments as they are and maps each one to the query string or request body.
+ *
+ * type Query {
+ *     posts(page: Int, term: String): [Post] @http(
+ *         url: "https://api-${env}.example.com/posts",
+ *         headers: [{ key: "x-api-version", value: "2" }],
+ *         queryParams: ["page", "term"]
+ *     )
+ * }
  */
 export class HttpTransformer extends Transformer {
 
@@ -43,7 +62,10 @@ export class HttpTransformer extends Transformer {
             `
             directive @http(
                 method: HttpMethod = GET,
-                url: String!
+                url: String!,
+                headers: [HttpHeader] = [],
+                queryParams: [String!],
+                bodyParams: [String!]
             ) on FIELD_DEFINITION
             enum HttpMethod {
                 GET
@@ -52,6 +74,10 @@ export class HttpTransformer extends Transformer {
                 DELETE
                 PATCH
             }
+            input HttpHeader {
+                key: String
+                value: String
+            }
             `
         )
         this.resources = new ResourceFactory();
@@ -112,13 +138,40 @@ export class HttpTransformer extends Transformer {
         const baseURL: string = url.replace(HttpTransformer.urlRegex, '$1')
         // split the url into pieces, and get the path part off the end
         let path: string = url.split(/(http(s)?:\/\/|www\.)|(\/.*)/g).slice(-2, -1)[0]
+        if (path.indexOf('${env}') !== -1) {
+            throw new InvalidDirectiveError(
+                `@http directive on ${parent.name.value}.${field.name.value} may only use "\${env}" in the host of the url.`
+            )
+        }
+        const headers: HttpHeader[] = getDirectiveArgument(directive)("headers") || []
+        this.validateHeaders(parent, field, headers)
+
+        let method: HttpMethod = getDirectiveArgument(directive)("method")
+        if (!method) {
+            method = 'GET'
+        }
+
+        const mappedArgs = this.getArgumentMapping(parent, field, directive, method)
 
         // extract any URL parameters from the path
         let urlParams: string[] = path.match(/:\w+/g)
         let queryBodyArgsArray: InputValueDefinitionNode[] = field.arguments as InputValueDefinitionNode[]
         let newFieldArgsArray: InputValueDefinitionNode[] = []
 
-        if (urlParams) {
+        if (urlParams && mappedArgs) {
+            // path parameters are read from the field arguments of the same name
+            urlParams = urlParams.map((p) => p.replace(':', ''))
+            const missingParam = urlParams.find(param => !field.arguments.find(arg => arg.name.value === param))
+            if (missingParam) {
+                throw new InvalidDirectiveError(
+                    `@http directive on ${parent.name.value}.${field.name.value} uses path parameter "${missingParam}" ` +
+                    `that is not an argument of the field.`
+                )
+            }
+            path = path.replace(/:\w+/g, (str: string) => {
+                return `\$\{ctx.args.${str.replace(':', '')}\}`
+            })
+        } else if (urlParams) {
             urlParams = urlParams.map((p) => p.replace(':', ''))
 
             // if there are URL parameters, remove them from the array we'll use
@@ -140,12 +193,7 @@ export class HttpTransformer extends Transformer {
             newFieldArgsArray.push(makeHttpArgument('params', urlParamInputObject, true))
         }
 
-        let method: HttpMethod = getDirectiveArgument(directive)("method")
-        if (!method) {
-            method = 'GET'
-        }
-
-        if (queryBodyArgsArray.length > 0) {
+        if (queryBodyArgsArray.length > 0 && !mappedArgs) {
             // for GET requests, leave the nullability of the query parameters unchanged -
             // but for PUT, POST and PATCH, unwrap any non-nulls
             const queryInputObject = makeHttpQueryInputObject(
@@ -175,6 +223,11 @@ export class HttpTransformer extends Transformer {
             }
         }
 
+        // mapped arguments keep their own nullability so there is nothing to check manually
+        const nonNullArgs = mappedArgs ? [] : queryBodyArgsArray
+            .filter(a => a.type.kind === Kind.NON_NULL_TYPE)
+            .map(a => a.name.value)
+
         // build the payload
         switch (method) {
             case 'GET':
@@ -185,6 +238,8 @@ export class HttpTransformer extends Transformer {
                         path,
                         parent.name.value,
                         field.name.value,
+                        headers,
+                        mappedArgs
                     )
                     ctx.setResource(getResourceID, getResolver)
                 }
@@ -197,9 +252,9 @@ export class HttpTransformer extends Transformer {
                         path,
                         parent.name.value,
                         field.name.value,
-                        queryBodyArgsArray
-                            .filter(a => a.type.kind === Kind.NON_NULL_TYPE)
-                            .map(a => a.name.value)
+                        nonNullArgs,
+                        headers,
+                        mappedArgs
                     )
                     ctx.setResource(postResourceID, postResolver)
                 }
@@ -212,9 +267,9 @@ export class HttpTransformer extends Transformer {
                         path,
                         parent.name.value,
                         field.name.value,
-                        queryBodyArgsArray
-                            .filter(a => a.type.kind === Kind.NON_NULL_TYPE)
-                            .map(a => a.name.value)
+                        nonNullArgs,
+                        headers,
+                        mappedArgs
                     )
                     ctx.setResource(putResourceID, putResolver)
                 }
@@ -222,7 +277,14 @@ export class HttpTransformer extends Transformer {
             case 'DELETE':
                 const deleteResourceID = ResolverResourceIDs.ResolverResourceID(parent.name.value, field.name.value)
                 if (!ctx.getResource(deleteResourceID)) {
-                    const deleteResolver = this.resources.makeDeleteResolver(baseURL, path, parent.name.value, field.name.value)
+                    const deleteResolver = this.resources.makeDeleteResolver(
+                        baseURL,
+                        path,
+                        parent.name.value,
+                        field.name.value,
+                        headers,
+                        mappedArgs
+                    )
                     ctx.setResource(deleteResourceID, deleteResolver)
                 }
                 break;
@@ -234,9 +296,9 @@ export class HttpTransformer extends Transformer {
                         path,
                         parent.name.value,
                         field.name.value,
-                        queryBodyArgsArray
-                            .filter(a => a.type.kind === Kind.NON_NULL_TYPE)
-                            .map(a => a.name.value)
+                        nonNullArgs,
+                        headers,
+                        mappedArgs
                     )
                     ctx.setResource(patchResourceID, patchResolver)
                 }
@@ -264,4 +326,56 @@ export class HttpTransformer extends Transformer {
             ctx.putType(updatedParentType)
         }
     }
+
+    /**
+     * Header names must be HTTP tokens and values may not span lines so that a header
+     * can not inject others into the request.
+     */
+    private validateHeaders(
+        parent: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode,
+        field: FieldDefinitionNode,
+        headers: HttpHeader[]
+    ) {
+        const location = `${parent.name.value}.${field.name.value}`
+        for (const header of headers) {
+            if (typeof header.key !== 'string' || !HEADER_NAME_REGEX.test(header.key)) {
+                throw new InvalidDirectiveError(`@http directive on ${location} has a header with an invalid name "${header.key}".`)
+            }
+            if (typeof header.value !== 'string' || /[\r\n]/.test(header.value)) {
+                throw new InvalidDirectiveError(
+                    `@http directive on ${location} must give the header "${header.key}" a value on a single line.`
+                )
+            }
+        }
+    }
+
+    /**
+     * Returns the field arguments mapped to the query string and request body by the
+     * queryParams and bodyParams arguments, or null when neither is set.
+     */
+    private getArgumentMapping(
+        parent: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode,
+        field: FieldDefinitionNode,
+        directive: DirectiveNode,
+        method: HttpMethod
+    ): HttpArgumentMapping | null {
+        const queryParams: string[] = getDirectiveArgument(directive)("queryParams")
+        const bodyParams: string[] = getDirectiveArgument(directive)("bodyParams")
+        if (!queryParams && !bodyParams) {
+            return null
+        }
+        const location = `${parent.name.value}.${field.name.value}`
+        if (bodyParams && bodyParams.length > 0 && (method === 'GET' || method === 'DELETE')) {
+            throw new InvalidDirectiveError(`@http directive on ${location} can not send a request body with ${method}.`)
+        }
+        const mappedArgs = { query: queryParams || [], body: bodyParams || [] }
+        for (const argName of [...mappedArgs.query, ...mappedArgs.body]) {
+            if (!field.arguments.find(arg => arg.name.value === argName)) {
+                throw new InvalidDirectiveError(
+                    `@http directive on ${location} maps "${argName}" which is not an argument of the field.`
+                )
+            }
+        }
+        return mappedArgs
+    }
 }
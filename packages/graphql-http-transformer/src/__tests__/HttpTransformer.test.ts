@@ -1,6 +1,7 @@
-import { parse } from 'graphql'
+import { parse, Kind, ObjectTypeDefinitionNode } from 'graphql'
 import GraphQLTransform from 'graphql-transformer-core'
-import { ResolverResourceIDs } from 'graphql-transformer-common'
+import { ResolverResourceIDs, HttpResourceIDs } from 'graphql-transformer-common'
+import { renderTemplate } from 'graphql-mapping-template'
 import { HttpTransformer } from '../HttpTransformer'
 
 test('Test HttpTransformer with four basic requests', () => {
@@ -100,3 +101,132 @@ test('Test that HttpTransformer throws an error when missing protocol in URL arg
         expect(e.name).toEqual('TransformerContractError')
     }
 });
+
+test('Test HttpTransformer with headers and ${env} in the url', () => {
+    const validSchema = `
+    type Comment {
+        id: ID!
+        content: String @http(
+            url: "https://api-\${env}.example.com/ping",
+            headers: [{ key: "x-api-version", value: "2" }]
+        )
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new HttpTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const dataSource = out.stacks.HttpStack.Resources[HttpResourceIDs.HttpDataSourceID('https://api-${env}.example.com')]
+    expect(dataSource).toBeDefined()
+    const endpoint = dataSource.Properties.HttpConfig.Endpoint
+    expect(endpoint['Fn::If'][1]).toEqual({ 'Fn::Sub': ['https://api-${env}.example.com', { env: { Ref: 'env' } }] })
+    expect(endpoint['Fn::If'][2]).toEqual({ 'Fn::Sub': ['https://api.example.com', {}] })
+    expect(out.resolvers['Comment.content.req.vtl']).toContain('$headers.put("x-api-version", "2")')
+
+    const invalidSchema = `
+    type Comment {
+        id: ID!
+        content: String @http(url: "https://api.example.com/\${env}/ping")
+    }
+    `
+    try {
+        transformer.transform(invalidSchema);
+        expect(true).toEqual(false)
+    } catch (e) {
+        expect(e.name).toEqual('InvalidDirectiveError')
+    }
+});
+
+test('Test HttpTransformer escapes header values and rejects invalid headers', () => {
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new HttpTransformer()
+        ]
+    })
+    const out = transformer.transform(`
+    type Comment {
+        id: ID!
+        content: String @http(
+            url: "https://api.example.com/ping",
+            headers: [{ key: "x-api-key", value: "$ctx.args.id #set($a = 1) it's \\\\ \\"quoted\\"" }]
+        )
+    }
+    `)
+    const template = out.resolvers['Comment.content.req.vtl']
+    const result = renderTemplate(template, { arguments: { id: '1' } })
+    expect(result.errors).toEqual([])
+    expect(JSON.parse(result.output).params.headers['x-api-key']).toEqual(`$ctx.args.id #set($a = 1) it's \\ "quoted"`)
+
+    const invalidHeaders = [
+        '{ key: "x api key", value: "1" }',
+        '{ key: "x-api-key\\"", value: "1" }',
+        '{ key: "x-api-key", value: "1\\r\\nx-admin: true" }',
+        '{ key: "x-api-key" }'
+    ]
+    for (const header of invalidHeaders) {
+        expect(() => transformer.transform(`
+        type Comment {
+            id: ID!
+            content: String @http(url: "https://api.example.com/ping", headers: [${header}])
+        }
+        `)).toThrow(/^@http directive on Comment\.content /)
+    }
+});
+
+test('Test HttpTransformer maps field arguments to the query string and body', () => {
+    const validSchema = `
+    type Query {
+        posts(page: Int, term: String!): String @http(
+            url: "https://api.example.com/posts",
+            queryParams: ["page", "term"]
+        )
+        updatePost(id: ID!, title: String, draft: Boolean): String @http(
+            method: PUT,
+            url: "https://api.example.com/posts/:id",
+            queryParams: ["draft"],
+            bodyParams: ["title"]
+        )
+    }
+    `
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new HttpTransformer()
+        ]
+    })
+    const out = transformer.transform(validSchema);
+    const schemaDoc = parse(out.schema)
+    const queryType = schemaDoc.definitions.find(
+        (d: any) => d.kind === Kind.OBJECT_TYPE_DEFINITION && d.name.value === 'Query'
+    ) as ObjectTypeDefinitionNode
+    const postsField = queryType.fields.find(f => f.name.value === 'posts')
+    expect(postsField.arguments.map(a => a.name.value)).toEqual(['page', 'term'])
+    expect(postsField.arguments[1].type.kind).toEqual(Kind.NON_NULL_TYPE)
+    const updateField = queryType.fields.find(f => f.name.value === 'updatePost')
+    expect(updateField.arguments.map(a => a.name.value)).toEqual(['id', 'title', 'draft'])
+
+    const postsTemplate = out.resolvers['Query.posts.req.vtl']
+    expect(postsTemplate).toContain('$query.put("page", $ctx.args.page)')
+    expect(postsTemplate).toContain('"query": $util.toJson($query)')
+    const updateTemplate = out.resolvers['Query.updatePost.req.vtl']
+    expect(updateTemplate).toContain('"resourcePath": "/posts/${ctx.args.id}"')
+    expect(updateTemplate).toContain('$body.put("title", $ctx.args.title)')
+    expect(updateTemplate).toContain('$query.put("draft", $ctx.args.draft)')
+    expect(updateTemplate).toContain('"body": $util.toJson($body)')
+
+    const expectInvalid = (schema: string) => {
+        try {
+            transformer.transform(schema);
+            expect(true).toEqual(false)
+        } catch (e) {
+            expect(e.name).toEqual('InvalidDirectiveError')
+        }
+    }
+    // Unknown argument.
+    expectInvalid(`type Query { posts(page: Int): String @http(url: "https://api.example.com/posts", queryParams: ["size"]) }`)
+    // A GET request has no body.
+    expectInvalid(`type Query { posts(page: Int): String @http(url: "https://api.example.com/posts", bodyParams: ["page"]) }`)
+    // Path parameters must be field arguments.
+    expectInvalid(`type Query { post(page: Int): String @http(url: "https://api.example.com/posts/:id", queryParams: ["page"]) }`)
+});
@@ -11,6 +11,20 @@ import { InputValueDefinitionNode } from 'graphql'
 import { ResourceConstants, ModelResourceIDs, HttpResourceIDs, makeNonNullType } from 'graphql-transformer-common'
 import { InvalidDirectiveError } from 'graphql-transformer-core';
 
+export interface HttpHeader {
+    key: string,
+    value: string
+}
+
+/**
+ * The field arguments that are sent as query string parameters and in the request body.
+ * When set, the arguments are read from the field instead of the generated query & body inputs.
+ */
+export interface HttpArgumentMapping {
+    query: string[],
+    body: string[]
+}
+
 export class ResourceFactory {
 
     public makeParams() {
@@ -34,11 +48,75 @@ export class ResourceFactory {
             Name: HttpResourceIDs.HttpDataSourceID(baseURL),
             Type: 'HTTP',
             HttpConfig: {
-                Endpoint: baseURL
+                Endpoint: this.replaceEnv(baseURL)
             }
         })
     }
 
+    /**
+     * Replaces a "${env}" placeholder with the environment name, or removes it
+     * along with a leading "-" when the API is deployed without an environment.
+     */
+    private replaceEnv(value: string) {
+        if (value.indexOf('${env}') === -1) {
+            return value
+        }
+        return Fn.If(
+            ResourceConstants.CONDITIONS.HasEnvironmentParameter,
+            Fn.Sub(value, {
+                env: Fn.Ref(ResourceConstants.PARAMETERS.Env)
+            }),
+            Fn.Sub(value.replace(/-?\$\{env\}/g, ''), {})
+        )
+    }
+
+    /**
+     * Forwards the headers from the request and adds the headers configured on the directive.
+     */
+    private makeHeaders(headers: HttpHeader[], hasJsonBody: boolean) {
+        return compoundExpression([
+            set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
+            hasJsonBody ? qref('$headers.put("Content-Type", "application/json")') : null,
+            qref('$headers.put("accept-encoding", "application/json")'),
+            ...headers.map((header: HttpHeader) =>
+                qref(`$headers.put(${this.makeVtlString(header.key)}, ${this.makeVtlString(header.value)})`)
+            )
+        ])
+    }
+
+    /**
+     * Prints a string as a VTL string literal. Double quoted strings are interpolated so a string
+     * holding "$", "#", a quote or a backslash is read from JSON in a single quoted string instead.
+     */
+    private makeVtlString(value: string) {
+        return /["'$#\\]/.test(value) ?
+            `$util.parseJson('${JSON.stringify(value).replace(/'/g, '\\u0027')}')` :
+            `"${value}"`
+    }
+
+    /**
+     * Collects the mapped field arguments into the $query and $body maps. Null arguments are left out.
+     */
+    private makeArgumentMapping(mappedArgs: HttpArgumentMapping) {
+        const putArgs = (variable: string, args: string[]) => args.map(
+            (arg: string) => iff(
+                raw(`!$util.isNull($ctx.args.${arg})`),
+                qref(`$${variable}.put("${arg}", $ctx.args.${arg})`)
+            )
+        )
+        return compoundExpression([
+            comment('Map the field arguments to the query string and the request body'),
+            set(ref('query'), obj({})),
+            ...putArgs('query', mappedArgs.query),
+            set(ref('body'), obj({})),
+            ...putArgs('body', mappedArgs.body)
+        ])
+    }
+
+    private argsRef(name: string, mappedArgs: HttpArgumentMapping) {
+        return mappedArgs ? ref(`util.toJson($${name})`) : ref(`util.toJson($ctx.args.${name})`)
+    }
+
     private makeVtlStringArray(inputArray: string[]) {
         let returnArray = `[`
         inputArray.forEach((e: string) => returnArray += `\'${e}\', `)
@@ -66,7 +144,14 @@ export class ResourceFactory {
      * is not 200
      * @param type
      */
-    public makeGetResolver(baseURL: string, path: string, type: string, field: string) {
+    public makeGetResolver(
+        baseURL: string,
+        path: string,
+        type: string,
+        field: string,
+        headers: HttpHeader[] = [],
+        mappedArgs: HttpArgumentMapping = null
+    ) {
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
             DataSourceName: Fn.GetAtt(HttpResourceIDs.HttpDataSourceID(baseURL), 'Name'),
@@ -74,12 +159,12 @@ export class ResourceFactory {
             TypeName: type,
             RequestMappingTemplate: print(
                 compoundExpression([
-                    set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
-                    qref('$headers.put("accept-encoding", "application/json")'),
+                    mappedArgs ? this.makeArgumentMapping(mappedArgs) : null,
+                    this.makeHeaders(headers, false),
                     HttpMappingTemplate.getRequest({
                         resourcePath: path,
                         params: obj({
-                            query: ref('util.toJson($ctx.args.query)'),
+                            query: this.argsRef('query', mappedArgs),
                             headers: ref('util.toJson($headers)')
                         })
                     }),
@@ -111,7 +196,9 @@ export class ResourceFactory {
         path: string,
         type: string,
         field: string,
-        nonNullArgs: string[]
+        nonNullArgs: string[],
+        headers: HttpHeader[] = [],
+        mappedArgs: HttpArgumentMapping = null
     ) {
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -121,14 +208,13 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     nonNullArgs.length > 0 ? this.makeNonNullChecks(nonNullArgs) : null,
-                    set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
-                    qref('$headers.put("Content-Type", "application/json")'),
-                    qref('$headers.put("accept-encoding", "application/json")'),
+                    mappedArgs ? this.makeArgumentMapping(mappedArgs) : null,
+                    this.makeHeaders(headers, true),
                     HttpMappingTemplate.postRequest({
                         resourcePath: path,
                         params: obj({
-                            body: ref('util.toJson($ctx.args.body)'),
-                            query: ref('util.toJson($ctx.args.query)'),
+                            body: this.argsRef('body', mappedArgs),
+                            query: this.argsRef('query', mappedArgs),
                             headers: ref('util.toJson($headers)')
                         })
                     }),
@@ -161,7 +247,9 @@ export class ResourceFactory {
         path: string,
         type: string,
         field: string,
-        nonNullArgs: string[]
+        nonNullArgs: string[],
+        headers: HttpHeader[] = [],
+        mappedArgs: HttpArgumentMapping = null
     ) {
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -171,14 +259,13 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     nonNullArgs.length > 0 ? this.makeNonNullChecks(nonNullArgs) : null,
-                    set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
-                    qref('$headers.put("Content-Type", "application/json")'),
-                    qref('$headers.put("accept-encoding", "application/json")'),
+                    mappedArgs ? this.makeArgumentMapping(mappedArgs) : null,
+                    this.makeHeaders(headers, true),
                     HttpMappingTemplate.putRequest({
                         resourcePath: path,
                         params: obj({
-                            body: ref('util.toJson($ctx.args.body)'),
-                            query: ref('util.toJson($ctx.args.query)'),
+                            body: this.argsRef('body', mappedArgs),
+                            query: this.argsRef('query', mappedArgs),
                             headers: ref('util.toJson($headers)')
                         })
                     }),
@@ -202,7 +289,14 @@ export class ResourceFactory {
      * Create a resolver that makes a DELETE request.
      * @param type
      */
-    public makeDeleteResolver(baseURL: string, path: string, type: string, field: string) {
+    public makeDeleteResolver(
+        baseURL: string,
+        path: string,
+        type: string,
+        field: string,
+        headers: HttpHeader[] = [],
+        mappedArgs: HttpArgumentMapping = null
+    ) {
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
             DataSourceName: Fn.GetAtt(HttpResourceIDs.HttpDataSourceID(baseURL), 'Name'),
@@ -210,13 +304,18 @@ export class ResourceFactory {
             TypeName: type,
             RequestMappingTemplate: print(
                 compoundExpression([
-                    set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
-                    qref('$headers.put("accept-encoding", "application/json")'),
+                    mappedArgs ? this.makeArgumentMapping(mappedArgs) : null,
+                    this.makeHeaders(headers, false),
                     HttpMappingTemplate.deleteRequest({
                         resourcePath: path,
-                        params: obj({
-                            headers: ref('util.toJson($headers)')
-                        })
+                        params: mappedArgs ?
+                            obj({
+                                query: this.argsRef('query', mappedArgs),
+                                headers: ref('util.toJson($headers)')
+                            }) :
+                            obj({
+                                headers: ref('util.toJson($headers)')
+                            })
                     }),
                 ])
             ),
@@ -246,7 +345,9 @@ export class ResourceFactory {
         path: string,
         type: string,
         field: string,
-        nonNullArgs: string[]
+        nonNullArgs: string[],
+        headers: HttpHeader[] = [],
+        mappedArgs: HttpArgumentMapping = null
     ) {
         return new AppSync.Resolver({
             ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
@@ -256,14 +357,13 @@ export class ResourceFactory {
             RequestMappingTemplate: print(
                 compoundExpression([
                     nonNullArgs.length > 0 ? this.makeNonNullChecks(nonNullArgs) : null,
-                    set(ref('headers'), ref('utils.http.copyHeaders($ctx.request.headers)')),
-                    qref('$headers.put("Content-Type", "application/json")'),
-                    qref('$headers.put("accept-encoding", "application/json")'),
+                    mappedArgs ? this.makeArgumentMapping(mappedArgs) : null,
+                    this.makeHeaders(headers, true),
                     HttpMappingTemplate.patchRequest({
                         resourcePath: path,
                         params: obj({
-                            body: ref('util.toJson($ctx.args.body)'),
-                            query: ref('util.toJson($ctx.args.query)'),
+                            body: this.argsRef('body', mappedArgs),
+                            query: this.argsRef('query', mappedArgs),
                             headers: ref('util.toJson($headers)')
                         })
                     }),
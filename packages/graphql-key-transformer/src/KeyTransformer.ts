@@ -0,0 +1,546 @@
+import { Transformer, TransformerContext, InvalidDirectiveError } from 'graphql-transformer-core'
+import Table, {
+    GlobalSecondaryIndex, LocalSecondaryIndex, KeySchema, Projection, AttributeDefinition
+} from 'cloudform-types/types/dynamoDb/table'
+import { Fn, Refs } from 'cloudform-types'
+import {
+    DirectiveNode, ObjectTypeDefinitionNode, FieldDefinitionNode, InputObjectTypeDefinitionNode,
+    InputValueDefinitionNode, Kind
+} from 'graphql'
+import {
+    printBlock, compoundExpression, set, ref, qref, obj, str, iff, raw, Expression
+} from 'graphql-mapping-template'
+import {
+    ResourceConstants, ResolverResourceIDs, ModelResourceIDs, DEFAULT_SCALARS,
+    getBaseType, isListType, isNonNullType, makeInputValueDefinition,
+    makeNamedType, wrapNonNull, unwrapNonNull, blankObject, graphqlName, toUpper
+} from 'graphql-transformer-common'
+import {
+    ModelResourceFactory, makeModelConnectionType, makeModelConnectionField, makeScalarFilterInputs,
+    makeEnumFilterInputObjects, makeModelXFilterInputObject, makeModelSortDirectionEnumObject,
+    makeModelScalarKeyConditionInputObject, hasSoftDeletes, makeIncludeDeletedArgument
+} from 'graphql-dynamodb-transformer'
+
+interface KeyArguments {
+    name?: string;
+    fields: string[];
+    queryField?: string;
+}
+
+/**
+ * The @key transform.
+ *
+ * Configures the primary key and the secondary indexes of a @model type's table.
+ * A @key without a name replaces the table's primary key and updates the get, list,
+ * create, update, and delete operations to use it. A named @key creates a secondary
+ * index and a top level query field that queries it. The field is named by queryField
+ * or else "<type>By<Index>", e.g. "orderByStatus" below when no queryField is given.
+ *
+ * type Order @model
+ *   @key(fields: ["customerEmail", "createdAt"])
+ *   @key(name: "ByStatus", fields: ["status", "createdAt"], queryField: "ordersByStatus")
+ * {
+ *   customerEmail: String!
+ *   createdAt: String!
+ *   status: String!
+ * }
+ */
+export class KeyTransformer extends Transformer {
+
+    resources: ModelResourceFactory
+
+    constructor() {
+        super(
+            'KeyTransformer',
+            `directive @key(name: String, fields: [String!]!, queryField: String) on OBJECT`
+        )
+        this.resources = new ModelResourceFactory()
+        this.repeatable = true
+    }
+
+    /**
+     * Augment the table key structure and the generated operations for each @key.
+     */
+    public object = (definition: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext): void => {
+        this.validate(definition, directive, ctx)
+        const args = this.getKeyArguments(directive)
+        if (isPrimaryKey(args)) {
+            this.updateTablePrimaryKey(definition, args, ctx)
+            this.updateGetQuery(definition, args, ctx)
+            this.updateListQuery(definition, args, ctx)
+            this.updateMutations(definition, args, ctx)
+            this.updateMutationInputs(definition, args, ctx)
+        } else {
+            this.appendSecondaryIndex(definition, args, ctx)
+            this.makeQueryField(definition, args, ctx)
+        }
+    }
+
+    /**
+     * Check that the @key is applied to a @model and references valid key fields.
+     */
+    private validate = (definition: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext) => {
+        const typeName = definition.name.value
+        const modelDirective = definition.directives.find(d => d.name.value === 'model')
+        if (!modelDirective) {
+            throw new InvalidDirectiveError(`@key directives may only be applied to types annotated with @model. Check type "${typeName}".`)
+        }
+        const args = this.getKeyArguments(directive)
+        if (args.fields.length < 1 || args.fields.length > 2) {
+            throw new InvalidDirectiveError(`@key on type "${typeName}" must specify a hash key field and an optional sort key field.`)
+        }
+        const keyDirectives = definition.directives.filter(d => d.name.value === 'key').map(d => this.getKeyArguments(d))
+        if (isPrimaryKey(args)) {
+            if (keyDirectives.filter(isPrimaryKey).length > 1) {
+                throw new InvalidDirectiveError(`Type "${typeName}" may only define one @key without a name.`)
+            }
+            if (args.queryField) {
+                throw new InvalidDirectiveError(`@key on type "${typeName}" must specify a name in order to use a queryField.`)
+            }
+        } else if (keyDirectives.filter(k => k.name === args.name).length > 1) {
+            throw new InvalidDirectiveError(`Type "${typeName}" defines more than one @key named "${args.name}".`)
+        }
+        for (const fieldName of args.fields) {
+            const field = definition.fields.find(f => f.name.value === fieldName)
+            if (!field) {
+                throw new InvalidDirectiveError(`@key field "${fieldName}" does not exist on type "${typeName}".`)
+            }
+            if (isListType(field.type)) {
+                throw new InvalidDirectiveError(`@key field "${typeName}.${fieldName}" cannot be a list.`)
+            }
+            // Throws if the field cannot be used as a key attribute.
+            attributeTypeFromField(field, ctx)
+            if (isPrimaryKey(args) && !isNonNullType(field.type)) {
+                throw new InvalidDirectiveError(`The primary @key field "${typeName}.${fieldName}" must be non-null.`)
+            }
+        }
+    }
+
+    /**
+     * Replace the table's key schema with the fields of the primary @key.
+     */
+    private updateTablePrimaryKey = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const tableLogicalID = ModelResourceIDs.ModelTableResourceID(definition.name.value)
+        const table = ctx.getResource(tableLogicalID) as Table
+        table.Properties.KeySchema = makeKeySchema(args.fields)
+        // Drop any attribute definitions left over from the default "id" key.
+        const usedAttributes = getIndexedAttributeNames(table)
+        table.Properties.AttributeDefinitions = (table.Properties.AttributeDefinitions as AttributeDefinition[])
+            .filter(attr => usedAttributes.includes(attr.AttributeName as string))
+        addAttributeDefinitions(table, definition, args.fields, ctx)
+        ctx.setResource(tableLogicalID, table)
+    }
+
+    /**
+     * Add a local secondary index when the @key shares the primary hash key and
+     * a global secondary index otherwise.
+     */
+    private appendSecondaryIndex = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const typeName = definition.name.value
+        const tableLogicalID = ModelResourceIDs.ModelTableResourceID(typeName)
+        const table = ctx.getResource(tableLogicalID) as Table
+        const primaryKeyFields = this.getPrimaryKeyFields(definition)
+        const keySchema = makeKeySchema(args.fields)
+        const projection = new Projection({ ProjectionType: 'ALL' })
+        if (primaryKeyFields.length === 2 && args.fields.length === 2 && args.fields[0] === primaryKeyFields[0]) {
+            const lsis = (table.Properties.LocalSecondaryIndexes || []) as LocalSecondaryIndex[]
+            if (lsis.length >= 5) {
+                throw new InvalidDirectiveError(`Cannot create @key "${args.name}". Table ${typeName} out of LSI capacity.`)
+            }
+            lsis.push(new LocalSecondaryIndex({
+                IndexName: args.name,
+                KeySchema: keySchema,
+                Projection: projection
+            }))
+            table.Properties.LocalSecondaryIndexes = lsis
+        } else {
+            const gsis = (table.Properties.GlobalSecondaryIndexes || []) as GlobalSecondaryIndex[]
+            if (gsis.length >= 5) {
+                throw new InvalidDirectiveError(`Cannot create @key "${args.name}". Table ${typeName} out of GSI capacity.`)
+            }
+            gsis.push(new GlobalSecondaryIndex({
+                IndexName: args.name,
+                KeySchema: keySchema,
+                Projection: projection,
+                ProvisionedThroughput: Fn.If(
+                    ResourceConstants.CONDITIONS.ShouldUsePayPerRequestBilling,
+                    Refs.NoValue,
+                    {
+                        ReadCapacityUnits: Fn.Ref(ResourceConstants.PARAMETERS.DynamoDBModelTableReadIOPS),
+                        WriteCapacityUnits: Fn.Ref(ResourceConstants.PARAMETERS.DynamoDBModelTableWriteIOPS)
+                    }
+                ) as any,
+            }))
+            table.Properties.GlobalSecondaryIndexes = gsis
+        }
+        addAttributeDefinitions(table, definition, args.fields, ctx)
+        ctx.setResource(tableLogicalID, table)
+    }
+
+    /**
+     * The get query takes each primary key field as a required argument in place of "id".
+     */
+    private updateGetQuery = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const resolverLogicalID = ResolverResourceIDs.DynamoDBGetResolverResourceID(definition.name.value)
+        const resolver = ctx.getResource(resolverLogicalID)
+        if (!resolver) {
+            return
+        }
+        const keyArgs = args.fields.map(
+            fieldName => makeInputValueDefinition(fieldName, wrapNonNull(getField(definition, fieldName).type))
+        )
+        this.replaceFieldArguments(
+            ctx,
+            resolver.Properties.TypeName,
+            resolver.Properties.FieldName,
+            (existing: ReadonlyArray<InputValueDefinitionNode>) => [
+                ...keyArgs,
+                ...existing.filter(arg => arg.name.value !== 'id' && !args.fields.includes(arg.name.value))
+            ]
+        )
+        const snippet = printBlock(`Set the primary @key`)(
+            set(ref(ResourceConstants.SNIPPETS.ModelObjectKey), modelObjectKey(args.fields, 'ctx.args'))
+        )
+        resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
+        ctx.setResource(resolverLogicalID, resolver)
+    }
+
+    /**
+     * The list query takes optional key arguments. When the hash key is given
+     * the list resolver queries the table instead of scanning it.
+     */
+    private updateListQuery = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const resolverLogicalID = ResolverResourceIDs.DynamoDBListResolverResourceID(definition.name.value)
+        const resolver = ctx.getResource(resolverLogicalID)
+        if (!resolver) {
+            return
+        }
+        const keyArgs = args.fields.map(
+            fieldName => makeInputValueDefinition(fieldName, unwrapNonNull(getField(definition, fieldName).type))
+        )
+        this.replaceFieldArguments(
+            ctx,
+            resolver.Properties.TypeName,
+            resolver.Properties.FieldName,
+            (existing: ReadonlyArray<InputValueDefinitionNode>) => [
+                ...keyArgs,
+                ...existing,
+                makeInputValueDefinition('sortDirection', makeNamedType('ModelSortDirection'))
+            ]
+        )
+        resolver.Properties.RequestMappingTemplate = printBlock(`Set query expression for @key`)(
+            modelQueryExpression(args.fields)
+        ) + '\n\n' + resolver.Properties.RequestMappingTemplate
+        ctx.setResource(resolverLogicalID, resolver)
+    }
+
+    /**
+     * Create, update, delete and restore resolvers address items by the primary key fields.
+     */
+    private updateMutations = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const typeName = definition.name.value
+        const hasIdField = Boolean(definition.fields.find(f => f.name.value === 'id'))
+        const resolverLogicalIDs = [
+            ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName),
+            ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName),
+            ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName),
+            ResolverResourceIDs.DynamoDBRestoreResolverResourceID(typeName)
+        ]
+        for (const resolverLogicalID of resolverLogicalIDs) {
+            const resolver = ctx.getResource(resolverLogicalID)
+            if (!resolver) {
+                continue
+            }
+            const expressions: Expression[] = []
+            if (hasIdField && resolverLogicalID === ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName)) {
+                expressions.push(qref('$ctx.args.input.put("id", $util.defaultIfNullOrBlank($ctx.args.input.id, $util.autoId()))'))
+            }
+            expressions.push(set(ref(ResourceConstants.SNIPPETS.ModelObjectKey), modelObjectKey(args.fields, 'ctx.args.input')))
+            const snippet = printBlock(`Set the primary @key`)(compoundExpression(expressions))
+            resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
+            ctx.setResource(resolverLogicalID, resolver)
+        }
+    }
+
+    /**
+     * Update, delete and restore inputs, and the key input of batch operations, require every
+     * primary key field. Update inputs no longer require "id" unless it is part of the key.
+     * Key fields the @model leaves out of the update input, such as timestamps, are added back.
+     */
+    private updateMutationInputs = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const typeName = definition.name.value
+        const updateInput = ctx.getType(ModelResourceIDs.ModelUpdateInputObjectName(typeName)) as InputObjectTypeDefinitionNode
+        if (updateInput) {
+            const missingKeyFields = args.fields.filter(fieldName => !updateInput.fields.find(f => f.name.value === fieldName))
+            ctx.putType({
+                ...updateInput,
+                fields: [
+                    ...updateInput.fields.map(f => {
+                        if (args.fields.includes(f.name.value)) {
+                            return { ...f, type: wrapNonNull(f.type) }
+                        } else if (f.name.value === 'id') {
+                            return { ...f, type: unwrapNonNull(f.type) }
+                        }
+                        return f
+                    }),
+                    ...missingKeyFields.map(
+                        fieldName => makeInputValueDefinition(fieldName, wrapNonNull(getField(definition, fieldName).type))
+                    )
+                ]
+            })
+        }
+        const keyInputNames = [
+            ModelResourceIDs.ModelDeleteInputObjectName(typeName),
+            ModelResourceIDs.ModelRestoreInputObjectName(typeName),
+            ModelResourceIDs.ModelKeyInputObjectName(typeName)
+        ]
+        for (const keyInputName of keyInputNames) {
+            const keyInput = ctx.getType(keyInputName) as InputObjectTypeDefinitionNode
+            if (keyInput) {
+                ctx.putType({
+                    ...keyInput,
+                    fields: args.fields.map(
+                        fieldName => makeInputValueDefinition(fieldName, wrapNonNull(getField(definition, fieldName).type))
+                    )
+                })
+            }
+        }
+    }
+
+    /**
+     * Add a top level query field that queries a secondary index. The field is named by the
+     * queryField argument or else "<type>By<Index>". Generated fields take a key condition
+     * on the sort key while a queryField compares the sort key with equality. Like the list
+     * query, the field leaves out soft deleted items unless includeDeleted is true.
+     */
+    private makeQueryField = (definition: ObjectTypeDefinitionNode, args: KeyArguments, ctx: TransformerContext) => {
+        const typeName = definition.name.value
+        const queryTypeName = ctx.getQueryTypeName()
+        const fieldName = args.queryField || indexQueryFieldName(typeName, args.name)
+        const [hashKeyField, sortKeyField] = args.fields
+        const softDelete = hasSoftDeletes(definition)
+        this.ensureConnectionTypes(definition, ctx)
+
+        const resolverLogicalID = ResolverResourceIDs.ResolverResourceID(queryTypeName, fieldName)
+        const resolver = this.resources.makeQueryResolver(typeName, fieldName, queryTypeName, args.name, softDelete)
+        const queryExpression = args.queryField || !sortKeyField ?
+            modelQueryExpression(args.fields) :
+            compoundExpression([
+                modelQueryExpression([hashKeyField]),
+                set(ref('sortKeyCondition'), ref(`util.defaultIfNull($ctx.args.${sortKeyField}, {})`)),
+                this.resources.makeSortKeyCondition(sortKeyField, 'sortKeyCondition')
+            ])
+        resolver.Properties.RequestMappingTemplate = printBlock(`Set query expression for @key`)(
+            queryExpression
+        ) + '\n\n' + resolver.Properties.RequestMappingTemplate
+        ctx.setResource(resolverLogicalID, resolver)
+        ctx.addToStackMapping(typeName, `^${resolverLogicalID}$`)
+
+        const keyArgs = [
+            makeInputValueDefinition(hashKeyField, wrapNonNull(getField(definition, hashKeyField).type))
+        ]
+        if (sortKeyField && args.queryField) {
+            keyArgs.push(makeInputValueDefinition(sortKeyField, unwrapNonNull(getField(definition, sortKeyField).type)))
+        } else if (sortKeyField) {
+            const keyConditionInput = makeModelScalarKeyConditionInputObject(
+                keyScalarFromField(getField(definition, sortKeyField), ctx)
+            )
+            if (!ctx.getType(keyConditionInput.name.value)) {
+                ctx.addInput(keyConditionInput)
+            }
+            keyArgs.push(makeInputValueDefinition(sortKeyField, makeNamedType(keyConditionInput.name.value)))
+        }
+        const connectionField = makeModelConnectionField(fieldName, typeName)
+        ctx.addQueryFields([{
+            ...connectionField,
+            arguments: [...keyArgs, ...connectionField.arguments, ...(softDelete ? [makeIncludeDeletedArgument()] : [])]
+        }])
+    }
+
+    private ensureConnectionTypes(definition: ObjectTypeDefinitionNode, ctx: TransformerContext) {
+        const typeName = definition.name.value
+        const connectionTypeName = ModelResourceIDs.ModelConnectionTypeName(typeName)
+        if (!ctx.getType(connectionTypeName)) {
+            ctx.addObject(blankObject(connectionTypeName))
+            ctx.addObjectExtension(makeModelConnectionType(typeName))
+        }
+        if (!ctx.getType('ModelSortDirection')) {
+            ctx.addEnum(makeModelSortDirectionEnumObject())
+        }
+        const filterInputs = [
+            ...makeScalarFilterInputs(),
+            ...makeEnumFilterInputObjects(definition, ctx),
+            makeModelXFilterInputObject(definition, ctx)
+        ]
+        for (const filterInput of filterInputs) {
+            if (!ctx.getType(filterInput.name.value)) {
+                ctx.addInput(filterInput)
+            }
+        }
+    }
+
+    private replaceFieldArguments(
+        ctx: TransformerContext,
+        typeName: string,
+        fieldName: string,
+        replace: (existing: ReadonlyArray<InputValueDefinitionNode>) => InputValueDefinitionNode[]
+    ) {
+        const type = ctx.getObject(typeName)
+        if (!type) {
+            return
+        }
+        ctx.putType({
+            ...type,
+            fields: type.fields.map(
+                f => f.name.value === fieldName ? { ...f, arguments: replace(f.arguments) } : f
+            )
+        })
+    }
+
+    private getKeyArguments(directive: DirectiveNode): KeyArguments {
+        return this.getDirectiveArgumentMap(directive) as KeyArguments
+    }
+
+    private getPrimaryKeyFields(definition: ObjectTypeDefinitionNode): string[] {
+        const primaryKey = definition.directives
+            .filter(d => d.name.value === 'key')
+            .map(d => this.getKeyArguments(d))
+            .find(isPrimaryKey)
+        return primaryKey ? primaryKey.fields : ['id']
+    }
+}
+
+function isPrimaryKey(args: KeyArguments): boolean {
+    return !args.name
+}
+
+function getField(definition: ObjectTypeDefinitionNode, fieldName: string): FieldDefinitionNode {
+    return definition.fields.find(f => f.name.value === fieldName)
+}
+
+function makeKeySchema(fields: string[]): KeySchema[] {
+    const [hashKey, sortKey] = fields
+    const keySchema = [new KeySchema({ AttributeName: hashKey, KeyType: 'HASH' })]
+    if (sortKey) {
+        keySchema.push(new KeySchema({ AttributeName: sortKey, KeyType: 'RANGE' }))
+    }
+    return keySchema
+}
+
+/**
+ * The query field of a named @key without a queryField. A leading "By" of the index name
+ * is dropped so that @key(name: "ByStatus") on Order creates "orderByStatus".
+ */
+function indexQueryFieldName(typeName: string, indexName: string): string {
+    const indexSuffix = indexName.replace(/^by(?=[A-Z_0-9])/i, '')
+    return graphqlName(`${typeName.charAt(0).toLowerCase()}${typeName.slice(1)}By${toUpper(indexSuffix)}`)
+}
+
+/**
+ * The scalar a key condition on the field compares. Enums are stored as strings.
+ */
+function keyScalarFromField(field: FieldDefinitionNode, ctx: TransformerContext): string {
+    const baseType = getBaseType(field.type)
+    const typeDef = ctx.getType(baseType)
+    return typeDef && typeDef.kind === Kind.ENUM_TYPE_DEFINITION ? 'String' : DEFAULT_SCALARS[baseType]
+}
+
+/**
+ * Returns the DynamoDB attribute type used to store a key field.
+ */
+function attributeTypeFromField(field: FieldDefinitionNode, ctx: TransformerContext): string {
+    const baseType = getBaseType(field.type)
+    const typeDef = ctx.getType(baseType)
+    if (typeDef && typeDef.kind === Kind.ENUM_TYPE_DEFINITION) {
+        return 'S'
+    }
+    switch (DEFAULT_SCALARS[baseType]) {
+        case 'String':
+        case 'ID':
+            return 'S'
+        case 'Int':
+        case 'Float':
+            return 'N'
+        default:
+            throw new InvalidDirectiveError(
+                `@key field "${field.name.value}" must be a String, ID, numeric, or enum field. Found "${baseType}".`
+            )
+    }
+}
+
+function addAttributeDefinitions(table: Table, definition: ObjectTypeDefinitionNode, fields: string[], ctx: TransformerContext) {
+    const attributeDefinitions = (table.Properties.AttributeDefinitions || []) as AttributeDefinition[]
+    for (const fieldName of fields) {
+        if (!attributeDefinitions.find(attr => attr.AttributeName === fieldName)) {
+            attributeDefinitions.push(new AttributeDefinition({
+                AttributeName: fieldName,
+                AttributeType: attributeTypeFromField(getField(definition, fieldName), ctx)
+            }))
+        }
+    }
+    table.Properties.AttributeDefinitions = attributeDefinitions
+}
+
+function getIndexedAttributeNames(table: Table): string[] {
+    const indexes: { KeySchema: any }[] = [
+        table.Properties as { KeySchema: any },
+        ...(table.Properties.GlobalSecondaryIndexes || []) as GlobalSecondaryIndex[],
+        ...(table.Properties.LocalSecondaryIndexes || []) as LocalSecondaryIndex[]
+    ]
+    return indexes.reduce(
+        (acc: string[], index) => [...acc, ...(index.KeySchema as KeySchema[]).map(k => k.AttributeName as string)],
+        []
+    )
+}
+
+/**
+ * Builds the DynamoDB key map for the given key fields read from the given source.
+ * @param fields The key fields.
+ * @param source A reference to the object holding the key values. E.G. ctx.args (note no $)
+ */
+function modelObjectKey(fields: string[], source: string) {
+    return obj(fields.reduce(
+        (acc, fieldName) => ({
+            ...acc,
+            [fieldName]: ref(`util.dynamodb.toDynamoDB($${source}.${fieldName})`)
+        }),
+        {}
+    ))
+}
+
+/**
+ * Sets $modelQueryExpression to a key condition when the hash key argument is
+ * provided. The sort key argument narrows the condition further.
+ */
+function modelQueryExpression(fields: string[]) {
+    const [hashKey, sortKey] = fields
+    const queryExpression = ResourceConstants.SNIPPETS.ModelQueryExpression
+    const sortKeyCondition = sortKey ?
+        iff(
+            raw(`!$util.isNull($ctx.args.${sortKey})`),
+            compoundExpression([
+                qref(`$${queryExpression}.put("expression", "$${queryExpression}.expression AND #${sortKey} = :${sortKey}")`),
+                qref(`$${queryExpression}.expressionNames.put("#${sortKey}", "${sortKey}")`),
+                qref(`$${queryExpression}.expressionValues.put(":${sortKey}", $util.dynamodb.toDynamoDB($ctx.args.${sortKey}))`)
+            ])
+        ) :
+        undefined
+    return compoundExpression([
+        set(ref(queryExpression), obj({})),
+        iff(
+            raw(`!$util.isNull($ctx.args.${hashKey})`),
+            compoundExpression([
+                set(ref(queryExpression), obj({
+                    expression: str(`#${hashKey} = :${hashKey}`),
+                    expressionNames: obj({
+                        [`#${hashKey}`]: str(hashKey)
+                    }),
+                    expressionValues: obj({
+                        [`:${hashKey}`]: ref(`util.dynamodb.toDynamoDB($ctx.args.${hashKey})`)
+                    })
+                })),
+                ...(sortKeyCondition ? [sortKeyCondition] : [])
+            ])
+        )
+    ])
+}
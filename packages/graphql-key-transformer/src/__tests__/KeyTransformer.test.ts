@@ -0,0 +1,277 @@
+import {
+    ObjectTypeDefinitionNode, parse, FieldDefinitionNode, DocumentNode,
+    DefinitionNode, Kind, InputObjectTypeDefinitionNode, InputValueDefinitionNode, print
+} from 'graphql'
+import GraphQLTransform from 'graphql-transformer-core'
+import { ResolverResourceIDs, ModelResourceIDs } from 'graphql-transformer-common'
+import DynamoDBModelTransformer from 'graphql-dynamodb-transformer'
+import { renderTemplate } from 'graphql-mapping-template'
+import { KeyTransformer } from '../KeyTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new KeyTransformer()
+    ]
+})
+
+test('Test KeyTransformer changes the primary key of a @model table', () => {
+    const validSchema = `
+    type Order @model @key(fields: ["customerEmail", "createdAt"]) {
+        customerEmail: String!
+        createdAt: String!
+        orderId: ID!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const table = out.stacks.Order.Resources[ModelResourceIDs.ModelTableResourceID('Order')]
+    expect(table.Properties.KeySchema).toEqual([
+        { AttributeName: 'customerEmail', KeyType: 'HASH' },
+        { AttributeName: 'createdAt', KeyType: 'RANGE' }
+    ])
+    expect(table.Properties.AttributeDefinitions).toEqual([
+        { AttributeName: 'customerEmail', AttributeType: 'S' },
+        { AttributeName: 'createdAt', AttributeType: 'S' }
+    ])
+
+    const schemaDoc = parse(out.schema)
+    const queryType = getObjectType(schemaDoc, 'Query')
+    const getField = getFieldNamed(queryType, 'getOrder')
+    expect(getField.arguments.map(a => a.name.value)).toEqual(['customerEmail', 'createdAt'])
+    expect(getField.arguments.every(a => a.type.kind === Kind.NON_NULL_TYPE)).toBeTruthy()
+    const listField = getFieldNamed(queryType, 'listOrders')
+    expectArguments(listField, ['customerEmail', 'createdAt', 'filter', 'limit', 'nextToken', 'sortDirection'])
+
+    const deleteInput = getInputType(schemaDoc, 'DeleteOrderInput')
+    expect(deleteInput.fields.map(f => f.name.value)).toEqual(['customerEmail', 'createdAt'])
+    const updateInput = getInputType(schemaDoc, 'UpdateOrderInput')
+    expect(updateInput.fields.find(f => f.name.value === 'createdAt').type.kind).toEqual(Kind.NON_NULL_TYPE)
+
+    const getTemplate = out.resolvers['Query.getOrder.req.vtl']
+    expect(getTemplate).toContain('#set( $modelObjectKey = {')
+    expect(getTemplate).toContain('$util.dynamodb.toDynamoDB($ctx.args.customerEmail)')
+    expect(out.resolvers['Query.listOrders.req.vtl']).toContain('#customerEmail = :customerEmail')
+    expect(out.resolvers['Mutation.updateOrder.req.vtl']).toContain('$util.dynamodb.toDynamoDB($ctx.args.input.createdAt)')
+
+    // The server sets the createdAt timestamp before the key of the new item is read.
+    expect(getInputType(schemaDoc, 'CreateOrderInput').fields.map(f => f.name.value)).toEqual(['customerEmail', 'orderId'])
+    const create = renderTemplate(out.resolvers['Mutation.createOrder.req.vtl'], {
+        arguments: { input: { customerEmail: 'me@example.com', orderId: '1' } }
+    })
+    expect(JSON.parse(create.output).key.createdAt.S).toMatch(/^\d{4}-\d{2}-\d{2}T/)
+})
+
+test('Test KeyTransformer changes the key input of batch operations', () => {
+    const validSchema = `
+    type Order @model(batch: { get: "batchGetOrder", delete: "batchDeleteOrder" }) @key(fields: ["customerEmail", "createdAt"]) {
+        customerEmail: String!
+        createdAt: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const keyInput = getInputType(parse(out.schema), 'ModelOrderKeyInput')
+    expect(keyInput.fields.map(f => f.name.value)).toEqual(['customerEmail', 'createdAt'])
+    expect(keyInput.fields.every(f => f.type.kind === Kind.NON_NULL_TYPE)).toBeTruthy()
+})
+
+test('Test KeyTransformer addresses soft deleted items by the primary key', () => {
+    const validSchema = `
+    type Order @model(softDelete: {}) @key(fields: ["customerEmail", "orderId"]) {
+        customerEmail: String!
+        orderId: ID!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const schemaDoc = parse(out.schema)
+    const getField = getFieldNamed(getObjectType(schemaDoc, 'Query'), 'getOrder')
+    expect(getField.arguments.map(a => a.name.value)).toEqual(['customerEmail', 'orderId', 'includeDeleted'])
+    expect(getInputType(schemaDoc, 'RestoreOrderInput').fields.map(f => f.name.value)).toEqual(['customerEmail', 'orderId'])
+
+    const restore = JSON.parse(renderTemplate(out.resolvers['Mutation.restoreOrder.req.vtl'], {
+        arguments: { input: { customerEmail: 'me@example.com', orderId: '1' } }
+    }).output)
+    expect(restore.key).toEqual({ customerEmail: { S: 'me@example.com' }, orderId: { S: '1' } })
+    expect(restore.update.expression.trim()).toEqual('REMOVE #_deleted, #deletedAt')
+})
+
+test('Test KeyTransformer leaves soft deleted items out of query fields', () => {
+    const validSchema = `
+    type Post @model(softDelete: {}) @key(name: "byStatus", fields: ["status", "title"]) {
+        id: ID!
+        status: String!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const queryField = getFieldNamed(getObjectType(parse(out.schema), 'Query'), 'postByStatus')
+    expect(queryField.arguments.map(a => a.name.value)).toContain('includeDeleted')
+
+    const template = out.resolvers['Query.postByStatus.req.vtl']
+    const request = JSON.parse(renderTemplate(template, { arguments: { status: 'DRAFT' } }).output)
+    expect(request.index).toEqual('byStatus')
+    expect(request.filter).toEqual({ expression: 'attribute_not_exists(#_deleted)', expressionNames: { '#_deleted': '_deleted' } })
+
+    const filtered = JSON.parse(renderTemplate(template, {
+        arguments: { status: 'DRAFT', filter: { title: { beginsWith: 'Hello' } } }
+    }).output)
+    expect(filtered.filter.expression).toMatch(/^\(.+\) AND attribute_not_exists\(#_deleted\)$/)
+
+    const included = JSON.parse(renderTemplate(template, { arguments: { status: 'DRAFT', includeDeleted: true } }).output)
+    expect(included.filter).toBeNull()
+})
+
+test('Test KeyTransformer creates a GSI and query field for a named key', () => {
+    const validSchema = `
+    type Order @model
+        @key(fields: ["customerEmail", "createdAt"])
+        @key(name: "ByStatus", fields: ["status", "total"], queryField: "ordersByStatus")
+        @key(name: "ByCreated", fields: ["customerEmail", "total"])
+    {
+        customerEmail: String!
+        createdAt: String!
+        status: String!
+        total: Float
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const table = out.stacks.Order.Resources[ModelResourceIDs.ModelTableResourceID('Order')]
+    expect(table.Properties.GlobalSecondaryIndexes).toHaveLength(1)
+    expect(table.Properties.GlobalSecondaryIndexes[0].IndexName).toEqual('ByStatus')
+    expect(table.Properties.GlobalSecondaryIndexes[0].KeySchema).toEqual([
+        { AttributeName: 'status', KeyType: 'HASH' },
+        { AttributeName: 'total', KeyType: 'RANGE' }
+    ])
+    expect(table.Properties.LocalSecondaryIndexes).toHaveLength(1)
+    expect(table.Properties.LocalSecondaryIndexes[0].IndexName).toEqual('ByCreated')
+    expect(table.Properties.AttributeDefinitions).toContainEqual({ AttributeName: 'total', AttributeType: 'N' })
+
+    const queryResolverID = ResolverResourceIDs.ResolverResourceID('Query', 'ordersByStatus')
+    expect(out.stacks.Order.Resources[queryResolverID]).toBeDefined()
+    const queryTemplate = out.resolvers['Query.ordersByStatus.req.vtl']
+    expect(queryTemplate).toContain('"index": "ByStatus"')
+    expect(queryTemplate).toContain('"operation": "Query"')
+
+    const schemaDoc = parse(out.schema)
+    const queryField = getFieldNamed(getObjectType(schemaDoc, 'Query'), 'ordersByStatus')
+    expectArguments(queryField, ['status', 'total', 'filter', 'sortDirection', 'limit', 'nextToken'])
+    expect(queryField.arguments.find(a => a.name.value === 'status').type.kind).toEqual(Kind.NON_NULL_TYPE)
+})
+
+test('Test KeyTransformer creates a query field with key conditions for a named key without a queryField', () => {
+    const validSchema = `
+    type Order @model
+        @key(name: "ByStatus", fields: ["status", "createdAt"])
+        @key(name: "total", fields: ["total"])
+    {
+        id: ID!
+        status: OrderStatus!
+        createdAt: AWSDateTime!
+        total: Int!
+    }
+    enum OrderStatus { PENDING SHIPPED }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const schemaDoc = parse(out.schema)
+    const queryType = getObjectType(schemaDoc, 'Query')
+    const queryField = getFieldNamed(queryType, 'orderByStatus')
+    expectArguments(queryField, ['status', 'createdAt', 'filter', 'sortDirection', 'limit', 'nextToken'])
+    expect(getArgumentType(queryField, 'createdAt')).toEqual('ModelStringKeyConditionInput')
+    expectArguments(getFieldNamed(queryType, 'orderByTotal'), ['total', 'filter', 'sortDirection', 'limit', 'nextToken'])
+    const keyConditionInput = getInputType(schemaDoc, 'ModelStringKeyConditionInput')
+    expect(keyConditionInput.fields.map(f => f.name.value)).toEqual(['eq', 'le', 'lt', 'ge', 'gt', 'between', 'beginsWith'])
+
+    const request = JSON.parse(renderTemplate(out.resolvers['Query.orderByStatus.req.vtl'], {
+        arguments: { status: 'PENDING', createdAt: { beginsWith: '2019-01' }, sortDirection: 'DESC' }
+    }).output)
+    expect(request.index).toEqual('ByStatus')
+    expect(request.scanIndexForward).toEqual(false)
+    expect(request.query).toEqual({
+        expression: '#status = :status AND begins_with(#sortKey, :sortKey)',
+        expressionNames: { '#status': 'status', '#sortKey': 'createdAt' },
+        expressionValues: { ':status': { S: 'PENDING' }, ':sortKey': { S: '2019-01' } }
+    })
+    const invalid = renderTemplate(out.resolvers['Query.orderByStatus.req.vtl'], {
+        arguments: { status: 'PENDING', createdAt: { gt: '2019', lt: '2020' } }
+    })
+    expect(invalid.error).toBeDefined()
+})
+
+test('Test KeyTransformer list queries the index whose key the filter pins', () => {
+    const validSchema = `
+    type Order @model @key(name: "ByStatus", fields: ["status", "total"]) {
+        id: ID!
+        status: String!
+        total: Int!
+        note: String
+    }
+    `
+    const out = makeTransformer().transform(validSchema)
+    const listTemplate = out.resolvers['Query.listOrders.req.vtl']
+    const request = JSON.parse(renderTemplate(listTemplate, {
+        arguments: { filter: { status: { eq: 'PENDING' }, total: { between: [10, 20] }, note: { contains: 'gift' } } }
+    }).output)
+    expect(request.operation).toEqual('Query')
+    expect(request.index).toEqual('ByStatus')
+    expect(request.query.expression).toEqual('#hashKey = :hashKey AND #sortKey BETWEEN :sortKey0 AND :sortKey1')
+    expect(request.query.expressionValues).toEqual({ ':hashKey': { S: 'PENDING' }, ':sortKey0': { N: '10' }, ':sortKey1': { N: '20' } })
+    // Key attributes may not appear in the filter of a query.
+    expect(request.filter.expressionNames).toEqual({ '#note': 'note' })
+
+    // Filters that do not pin a key, or that use conditions a key condition cannot express, scan.
+    const scans = [
+        { status: { ne: 'PENDING' } },
+        { status: { eq: 'PENDING' }, total: { ne: 10 } },
+        { or: [{ status: { eq: 'PENDING' } }] }
+    ]
+    for (const filter of scans) {
+        expect(JSON.parse(renderTemplate(listTemplate, { arguments: { filter } }).output).operation).toEqual('Scan')
+    }
+})
+
+test('Test KeyTransformer validation', () => {
+    const expectInvalid = (schema: string) => {
+        try {
+            makeTransformer().transform(schema)
+            expect(true).toEqual(false)
+        } catch (e) {
+            expect(e.name).toEqual('InvalidDirectiveError')
+        }
+    }
+    // Not a @model type.
+    expectInvalid(`type Order @key(fields: ["id"]) { id: ID! }`)
+    // Missing field.
+    expectInvalid(`type Order @model @key(fields: ["email"]) { id: ID! }`)
+    // Nullable primary key field.
+    expectInvalid(`type Order @model @key(fields: ["email"]) { id: ID!, email: String }`)
+    // Boolean key field.
+    expectInvalid(`type Order @model @key(name: "ByActive", fields: ["active"]) { id: ID!, active: Boolean }`)
+    // queryField without a name.
+    expectInvalid(`type Order @model @key(fields: ["id"], queryField: "orders") { id: ID! }`)
+})
+
+function expectArguments(field: FieldDefinitionNode, args: string[]) {
+    for (const argName of args) {
+        const foundArg = field.arguments.find((a: InputValueDefinitionNode) => a.name.value === argName)
+        expect(foundArg).toBeDefined()
+    }
+}
+
+function getArgumentType(field: FieldDefinitionNode, name: string): string {
+    return print(field.arguments.find(a => a.name.value === name).type)
+}
+
+function getFieldNamed(type: ObjectTypeDefinitionNode, name: string): FieldDefinitionNode | undefined {
+    return type.fields.find((f: FieldDefinitionNode) => f.name.value === name)
+}
+
+function getObjectType(doc: DocumentNode, type: string): ObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as ObjectTypeDefinitionNode | undefined
+}
+
+function getInputType(doc: DocumentNode, type: string): InputObjectTypeDefinitionNode | undefined {
+    return doc.definitions.find(
+        (def: DefinitionNode) => def.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION && def.name.value === type
+    ) as InputObjectTypeDefinitionNode | undefined
+}
@@ -0,0 +1,3 @@
+import { KeyTransformer } from './KeyTransformer'
+export * from './KeyTransformer'
+export default KeyTransformer
\ No newline at end of file
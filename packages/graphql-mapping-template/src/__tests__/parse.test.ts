@@ -0,0 +1,159 @@
+import {
+    obj, str, ref, qref, set, iff, ifElse, forEach, comment, compoundExpression, equals, not,
+    and, or, parens, list, int, bool, nul, toJson, raw, ObjectNode
+} from '../ast'
+import { DynamoDBMappingTemplate } from '../dynamodb'
+import { print } from '../print'
+import { parse } from '../parse'
+import { renderTemplate, TemplateParseError } from '../velocity'
+
+test('parse a printed template back into its ast', () => {
+    const ast = compoundExpression([
+        comment('[Start] Checks'),
+        set(ref('condition'), obj({
+            expression: str('attribute_not_exists(#id)'),
+            expressionNames: obj({ '#id': str('id') }),
+            limit: int(10)
+        })),
+        set(ref('allowedGroups'), list([str('Admin'), str('Editor')])),
+        iff(and([not(ref('util.isNull($ctx.args.id)')), equals(ref('ctx.identity.sub'), str('abc'))]),
+            qref('$ctx.args.input.put("owner", $ctx.identity.sub)')),
+        forEach(ref('group'), ref('allowedGroups'), [
+            ifElse(equals(ref('group'), str('Admin')), set(ref('isAdmin'), bool(true)), set(ref('isAdmin'), nul()))
+        ]),
+        comment('[End] Checks'),
+        toJson(ref('condition'))
+    ])
+    const template = print(ast)
+    expect(parse(template)).toEqual(ast)
+    expect(print(parse(template))).toEqual(template)
+})
+
+test('parse generated resolvers', () => {
+    const resolver = DynamoDBMappingTemplate.query({
+        query: obj({
+            expression: str('#typename = :typename'),
+            expressionNames: obj({ '#typename': str('__typename') }),
+            expressionValues: obj({ ':typename': obj({ S: str('test') }) })
+        }),
+        scanIndexForward: bool(true),
+        filter: ifElse(ref('context.args.filter'), ref('util.transform.toDynamoDBFilterExpression($ctx.args.filter)'), nul()),
+        limit: ref('limit'),
+        nextToken: ifElse(ref('context.args.nextToken'), str('$context.args.nextToken'), nul())
+    })
+    const template = print(resolver)
+    const parsed = parse(template) as ObjectNode
+    expect(print(parsed)).toEqual(template)
+    expect(parsed.kind).toEqual('Object')
+    expect(parsed.attributes.map(([key]) => key)).toEqual([
+        'version', 'operation', 'query', 'scanIndexForward', 'filter', 'limit', 'nextToken'
+    ])
+    expect(parsed.attributes[5][1]).toEqual(ref('limit'))
+    expect(parsed.attributes[4][1].kind).toEqual('IfElse')
+
+    const update = print(DynamoDBMappingTemplate.updateItem({
+        key: obj({ id: ref('util.dynamodb.toDynamoDBJson($ctx.args.input.id)') }),
+        condition: ref('util.toJson($condition)')
+    }))
+    expect(print(parse(update))).toEqual(update)
+})
+
+test('parse hand written templates into the ast', () => {
+    const template = [
+        '## A resolver override',
+        '#set($input = $ctx.args.input)',
+        '#if($input.title)   ',
+        '\t$util.qr($input.put("title", $input.title.trim()))',
+        '#end',
+        '{',
+        '    "version" : "2017-02-28",',
+        '    "operation": "PutItem",',
+        '  "key": { "id": $util.dynamodb.toDynamoDBJson($ctx.args.id) },',
+        '  "attributeValues": $util.dynamodb.toMapValuesJson($input)',
+        '}',
+        ''
+    ].join('\n')
+    const parsed = parse(template)
+    expect(parsed).toEqual(compoundExpression([
+        raw('## A resolver override'),
+        set(ref('input'), ref('ctx.args.input')),
+        iff(ref('input.title'), qref('$input.put("title", $input.title.trim())')),
+        obj({
+            version: str('2017-02-28'),
+            operation: str('PutItem'),
+            key: obj({ id: ref('util.dynamodb.toDynamoDBJson($ctx.args.id)') }),
+            attributeValues: ref('util.dynamodb.toMapValuesJson($input)')
+        })
+    ]))
+
+    // Printing lays the template out like a generated one, and the printed template parses
+    // back into the same nodes and renders the same item.
+    const printed = print(parsed)
+    expect(parse(printed)).toEqual(parsed)
+    expect(print(parse(printed))).toEqual(printed)
+    const context = { arguments: { id: '1', input: { title: ' Hello ' } } }
+    const expected = renderTemplate(template, context).document
+    expect(renderTemplate(printed, context).document).toEqual(expected)
+    expect(expected.attributeValues.title).toEqual({ S: 'Hello' })
+})
+
+test('parse the conditions and loops of hand written templates', () => {
+    const template = [
+        '#if(($a || $b) && !$c)',
+        '  #set($count = $count + 1)',
+        '#elseif($a || $b && $c)',
+        '  #foreach($item in $items)',
+        '    $util.qr($list.add($item))',
+        '  #end',
+        '#else',
+        '  #return',
+        '#end',
+        '{',
+        '  "filter": #if($filter) $util.toJson($filter) #else null #end,',
+        '  "limit": #if($limit) $limit #else 10 #end',
+        '}'
+    ].join('\n')
+    expect(parse(template)).toEqual(compoundExpression([
+        ifElse(
+            and([parens(or([ref('a'), ref('b')])), not(ref('c'))]),
+            set(ref('count'), raw('$count + 1')),
+            ifElse(
+                or([ref('a'), and([ref('b'), ref('c')])]),
+                forEach(ref('item'), ref('items'), [qref('$list.add($item)')]),
+                raw('#return')
+            )
+        ),
+        obj({
+            filter: ifElse(ref('filter'), ref('util.toJson($filter)'), nul(), true),
+            limit: ifElse(ref('limit'), ref('limit'), int(10), true)
+        })
+    ]))
+    const printed = print(parse(template))
+    expect(parse(printed)).toEqual(parse(template))
+    const context = { arguments: {}, stash: {} }
+    const source = '#set($a = true)#set($c = false)#set($count = 1)#set($filter = {"expression": "a"})\n'
+    expect(renderTemplate(source + printed, context).document).toEqual(renderTemplate(source + template, context).document)
+})
+
+test('keep text with no ast equivalent in raw nodes', () => {
+    const template = [
+        '## Greet **',
+        'Hello, $ctx.args.name!',
+        '',
+        '',
+        '{ "a": 1 } and more',
+        '$util.error("Failed")'
+    ].join('\r\n')
+    const parsed = parse(template)
+    expect(parsed).toEqual(compoundExpression([
+        comment('Greet'),
+        raw('Hello, $ctx.args.name!'),
+        compoundExpression([]),
+        compoundExpression([]),
+        raw('{ "a": 1 } and more'),
+        raw('$util.error("Failed")')
+    ]))
+    expect(print(parsed)).toEqual(template.replace(/\r\n/g, '\n'))
+    expect(print(parse(''))).toEqual('')
+    expect(() => parse('#if( $a )\n  $b')).toThrow(TemplateParseError)
+})
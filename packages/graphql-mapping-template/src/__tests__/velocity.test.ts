@@ -0,0 +1,129 @@
+import { renderTemplate, TemplateError, TemplateParseError } from '../velocity'
+import { DynamoDBMappingTemplate } from '../dynamodb'
+import { obj, str, ref, compoundExpression, set, qref, iff, raw, forEach, print } from '../index'
+
+test('render directives and references', () => {
+    const template = `#set( $names = [] )
+#foreach( $post in $ctx.args.posts )
+  #if( $post.published && $post.title != "Draft" )
+    $util.qr($names.add("$foreach.count:$post.title"))
+  #elseif( !$post.published )
+    #break
+  #end
+#end
+$names $!missing $missing $names.size()`
+    const result = renderTemplate(template, {
+        arguments: {
+            posts: [
+                { title: 'First', published: true },
+                { title: 'Draft', published: true },
+                { title: 'Second', published: true },
+                { title: 'Hidden', published: false },
+                { title: 'Never', published: true }
+            ]
+        }
+    })
+    expect(result.output.trim()).toEqual('[1:First, 3:Second]  $missing 2')
+})
+
+test('render maps, ranges and arithmetic', () => {
+    const template = `#set( $map = { "a": 1 } )
+$util.qr($map.put("b", $map.a + 2))
+#set( $map.c = "$map.b!" )
+#foreach( $i in [1..3] )$i#if( $foreach.hasNext() ),#end#end
+$map $map.keySet() #foreach( $entry in $map.entrySet() )$entry.key=$entry.value;#end \${map.size()} $util.toJson($map)
+$math.get(0) #set( $x = 7 / 2 )$x $ctx.args.text.toUpperCase().replaceAll("O+", "0")`
+    const result = renderTemplate(template, { arguments: { text: 'foo' } })
+    expect(result.output).toEqual([
+        '',
+        '1,2,3',
+        '{a=1, b=3, c=3!} [a, b, c] a=1;b=3;c=3!; 3 {"a":1,"b":3,"c":"3!"}',
+        '$math.get(0) 3 F0'
+    ].join('\n'))
+})
+
+test('render the $util.dynamodb helpers', () => {
+    const template = `{
+    "version": "2017-02-28",
+    "operation": "PutItem",
+    "key": { "id": $util.dynamodb.toDynamoDBJson($ctx.args.input.id) },
+    "attributeValues": $util.dynamodb.toMapValuesJson($ctx.args.input)
+}`
+    const result = renderTemplate(template, {
+        arguments: { input: { id: '1', tags: ['a'], count: 2, meta: { done: false, note: null } } }
+    })
+    expect(result.document).toEqual({
+        version: '2017-02-28',
+        operation: 'PutItem',
+        key: { id: { S: '1' } },
+        attributeValues: {
+            id: { S: '1' },
+            tags: { L: [{ S: 'a' }] },
+            count: { N: '2' },
+            meta: { M: { done: { BOOL: false }, note: { NULL: true } } }
+        }
+    })
+})
+
+test('render a template built with the ast', () => {
+    const template = compoundExpression([
+        set(ref('condition'), obj({
+            expression: str('attribute_exists(#id)'),
+            expressionNames: obj({ '#id': str('id') })
+        })),
+        iff(raw('$ctx.identity.username == "alice"'), qref('$ctx.args.input.put("owner", $ctx.identity.username)')),
+        forEach(ref('key'), ref('ctx.args.input.keySet()'), [
+            qref('$ctx.stash.put("last", $key)')
+        ]),
+        DynamoDBMappingTemplate.updateItem({
+            key: obj({ id: ref('util.dynamodb.toDynamoDBJson($ctx.args.input.id)') }),
+            condition: ref('util.toJson($condition)')
+        })
+    ])
+    const input = { id: '1', title: 'Hello' }
+    const result = renderTemplate(template, { arguments: { input }, identity: { username: 'alice' } })
+    expect(result.error).toBeUndefined()
+    expect(result.stash).toEqual({ last: 'owner' })
+    expect(result.document.operation).toEqual('UpdateItem')
+    expect(result.document.key).toEqual({ id: { S: '1' } })
+    expect(result.document.condition.expression).toEqual('attribute_exists(#id)')
+    expect(result.document.update.expressionValues).toEqual({
+        ':title': { S: 'Hello' },
+        ':owner': { S: 'alice' }
+    })
+    // The arguments of the caller are not changed by the template.
+    expect(input).toEqual({ id: '1', title: 'Hello' })
+    expect(print(template)).toContain('#foreach')
+})
+
+test('render errors raised by the template', () => {
+    const result = renderTemplate(`$util.appendError("Partial", "Warning")
+#if( !$ctx.identity )
+  $util.unauthorized()
+#end
+{}`, { info: { fieldName: 'getPost', parentTypeName: 'Query' } })
+    expect(result.errors).toHaveLength(1)
+    expect(result.errors[0].errorType).toEqual('Warning')
+    expect(result.error).toBeInstanceOf(TemplateError)
+    expect(result.error.message).toEqual('Not Authorized to access getPost on type Query')
+    expect(result.error.errorType).toEqual('Unauthorized')
+
+    const custom = renderTemplate('$util.error("Conflict", "ConflictUnhandled", $ctx.result)', { result: { version: 2 } })
+    expect(custom.error.data).toEqual({ version: 2 })
+
+    const invalidJson = renderTemplate('$util.parseJson($ctx.args.json)', { arguments: { json: '{' } })
+    expect(invalidJson.error).toBeInstanceOf(TemplateError)
+    expect(invalidJson.error.errorType).toEqual('JSONParseException')
+    expect(invalidJson.error.message).toMatch(/^Unable to parse the JSON document/)
+})
+
+test('render #return and #stop', () => {
+    expect(renderTemplate('ignored #return({ "id": 1 }) after').document).toEqual({ id: 1 })
+    expect(renderTemplate('ignored #return({ "id": 1 })').isReturn).toBe(true)
+    expect(renderTemplate('before#stop after').output).toEqual('before')
+})
+
+test('report the position of invalid templates', () => {
+    expect(() => renderTemplate('{\n  #if( $ctx.args.id \n}')).toThrow(TemplateParseError)
+    expect(() => renderTemplate('{\n  #foreach( $item in $items )\n}')).toThrow('Missing #end for #foreach at line 2, column 3')
+})
@@ -11,9 +11,9 @@ export class DynamoDBMappingTemplate {
      * @param keys A list of strings pointing to the key value locations. E.G. ctx.args.x (note no $)
      */
     public static putItem({ key, attributeValues, condition }: {
-        key: ObjectNode,
+        key: ObjectNode | Expression,
         attributeValues: Expression,
-        condition?: ObjectNode
+        condition?: ObjectNode | ReferenceNode
     }): ObjectNode {
         return obj({
             version: str('2017-02-28'),
@@ -29,7 +29,7 @@ export class DynamoDBMappingTemplate {
      * @param key A list of strings pointing to the key value locations. E.G. ctx.args.x (note no $)
      */
     public static getItem({ key }: {
-        key: ObjectNode
+        key: ObjectNode | Expression
     }): ObjectNode {
         return obj({
             version: str('2017-02-28'),
@@ -43,7 +43,7 @@ export class DynamoDBMappingTemplate {
      * @param key A list of strings pointing to the key value locations. E.G. ctx.args.x (note no $)
      */
     public static query({ query, filter, scanIndexForward, limit, nextToken, index }: {
-        query: ObjectNode;
+        query: ObjectNode | Expression;
         scanIndexForward: Expression;
         filter: ObjectNode | Expression;
         limit: Expression;
@@ -58,7 +58,8 @@ export class DynamoDBMappingTemplate {
             filter,
             limit,
             nextToken,
-            index
+            // The table itself is queried when no index is given.
+            ...(index ? { index } : {})
         })
     }
 
@@ -85,7 +86,7 @@ export class DynamoDBMappingTemplate {
      * @param key A list of strings pointing to the key value locations. E.G. ctx.args.x (note no $)
      */
     public static deleteItem({ key, condition }: {
-        key: ObjectNode,
+        key: ObjectNode | Expression,
         condition: ObjectNode | ReferenceNode
     }): ObjectNode {
         return obj({
@@ -99,15 +100,40 @@ export class DynamoDBMappingTemplate {
     /**
      * Create an update item resolver template.
      * @param key
+     * @param objectKeyVariable The name of a template variable holding the item's key. When set at
+     * runtime its attribute names are excluded from the update expression instead of those in key.
+     * @param addValuesVariable The name of a template variable holding a map of attribute names to
+     * numbers. When set at runtime each number is atomically added to its attribute.
+     * @param setExpressionsVariable The name of a template variable holding a map of attribute names
+     * to update expression operands, e.g. the placeholder of another attribute's name. When set at
+     * runtime each attribute is set to its operand.
      */
-    public static updateItem({ key, condition }: {
-        key: ObjectNode,
-        condition: ObjectNode | ReferenceNode
+    public static updateItem({ key, condition, objectKeyVariable, addValuesVariable, setExpressionsVariable }: {
+        key: ObjectNode | Expression,
+        condition: ObjectNode | ReferenceNode,
+        objectKeyVariable?: string,
+        addValuesVariable?: string,
+        setExpressionsVariable?: string
     }): CompoundExpressionNode {
-        const keyNames = key.attributes.map((attr: [string, Expression]) => attr[0])
+        const keyNames = key.kind === 'Object' ?
+            key.attributes.map((attr: [string, Expression]) => attr[0]) :
+            ['id']
+        const keyFields = list(keyNames.map(k => str(k)))
         // Auto timestamp
         // qref('$input.put("updatedAt", "$util.time.nowISO8601()")'),
         return compoundExpression([
+            objectKeyVariable ?
+                ifElse(
+                    ref(objectKeyVariable),
+                    compoundExpression([
+                        set(ref('keyFields'), list([])),
+                        forEach(ref('entry'), ref(`${objectKeyVariable}.entrySet()`), [
+                            qref('$keyFields.add("$entry.key")')
+                        ])
+                    ]),
+                    set(ref('keyFields'), keyFields)
+                ) :
+                set(ref('keyFields'), keyFields),
             set(ref('expNames'), obj({})),
             set(ref('expValues'), obj({})),
             set(ref('expSet'), obj({})),
@@ -115,7 +141,7 @@ export class DynamoDBMappingTemplate {
             set(ref('expRemove'), list([])),
             forEach(
                 ref('entry'),
-                ref(`util.map.copyAndRemoveAllKeys($context.args.input, [${keyNames.map(k => `"${k}"`).join(', ')}]).entrySet()`),
+                ref('util.map.copyAndRemoveAllKeys($context.args.input, $keyFields).entrySet()'),
                 [
                     ifElse(
                         ref('util.isNull($entry.value)'),
@@ -131,6 +157,25 @@ export class DynamoDBMappingTemplate {
                     )
                 ]
             ),
+            ...(addValuesVariable ? [
+                iff(
+                    ref(addValuesVariable),
+                    forEach(ref('entry'), ref(`${addValuesVariable}.entrySet()`), [
+                        qref('$expAdd.put("#$entry.key", ":$entry.key")'),
+                        qref('$expNames.put("#$entry.key", "$entry.key")'),
+                        qref('$expValues.put(":$entry.key", $util.dynamodb.toDynamoDB($entry.value))')
+                    ])
+                )
+            ] : []),
+            ...(setExpressionsVariable ? [
+                iff(
+                    ref(setExpressionsVariable),
+                    forEach(ref('entry'), ref(`${setExpressionsVariable}.entrySet()`), [
+                        qref('$expSet.put("#$entry.key", $entry.value)'),
+                        qref('$expNames.put("#$entry.key", "$entry.key")')
+                    ])
+                )
+            ] : []),
             set(ref('expression'), str('')),
             iff(raw('!$expSet.isEmpty()'), compoundExpression([
                 set(ref('expression'), str('SET')),
@@ -173,6 +218,65 @@ export class DynamoDBMappingTemplate {
         ])
     }
 
+    /**
+     * Create a batch put item resolver template.
+     * @param tableName The name of the table. Batch operations address tables by name rather than
+     * through the data source.
+     * @param items An expression holding the list of items to put.
+     */
+    public static batchPutItem({ tableName, items }: {
+        tableName: string,
+        items: Expression
+    }): ObjectNode {
+        return obj({
+            version: str('2018-05-29'),
+            operation: str('BatchPutItem'),
+            tables: obj({
+                [tableName]: items
+            })
+        })
+    }
+
+    /**
+     * Create a batch delete item resolver template.
+     * @param tableName The name of the table.
+     * @param keys An expression holding the list of keys to delete.
+     */
+    public static batchDeleteItem({ tableName, keys }: {
+        tableName: string,
+        keys: Expression
+    }): ObjectNode {
+        return obj({
+            version: str('2018-05-29'),
+            operation: str('BatchDeleteItem'),
+            tables: obj({
+                [tableName]: keys
+            })
+        })
+    }
+
+    /**
+     * Create a batch get item resolver template.
+     * @param tableName The name of the table.
+     * @param keys An expression holding the list of keys to get.
+     */
+    public static batchGetItem({ tableName, keys, consistentRead }: {
+        tableName: string,
+        keys: Expression,
+        consistentRead?: Expression
+    }): ObjectNode {
+        return obj({
+            version: str('2018-05-29'),
+            operation: str('BatchGetItem'),
+            tables: obj({
+                [tableName]: obj({
+                    keys,
+                    consistentRead
+                })
+            })
+        })
+    }
+
     public static stringAttributeValue(value: Expression): ObjectNode {
         return {
             kind: 'Object', attributes: [
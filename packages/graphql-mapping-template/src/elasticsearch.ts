@@ -1,7 +1,7 @@
 import {
     obj, Expression, str, ObjectNode, iff, ifElse,
     ref, raw, int, CompoundExpressionNode, compoundExpression,
-    set, qref
+    set, qref, forEach, list, comment
 } from './ast';
 
 export class ElasticsearchMappingTemplate {
@@ -28,25 +28,88 @@ export class ElasticsearchMappingTemplate {
      * @param from the next token
      * @param query the query
      */
-    public static searchItem({ query, size, from, path, sort }: {
+    public static searchItem({ query, size, from, path, sort, aggs }: {
         path: Expression,
         sort?: Expression | ObjectNode,
         query?: ObjectNode | Expression,
         size?: Expression,
-        from?: Expression
+        from?: Expression,
+        aggs?: Expression | ObjectNode
     }): ObjectNode {
+        const body = aggs ? obj({ from, size, sort, query, aggs }) : obj({ from, size, sort, query })
         return obj({
             version: str('2017-02-28'),
             operation: str('GET'),
             path,
             params: obj({
-                body: obj({
-                    from,
-                    size,
-                    sort,
-                    query
-                })
+                body
             })
         })
     }
+
+    /**
+     * Builds the $aggs map of an ES search request from the aggregates argument.
+     * Each aggregate is an object with a name, a type (terms, dateHistogram or a
+     * metric such as avg, min, max, sum or cardinality), a field and an optional interval.
+     * @param keywordFields Text fields that must be aggregated through their keyword sub field.
+     */
+    public static aggregations(keywordFields: string[] = []): CompoundExpressionNode {
+        return compoundExpression([
+            set(ref('aggs'), obj({})),
+            set(ref('keywordFields'), list(keywordFields.map(f => str(f)))),
+            forEach(ref('aggItem'), ref('util.defaultIfNull($context.args.aggregates, [])'), [
+                ifElse(
+                    raw('$keywordFields.contains($aggItem.field)'),
+                    set(ref('aggField'), str('${aggItem.field}.keyword')),
+                    set(ref('aggField'), str('$aggItem.field'))
+                ),
+                ifElse(
+                    raw('$aggItem.type == "terms"'),
+                    qref('$aggs.put("$aggItem.name", { "terms": { "field": "$aggField" } })'),
+                    ifElse(
+                        raw('$aggItem.type == "dateHistogram"'),
+                        qref(
+                            '$aggs.put("$aggItem.name", { "date_histogram": ' +
+                            '{ "field": "$aggItem.field", "interval": "$util.defaultIfNullOrEmpty($aggItem.interval, \'1d\')" } })'
+                        ),
+                        qref('$aggs.put("$aggItem.name", { "$aggItem.type": { "field": "$aggItem.field" } })')
+                    )
+                )
+            ])
+        ])
+    }
+
+    /**
+     * Reads the aggregations of an ES search response into the $aggregateItems list.
+     * Bucket aggregations return their buckets and metric aggregations their value.
+     */
+    public static aggregationResults(): CompoundExpressionNode {
+        return compoundExpression([
+            set(ref('aggregateItems'), list([])),
+            forEach(ref('aggItem'), ref('util.defaultIfNull($context.args.aggregates, [])'), [
+                set(ref('aggResult'), ref('context.result.aggregations.get($aggItem.name)')),
+                ifElse(
+                    raw('$aggResult.buckets'),
+                    compoundExpression([
+                        set(ref('buckets'), list([])),
+                        forEach(ref('bucket'), ref('aggResult.buckets'), [
+                            qref(
+                                '$buckets.add({ "key": "$util.defaultIfNull($bucket.key_as_string, $bucket.key)", ' +
+                                '"docCount": $bucket.doc_count })'
+                            )
+                        ]),
+                        set(ref('aggregateResult'), obj({
+                            __typename: str('SearchableAggregateBucketResult'),
+                            buckets: ref('buckets')
+                        }))
+                    ]),
+                    set(ref('aggregateResult'), obj({
+                        __typename: str('SearchableAggregateScalarResult'),
+                        value: ref('util.defaultIfNull($aggResult.value, 0)')
+                    }))
+                ),
+                qref('$aggregateItems.add({ "name": "$aggItem.name", "result": $aggregateResult })')
+            ])
+        ])
+    }
 }
\ No newline at end of file
@@ -2,4 +2,6 @@ export * from './ast';
 export * from './dynamodb';
 export * from './elasticsearch';
 export * from './print';
+export * from './parse';
 export * from './http';
+export * from './velocity';
@@ -0,0 +1,470 @@
+import {
+    Expression, ObjectNode, ListNode, ReferenceNode, iff, ifElse, and, or, parens, equals, notEquals, not, forEach,
+    str, raw, int, float, bool, nul, ref, qref, list, set, comment, compoundExpression, toJson
+} from './ast';
+import {
+    parseTemplate, TemplateNode, TemplateExpression, ReferenceExpression, BinaryExpression,
+    IfDirective, ForEachDirective, SourceLocation
+} from './velocity/parser';
+
+/**
+ * A piece of the output of a template. Text is split into JSON punctuators, strings, words
+ * (numbers, true, false and null) and other text. References and directives are node tokens.
+ */
+type Token = {
+    kind: 'Punctuator' | 'String' | 'Word' | 'Text';
+    value: string;
+    start: number;
+    end: number;
+} | {
+    kind: 'Node';
+    node: TemplateNode;
+    start: number;
+    end: number;
+};
+
+function sourceOf(source: string, loc: SourceLocation): string {
+    return source.slice(loc.start, loc.end);
+}
+
+/**
+ * Returns the index of the quote that closes the JSON string starting at `start`, or -1. The
+ * string may hold references, but no directives.
+ */
+function findStringEnd(source: string, start: number, end: number, nodeAt: { [start: number]: TemplateNode }): number {
+    let i = start + 1;
+    while (i < end) {
+        const node = nodeAt[i];
+        if (node) {
+            if (node.kind !== 'Output') {
+                return -1;
+            }
+            i = node.loc.end;
+        } else if (source[i] === '\\') {
+            i += 2;
+        } else if (source[i] === '"') {
+            return i;
+        } else {
+            i++;
+        }
+    }
+    return -1;
+}
+
+function tokenize(source: string, nodes: TemplateNode[]): Token[] {
+    const tokens: Token[] = [];
+    const nodeAt: { [start: number]: TemplateNode } = {};
+    for (const node of nodes) {
+        if (node.kind !== 'Text') {
+            nodeAt[node.loc.start] = node;
+        }
+    }
+    const end = nodes.length ? nodes[nodes.length - 1].loc.end : 0;
+    let i = nodes.length ? nodes[0].loc.start : 0;
+    while (i < end) {
+        const node = nodeAt[i];
+        const ch = source[i];
+        if (node) {
+            tokens.push({ kind: 'Node', node, start: i, end: node.loc.end });
+            i = node.loc.end;
+        } else if (/\s/.test(ch)) {
+            i++;
+        } else if ('{}[]:,'.indexOf(ch) !== -1) {
+            tokens.push({ kind: 'Punctuator', value: ch, start: i, end: i + 1 });
+            i++;
+        } else if (ch === '"' && findStringEnd(source, i, end, nodeAt) !== -1) {
+            const close = findStringEnd(source, i, end, nodeAt);
+            tokens.push({ kind: 'String', value: source.slice(i + 1, close), start: i, end: close + 1 });
+            i = close + 1;
+        } else {
+            let j = i + 1;
+            while (j < end && !nodeAt[j] && !/[\s{}\[\]:,"]/.test(source[j])) {
+                j++;
+            }
+            const value = source.slice(i, j);
+            const kind = /^(-?[0-9]+(\.[0-9]+)?|true|false|null)$/.test(value) ? 'Word' : 'Text';
+            tokens.push({ kind, value, start: i, end: j });
+            i = j;
+        }
+    }
+    return tokens;
+}
+
+function convertReference(source: string, reference: ReferenceExpression): ReferenceNode {
+    return ref(sourceOf(source, reference.loc).slice(1));
+}
+
+/**
+ * Converts a reference written on a line of its own. $util.qr() and $util.toJson() calls become
+ * the nodes that print them as statements. Other references are kept as raw text, which unlike
+ * reference nodes is printed at the indentation of the statement.
+ */
+function convertOutputStatement(source: string, reference: ReferenceExpression): Expression {
+    const text = sourceOf(source, reference.loc);
+    const method = reference.accessors[0];
+    if (text.slice(0, '$util.'.length) === '$util.' && reference.accessors.length === 1 && method.kind === 'Method') {
+        if (method.name === 'qr') {
+            return qref(text.slice('$util.qr('.length, -1));
+        }
+        if (method.name === 'toJson' && method.args.length === 1) {
+            return toJson(convertExpression(source, method.args[0]));
+        }
+    }
+    return raw(text);
+}
+
+const PRECEDENCE: { [operator: string]: number } = { '||': 0, '&&': 1, '==': 2, '!=': 2 };
+
+/**
+ * Converts an operand of ||, && or ==. The printer does not add parentheses, so an operand
+ * that binds looser than its operator is wrapped in a parens node.
+ */
+function convertOperand(source: string, operand: TemplateExpression, operator: string): Expression {
+    const converted = convertExpression(source, operand);
+    const bindsLooser = operand.kind === 'Binary' && !operand.parenthesized &&
+        operand.operator in PRECEDENCE && PRECEDENCE[operand.operator] < PRECEDENCE[operator];
+    return bindsLooser ? parens(converted) : converted;
+}
+
+/**
+ * The operands of a chain of the same && or || operator, such as $a && $b && $c.
+ */
+function chainOperands(expression: TemplateExpression, operator: string): TemplateExpression[] {
+    if (expression.kind === 'Binary' && expression.operator === operator && !expression.parenthesized) {
+        return [...chainOperands(expression.left, operator), ...chainOperands(expression.right, operator)];
+    }
+    return [expression];
+}
+
+function convertBinary(source: string, expression: BinaryExpression): Expression {
+    const { operator } = expression;
+    switch (operator) {
+        case '&&':
+        case '||': {
+            const operands = chainOperands({ ...expression, parenthesized: false }, operator)
+                .map(operand => convertOperand(source, operand, operator));
+            return operator === '&&' ? and(operands) : or(operands);
+        }
+        case '==':
+            return equals(convertOperand(source, expression.left, operator), convertOperand(source, expression.right, operator));
+        case '!=':
+            return notEquals(convertOperand(source, expression.left, operator), convertOperand(source, expression.right, operator));
+        default:
+            return raw(sourceOf(source, expression.loc));
+    }
+}
+
+function convertUnparenthesized(source: string, expression: TemplateExpression): Expression {
+    const text = sourceOf(source, expression.loc);
+    switch (expression.kind) {
+        case 'Literal':
+            if (expression.value === null) {
+                return nul();
+            }
+            if (typeof expression.value === 'boolean') {
+                return bool(expression.value);
+            }
+            if (typeof expression.value === 'number') {
+                return text.indexOf('.') === -1 ? int(expression.value) : float(expression.value);
+            }
+            return text[0] === '"' ? str(expression.value) : raw(text);
+        case 'Interpolation':
+            return str(text.slice(1, -1));
+        case 'Reference':
+            return convertReference(source, expression);
+        case 'List':
+            return list(expression.items.map(item => convertExpression(source, item)));
+        case 'Map': {
+            const node: ObjectNode = { kind: 'Object', attributes: [] };
+            for (const entry of expression.entries) {
+                const key = sourceOf(source, entry.key.loc);
+                if (entry.key.parenthesized || !/^"[^"\\]*"$/.test(key)) {
+                    return raw(text);
+                }
+                node.attributes.push([key.slice(1, -1), convertExpression(source, entry.value)]);
+            }
+            return node;
+        }
+        case 'Unary':
+            if (expression.operator === '!') {
+                return not(convertExpression(source, expression.operand));
+            }
+            if (expression.operand.kind === 'Literal' && typeof expression.operand.value === 'number' &&
+                !expression.operand.parenthesized) {
+                const value = -expression.operand.value;
+                return text.indexOf('.') === -1 ? int(value) : float(value);
+            }
+            return raw(text);
+        case 'Binary':
+            return convertBinary(source, expression);
+        default:
+            return raw(text);
+    }
+}
+
+/**
+ * Converts an expression of a directive. Expressions the ast has no node for, such as
+ * arithmetic, are kept as raw text.
+ */
+function convertExpression(source: string, expression: TemplateExpression): Expression {
+    const converted = convertUnparenthesized(source, expression);
+    // The location of a parenthesized expression includes the parentheses.
+    return expression.parenthesized && converted.kind !== 'Raw' ? parens(converted) : converted;
+}
+
+/**
+ * Converts the tokens of a list of template nodes into statements and values.
+ */
+class Converter {
+    private index = 0;
+
+    constructor(private source: string, private tokens: Token[]) {}
+
+    public get done(): boolean {
+        return this.index >= this.tokens.length;
+    }
+
+    /**
+     * Converts the tokens into statements, one per line or block of lines. A statement that
+     * has no ast equivalent is kept as raw text, together with the rest of its line.
+     */
+    public statements(): Expression[] {
+        const expressions: Expression[] = [];
+        while (!this.done) {
+            const start = this.index;
+            // Keep the blank lines between statements.
+            const blankLines = start > 0 ? this.lineBreaksBefore(start) - 1 : 0;
+            for (let i = 0; i < blankLines; i++) {
+                expressions.push(compoundExpression([]));
+            }
+            const expression = this.statement();
+            if (expression && this.atLineStart()) {
+                expressions.push(expression);
+            } else {
+                this.index = start;
+                expressions.push(this.rawStatement());
+            }
+        }
+        return expressions;
+    }
+
+    /**
+     * Converts a JSON value, a reference or an #if that writes one.
+     */
+    public value(): Expression | undefined {
+        const token = this.tokens[this.index++];
+        if (!token) {
+            return undefined;
+        }
+        switch (token.kind) {
+            case 'Punctuator':
+                if (token.value === '{') {
+                    return this.object();
+                }
+                return token.value === '[' ? this.list() : undefined;
+            case 'String':
+                return str(token.value);
+            case 'Word':
+                if (token.value === 'null') {
+                    return nul();
+                }
+                if (token.value === 'true' || token.value === 'false') {
+                    return bool(token.value === 'true');
+                }
+                return token.value.indexOf('.') === -1 ? int(Number(token.value)) : float(Number(token.value));
+            case 'Node':
+                if (token.node.kind === 'Output') {
+                    return convertReference(this.source, token.node.reference);
+                }
+                return token.node.kind === 'If' ? this.ifDirective(token.node, true) : undefined;
+            default:
+                return undefined;
+        }
+    }
+
+    private statement(): Expression | undefined {
+        const token = this.tokens[this.index];
+        if (token.kind !== 'Node') {
+            return this.value();
+        }
+        const node = token.node;
+        switch (node.kind) {
+            case 'Comment': {
+                this.index++;
+                const match = /^## (.*) \*\*$/.exec(node.value);
+                return match ? comment(match[1]) : raw(node.value);
+            }
+            case 'Output':
+                this.index++;
+                return convertOutputStatement(this.source, node.reference);
+            case 'Set':
+                this.index++;
+                return set(ref(sourceOf(this.source, node.target.loc).slice(1)), convertExpression(this.source, node.value));
+            case 'If':
+                this.index++;
+                return this.ifDirective(node, node.inline);
+            case 'ForEach':
+                this.index++;
+                return this.forEachDirective(node);
+            case 'Break':
+            case 'Stop':
+            case 'Return':
+                this.index++;
+                return raw(sourceOf(this.source, node.loc));
+            default:
+                return this.value();
+        }
+    }
+
+    private object(): ObjectNode | undefined {
+        const node: ObjectNode = { kind: 'Object', attributes: [] };
+        if (this.punctuator('}')) {
+            return node;
+        }
+        while (true) {
+            const key = this.tokens[this.index++];
+            if (!key || key.kind !== 'String' || !this.punctuator(':')) {
+                return undefined;
+            }
+            const value = this.value();
+            if (!value) {
+                return undefined;
+            }
+            node.attributes.push([key.value, value]);
+            if (!this.punctuator(',')) {
+                return this.punctuator('}') ? node : undefined;
+            }
+        }
+    }
+
+    private list(): ListNode | undefined {
+        const expressions: Expression[] = [];
+        if (this.punctuator(']')) {
+            return list(expressions);
+        }
+        while (true) {
+            const value = this.value();
+            if (!value) {
+                return undefined;
+            }
+            expressions.push(value);
+            if (!this.punctuator(',')) {
+                return this.punctuator(']') ? list(expressions) : undefined;
+            }
+        }
+    }
+
+    /**
+     * Converts an #if. #elseif branches become #if nodes nested in the #else branch.
+     * @param asValue True when each branch must write a single value rather than statements.
+     */
+    private ifDirective(node: IfDirective, asValue: boolean): Expression | undefined {
+        let elseExpr = node.elseBody ? this.body(node.elseBody, asValue) : undefined;
+        if (node.elseBody && !elseExpr) {
+            return undefined;
+        }
+        for (let i = node.branches.length - 1; i >= 0; i--) {
+            const branch = node.branches[i];
+            const predicate = convertExpression(this.source, branch.condition);
+            const expr = this.body(branch.body, asValue);
+            if (!expr) {
+                return undefined;
+            }
+            elseExpr = elseExpr ?
+                ifElse(predicate, expr, elseExpr, node.inline || undefined) :
+                iff(predicate, expr, node.inline || undefined);
+        }
+        return elseExpr;
+    }
+
+    private forEachDirective(node: ForEachDirective): Expression | undefined {
+        if (node.collection.kind !== 'Reference' || node.collection.parenthesized) {
+            return undefined;
+        }
+        const collection = convertReference(this.source, node.collection);
+        const converter = new Converter(this.source, tokenize(this.source, node.body));
+        return forEach(ref(node.variable), collection, converter.statements());
+    }
+
+    /**
+     * Converts the body of a directive into statements, or into a single value.
+     */
+    private body(nodes: TemplateNode[], asValue: boolean): Expression | undefined {
+        const converter = new Converter(this.source, tokenize(this.source, nodes));
+        if (asValue) {
+            const value = converter.value();
+            return value && converter.done ? value : undefined;
+        }
+        const expressions = converter.statements();
+        return expressions.length === 1 ? expressions[0] : compoundExpression(expressions);
+    }
+
+    /**
+     * Keeps the statement at the current token as raw text. The statement ends with its line,
+     * or with the line that closes the brackets opened on it.
+     */
+    private rawStatement(): Expression {
+        const first = this.tokens[this.index++];
+        let end = first.end;
+        let depth = this.bracketDepth(first);
+        while (!this.done) {
+            const token = this.tokens[this.index];
+            if (depth <= 0 && this.source.slice(end, token.start).indexOf('\n') !== -1) {
+                break;
+            }
+            depth += this.bracketDepth(token);
+            end = token.end;
+            this.index++;
+        }
+        return raw(this.source.slice(first.start, end));
+    }
+
+    private bracketDepth(token: Token): number {
+        if (token.kind !== 'Punctuator') {
+            return 0;
+        }
+        if (token.value === '{' || token.value === '[') {
+            return 1;
+        }
+        return token.value === '}' || token.value === ']' ? -1 : 0;
+    }
+
+    /**
+     * True when no token is left or the next token starts a new line.
+     */
+    private atLineStart(): boolean {
+        return this.done || this.lineBreaksBefore(this.index) > 0;
+    }
+
+    /**
+     * The number of line breaks between a token and the token before it.
+     */
+    private lineBreaksBefore(index: number): number {
+        const gap = this.source.slice(this.tokens[index - 1].end, this.tokens[index].start);
+        return gap.split('\n').length - 1;
+    }
+
+    private punctuator(value: string): boolean {
+        const token = this.tokens[this.index];
+        if (token && token.kind === 'Punctuator' && token.value === value) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+}
+
+/**
+ * Parses a mapping template, such as a hand written file in resolvers/, into the nodes of
+ * the ast. Directives, references and JSON become the nodes print() writes them from, so a
+ * template printed from the ast parses back into the same nodes. Other templates are printed
+ * back in the layout of print(), one statement per line. Text with no ast equivalent is kept
+ * in raw nodes, a line at a time.
+ * @param template The mapping template, for example the content of a file in resolvers/.
+ * @throws TemplateParseError when the template is not valid VTL.
+ */
+export function parse(template: string): Expression {
+    const converter = new Converter(template, tokenize(template, parseTemplate(template)));
+    const expressions = converter.statements();
+    return expressions.length === 1 ? expressions[0] : compoundExpression(expressions);
+}
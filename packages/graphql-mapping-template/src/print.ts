@@ -129,7 +129,7 @@ function printNewLine(node: NewLineNode): string {
     return '\n'
 }
 
-function printExpr(expr: Expression, indent: string = ''): string {
+export function printExpr(expr: Expression, indent: string = ''): string {
     if (!expr) { return ''; }
     switch (expr.kind) {
         case 'If':
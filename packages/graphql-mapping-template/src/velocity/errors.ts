@@ -0,0 +1,34 @@
+/**
+ * Raised by $util.error(), $util.unauthorized(), $util.appendError() and the other $util
+ * methods that fail while a template renders. The fields mirror the errors AppSync adds to a GraphQL response.
+ */
+export class TemplateError extends Error {
+    public errorType: string
+    public data: any
+    public errorInfo: any
+
+    constructor(message: string, errorType?: string, data?: any, errorInfo?: any) {
+        super(message)
+        Object.setPrototypeOf(this, TemplateError.prototype)
+        this.name = 'TemplateError'
+        this.errorType = errorType
+        this.data = data
+        this.errorInfo = errorInfo
+    }
+}
+
+/**
+ * Thrown when a template is not valid VTL.
+ */
+export class TemplateParseError extends Error {
+    public line: number
+    public column: number
+
+    constructor(message: string, line: number, column: number) {
+        super(`${message} at line ${line}, column ${column}`)
+        Object.setPrototypeOf(this, TemplateParseError.prototype)
+        this.name = 'TemplateParseError'
+        this.line = line
+        this.column = column
+    }
+}
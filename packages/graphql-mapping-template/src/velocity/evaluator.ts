@@ -0,0 +1,272 @@
+import { TemplateNode, TemplateExpression, ReferenceExpression, BinaryExpression } from './parser'
+import {
+    NO_SUCH_METHOD, isMap, isNull, isTruthy, javaEquals, toJavaString,
+    callMethod, getProperty, getIndex, setMember
+} from './methods'
+
+// Thrown to unwind the evaluation on #break, #stop and #return.
+class BreakSignal {}
+class StopSignal {}
+class ReturnSignal {
+    constructor(public value: any) {}
+}
+
+/**
+ * The $foreach of the innermost loop.
+ */
+class ForEachState {
+    public count: number
+    public first: boolean
+    public last: boolean
+
+    constructor(public index: number, private size: number, public parent: ForEachState) {
+        this.count = index + 1
+        this.first = index === 0
+        this.last = index === size - 1
+    }
+
+    public hasNext(): boolean {
+        return this.index < this.size - 1
+    }
+}
+
+export interface EvaluationResult {
+    output: string
+    isReturn: boolean
+    returnValue?: any
+}
+
+/**
+ * Renders parsed templates. Variables live in a single scope, as they do in AppSync.
+ */
+export class Evaluator {
+    private output: string[] = []
+
+    constructor(private variables: { [name: string]: any }) {}
+
+    public evaluate(nodes: TemplateNode[]): EvaluationResult {
+        this.output = []
+        try {
+            this.render(nodes)
+        } catch (e) {
+            if (e instanceof ReturnSignal) {
+                return { output: this.output.join(''), isReturn: true, returnValue: e.value }
+            }
+            if (!(e instanceof StopSignal) && !(e instanceof BreakSignal)) {
+                throw e
+            }
+        }
+        return { output: this.output.join(''), isReturn: false }
+    }
+
+    private render(nodes: TemplateNode[]) {
+        for (const node of nodes) {
+            switch (node.kind) {
+                case 'Text':
+                    this.output.push(node.value)
+                    break
+                case 'Output': {
+                    const value = this.resolve(node.reference)
+                    if (isNull(value)) {
+                        this.output.push(node.quiet ? '' : node.source)
+                    } else {
+                        this.output.push(toJavaString(value))
+                    }
+                    break
+                }
+                case 'Set':
+                    this.assign(node.target, this.evaluateExpression(node.value))
+                    break
+                case 'If': {
+                    const branch = node.branches.find(b => isTruthy(this.evaluateExpression(b.condition)))
+                    if (branch) {
+                        this.render(branch.body)
+                    } else if (node.elseBody) {
+                        this.render(node.elseBody)
+                    }
+                    break
+                }
+                case 'ForEach':
+                    this.renderForEach(node.variable, this.evaluateExpression(node.collection), node.body)
+                    break
+                case 'Break':
+                    throw new BreakSignal()
+                case 'Stop':
+                    throw new StopSignal()
+                case 'Return':
+                    throw new ReturnSignal(node.value ? this.evaluateExpression(node.value) : null)
+                case 'Comment':
+                    break
+            }
+        }
+    }
+
+    private renderForEach(variable: string, collection: any, body: TemplateNode[]) {
+        let items: any[] = []
+        if (Array.isArray(collection)) {
+            items = collection.slice()
+        } else if (isMap(collection)) {
+            items = Object.keys(collection).map(key => collection[key])
+        }
+        const saved = {
+            [variable]: this.variables[variable],
+            foreach: this.variables.foreach,
+            velocityCount: this.variables.velocityCount
+        }
+        try {
+            for (let i = 0; i < items.length; i++) {
+                this.variables[variable] = items[i]
+                this.variables.foreach = new ForEachState(i, items.length, saved.foreach)
+                this.variables.velocityCount = i + 1
+                try {
+                    this.render(body)
+                } catch (e) {
+                    if (e instanceof BreakSignal) {
+                        break
+                    }
+                    throw e
+                }
+            }
+        } finally {
+            Object.keys(saved).forEach(name => {
+                if (saved[name] === undefined) {
+                    delete this.variables[name]
+                } else {
+                    this.variables[name] = saved[name]
+                }
+            })
+        }
+    }
+
+    private assign(target: ReferenceExpression, value: any) {
+        const assigned = value === undefined ? null : value
+        if (target.accessors.length === 0) {
+            this.variables[target.name] = assigned
+            return
+        }
+        const owner = this.resolve({ kind: 'Reference', name: target.name, accessors: target.accessors.slice(0, -1) })
+        const last = target.accessors[target.accessors.length - 1]
+        if (last.kind === 'Property') {
+            setMember(owner, last.name, assigned)
+        } else if (last.kind === 'Index') {
+            setMember(owner, this.evaluateExpression(last.index), assigned)
+        }
+    }
+
+    private resolve(reference: ReferenceExpression): any {
+        let value = this.variables[reference.name]
+        for (const accessor of reference.accessors) {
+            if (isNull(value)) {
+                return undefined
+            }
+            if (accessor.kind === 'Property') {
+                value = getProperty(value, accessor.name)
+            } else if (accessor.kind === 'Index') {
+                value = getIndex(value, this.evaluateExpression(accessor.index))
+            } else {
+                const args = accessor.args.map(arg => this.evaluateExpression(arg))
+                value = callMethod(value, accessor.name, args)
+                if (value === NO_SUCH_METHOD) {
+                    return undefined
+                }
+            }
+        }
+        return value
+    }
+
+    private evaluateExpression(expression: TemplateExpression): any {
+        switch (expression.kind) {
+            case 'Literal':
+                return expression.value
+            case 'Interpolation': {
+                const saved = this.output
+                this.output = []
+                try {
+                    this.render(expression.nodes)
+                    return this.output.join('')
+                } finally {
+                    this.output = saved
+                }
+            }
+            case 'List':
+                return expression.items.map(item => this.evaluateExpression(item))
+            case 'Range': {
+                const from = this.evaluateExpression(expression.from)
+                const to = this.evaluateExpression(expression.to)
+                const range: number[] = []
+                const step = from <= to ? 1 : -1
+                for (let i = from; step > 0 ? i <= to : i >= to; i += step) {
+                    range.push(i)
+                }
+                return range
+            }
+            case 'Map': {
+                const map = {}
+                expression.entries.forEach(entry => {
+                    map[toJavaString(this.evaluateExpression(entry.key))] = this.evaluateExpression(entry.value)
+                })
+                return map
+            }
+            case 'Reference': {
+                const value = this.resolve(expression)
+                return value === undefined ? null : value
+            }
+            case 'Unary': {
+                const operand = this.evaluateExpression(expression.operand)
+                return expression.operator === '!' ? !isTruthy(operand) : -operand
+            }
+            case 'Binary':
+                return this.evaluateBinary(expression)
+        }
+    }
+
+    private evaluateBinary(expression: BinaryExpression): any {
+        const left = this.evaluateExpression(expression.left)
+        if (expression.operator === '||') {
+            return isTruthy(left) || isTruthy(this.evaluateExpression(expression.right))
+        }
+        if (expression.operator === '&&') {
+            return isTruthy(left) && isTruthy(this.evaluateExpression(expression.right))
+        }
+        const right = this.evaluateExpression(expression.right)
+        switch (expression.operator) {
+            case '==':
+                return javaEquals(left, right)
+            case '!=':
+                return !javaEquals(left, right)
+            case '<':
+                return left < right
+            case '<=':
+                return left <= right
+            case '>':
+                return left > right
+            case '>=':
+                return left >= right
+            case '+':
+                if (typeof left === 'string' || typeof right === 'string') {
+                    return toJavaString(left) + toJavaString(right)
+                }
+                return arithmetic(left, right, (a, b) => a + b)
+            case '-':
+                return arithmetic(left, right, (a, b) => a - b)
+            case '*':
+                return arithmetic(left, right, (a, b) => a * b)
+            case '/':
+                // Division by zero renders as null in Velocity.
+                return right === 0 ? null : arithmetic(left, right, (a, b) => isInteger(a) && isInteger(b) ? Math.trunc(a / b) : a / b)
+            case '%':
+                return right === 0 ? null : arithmetic(left, right, (a, b) => a % b)
+        }
+    }
+}
+
+function isInteger(value: number): boolean {
+    return Math.floor(value) === value
+}
+
+function arithmetic(left: any, right: any, operation: (a: number, b: number) => number): number | null {
+    if (typeof left !== 'number' || typeof right !== 'number') {
+        return null
+    }
+    return operation(left, right)
+}
@@ -0,0 +1,99 @@
+import { Expression } from '../ast'
+import { print } from '../print'
+import { TemplateError } from './errors'
+import { parseTemplate } from './parser'
+import { Evaluator } from './evaluator'
+import { createUtil, TemplateInfo } from './util'
+
+export { TemplateError, TemplateParseError } from './errors'
+export { TemplateInfo } from './util'
+export { parseTemplate }
+
+/**
+ * The $context a template renders with.
+ */
+export interface TemplateContext {
+    arguments?: { [name: string]: any }
+    source?: any
+    identity?: any
+    result?: any
+    error?: { message: string, type: string }
+    // Shared by the templates of a resolver. Pass the same object to each of them.
+    stash?: { [name: string]: any }
+    prev?: { result: any }
+    request?: { headers: { [name: string]: string } }
+    info?: TemplateInfo
+}
+
+export interface TemplateResult {
+    // The rendered text.
+    output: string
+    // The output parsed as JSON, or undefined when the output is not JSON.
+    document: any
+    // The errors added with $util.appendError().
+    errors: TemplateError[]
+    // The error raised with $util.error() or $util.unauthorized(). The output stops there.
+    error?: TemplateError
+    // True when the template ended with #return. The output is then the returned value as JSON.
+    isReturn: boolean
+    stash: { [name: string]: any }
+}
+
+const DEFAULT_INFO: TemplateInfo = { fieldName: 'field', parentTypeName: 'Query', variables: {} }
+
+/**
+ * Renders a mapping template the way AppSync would. Templates built with the ast are printed
+ * first, so both generated templates and the resolvers/*.vtl files of a project can be
+ * rendered, for example to unit test them with jest.
+ * @param template The template text or the ast of a template.
+ * @param context The arguments, identity, source and result the template sees as $context.
+ * @throws TemplateParseError when the template is not valid VTL.
+ */
+export function renderTemplate(template: string | Expression, context: TemplateContext = {}): TemplateResult {
+    const text = typeof template === 'string' ? template : print(template)
+    const nodes = parseTemplate(text)
+    const info = Object.assign({}, DEFAULT_INFO, context.info)
+    const stash = context.stash || {}
+    const args = copy(context.arguments) || {}
+    const ctx = {
+        arguments: args,
+        args,
+        source: copy(context.source),
+        identity: copy(context.identity),
+        result: copy(context.result),
+        error: copy(context.error),
+        prev: copy(context.prev),
+        request: copy(context.request) || { headers: {} },
+        stash,
+        info
+    }
+    const { util, errors } = createUtil(info)
+    const evaluator = new Evaluator({ context: ctx, ctx, util, utils: util })
+
+    let result: TemplateResult
+    try {
+        const evaluation = evaluator.evaluate(nodes)
+        const output = evaluation.isReturn ? JSON.stringify(evaluation.returnValue) : evaluation.output
+        result = { output, document: parseDocument(output), errors, isReturn: evaluation.isReturn, stash }
+    } catch (e) {
+        if (!(e instanceof TemplateError)) {
+            throw e
+        }
+        result = { output: '', document: undefined, errors, error: e, isReturn: false, stash }
+    }
+    return result
+}
+
+// Templates may change their context, for example with $ctx.args.input.put(). Copies keep
+// the values of the caller as they were.
+function copy<T>(value: T): T {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value))
+}
+
+function parseDocument(output: string): any {
+    try {
+        return JSON.parse(output)
+    } catch (e) {
+        return undefined
+    }
+}
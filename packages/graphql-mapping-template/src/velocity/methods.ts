@@ -0,0 +1,358 @@
+/**
+ * Templates run against plain JavaScript values. The functions below give those values the
+ * Java methods and semantics that AppSync templates rely on, so that $list.add(),
+ * $map.put() or $str.replaceAll() work as they do in AppSync.
+ */
+
+// Returned by callMethod when the target has no such method.
+export const NO_SUCH_METHOD = {}
+
+/**
+ * An entry of $map.entrySet().
+ */
+export class MapEntry {
+    constructor(public key: string, public value: any) {}
+
+    public getKey(): string {
+        return this.key
+    }
+
+    public getValue(): any {
+        return this.value
+    }
+
+    public setValue(value: any): any {
+        const previous = this.value
+        this.value = value
+        return previous
+    }
+}
+
+export function isNull(value: any): boolean {
+    return value === null || value === undefined
+}
+
+/**
+ * Plain objects are the maps of a template. Class instances such as $foreach are not.
+ */
+export function isMap(value: any): boolean {
+    if (isNull(value) || typeof value !== 'object' || Array.isArray(value)) {
+        return false
+    }
+    const prototype = Object.getPrototypeOf(value)
+    return prototype === Object.prototype || prototype === null
+}
+
+function hasKey(map: any, key: string): boolean {
+    return Object.prototype.hasOwnProperty.call(map, key)
+}
+
+/**
+ * Velocity treats null and false as false and every other value as true.
+ */
+export function isTruthy(value: any): boolean {
+    return !isNull(value) && value !== false
+}
+
+/**
+ * Compares two values the way Java's equals() would.
+ */
+export function javaEquals(left: any, right: any): boolean {
+    if (isNull(left) || isNull(right)) {
+        return isNull(left) && isNull(right)
+    }
+    if (typeof left !== 'object' && typeof right !== 'object') {
+        return typeof left === typeof right ? left === right : String(left) === String(right)
+    }
+    return JSON.stringify(left) === JSON.stringify(right)
+}
+
+/**
+ * Renders a value the way Java's toString() would: lists as [a, b] and maps as {a=1}.
+ */
+export function toJavaString(value: any): string {
+    if (isNull(value)) {
+        return 'null'
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(toJavaString).join(', ')}]`
+    }
+    if (isMap(value)) {
+        return `{${Object.keys(value).map(key => `${key}=${toJavaString(value[key])}`).join(', ')}}`
+    }
+    if (value instanceof MapEntry) {
+        return `${value.key}=${toJavaString(value.value)}`
+    }
+    return String(value)
+}
+
+function indexOf(list: any[], item: any): number {
+    for (let i = 0; i < list.length; i++) {
+        if (javaEquals(list[i], item)) {
+            return i
+        }
+    }
+    return -1
+}
+
+function checkIndex(index: number, size: number) {
+    if (index < 0 || index >= size) {
+        throw new Error(`Index ${index} is out of bounds for length ${size}`)
+    }
+}
+
+// Java regular expressions mostly read the same in JavaScript, except for $1 style
+// group references in replacements.
+function toReplacement(replacement: string): string {
+    return String(replacement).replace(/\\\$/g, '$$$$')
+}
+
+const STRING_METHODS: { [name: string]: (target: string, ...args: any[]) => any } = {
+    charAt: (target, index: number) => target.charAt(index),
+    compareTo: (target, other: string) => target < other ? -1 : target > other ? 1 : 0,
+    concat: (target, other: string) => target + other,
+    contains: (target, part: string) => target.indexOf(part) !== -1,
+    endsWith: (target, suffix: string) => target.slice(target.length - String(suffix).length) === suffix,
+    equals: (target, other: any) => target === other,
+    equalsIgnoreCase: (target, other: any) => typeof other === 'string' && target.toLowerCase() === other.toLowerCase(),
+    indexOf: (target, part: string, from?: number) => target.indexOf(part, from),
+    isEmpty: target => target.length === 0,
+    lastIndexOf: (target, part: string) => target.lastIndexOf(part),
+    length: target => target.length,
+    matches: (target, pattern: string) => new RegExp(`^(?:${pattern})$`).test(target),
+    replace: (target, search: string, replacement: string) => target.split(search).join(replacement),
+    replaceAll: (target, pattern: string, replacement: string) => target.replace(new RegExp(pattern, 'g'), toReplacement(replacement)),
+    replaceFirst: (target, pattern: string, replacement: string) => target.replace(new RegExp(pattern), toReplacement(replacement)),
+    split: (target, pattern: string) => {
+        const parts = target.split(new RegExp(pattern))
+        // Java drops trailing empty strings.
+        while (parts.length > 1 && parts[parts.length - 1] === '') {
+            parts.pop()
+        }
+        return parts
+    },
+    startsWith: (target, prefix: string) => target.slice(0, String(prefix).length) === prefix,
+    substring: (target, start: number, end?: number) => target.substring(start, end),
+    toLowerCase: target => target.toLowerCase(),
+    toString: target => target,
+    toUpperCase: target => target.toUpperCase(),
+    trim: target => target.trim()
+}
+
+const LIST_METHODS: { [name: string]: (target: any[], ...args: any[]) => any } = {
+    add: (target, ...args: any[]) => {
+        if (args.length > 1) {
+            target.splice(args[0], 0, args[1])
+            return undefined
+        }
+        target.push(args[0])
+        return true
+    },
+    addAll: (target, items: any[]) => {
+        target.push(...items)
+        return items.length > 0
+    },
+    clear: target => {
+        target.length = 0
+        return undefined
+    },
+    contains: (target, item: any) => indexOf(target, item) !== -1,
+    containsAll: (target, items: any[]) => items.every(item => indexOf(target, item) !== -1),
+    equals: (target, other: any) => javaEquals(target, other),
+    get: (target, index: number) => {
+        checkIndex(index, target.length)
+        return target[index]
+    },
+    indexOf: (target, item: any) => indexOf(target, item),
+    isEmpty: target => target.length === 0,
+    lastIndexOf: (target, item: any) => {
+        for (let i = target.length - 1; i >= 0; i--) {
+            if (javaEquals(target[i], item)) {
+                return i
+            }
+        }
+        return -1
+    },
+    // Like Java, a number removes by position and anything else by value.
+    remove: (target, item: any) => {
+        if (typeof item === 'number') {
+            checkIndex(item, target.length)
+            return target.splice(item, 1)[0]
+        }
+        const index = indexOf(target, item)
+        if (index === -1) {
+            return false
+        }
+        target.splice(index, 1)
+        return true
+    },
+    removeAll: (target, items: any[]) => {
+        const size = target.length
+        const kept = target.filter(item => indexOf(items, item) === -1)
+        target.length = 0
+        target.push(...kept)
+        return target.length !== size
+    },
+    set: (target, index: number, item: any) => {
+        checkIndex(index, target.length)
+        const previous = target[index]
+        target[index] = item
+        return previous
+    },
+    size: target => target.length,
+    subList: (target, from: number, to: number) => target.slice(from, to),
+    toString: target => toJavaString(target)
+}
+
+const MAP_METHODS: { [name: string]: (target: any, ...args: any[]) => any } = {
+    clear: target => {
+        Object.keys(target).forEach(key => delete target[key])
+        return undefined
+    },
+    containsKey: (target, key: string) => hasKey(target, key),
+    containsValue: (target, value: any) => Object.keys(target).some(key => javaEquals(target[key], value)),
+    entrySet: target => Object.keys(target).map(key => new MapEntry(key, target[key])),
+    equals: (target, other: any) => javaEquals(target, other),
+    get: (target, key: string) => hasKey(target, key) ? target[key] : null,
+    getOrDefault: (target, key: string, defaultValue: any) => hasKey(target, key) ? target[key] : defaultValue,
+    isEmpty: target => Object.keys(target).length === 0,
+    keySet: target => Object.keys(target),
+    put: (target, key: string, value: any) => {
+        const previous = hasKey(target, key) ? target[key] : undefined
+        target[key] = value
+        return previous
+    },
+    putAll: (target, values: any) => {
+        Object.keys(values || {}).forEach(key => target[key] = values[key])
+        return undefined
+    },
+    putIfAbsent: (target, key: string, value: any) => {
+        if (!isNull(target[key]) && hasKey(target, key)) {
+            return target[key]
+        }
+        target[key] = value
+        return undefined
+    },
+    remove: (target, key: string) => {
+        const previous = hasKey(target, key) ? target[key] : undefined
+        delete target[key]
+        return previous
+    },
+    size: target => Object.keys(target).length,
+    toString: target => toJavaString(target),
+    values: target => Object.keys(target).map(key => target[key])
+}
+
+const NUMBER_METHODS: { [name: string]: (target: number, ...args: any[]) => any } = {
+    compareTo: (target, other: number) => target < other ? -1 : target > other ? 1 : 0,
+    doubleValue: target => target,
+    equals: (target, other: any) => target === other,
+    floatValue: target => target,
+    intValue: target => Math.trunc(target),
+    longValue: target => Math.trunc(target),
+    toString: target => String(target)
+}
+
+const BOOLEAN_METHODS: { [name: string]: (target: boolean, ...args: any[]) => any } = {
+    booleanValue: target => target,
+    equals: (target, other: any) => target === other,
+    toString: target => String(target)
+}
+
+function getMethods(target: any): { [name: string]: (target: any, ...args: any[]) => any } {
+    if (typeof target === 'string') {
+        return STRING_METHODS
+    }
+    if (typeof target === 'number') {
+        return NUMBER_METHODS
+    }
+    if (typeof target === 'boolean') {
+        return BOOLEAN_METHODS
+    }
+    if (Array.isArray(target)) {
+        return LIST_METHODS
+    }
+    if (isMap(target)) {
+        return MAP_METHODS
+    }
+    return {}
+}
+
+/**
+ * Calls a method of a template value. Functions held by a map, such as those of $util, are
+ * called directly.
+ * @returns The result of the method or NO_SUCH_METHOD.
+ */
+export function callMethod(target: any, name: string, args: any[]): any {
+    if (isNull(target)) {
+        return NO_SUCH_METHOD
+    }
+    if (isMap(target)) {
+        if (hasKey(target, name) && typeof target[name] === 'function') {
+            return target[name](...args)
+        }
+    } else if (typeof target === 'object' && typeof target[name] === 'function') {
+        return target[name](...args)
+    }
+    const methods = getMethods(target)
+    if (hasKey(methods, name)) {
+        return methods[name](target, ...args)
+    }
+    return NO_SUCH_METHOD
+}
+
+/**
+ * Reads a property of a template value. Maps return their entry. Other values resolve the
+ * property with a Java bean getter, so that $list.empty calls isEmpty().
+ */
+export function getProperty(target: any, name: string): any {
+    if (isNull(target)) {
+        return undefined
+    }
+    if (isMap(target)) {
+        return hasKey(target, name) ? target[name] : undefined
+    }
+    if (typeof target === 'object' && name in target) {
+        return typeof target[name] === 'function' ? target[name]() : target[name]
+    }
+    const capitalized = name.charAt(0).toUpperCase() + name.slice(1)
+    for (const getter of [`get${capitalized}`, `is${capitalized}`]) {
+        const value = callMethod(target, getter, [])
+        if (value !== NO_SUCH_METHOD) {
+            return value
+        }
+    }
+    return undefined
+}
+
+/**
+ * Reads $list[0] or $map["key"].
+ */
+export function getIndex(target: any, index: any): any {
+    if (Array.isArray(target)) {
+        const position = index < 0 ? target.length + index : index
+        checkIndex(position, target.length)
+        return target[position]
+    }
+    if (isMap(target)) {
+        return hasKey(target, index) ? target[index] : undefined
+    }
+    return undefined
+}
+
+/**
+ * Assigns $list[0] or $map.key in a #set directive.
+ */
+export function setMember(target: any, key: any, value: any) {
+    if (Array.isArray(target)) {
+        checkIndex(key, target.length)
+        target[key] = value
+    } else if (isMap(target)) {
+        target[key] = value
+    } else if (typeof target === 'object' && !isNull(target)) {
+        const setter = `set${String(key).charAt(0).toUpperCase()}${String(key).slice(1)}`
+        if (typeof target[setter] === 'function') {
+            target[setter](value)
+        }
+    }
+}
@@ -0,0 +1,819 @@
+import { TemplateParseError } from './errors'
+
+/**
+ * Where a node is written in the template, as offsets into the template text.
+ */
+export interface SourceLocation {
+    start: number
+    end: number
+}
+interface Located {
+    loc?: SourceLocation
+}
+
+/**
+ * The nodes of a parsed template. Text and references are written to the output, directives
+ * control what is written.
+ */
+export type TemplateNode = TextNode | OutputNode | SetDirective | IfDirective | ForEachDirective |
+    BreakDirective | StopDirective | ReturnDirective | CommentNode
+
+export interface TextNode extends Located {
+    kind: 'Text'
+    value: string
+}
+export interface OutputNode extends Located {
+    kind: 'Output'
+    reference: ReferenceExpression
+    quiet: boolean
+    // The reference as written. Velocity renders it as is when the reference is null.
+    source: string
+}
+// A ## or #* *# comment as written. Comments are not rendered.
+export interface CommentNode extends Located {
+    kind: 'Comment'
+    value: string
+}
+export interface SetDirective extends Located {
+    kind: 'Set'
+    target: ReferenceExpression
+    value: TemplateExpression
+}
+export interface IfBranch {
+    condition: TemplateExpression
+    body: TemplateNode[]
+}
+export interface IfDirective extends Located {
+    kind: 'If'
+    branches: IfBranch[]
+    elseBody?: TemplateNode[]
+    // True when text follows the #if on its line, as in `"a": #if( $b ) 1 #else 2 #end`.
+    inline?: boolean
+}
+export interface ForEachDirective extends Located {
+    kind: 'ForEach'
+    variable: string
+    collection: TemplateExpression
+    body: TemplateNode[]
+}
+export interface BreakDirective extends Located {
+    kind: 'Break'
+}
+export interface StopDirective extends Located {
+    kind: 'Stop'
+}
+export interface ReturnDirective extends Located {
+    kind: 'Return'
+    value?: TemplateExpression
+}
+
+interface ExpressionInfo extends Located {
+    // True when the expression is wrapped in parentheses.
+    parenthesized?: boolean
+}
+
+/**
+ * The expressions found in directive arguments and method calls.
+ */
+export type TemplateExpression = LiteralExpression | InterpolationExpression | ListExpression | RangeExpression |
+    MapExpression | ReferenceExpression | UnaryExpression | BinaryExpression
+
+export interface LiteralExpression extends ExpressionInfo {
+    kind: 'Literal'
+    value: string | number | boolean | null
+}
+export interface InterpolationExpression extends ExpressionInfo {
+    kind: 'Interpolation'
+    nodes: TemplateNode[]
+}
+export interface ListExpression extends ExpressionInfo {
+    kind: 'List'
+    items: TemplateExpression[]
+}
+export interface RangeExpression extends ExpressionInfo {
+    kind: 'Range'
+    from: TemplateExpression
+    to: TemplateExpression
+}
+export interface MapEntryExpression {
+    key: TemplateExpression
+    value: TemplateExpression
+}
+export interface MapExpression extends ExpressionInfo {
+    kind: 'Map'
+    entries: MapEntryExpression[]
+}
+export type Accessor =
+    { kind: 'Property', name: string } |
+    { kind: 'Method', name: string, args: TemplateExpression[] } |
+    { kind: 'Index', index: TemplateExpression }
+export interface ReferenceExpression extends ExpressionInfo {
+    kind: 'Reference'
+    name: string
+    accessors: Accessor[]
+}
+export type UnaryOperator = '!' | '-'
+export interface UnaryExpression extends ExpressionInfo {
+    kind: 'Unary'
+    operator: UnaryOperator
+    operand: TemplateExpression
+}
+export type BinaryOperator = '||' | '&&' | '==' | '!=' | '<' | '<=' | '>' | '>=' | '+' | '-' | '*' | '/' | '%'
+export interface BinaryExpression extends ExpressionInfo {
+    kind: 'Binary'
+    operator: BinaryOperator
+    left: TemplateExpression
+    right: TemplateExpression
+}
+
+// Directives that take their arguments in parentheses.
+const ARGUMENT_DIRECTIVES = ['set', 'if', 'elseif', 'foreach']
+const PLAIN_DIRECTIVES = ['else', 'end', 'break', 'stop', 'return']
+const UNSUPPORTED_DIRECTIVES = ['macro', 'define', 'parse', 'include', 'evaluate']
+
+// Word forms of the operators, for example `$a eq $b`.
+const WORD_OPERATORS: { [word: string]: BinaryOperator } = {
+    or: '||',
+    and: '&&',
+    eq: '==',
+    ne: '!=',
+    lt: '<',
+    le: '<=',
+    gt: '>',
+    ge: '>='
+}
+
+function isIdentifierStart(ch: string): boolean {
+    return ch !== undefined && /[a-zA-Z_]/.test(ch)
+}
+
+function isIdentifierPart(ch: string): boolean {
+    return ch !== undefined && /[a-zA-Z0-9_]/.test(ch)
+}
+
+interface NodeList {
+    nodes: TemplateNode[]
+    terminator?: string
+    // The condition of an #elseif terminator.
+    condition?: TemplateExpression
+    // The offset right after the terminator.
+    end?: number
+}
+
+class Parser {
+    private pos: number
+
+    constructor(private source: string, start: number, private end: number) {
+        this.pos = start
+    }
+
+    public parseTemplate(): TemplateNode[] {
+        return this.parseNodes([]).nodes
+    }
+
+    /**
+     * Parses text, references and directives until one of the terminating directives
+     * (#end, #else or #elseif) or the end of the template. A directive that is alone on its
+     * line is removed from the output together with its indentation and line break.
+     */
+    private parseNodes(terminators: string[]): NodeList {
+        const nodes: TemplateNode[] = []
+        let text = ''
+        let textStart = this.pos
+        const append = () => {
+            if (!text) {
+                textStart = this.pos
+            }
+            text += this.source[this.pos]
+            this.pos++
+        }
+        const flush = () => {
+            if (text) {
+                nodes.push({ kind: 'Text', value: text, loc: { start: textStart, end: textStart + text.length } })
+            }
+            text = ''
+        }
+        while (this.pos < this.end) {
+            const start = this.pos
+            const ch = this.source[start]
+            if (ch === '$') {
+                const output = this.parseOutput()
+                if (output) {
+                    flush()
+                    nodes.push(output)
+                } else {
+                    append()
+                }
+                continue
+            }
+            if (ch !== '#') {
+                append()
+                continue
+            }
+
+            const indentStart = this.getIndentStart(start)
+            const endLine = (): boolean => {
+                if (indentStart !== undefined && this.consumeLineEnd()) {
+                    text = text.slice(0, text.length - (start - indentStart))
+                    return true
+                }
+                return false
+            }
+            const next = this.source[start + 1]
+            if (next === '#') {
+                const lineEnd = this.source.indexOf('\n', start)
+                this.pos = lineEnd === -1 || lineEnd >= this.end ? this.end : lineEnd
+                const node = this.makeComment(start)
+                if (!endLine() && this.pos < this.end) {
+                    this.pos++
+                }
+                flush()
+                nodes.push(node)
+                continue
+            }
+            if (next === '*') {
+                const commentEnd = this.source.indexOf('*#', start + 2)
+                if (commentEnd === -1 || commentEnd >= this.end) {
+                    throw this.error('Unclosed comment', start)
+                }
+                this.pos = commentEnd + 2
+                const node = this.makeComment(start)
+                endLine()
+                flush()
+                nodes.push(node)
+                continue
+            }
+            const name = this.readDirectiveName()
+            if (!name) {
+                append()
+                continue
+            }
+
+            if (terminators.indexOf(name) !== -1) {
+                const condition = name === 'elseif' ? this.parseCondition() : undefined
+                const end = this.pos
+                endLine()
+                flush()
+                return { nodes, terminator: name, condition, end }
+            }
+            switch (name) {
+                case 'set': {
+                    const node = this.parseSet()
+                    node.loc = { start, end: this.pos }
+                    endLine()
+                    flush()
+                    nodes.push(node)
+                    break
+                }
+                case 'if': {
+                    const condition = this.parseCondition()
+                    const inline = this.getNextLineStart() === undefined
+                    endLine()
+                    flush()
+                    const node = this.parseIf(condition, start)
+                    node.inline = inline
+                    nodes.push(node)
+                    break
+                }
+                case 'foreach': {
+                    const header = this.parseForEachHeader()
+                    endLine()
+                    flush()
+                    const body = this.parseNodes(['end'])
+                    if (!body.terminator) {
+                        throw this.error('Missing #end for #foreach', start)
+                    }
+                    nodes.push({
+                        kind: 'ForEach',
+                        variable: header.variable,
+                        collection: header.collection,
+                        body: body.nodes,
+                        loc: { start, end: body.end }
+                    })
+                    break
+                }
+                case 'break': {
+                    const node: BreakDirective = { kind: 'Break', loc: { start, end: this.pos } }
+                    endLine()
+                    flush()
+                    nodes.push(node)
+                    break
+                }
+                case 'stop': {
+                    const node: StopDirective = { kind: 'Stop', loc: { start, end: this.pos } }
+                    endLine()
+                    flush()
+                    nodes.push(node)
+                    break
+                }
+                case 'return': {
+                    const value = this.parseReturnValue()
+                    const node: ReturnDirective = { kind: 'Return', value, loc: { start, end: this.pos } }
+                    endLine()
+                    flush()
+                    nodes.push(node)
+                    break
+                }
+                default:
+                    throw this.error(`Unexpected #${name}`, start)
+            }
+        }
+        flush()
+        return { nodes }
+    }
+
+    private makeComment(start: number): CommentNode {
+        const value = this.source.slice(start, this.pos).replace(/\r$/, '')
+        return { kind: 'Comment', value, loc: { start, end: start + value.length } }
+    }
+
+    private parseIf(condition: TemplateExpression, start: number): IfDirective {
+        const branches: IfBranch[] = []
+        let current = condition
+        while (true) {
+            const block = this.parseNodes(['elseif', 'else', 'end'])
+            branches.push({ condition: current, body: block.nodes })
+            if (block.terminator === 'elseif') {
+                current = block.condition
+                continue
+            }
+            if (block.terminator === 'else') {
+                const elseBlock = this.parseNodes(['end'])
+                if (!elseBlock.terminator) {
+                    throw this.error('Missing #end for #if', start)
+                }
+                return { kind: 'If', branches, elseBody: elseBlock.nodes, loc: { start, end: elseBlock.end } }
+            }
+            if (!block.terminator) {
+                throw this.error('Missing #end for #if', start)
+            }
+            return { kind: 'If', branches, loc: { start, end: block.end } }
+        }
+    }
+
+    private parseSet(): SetDirective {
+        this.expect('(')
+        this.skipWhitespace()
+        const target = this.parseReference()
+        if (!target) {
+            throw this.error('Expected a reference to set')
+        }
+        this.skipWhitespace()
+        this.expect('=')
+        const value = this.parseExpression()
+        this.skipWhitespace()
+        this.expect(')')
+        return { kind: 'Set', target: target.reference, value }
+    }
+
+    private parseCondition(): TemplateExpression {
+        this.expect('(')
+        const condition = this.parseExpression()
+        this.skipWhitespace()
+        this.expect(')')
+        return condition
+    }
+
+    private parseForEachHeader(): { variable: string, collection: TemplateExpression } {
+        this.expect('(')
+        this.skipWhitespace()
+        const variable = this.parseReference()
+        if (!variable || variable.reference.accessors.length) {
+            throw this.error('Expected a variable to iterate with')
+        }
+        if (!this.matchWord('in')) {
+            throw this.error('Expected "in"')
+        }
+        const collection = this.parseExpression()
+        this.skipWhitespace()
+        this.expect(')')
+        return { variable: variable.reference.name, collection }
+    }
+
+    private parseReturnValue(): TemplateExpression | undefined {
+        let i = this.pos
+        while (this.source[i] === ' ' || this.source[i] === '\t') {
+            i++
+        }
+        if (this.source[i] !== '(') {
+            return undefined
+        }
+        this.pos = i + 1
+        this.skipWhitespace()
+        if (this.source[this.pos] === ')') {
+            this.pos++
+            return undefined
+        }
+        const value = this.parseExpression()
+        this.skipWhitespace()
+        this.expect(')')
+        return value
+    }
+
+    /**
+     * Reads the name of the directive at the current '#' and moves past it. Returns undefined,
+     * without moving, when the '#' is plain text such as the '#id' of an expression name.
+     */
+    private readDirectiveName(): string | undefined {
+        let i = this.pos + 1
+        const formal = this.source[i] === '{'
+        if (formal) {
+            i++
+        }
+        const nameStart = i
+        while (i < this.end && /[a-zA-Z]/.test(this.source[i])) {
+            i++
+        }
+        const name = this.source.slice(nameStart, i)
+        if (formal) {
+            if (this.source[i] !== '}') {
+                return undefined
+            }
+            i++
+        } else if (i < this.end && isIdentifierPart(this.source[i])) {
+            return undefined
+        }
+        const takesArguments = ARGUMENT_DIRECTIVES.indexOf(name) !== -1
+        if (!takesArguments && PLAIN_DIRECTIVES.indexOf(name) === -1 && UNSUPPORTED_DIRECTIVES.indexOf(name) === -1) {
+            return undefined
+        }
+        if (takesArguments || UNSUPPORTED_DIRECTIVES.indexOf(name) !== -1) {
+            let j = i
+            while (this.source[j] === ' ' || this.source[j] === '\t') {
+                j++
+            }
+            if (this.source[j] !== '(') {
+                return undefined
+            }
+            if (UNSUPPORTED_DIRECTIVES.indexOf(name) !== -1) {
+                throw this.error(`The #${name} directive is not supported`, this.pos)
+            }
+            i = j
+        }
+        this.pos = i
+        return name
+    }
+
+    /**
+     * Returns the position the line of `index` starts at when only spaces and tabs come
+     * before `index` on that line.
+     */
+    private getIndentStart(index: number): number | undefined {
+        let i = index
+        while (i > 0 && (this.source[i - 1] === ' ' || this.source[i - 1] === '\t')) {
+            i--
+        }
+        return i === 0 || this.source[i - 1] === '\n' ? i : undefined
+    }
+
+    /**
+     * Moves past the rest of the line when it only holds whitespace.
+     */
+    private consumeLineEnd(): boolean {
+        const next = this.getNextLineStart()
+        if (next === undefined) {
+            return false
+        }
+        this.pos = next
+        return true
+    }
+
+    /**
+     * Returns the position after the line break that ends the current line when the rest of
+     * the line only holds whitespace.
+     */
+    private getNextLineStart(): number | undefined {
+        let i = this.pos
+        while (i < this.end && (this.source[i] === ' ' || this.source[i] === '\t')) {
+            i++
+        }
+        if (i >= this.end) {
+            return this.end
+        }
+        if (this.source[i] === '\n') {
+            return i + 1
+        }
+        if (this.source[i] === '\r' && this.source[i + 1] === '\n') {
+            return i + 2
+        }
+        return undefined
+    }
+
+    private parseOutput(): OutputNode | undefined {
+        const start = this.pos
+        const parsed = this.parseReference()
+        if (!parsed) {
+            return undefined
+        }
+        return {
+            kind: 'Output',
+            reference: parsed.reference,
+            quiet: parsed.quiet,
+            source: this.source.slice(start, this.pos),
+            loc: parsed.reference.loc
+        }
+    }
+
+    /**
+     * Parses a reference such as $ctx.args.input, $!{item.id} or $list.get(0).name. Returns
+     * undefined, without moving, when the '$' does not start a reference.
+     */
+    private parseReference(): { reference: ReferenceExpression, quiet: boolean } | undefined {
+        const start = this.pos
+        let i = start
+        if (this.source[i] !== '$') {
+            return undefined
+        }
+        i++
+        const quiet = this.source[i] === '!'
+        if (quiet) {
+            i++
+        }
+        const formal = this.source[i] === '{'
+        if (formal) {
+            i++
+        }
+        if (!isIdentifierStart(this.source[i])) {
+            return undefined
+        }
+        this.pos = i
+        const name = this.readIdentifier()
+        const accessors: Accessor[] = []
+        while (this.pos < this.end) {
+            const ch = this.source[this.pos]
+            if (ch === '.' && isIdentifierStart(this.source[this.pos + 1])) {
+                this.pos++
+                const member = this.readIdentifier()
+                if (this.source[this.pos] === '(') {
+                    this.pos++
+                    accessors.push({ kind: 'Method', name: member, args: this.parseList(')') })
+                } else {
+                    accessors.push({ kind: 'Property', name: member })
+                }
+            } else if (ch === '[') {
+                this.pos++
+                const index = this.parseExpression()
+                this.skipWhitespace()
+                this.expect(']')
+                accessors.push({ kind: 'Index', index })
+            } else {
+                break
+            }
+        }
+        if (formal) {
+            this.expect('}')
+        }
+        const loc = { start, end: this.pos }
+        return { reference: { kind: 'Reference', name, accessors, loc }, quiet }
+    }
+
+    private readIdentifier(): string {
+        const start = this.pos
+        while (this.pos < this.end && isIdentifierPart(this.source[this.pos])) {
+            this.pos++
+        }
+        return this.source.slice(start, this.pos)
+    }
+
+    /**
+     * Parses comma separated expressions up to the closing character.
+     */
+    private parseList(close: string): TemplateExpression[] {
+        const items: TemplateExpression[] = []
+        this.skipWhitespace()
+        if (this.source[this.pos] === close) {
+            this.pos++
+            return items
+        }
+        while (true) {
+            items.push(this.parseExpression())
+            this.skipWhitespace()
+            if (this.source[this.pos] === ',') {
+                this.pos++
+                continue
+            }
+            this.expect(close)
+            return items
+        }
+    }
+
+    private parseExpression(): TemplateExpression {
+        return this.parseBinary(0)
+    }
+
+    /**
+     * Parses binary operators by precedence, from || (level 0) to * / % (level 5).
+     */
+    private parseBinary(level: number): TemplateExpression {
+        if (level > 5) {
+            return this.parseUnary()
+        }
+        let left = this.parseBinary(level + 1)
+        while (true) {
+            const operator = this.matchOperator(level)
+            if (!operator) {
+                return left
+            }
+            const right = this.parseBinary(level + 1)
+            left = { kind: 'Binary', operator, left, right, loc: { start: left.loc.start, end: right.loc.end } }
+        }
+    }
+
+    private matchOperator(level: number): BinaryOperator | undefined {
+        const levels: BinaryOperator[][] = [
+            ['||'],
+            ['&&'],
+            ['==', '!='],
+            ['<=', '>=', '<', '>'],
+            ['+', '-'],
+            ['*', '/', '%']
+        ]
+        this.skipWhitespace()
+        for (const operator of levels[level]) {
+            if (this.source.substr(this.pos, operator.length) === operator) {
+                this.pos += operator.length
+                return operator
+            }
+        }
+        for (const word of Object.keys(WORD_OPERATORS)) {
+            if (levels[level].indexOf(WORD_OPERATORS[word]) !== -1 && this.matchWord(word)) {
+                return WORD_OPERATORS[word]
+            }
+        }
+        return undefined
+    }
+
+    private parseUnary(): TemplateExpression {
+        this.skipWhitespace()
+        const start = this.pos
+        let operator: UnaryOperator
+        if (this.source[this.pos] === '!') {
+            this.pos++
+            operator = '!'
+        } else if (this.matchWord('not')) {
+            operator = '!'
+        } else if (this.source[this.pos] === '-') {
+            this.pos++
+            operator = '-'
+        } else {
+            return this.parsePrimary()
+        }
+        const operand = this.parseUnary()
+        return { kind: 'Unary', operator, operand, loc: { start, end: this.pos } }
+    }
+
+    private parsePrimary(): TemplateExpression {
+        this.skipWhitespace()
+        const start = this.pos
+        const expression = this.parsePrimaryExpression()
+        expression.loc = { start, end: this.pos }
+        return expression
+    }
+
+    private parsePrimaryExpression(): TemplateExpression {
+        const start = this.pos
+        const ch = this.source[start]
+        if (ch === '(') {
+            this.pos++
+            const expression = this.parseExpression()
+            this.skipWhitespace()
+            this.expect(')')
+            expression.parenthesized = true
+            return expression
+        }
+        if (ch === '"' || ch === '\'') {
+            return this.parseString(ch)
+        }
+        if (ch === '[') {
+            this.pos++
+            this.skipWhitespace()
+            if (this.source[this.pos] === ']') {
+                this.pos++
+                return { kind: 'List', items: [] }
+            }
+            const first = this.parseExpression()
+            this.skipWhitespace()
+            if (this.source.substr(this.pos, 2) === '..') {
+                this.pos += 2
+                const to = this.parseExpression()
+                this.skipWhitespace()
+                this.expect(']')
+                return { kind: 'Range', from: first, to }
+            }
+            const items = [first]
+            if (this.source[this.pos] === ',') {
+                this.pos++
+                items.push(...this.parseList(']'))
+            } else {
+                this.expect(']')
+            }
+            return { kind: 'List', items }
+        }
+        if (ch === '{') {
+            return this.parseMap()
+        }
+        if (ch === '$') {
+            const parsed = this.parseReference()
+            if (parsed) {
+                return parsed.reference
+            }
+        }
+        if (/[0-9]/.test(ch)) {
+            const match = /^[0-9]+(\.[0-9]+)?/.exec(this.source.slice(start, this.end))
+            this.pos += match[0].length
+            return { kind: 'Literal', value: Number(match[0]) }
+        }
+        if (this.matchWord('true')) {
+            return { kind: 'Literal', value: true }
+        }
+        if (this.matchWord('false')) {
+            return { kind: 'Literal', value: false }
+        }
+        if (this.matchWord('null')) {
+            return { kind: 'Literal', value: null }
+        }
+        throw this.error(ch === undefined || start >= this.end ? 'Unexpected end of template' : `Unexpected "${ch}"`)
+    }
+
+    /**
+     * Parses a string literal. Double quoted strings are templates themselves when they hold
+     * references or directives. Backslash escapes are kept as written.
+     */
+    private parseString(quote: string): TemplateExpression {
+        const start = this.pos
+        let i = start + 1
+        while (i < this.end && this.source[i] !== quote) {
+            i += this.source[i] === '\\' ? 2 : 1
+        }
+        if (i >= this.end) {
+            throw this.error('Unclosed string', start)
+        }
+        this.pos = i + 1
+        const value = this.source.slice(start + 1, i)
+        if (quote === '"' && /[$#]/.test(value)) {
+            const nodes = new Parser(this.source, start + 1, i).parseTemplate()
+            return { kind: 'Interpolation', nodes }
+        }
+        return { kind: 'Literal', value }
+    }
+
+    private parseMap(): MapExpression {
+        this.expect('{')
+        const entries: MapEntryExpression[] = []
+        this.skipWhitespace()
+        if (this.source[this.pos] === '}') {
+            this.pos++
+            return { kind: 'Map', entries }
+        }
+        while (true) {
+            const key = this.parseExpression()
+            this.skipWhitespace()
+            this.expect(':')
+            const value = this.parseExpression()
+            entries.push({ key, value })
+            this.skipWhitespace()
+            if (this.source[this.pos] === ',') {
+                this.pos++
+                continue
+            }
+            this.expect('}')
+            return { kind: 'Map', entries }
+        }
+    }
+
+    private matchWord(word: string): boolean {
+        this.skipWhitespace()
+        if (this.source.substr(this.pos, word.length) === word && !isIdentifierPart(this.source[this.pos + word.length])) {
+            this.pos += word.length
+            return true
+        }
+        return false
+    }
+
+    private skipWhitespace() {
+        while (this.pos < this.end && /\s/.test(this.source[this.pos])) {
+            this.pos++
+        }
+    }
+
+    private expect(ch: string) {
+        if (this.source[this.pos] !== ch || this.pos >= this.end) {
+            throw this.error(`Expected "${ch}"`)
+        }
+        this.pos++
+    }
+
+    private error(message: string, pos: number = this.pos): TemplateParseError {
+        const lines = this.source.slice(0, pos).split('\n')
+        return new TemplateParseError(message, lines.length, lines[lines.length - 1].length + 1)
+    }
+}
+
+/**
+ * Parses a Velocity template into the nodes rendered by the evaluator.
+ * @param template The template text.
+ * @throws TemplateParseError when the template is not valid VTL.
+ */
+export function parseTemplate(template: string): TemplateNode[] {
+    return new Parser(template, 0, template.length).parseTemplate()
+}
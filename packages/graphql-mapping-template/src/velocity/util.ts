@@ -0,0 +1,301 @@
+import { TemplateError } from './errors'
+import { isMap, isNull } from './methods'
+
+/**
+ * The $context.info of a template.
+ */
+export interface TemplateInfo {
+    fieldName: string
+    parentTypeName: string
+    variables?: { [name: string]: any }
+    selectionSetList?: string[]
+}
+
+/**
+ * Creates the $util object for a single template evaluation. Errors appended with
+ * $util.appendError() are collected in the returned list.
+ */
+export function createUtil(info: TemplateInfo): { util: { [name: string]: any }, errors: TemplateError[] } {
+    const errors: TemplateError[] = []
+    const isNullOrEmpty = (value: any): boolean => isNull(value) || value === '' ||
+        (Array.isArray(value) && value.length === 0) ||
+        (isMap(value) && Object.keys(value).length === 0)
+    const isNullOrBlank = (value: any): boolean => isNull(value) || String(value).trim() === ''
+
+    const util = {
+        qr: (): string => '',
+        quiet: (): string => '',
+        escapeJavaScript: (value: string): string => JSON.stringify(String(value)).slice(1, -1),
+        urlEncode: (value: string): string => encodeURIComponent(value),
+        urlDecode: (value: string): string => decodeURIComponent(value),
+        base64Encode: (value: string): string => btoa(unescape(encodeURIComponent(value))),
+        base64Decode: (value: string): string => decodeURIComponent(escape(atob(value))),
+        autoId: (): string => uuid(),
+        toJson: (value: any): string => JSON.stringify(isNull(value) ? null : value),
+        parseJson: (value: string): any => {
+            try {
+                return JSON.parse(value)
+            } catch (e) {
+                throw new TemplateError(`Unable to parse the JSON document: ${e.message}`, 'JSONParseException')
+            }
+        },
+        isNull,
+        isNullOrEmpty,
+        isNullOrBlank,
+        defaultIfNull: (value: any, defaultValue: any): any => isNull(value) ? defaultValue : value,
+        defaultIfNullOrEmpty: (value: any, defaultValue: any): any => isNullOrEmpty(value) ? defaultValue : value,
+        defaultIfNullOrBlank: (value: any, defaultValue: any): any => isNullOrBlank(value) ? defaultValue : value,
+        isString: (value: any): boolean => typeof value === 'string',
+        isNumber: (value: any): boolean => typeof value === 'number',
+        isBoolean: (value: any): boolean => typeof value === 'boolean',
+        isList: (value: any): boolean => Array.isArray(value),
+        isMap,
+        typeOf: (value: any): string => {
+            if (isNull(value)) {
+                return 'Null'
+            }
+            if (Array.isArray(value)) {
+                return 'List'
+            }
+            return { string: 'String', number: 'Number', boolean: 'Boolean' }[typeof value] || 'Map'
+        },
+        matches: (pattern: string, value: string): boolean => new RegExp(`^(?:${pattern})$`).test(value),
+        error: (message: string, errorType?: string, data?: any, errorInfo?: any) => {
+            throw new TemplateError(message, errorType, data, errorInfo)
+        },
+        appendError: (message: string, errorType?: string, data?: any, errorInfo?: any): string => {
+            errors.push(new TemplateError(message, errorType, data, errorInfo))
+            return ''
+        },
+        unauthorized: () => {
+            throw new TemplateError(`Not Authorized to access ${info.fieldName} on type ${info.parentTypeName}`, 'Unauthorized')
+        },
+        validate: (condition: boolean, message: string, errorType?: string, data?: any): string => {
+            if (!condition) {
+                throw new TemplateError(message, errorType, data)
+            }
+            return ''
+        },
+        time: {
+            nowISO8601: (): string => new Date().toISOString(),
+            nowEpochSeconds: (): number => Math.floor(Date.now() / 1000),
+            nowEpochMilliSeconds: (): number => Date.now(),
+            parseISO8601ToEpochMilliSeconds: (value: string): number => Date.parse(value),
+            epochMilliSecondsToSeconds: (value: number): number => Math.floor(value / 1000),
+            epochMilliSecondsToISO8601: (value: number): string => new Date(value).toISOString()
+        },
+        list: {
+            copyAndRetainAll: (list: any[], retain: any[]): any[] => {
+                const retained = retain.map(item => JSON.stringify(item))
+                return list.filter(item => retained.indexOf(JSON.stringify(item)) !== -1)
+            },
+            copyAndRemoveAll: (list: any[], remove: any[]): any[] => {
+                const removed = remove.map(item => JSON.stringify(item))
+                return list.filter(item => removed.indexOf(JSON.stringify(item)) === -1)
+            }
+        },
+        map: {
+            copyAndRetainAllKeys: (map: any, keys: string[]): any => pick(map, Object.keys(map).filter(key => keys.indexOf(key) !== -1)),
+            copyAndRemoveAllKeys: (map: any, keys: string[]): any => pick(map, Object.keys(map).filter(key => keys.indexOf(key) === -1))
+        },
+        dynamodb: {
+            toDynamoDB: (value: any): any => toDynamoDB(value),
+            toDynamoDBJson: (value: any): string => JSON.stringify(toDynamoDB(value)),
+            toString: (value: string): any => ({ S: value }),
+            toStringJson: (value: string): string => JSON.stringify({ S: value }),
+            toNumber: (value: number): any => ({ N: String(value) }),
+            toNumberJson: (value: number): string => JSON.stringify({ N: String(value) }),
+            toBoolean: (value: boolean): any => ({ BOOL: value }),
+            toBooleanJson: (value: boolean): string => JSON.stringify({ BOOL: value }),
+            toNull: (): any => ({ NULL: true }),
+            toNullJson: (): string => JSON.stringify({ NULL: true }),
+            toList: (value: any[]): any => toDynamoDB(value),
+            toListJson: (value: any[]): string => JSON.stringify(toDynamoDB(value)),
+            toMap: (value: any): any => toDynamoDB(value),
+            toMapJson: (value: any): string => JSON.stringify(toDynamoDB(value)),
+            toMapValues: (value: any): any => toMapValues(value),
+            toMapValuesJson: (value: any): string => JSON.stringify(toMapValues(value)),
+            toStringSet: (value: string[]): any => ({ SS: value }),
+            toStringSetJson: (value: string[]): string => JSON.stringify({ SS: value }),
+            toNumberSet: (value: number[]): any => ({ NS: value.map(String) }),
+            toNumberSetJson: (value: number[]): string => JSON.stringify({ NS: value.map(String) })
+        },
+        transform: {
+            toDynamoDBFilterExpression: (filter: any): string => JSON.stringify(toDynamoDBExpression(filter, 'filterValue')),
+            toDynamoDBConditionExpression: (condition: any): string => JSON.stringify(toDynamoDBExpression(condition, 'conditionValue')),
+            toElasticsearchQueryDSL: (filter: any): string => JSON.stringify(toElasticsearchQueryDSL(filter))
+        },
+        http: {
+            copyHeaders: (headers: any): any => Object.assign({}, headers)
+        }
+    }
+    return { util, errors }
+}
+
+function uuid(): string {
+    return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (ch: string) => {
+        const random = Math.floor(Math.random() * 16)
+        return (ch === 'x' ? random : 8 + random % 4).toString(16)
+    })
+}
+
+function pick(values: any, keys: string[]): any {
+    const result = {}
+    keys.forEach(key => result[key] = values[key])
+    return result
+}
+
+function toDynamoDB(value: any): any {
+    if (isNull(value)) {
+        return { NULL: true }
+    }
+    if (typeof value === 'string') {
+        return { S: value }
+    }
+    if (typeof value === 'number') {
+        return { N: String(value) }
+    }
+    if (typeof value === 'boolean') {
+        return { BOOL: value }
+    }
+    if (Array.isArray(value)) {
+        return { L: value.map(toDynamoDB) }
+    }
+    return { M: toMapValues(value) }
+}
+
+function toMapValues(value: any): any {
+    const result = {}
+    Object.keys(value).forEach(key => result[key] = toDynamoDB(value[key]))
+    return result
+}
+
+const FILTER_OPERATORS = {
+    eq: '=',
+    ne: '<>',
+    le: '<=',
+    lt: '<',
+    ge: '>=',
+    gt: '>'
+}
+
+/**
+ * Converts a Model<Type>FilterInput or Model<Type>ConditionInput into a DynamoDB filter
+ * or condition expression. Both use the same syntax.
+ */
+function toDynamoDBExpression(filter: any, valuePrefix: string): any {
+    const expressionNames = {}
+    const expressionValues = {}
+    let valueCount = 0
+    const addValue = (value: any): string => {
+        valueCount++
+        const name = `:${valuePrefix}${valueCount}`
+        expressionValues[name] = toDynamoDB(value)
+        return name
+    }
+    const build = (conditions: any): string => {
+        const parts: string[] = []
+        Object.keys(conditions || {}).forEach(key => {
+            const condition = conditions[key]
+            if (key === 'and' || key === 'or') {
+                const nested = condition.map(build).filter(Boolean).map((part: string) => `(${part})`)
+                if (nested.length > 0) {
+                    parts.push(`(${nested.join(` ${key} `)})`)
+                }
+                return
+            }
+            if (key === 'not') {
+                const nested = build(condition)
+                if (nested) {
+                    parts.push(`(not (${nested}))`)
+                }
+                return
+            }
+            const name = `#${key}`
+            expressionNames[name] = key
+            Object.keys(condition).forEach(operator => {
+                const operand = condition[operator]
+                if (FILTER_OPERATORS[operator]) {
+                    parts.push(`(${name} ${FILTER_OPERATORS[operator]} ${addValue(operand)})`)
+                } else if (operator === 'contains') {
+                    parts.push(`(contains(${name}, ${addValue(operand)}))`)
+                } else if (operator === 'notContains') {
+                    parts.push(`(not contains(${name}, ${addValue(operand)}))`)
+                } else if (operator === 'beginsWith') {
+                    parts.push(`(begins_with(${name}, ${addValue(operand)}))`)
+                } else if (operator === 'between') {
+                    parts.push(`(${name} between ${addValue(operand[0])} and ${addValue(operand[1])})`)
+                } else {
+                    throw new TemplateError(`Unsupported filter operator "${operator}"`, 'MappingTemplate')
+                }
+            })
+        })
+        return parts.join(' and ')
+    }
+    const expression = build(filter)
+    if (!expression) {
+        return null
+    }
+    return { expression, expressionNames, expressionValues }
+}
+
+/**
+ * Converts a Searchable<Type>FilterInput into an Elasticsearch bool query.
+ */
+function toElasticsearchQueryDSL(filter: any): any {
+    const toQuery = (conditions: any): any => {
+        const must: any[] = []
+        const should: any[] = []
+        const mustNot: any[] = []
+        Object.keys(conditions || {}).forEach(key => {
+            const condition = conditions[key]
+            if (key === 'and') {
+                must.push(...condition.map(toQuery))
+                return
+            }
+            if (key === 'or') {
+                should.push(...condition.map(toQuery))
+                return
+            }
+            if (key === 'not') {
+                mustNot.push(toQuery(condition))
+                return
+            }
+            Object.keys(condition).forEach(operator => {
+                const operand = condition[operator]
+                const range = { gt: 'gt', gte: 'gte', lt: 'lt', lte: 'lte' }[operator]
+                if (operator === 'eq') {
+                    must.push({ term: { [key]: operand } })
+                } else if (operator === 'ne') {
+                    mustNot.push({ term: { [key]: operand } })
+                } else if (range) {
+                    must.push({ range: { [key]: { [range]: operand } } })
+                } else if (operator === 'match' || operator === 'matchPhrase' || operator === 'matchPhrasePrefix') {
+                    const type = { match: 'match', matchPhrase: 'match_phrase', matchPhrasePrefix: 'match_phrase_prefix' }[operator]
+                    must.push({ [type]: { [key]: operand } })
+                } else if (operator === 'multiMatch') {
+                    must.push({ multi_match: Object.assign({ fields: [key] }, operand) })
+                } else if (operator === 'exists') {
+                    (operand ? must : mustNot).push({ exists: { field: key } })
+                } else if (operator === 'wildcard' || operator === 'regexp') {
+                    must.push({ [operator]: { [key]: operand } })
+                } else {
+                    throw new TemplateError(`Unsupported filter operator "${operator}"`, 'MappingTemplate')
+                }
+            })
+        })
+        const query: any = {}
+        if (must.length > 0) {
+            query.must = must
+        }
+        if (should.length > 0) {
+            query.should = should
+            query.minimum_should_match = 1
+        }
+        if (mustNot.length > 0) {
+            query.must_not = mustNot
+        }
+        return { bool: query }
+    }
+    return toQuery(filter)
+}
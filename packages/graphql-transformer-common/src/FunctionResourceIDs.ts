@@ -0,0 +1,11 @@
+import { graphqlName, toUpper } from './util';
+
+export class FunctionResourceIDs {
+    static FunctionDataSourceID(name: string): string {
+        // strip the special characters and ${env} placeholders out of the function name
+        return `${graphqlName(toUpper(name.replace(/\$\{env\}/g, '')))}LambdaDataSource`
+    }
+    static FunctionIAMRoleID(name: string): string {
+        return `${FunctionResourceIDs.FunctionDataSourceID(name)}Role`
+    }
+}
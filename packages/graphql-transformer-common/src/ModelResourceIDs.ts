@@ -26,6 +26,16 @@ export class ModelResourceIDs {
         }
         return `Model${name}ListFilterInput`
     }
+    static ModelKeyConditionInputTypeName(name: string): string {
+        const nameOverride = DEFAULT_SCALARS[name]
+        if (nameOverride) {
+            return `Model${nameOverride}KeyConditionInput`
+        }
+        return `Model${name}KeyConditionInput`
+    }
+    static ModelConditionInputTypeName(name: string): string {
+        return `Model${name}ConditionInput`
+    }
 
     static ModelScalarFilterInputTypeName(name: string): string {
         return `Model${name}FilterInput`
@@ -33,9 +43,21 @@ export class ModelResourceIDs {
     static ModelConnectionTypeName(typeName: string): string {
         return `Model${typeName}Connection`
     }
+    static ModelBatchResultTypeName(typeName: string): string {
+        return `Model${typeName}BatchResult`
+    }
+    static ModelBatchDeleteResultTypeName(typeName: string): string {
+        return `Model${typeName}BatchDeleteResult`
+    }
+    static ModelKeyInputObjectName(typeName: string): string {
+        return `Model${typeName}KeyInput`
+    }
     static ModelDeleteInputObjectName(typeName: string): string {
         return graphqlName('Delete' + toUpper(typeName) + 'Input')
     }
+    static ModelRestoreInputObjectName(typeName: string): string {
+        return graphqlName('Restore' + toUpper(typeName) + 'Input')
+    }
     static ModelUpdateInputObjectName(typeName: string): string {
         return graphqlName('Update' + toUpper(typeName) + 'Input')
     }
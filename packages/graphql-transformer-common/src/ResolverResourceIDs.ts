@@ -10,6 +10,9 @@ export class ResolverResourceIDs {
     static DynamoDBDeleteResolverResourceID(typeName: string): string {
         return `Delete${typeName}Resolver`
     }
+    static DynamoDBRestoreResolverResourceID(typeName: string): string {
+        return `Restore${typeName}Resolver`
+    }
     static DynamoDBQueryResolverResourceID(typeName: string): string {
         return `Query${typeName}Resolver`
     }
@@ -19,10 +22,22 @@ export class ResolverResourceIDs {
     static DynamoDBListResolverResourceID(typeName: string): string {
         return `List${typeName}Resolver`
     }
+    static DynamoDBBatchCreateResolverResourceID(typeName: string): string {
+        return `BatchCreate${typeName}Resolver`
+    }
+    static DynamoDBBatchDeleteResolverResourceID(typeName: string): string {
+        return `BatchDelete${typeName}Resolver`
+    }
+    static DynamoDBBatchGetResolverResourceID(typeName: string): string {
+        return `BatchGet${typeName}Resolver`
+    }
     static ElasticsearchSearchResolverResourceID(typeName: string): string {
         return `Search${typeName}Resolver`
     }
     static ResolverResourceID(typeName: string, fieldName: string): string {
         return `${typeName}${fieldName}Resolver`
     }
+    static PipelineFunctionResourceID(typeName: string, fieldName: string, functionName: string): string {
+        return `${typeName}${fieldName}${functionName}Function`
+    }
 }
\ No newline at end of file
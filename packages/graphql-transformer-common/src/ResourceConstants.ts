@@ -7,6 +7,7 @@ export class ResourceConstants {
         GraphQLAPILogicalID: 'GraphQLAPI',
         GraphQLSchemaLogicalID: 'GraphQLSchema',
         APIKeyLogicalID: 'GraphQLAPIKey',
+        NoneDataSource: 'NoneDataSource',
 
         // Elasticsearch
         ElasticsearchAccessIAMRoleLogicalID: 'ElasticSearchAccessIAMRole',
@@ -89,10 +90,16 @@ export class ResourceConstants {
     public static readonly SNIPPETS = {
         AuthCondition: "authCondition",
         VersionedCondition: "versionedCondition",
+        VersionedIncrement: "versionedIncrement",
+        VersionedSet: "versionedSet",
         IsDynamicGroupAuthorizedVariable: "isDynamicGroupAuthorized",
         IsLocalDynamicGroupAuthorizedVariable: "isLocalDynamicGroupAuthorized",
         IsStaticGroupAuthorizedVariable: "isStaticGroupAuthorized",
         IsOwnerAuthorizedVariable: "isOwnerAuthorized",
-        IsLocalOwnerAuthorizedVariable: "isLocalOwnerAuthorized"
+        IsLocalOwnerAuthorizedVariable: "isLocalOwnerAuthorized",
+        ModelObjectKey: "modelObjectKey",
+        ModelQueryExpression: "modelQueryExpression",
+        ModelQueryIndex: "modelQueryIndex",
+        ModelIndexKeys: "modelIndexKeys"
     }
 }
\ No newline at end of file
@@ -6,3 +6,4 @@ export * from './ModelResourceIDs'
 export * from './SearchableResourceIDs'
 export * from './nodeUtils'
 export * from './HttpResourceIDs'
+export * from './FunctionResourceIDs'
@@ -22,14 +22,17 @@ function makeSeenTransformationKey(
     directive: DirectiveNode,
     type: TypeDefinitionNode,
     field?: FieldDefinitionNode | InputValueDefinitionNode | EnumValueDefinitionNode,
-    arg?: InputValueDefinitionNode
+    arg?: InputValueDefinitionNode,
+    index?: number
 ): string {
+    // Repeatable directives such as @key may be applied more than once to the same node.
+    const suffix = index ? `[${index}]` : ''
     if (directive && type && field && arg) {
-        return `${type.name.value}.${field.name.value}.${arg.name.value}@${directive.name.value}`
+        return `${type.name.value}.${field.name.value}.${arg.name.value}@${directive.name.value}${suffix}`
     } if (directive && type && field) {
-        return `${type.name.value}.${field.name.value}@${directive.name.value}`
+        return `${type.name.value}.${field.name.value}@${directive.name.value}${suffix}`
     } else {
-        return `${type.name.value}@${directive.name.value}`
+        return `${type.name.value}@${directive.name.value}${suffix}`
     }
 }
 
@@ -166,12 +169,16 @@ export interface GraphQLTransformOptions {
     // migrations as all the input/export/ref/getatt changes will be made
     // automatically.
     stackMapping?: StackMappingOption,
+    // The stacks that the resources were last deployed to, keyed by logical id. Resolvers
+    // that were spilled into overflow stacks are kept in them.
+    deployedStackMapping?: { [resourceId: string]: string },
 }
 export type StackMappingOption = { [regexStr: string]: string };
 export default class GraphQLTransform {
 
     private transformers: Transformer[]
     private stackMappingOverrides: StackMappingOption;
+    private deployedStackMapping: { [resourceId: string]: string };
 
     // A map from `${directive}.${typename}.${fieldName?}`: true
     // that specifies we have run already run a directive at a given location.
@@ -184,6 +191,7 @@ export default class GraphQLTransform {
         }
         this.transformers = options.transformers;
         this.stackMappingOverrides = options.stackMapping || {};
+        this.deployedStackMapping = options.deployedStackMapping || {};
     }
 
     /**
@@ -199,7 +207,7 @@ export default class GraphQLTransform {
         const context = new TransformerContext(schema)
         const validDirectiveNameMap = this.transformers.reduce(
             (acc: any, t: Transformer) => ({ ...acc, [t.directive.name.value]: true }),
-            { aws_subscribe: true, aws_auth: true }
+            { aws_subscribe: true, aws_auth: true, aws_api_key: true, aws_iam: true, aws_cognito_user_pools: true }
         )
         let allModelDefinitions = [...context.inputDocument.definitions]
         for (const transformer of this.transformers) {
@@ -208,7 +216,10 @@ export default class GraphQLTransform {
                 transformer.directive
             )
         }
-        const errors = validateModelSchema({ kind: Kind.DOCUMENT, definitions: allModelDefinitions })
+        const repeatableDirectives = this.transformers
+            .filter(t => t.repeatable)
+            .map(t => t.directive.name.value)
+        const errors = validateModelSchema({ kind: Kind.DOCUMENT, definitions: allModelDefinitions }, repeatableDirectives)
         if (errors && errors.length) {
             throw new SchemaValidationError(errors.slice(0))
         }
@@ -266,7 +277,8 @@ export default class GraphQLTransform {
         // Format the context into many stacks.
         this.updateContextForStackMappingOverrides(context);
         const formatter = new TransformFormatter({
-            stackRules: context.getStackMapping()
+            stackRules: context.getStackMapping(),
+            deployedStackMapping: this.deployedStackMapping
         })
         return formatter.format(context)
     }
@@ -283,6 +295,7 @@ export default class GraphQLTransform {
         validDirectiveNameMap: { [k: string]: boolean },
         context: TransformerContext
     ) {
+        let directiveIndex = 0
         for (const dir of def.directives) {
             if (!validDirectiveNameMap[dir.name.value]) {
                 throw new UnknownDirectiveError(
@@ -291,7 +304,7 @@ export default class GraphQLTransform {
             }
             if (matchDirective(transformer.directive, dir, def)) {
                 if (isFunction(transformer.object)) {
-                    const transformKey = makeSeenTransformationKey(dir, def)
+                    const transformKey = makeSeenTransformationKey(dir, def, undefined, undefined, directiveIndex++)
                     if (!this.seenTransformations[transformKey]) {
                         transformer.object(def, dir, context)
                         this.seenTransformations[transformKey] = true
@@ -313,6 +326,7 @@ export default class GraphQLTransform {
         validDirectiveNameMap: { [k: string]: boolean },
         context: TransformerContext
     ) {
+        let directiveIndex = 0
         for (const dir of def.directives) {
             if (!validDirectiveNameMap[dir.name.value]) {
                 throw new UnknownDirectiveError(
@@ -321,7 +335,7 @@ export default class GraphQLTransform {
             }
             if (matchFieldDirective(transformer.directive, dir, def)) {
                 if (isFunction(transformer.field)) {
-                    const transformKey = makeSeenTransformationKey(dir, parent, def)
+                    const transformKey = makeSeenTransformationKey(dir, parent, def, undefined, directiveIndex++)
                     if (!this.seenTransformations[transformKey]) {
                         transformer.field(parent, def, dir, context)
                         this.seenTransformations[transformKey] = true
@@ -1,4 +1,4 @@
-import TransformerContext from "./TransformerContext";
+import TransformerContext, { PipelineFunction, PIPELINE_SLOTS } from "./TransformerContext";
 import { StringParameter } from 'cloudform-types';
 import Resource from "cloudform-types/types/resource";
 import { Fn } from "cloudform-types";
@@ -9,12 +9,23 @@ import {
 import { ObjectTypeDefinitionNode, print } from "graphql";
 import { stripDirectives } from "./stripDirectives";
 import { SchemaResourceUtil } from "./util/SchemaResourceUtil";
-import splitStack, { StackRules } from './util/splitStack'
+import splitStack, { StackRules, StackLimits } from './util/splitStack'
 import { DeploymentResources, ResolversFunctionsAndSchema, ResolverMap } from './DeploymentResources';
-import { ResourceConstants } from "graphql-transformer-common";
+import { ResourceConstants, ResolverResourceIDs } from "graphql-transformer-common";
 
 interface TransformFormatterOptions {
     stackRules: StackRules
+    // Overrides the CloudFormation limits that decide when a nested stack overflows.
+    stackLimits?: StackLimits
+    // The stacks that the resources were last deployed to, keyed by logical id.
+    deployedStackMapping?: { [resourceId: string]: string }
+}
+interface PipelineFunctionResource {
+    id: string
+    // The template files of the function without their .req.vtl and .res.vtl extensions.
+    fileName: string
+    pipelineFunction: PipelineFunction
+    dependsOn?: any
 }
 export class TransformFormatter {
 
@@ -32,10 +43,16 @@ export class TransformFormatter {
      */
     public format(ctx: TransformerContext): DeploymentResources {
         ctx.mergeConditions(this.schemaResourceUtil.makeEnvironmentConditions())
+        // The functions of pipelines join the stacks of their resolvers without changing the caller's rules.
+        const stackRules: StackRules = new Map(this.opts.stackRules)
+        const pipelineTemplates = this.buildPipelineResolvers(ctx, stackRules)
         const resolversFunctionsAndSchema = this.collectResolversFunctionsAndSchema(ctx);
+        resolversFunctionsAndSchema.resolvers = { ...pipelineTemplates, ...resolversFunctionsAndSchema.resolvers }
         const nestedStacks = splitStack({
             stack: ctx.template,
-            stackRules: this.opts.stackRules,
+            stackRules,
+            stackLimits: this.opts.stackLimits,
+            deployedStackMapping: this.opts.deployedStackMapping,
             defaultParameterValues: {
                 [ResourceConstants.PARAMETERS.AppSyncApiId]: Fn.GetAtt(
                     ResourceConstants.RESOURCES.GraphQLAPILogicalID,
@@ -97,7 +114,7 @@ export class TransformFormatter {
         const astSansDirectives = stripDirectives({
             kind: 'Document',
             definitions: Object.keys(ctx.nodeMap).map((k: string) => ctx.getType(k))
-        }, ['aws_subscribe', 'aws_auth'])
+        }, ['aws_subscribe', 'aws_auth', 'aws_api_key', 'aws_iam', 'aws_cognito_user_pools'])
         const SDL = print(astSansDirectives)
         return SDL;
     }
@@ -167,4 +184,128 @@ export class TransformFormatter {
         }
         return {}
     }
+
+    /**
+     * Turns the pipelines built up by the transformers into function configurations
+     * and one pipeline resolver per field. A unit resolver of the field becomes the
+     * function of the data slot and keeps its template files so overrides still apply.
+     * Returns the templates of the pipelines keyed by their filename.
+     * @param stackRules The stack rules that the functions are added to.
+     */
+    private buildPipelineResolvers(ctx: TransformerContext, stackRules: StackRules): ResolverMap {
+        let templates: ResolverMap = {}
+        for (const pipeline of ctx.getPipelines()) {
+            const { typeName, fieldName } = pipeline
+            const functions: PipelineFunctionResource[] = pipeline.functions.map(
+                pipelineFunction => ({
+                    id: ResolverResourceIDs.PipelineFunctionResourceID(typeName, fieldName, pipelineFunction.name),
+                    fileName: `${typeName}.${fieldName}.${pipelineFunction.name}`,
+                    pipelineFunction
+                })
+            )
+            let resolverId = this.findResolverId(ctx, typeName, fieldName)
+            if (resolverId) {
+                const resolver = ctx.getResource(resolverId)
+                if (resolver.Properties.Kind === 'PIPELINE') {
+                    throw new Error(`${typeName}.${fieldName} is already resolved by a pipeline resolver.`)
+                }
+                if (pipeline.functions.find(f => f.slot === 'data')) {
+                    throw new Error(`${typeName}.${fieldName} has both a resolver and a function in the data slot of its pipeline.`)
+                }
+                const dataIndex = PIPELINE_SLOTS.indexOf('data')
+                const index = pipeline.functions.filter(f => PIPELINE_SLOTS.indexOf(f.slot) < dataIndex).length
+                functions.splice(index, 0, {
+                    id: ResolverResourceIDs.PipelineFunctionResourceID(typeName, fieldName, 'Data'),
+                    fileName: `${typeName}.${fieldName}`,
+                    pipelineFunction: {
+                        name: 'Data',
+                        slot: 'data',
+                        dataSourceName: resolver.Properties.DataSourceName,
+                        requestMappingTemplate: resolver.Properties.RequestMappingTemplate,
+                        responseMappingTemplate: resolver.Properties.ResponseMappingTemplate
+                    },
+                    dependsOn: resolver.DependsOn
+                })
+            } else {
+                resolverId = ResolverResourceIDs.ResolverResourceID(typeName, fieldName)
+            }
+            const stackName = this.getStackName(resolverId, stackRules)
+            for (const { id, fileName, pipelineFunction, dependsOn } of functions) {
+                const functionConfiguration = this.makeFunctionConfiguration(ctx, id, pipelineFunction)
+                if (dependsOn) {
+                    functionConfiguration.dependsOn(dependsOn)
+                }
+                const requestMappingTemplate = pipelineFunction.requestMappingTemplate
+                const responseMappingTemplate = pipelineFunction.responseMappingTemplate
+                if (typeof requestMappingTemplate === 'string' && typeof responseMappingTemplate === 'string') {
+                    functionConfiguration.Properties.RequestMappingTemplateS3Location =
+                        this.schemaResourceUtil.makeResolverS3Location(`${fileName}.req.vtl`)
+                    functionConfiguration.Properties.ResponseMappingTemplateS3Location =
+                        this.schemaResourceUtil.makeResolverS3Location(`${fileName}.res.vtl`)
+                    templates = {
+                        ...templates,
+                        [`${fileName}.req.vtl`]: requestMappingTemplate,
+                        [`${fileName}.res.vtl`]: responseMappingTemplate
+                    }
+                } else {
+                    functionConfiguration.Properties.RequestMappingTemplate = requestMappingTemplate
+                    functionConfiguration.Properties.ResponseMappingTemplate = responseMappingTemplate
+                }
+                ctx.setResource(id, functionConfiguration)
+                if (stackName) {
+                    stackRules.set(`^${id}$`.toLowerCase(), stackName)
+                }
+            }
+            ctx.setResource(resolverId, this.schemaResourceUtil.makePipelineResolver(typeName, fieldName, functions.map(f => f.id)))
+            templates = {
+                ...templates,
+                [`${typeName}.${fieldName}.before.vtl`]: [
+                    `## [Start] Pipeline of ${typeName}.${fieldName}. **`,
+                    `$util.qr($ctx.stash.put("typeName", "${typeName}"))`,
+                    `$util.qr($ctx.stash.put("fieldName", "${fieldName}"))`,
+                    '{}',
+                    `## [End] Pipeline of ${typeName}.${fieldName}. **`
+                ].join('\n'),
+                [`${typeName}.${fieldName}.after.vtl`]: [
+                    `## [Start] Pipeline of ${typeName}.${fieldName}. **`,
+                    '$util.toJson($ctx.prev.result)',
+                    `## [End] Pipeline of ${typeName}.${fieldName}. **`
+                ].join('\n')
+            }
+        }
+        return templates
+    }
+
+    private makeFunctionConfiguration(ctx: TransformerContext, id: string, pipelineFunction: PipelineFunction) {
+        let dataSourceName = pipelineFunction.dataSourceName
+        if (!dataSourceName) {
+            if (!ctx.getResource(ResourceConstants.RESOURCES.NoneDataSource)) {
+                ctx.setResource(ResourceConstants.RESOURCES.NoneDataSource, this.schemaResourceUtil.makeNoneDataSource())
+            }
+            dataSourceName = Fn.GetAtt(ResourceConstants.RESOURCES.NoneDataSource, 'Name')
+        }
+        return this.schemaResourceUtil.makeFunctionConfiguration(id, dataSourceName)
+    }
+
+    private findResolverId(ctx: TransformerContext, typeName: string, fieldName: string): string | undefined {
+        const resources = ctx.template.Resources
+        return Object.keys(resources).find(id =>
+            resources[id].Type === 'AWS::AppSync::Resolver' &&
+            resources[id].Properties.TypeName === typeName &&
+            resources[id].Properties.FieldName === fieldName
+        )
+    }
+
+    /**
+     * Returns the name of the stack the stack rules put a resource in. The last matching rule wins.
+     */
+    private getStackName(resourceId: string, stackRules: StackRules): string | undefined {
+        let stackName: string
+        stackRules.forEach((name, regExStr) => {
+            if (new RegExp(regExStr, 'i').test(resourceId)) {
+                stackName = name
+            }
+        })
+        return stackName
+    }
 }
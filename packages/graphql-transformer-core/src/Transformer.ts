@@ -52,6 +52,11 @@ export default class Transformer {
 
     public typeDefinitions: TypeDefinitionNode[]
 
+    /**
+     * Whether the directive may be used more than once at a single location.
+     */
+    public repeatable: boolean = false
+
     /**
      * Each transformer has a name.
      *
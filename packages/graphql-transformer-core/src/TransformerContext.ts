@@ -1,7 +1,7 @@
 import Template from 'cloudform-types/types/template'
 import Resource from 'cloudform-types/types/resource'
 import Parameter from 'cloudform-types/types/parameter'
-import { Condition } from 'cloudform-types/types/dataTypes'
+import { Condition, Value } from 'cloudform-types/types/dataTypes'
 import Output from 'cloudform-types/types/output'
 import {
     TypeSystemDefinitionNode,
@@ -78,6 +78,31 @@ export class TransformerContextMetadata {
 // export interface StackMapping { [k: RegExp]: string }
 export type StackMapping = Map<string, string>;
 
+/**
+ * The slots of a pipeline resolver in the order they run.
+ */
+export const PIPELINE_SLOTS = ['auth', 'validation', 'data', 'postProcessing']
+export type PipelineSlot = 'auth' | 'validation' | 'data' | 'postProcessing'
+
+/**
+ * An AppSync function that runs as one step of the pipeline resolver of a field.
+ */
+export interface PipelineFunction {
+    // Unique among the functions of the field. Names the function and its templates.
+    name: string
+    slot: PipelineSlot
+    // Functions without a data source run on a NONE data source.
+    dataSourceName?: Value<string>
+    requestMappingTemplate: Value<string>
+    responseMappingTemplate: Value<string>
+}
+
+export interface FieldPipeline {
+    typeName: string
+    fieldName: string
+    functions: PipelineFunction[]
+}
+
 /**
  * The transformer context is responsible for accumulating the resources,
  * types, and parameters necessary to support an AppSync transform.
@@ -94,6 +119,8 @@ export default class TransformerContext {
 
     private stackMapping: StackMapping = new Map();
 
+    private pipelines: { [field: string]: FieldPipeline } = {}
+
     constructor(inputSDL: string) {
         const doc: DocumentNode = parse(inputSDL)
         for (const def of doc.definitions) {
@@ -638,4 +665,57 @@ export default class TransformerContext {
     public getStackMapping(): StackMapping {
         return this.stackMapping
     }
+
+    /**
+     * Add a function to the pipeline resolver of a field. Functions run in the order of their
+     * slots and functions of the same slot run in the order they were added. When the
+     * transformation finishes, a unit resolver created for the field becomes the function of
+     * the data slot and the field is resolved by a pipeline resolver instead.
+     * @param typeName The name of the parent type.
+     * @param fieldName The name of the field.
+     * @param pipelineFunction The function to add.
+     */
+    public addPipelineFunction(typeName: string, fieldName: string, pipelineFunction: PipelineFunction) {
+        if (PIPELINE_SLOTS.indexOf(pipelineFunction.slot) === -1) {
+            throw new Error(`Unknown pipeline slot '${pipelineFunction.slot}'. Expected one of ${PIPELINE_SLOTS.join(', ')}.`)
+        }
+        if (!/^[_A-Za-z][_0-9A-Za-z]*$/.test(pipelineFunction.name)) {
+            throw new Error(`Invalid pipeline function name '${pipelineFunction.name}'.`)
+        }
+        const key = `${typeName}.${fieldName}`
+        if (!this.pipelines[key]) {
+            this.pipelines[key] = { typeName, fieldName, functions: [] }
+        }
+        const pipeline = this.pipelines[key]
+        if (pipeline.functions.find(f => f.name === pipelineFunction.name)) {
+            throw new Error(`Conflicting pipeline function '${pipelineFunction.name}' found on ${key}.`)
+        }
+        pipeline.functions.push(pipelineFunction)
+    }
+
+    /**
+     * Returns the pipeline of a field with its functions in the order they run.
+     * @param typeName The name of the parent type.
+     * @param fieldName The name of the field.
+     */
+    public getPipeline(typeName: string, fieldName: string): FieldPipeline | undefined {
+        const pipeline = this.pipelines[`${typeName}.${fieldName}`]
+        if (!pipeline) {
+            return undefined
+        }
+        return {
+            ...pipeline,
+            functions: PIPELINE_SLOTS.reduce(
+                (acc: PipelineFunction[], slot: string) => acc.concat(pipeline.functions.filter(f => f.slot === slot)),
+                []
+            )
+        }
+    }
+
+    public getPipelines(): FieldPipeline[] {
+        return Object.keys(this.pipelines).map(key => {
+            const pipeline = this.pipelines[key]
+            return this.getPipeline(pipeline.typeName, pipeline.fieldName)
+        })
+    }
 }
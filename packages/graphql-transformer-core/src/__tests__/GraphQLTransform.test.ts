@@ -103,4 +103,27 @@ test('Test graphql transformer returns correct number of arguments from directiv
     const map: any = transformer.getDirectiveArgumentMap(def.directives[0])
     expect(map).not.toBeNull()
     expect(Object.keys(map)).toEqual(expect.arrayContaining(['mutations', 'queries']))
-})
\ No newline at end of file
+})
+class KeyTransformer extends Transformer {
+    constructor() {
+        super('KeyTransformer', 'directive @key(name: String) on OBJECT')
+        this.repeatable = true
+    }
+
+    public object = (definition: ObjectTypeDefinitionNode, directive: DirectiveNode, acc: TransformerContext) => {
+        return
+    }
+}
+
+test('Test graphql transformer validation only allows repeatable directives to be repeated.', () => {
+    const transformer = new GraphQLTransform({
+        transformers: [
+            new ValidObjectTransformer(),
+            new KeyTransformer()
+        ]
+    })
+    expect(transformer.transform(`type Post @key @key(name: "byTitle") { id: ID! }`)).toBeDefined()
+    expect(() => transformer.transform(`type Post @ObjectDirective @ObjectDirective { id: ID! }`)).toThrow(
+        /The directive "ObjectDirective" can only be used once at this location./
+    )
+});
@@ -0,0 +1,146 @@
+import { ObjectTypeDefinitionNode, DirectiveNode } from 'graphql'
+import { AppSync, Fn } from 'cloudform-types'
+import { ResourceConstants } from 'graphql-transformer-common'
+import GraphQLTransform from '../GraphQLTransform'
+import TransformerContext from '../TransformerContext'
+import Transformer from '../Transformer'
+import { TransformFormatter } from '../TransformFormatter'
+
+class DataTransformer extends Transformer {
+    constructor() {
+        super('DataTransformer', 'directive @data on OBJECT')
+    }
+
+    public object = (definition: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext) => {
+        ctx.setResource('PostTableDataSource', new AppSync.DataSource({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            Name: 'PostTable',
+            Type: 'AMAZON_DYNAMODB'
+        }))
+        ctx.setResource('CreatePostResolver', new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            DataSourceName: Fn.GetAtt('PostTableDataSource', 'Name'),
+            TypeName: 'Mutation',
+            FieldName: 'createPost',
+            RequestMappingTemplate: '{ "operation": "PutItem" }',
+            ResponseMappingTemplate: '$util.toJson($ctx.result)'
+        }).dependsOn(['PostTableDataSource']))
+        ctx.putStackMapping('Post', ['^PostTableDataSource$', '^CreatePostResolver$'])
+    }
+}
+
+class ChecksTransformer extends Transformer {
+    constructor() {
+        super('ChecksTransformer', 'directive @checks on OBJECT')
+    }
+
+    public object = (definition: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext) => {
+        ctx.addPipelineFunction('Mutation', 'createPost', {
+            name: 'Notify',
+            slot: 'postProcessing',
+            requestMappingTemplate: '{}',
+            responseMappingTemplate: '$util.toJson($ctx.prev.result)'
+        })
+        ctx.addPipelineFunction('Mutation', 'createPost', {
+            name: 'Validate',
+            slot: 'validation',
+            requestMappingTemplate: '#if( !$ctx.args.input.title ) $util.error("Missing title") #end {}',
+            responseMappingTemplate: '{}'
+        })
+        ctx.addPipelineFunction('Mutation', 'createPost', {
+            name: 'Auth',
+            slot: 'auth',
+            requestMappingTemplate: '{}',
+            responseMappingTemplate: Fn.Sub('$util.toJson("${env}")', { env: 'test' })
+        })
+        ctx.addPipelineFunction('Query', 'ping', {
+            name: 'Pong',
+            slot: 'data',
+            requestMappingTemplate: '{}',
+            responseMappingTemplate: '"pong"'
+        })
+    }
+}
+
+const schema = `
+type Post @data @checks { id: ID! title: String }
+type Mutation { createPost(title: String): Post }
+type Query { ping: String }
+`
+
+test('Test pipeline functions are assembled in slot order', () => {
+    const transformer = new GraphQLTransform({
+        transformers: [new DataTransformer(), new ChecksTransformer()]
+    })
+    const out = transformer.transform(schema)
+    const postStack = out.stacks.Post
+    const resolver = postStack.Resources.CreatePostResolver
+    expect(resolver.Properties.Kind).toEqual('PIPELINE')
+    expect(resolver.Properties.DataSourceName).toBeUndefined()
+    expect(resolver.Properties.PipelineConfig.Functions).toEqual([
+        { 'Fn::GetAtt': ['MutationcreatePostAuthFunction', 'FunctionId'] },
+        { 'Fn::GetAtt': ['MutationcreatePostValidateFunction', 'FunctionId'] },
+        { 'Fn::GetAtt': ['MutationcreatePostDataFunction', 'FunctionId'] },
+        { 'Fn::GetAtt': ['MutationcreatePostNotifyFunction', 'FunctionId'] }
+    ])
+
+    // The functions of a field live in the stack of its resolver.
+    const data = postStack.Resources.MutationcreatePostDataFunction
+    expect(data.Type).toEqual('AWS::AppSync::FunctionConfiguration')
+    expect(data.Properties.DataSourceName).toEqual({ 'Fn::GetAtt': ['PostTableDataSource', 'Name'] })
+    expect(data.Properties.FunctionVersion).toEqual('2018-05-29')
+    expect(data.DependsOn).toEqual(['PostTableDataSource'])
+    expect(postStack.Resources.MutationcreatePostAuthFunction.Properties.ResponseMappingTemplate).toBeDefined()
+    // Functions without a data source use the NONE data source of the root stack.
+    expect(postStack.Resources.MutationcreatePostAuthFunction.Properties.DataSourceName).toEqual(Fn.Ref('GetAttNoneDataSourceName'))
+    expect(out.rootStack.Resources[ResourceConstants.RESOURCES.NoneDataSource].Properties.Type).toEqual('NONE')
+
+    // The templates of the unit resolver keep their names so overrides still apply.
+    expect(out.resolvers['Mutation.createPost.req.vtl']).toEqual('{ "operation": "PutItem" }')
+    expect(out.resolvers['Mutation.createPost.res.vtl']).toEqual('$util.toJson($ctx.result)')
+    expect(out.resolvers['Mutation.createPost.Validate.req.vtl']).toContain('$util.error("Missing title")')
+    expect(out.resolvers['Mutation.createPost.Auth.req.vtl']).toBeUndefined()
+    expect(out.resolvers['Mutation.createPost.before.vtl']).toContain('$util.qr($ctx.stash.put("fieldName", "createPost"))')
+    expect(out.resolvers['Mutation.createPost.after.vtl']).toContain('$util.toJson($ctx.prev.result)')
+})
+
+test('Test a pipeline is created for fields without a resolver', () => {
+    const transformer = new GraphQLTransform({
+        transformers: [new DataTransformer(), new ChecksTransformer()]
+    })
+    const out = transformer.transform(schema)
+    const resolver = out.rootStack.Resources.QuerypingResolver
+    expect(resolver.Properties.Kind).toEqual('PIPELINE')
+    expect(resolver.Properties.PipelineConfig.Functions).toEqual([{ 'Fn::GetAtt': ['QuerypingPongFunction', 'FunctionId'] }])
+    expect(out.rootStack.Resources.QuerypingPongFunction).toBeDefined()
+    expect(out.resolvers['Query.ping.Pong.res.vtl']).toEqual('"pong"')
+})
+
+test('Test formatting pipelines leaves the stack rules of the caller as they are', () => {
+    const ctx = new TransformerContext(schema)
+    new DataTransformer().object(undefined, undefined, ctx)
+    new ChecksTransformer().object(undefined, undefined, ctx)
+    const stackRules = ctx.getStackMapping()
+    const rulesBefore = Array.from(stackRules.keys())
+    const out = new TransformFormatter({ stackRules }).format(ctx)
+    expect(out.stacks.Post.Resources.MutationcreatePostAuthFunction).toBeDefined()
+    expect(Array.from(stackRules.keys())).toEqual(rulesBefore)
+})
+
+test('Test invalid pipeline functions are rejected', () => {
+    const ctx = new TransformerContext(schema)
+    const pipelineFunction = {
+        name: 'Check',
+        slot: 'auth' as 'auth',
+        requestMappingTemplate: '{}',
+        responseMappingTemplate: '{}'
+    }
+    ctx.addPipelineFunction('Query', 'ping', pipelineFunction)
+    expect(() => ctx.addPipelineFunction('Query', 'ping', pipelineFunction)).toThrow(
+        `Conflicting pipeline function 'Check' found on Query.ping.`
+    )
+    expect(() => ctx.addPipelineFunction('Query', 'ping', { ...pipelineFunction, name: 'Check-2' })).toThrow()
+    expect(() => ctx.addPipelineFunction('Query', 'ping', { ...pipelineFunction, name: 'Other', slot: 'before' as any })).toThrow(
+        `Unknown pipeline slot 'before'.`
+    )
+})
@@ -71,4 +71,137 @@ test('Test getTemplateReferences', () => {
     const deploymentResources = formatter.format(context)
     expect(Object.keys(deploymentResources.stacks.PostModel.Resources)).toHaveLength(4)
     expect(Object.keys(deploymentResources.rootStack.Resources)).toHaveLength(3)
-});
\ No newline at end of file
+});
+test('Test formatter spills resolvers into overflow stacks when a stack exceeds its limits', () => {
+    const makeTemplate = (): Template => {
+        const resources = {
+            API: new AppSync.GraphQLApi({ Name: "My AppSync API", AuthenticationType: "API_KEY" }),
+            PostTable: new DynamoDB.Table({ KeySchema: [{ AttributeName: "id", KeyType: "HASH" }] }),
+            PostTableDataSource: new AppSync.DataSource({ ApiId: Fn.Ref("API"), Name: "PostDataSource", Type: "AMAZON_DYNAMODB" }),
+            PostFunctionA: new AppSync.FunctionConfiguration({
+                ApiId: Fn.Ref("API"), Name: "PostFunctionA", DataSourceName: "NONE", FunctionVersion: "2018-05-29"
+            }),
+            PostFunctionB: new AppSync.FunctionConfiguration({
+                ApiId: Fn.Ref("API"), Name: "PostFunctionB", DataSourceName: "NONE", FunctionVersion: "2018-05-29"
+            }),
+            PostResolverPipeline: new AppSync.Resolver({
+                ApiId: Fn.Ref("API"),
+                FieldName: "publishPost",
+                TypeName: "Mutation",
+                Kind: "PIPELINE",
+                PipelineConfig: { Functions: [Fn.GetAtt("PostFunctionA", "FunctionId"), Fn.GetAtt("PostFunctionB", "FunctionId")] }
+            })
+        }
+        for (const fieldName of ['create', 'update', 'delete', 'get', 'list']) {
+            resources[`PostResolver${fieldName}`] = new AppSync.Resolver({
+                ApiId: Fn.Ref("API"),
+                DataSourceName: Fn.GetAtt("PostTableDataSource", "Name"),
+                FieldName: `${fieldName}Post`,
+                TypeName: fieldName === 'get' || fieldName === 'list' ? "Query" : "Mutation"
+            })
+        }
+        return { Parameters: {}, Resources: resources }
+    }
+    const format = () => {
+        const stackRules = new Map<string, string>();
+        stackRules.set('^Post.*', 'PostModel');
+        const formatter = new TransformFormatter({
+            stackRules,
+            stackLimits: { resources: 4, parameters: 60, outputs: 60 }
+        });
+        const context = new TransformerContext('type Post @model { id: ID! title: String }')
+        context.template = makeTemplate();
+        return formatter.format(context)
+    }
+    const deploymentResources = format()
+    expect(Object.keys(deploymentResources.stacks).sort()).toEqual(['PostModel', 'PostModelOverflow1', 'PostModelOverflow2'])
+    expect(Object.keys(deploymentResources.stacks.PostModel.Resources).sort()).toEqual(['PostTable', 'PostTableDataSource'])
+    // A pipeline resolver moves along with its functions.
+    expect(Object.keys(deploymentResources.stacks.PostModelOverflow1.Resources).sort()).toEqual([
+        'PostFunctionA', 'PostFunctionB', 'PostResolverPipeline', 'PostResolvercreate'
+    ])
+    expect(Object.keys(deploymentResources.stacks.PostModelOverflow2.Resources).sort()).toEqual([
+        'PostResolverdelete', 'PostResolverget', 'PostResolverlist', 'PostResolverupdate'
+    ])
+    // Overflow stacks import the data source from the stack they spill out of.
+    expect(deploymentResources.stacks.PostModel.Outputs.GetAttPostTableDataSourceName).toBeDefined()
+    expect(deploymentResources.rootStack.Resources.PostModelOverflow2.DependsOn).toContain('PostModel')
+    expect(format()).toEqual(deploymentResources)
+});
+
+test('Test formatter keeps deployed resolvers in their stacks when resolvers are added and removed', () => {
+    const makeTemplate = (fieldNames: string[]): Template => {
+        const resources = {
+            API: new AppSync.GraphQLApi({ Name: "My AppSync API", AuthenticationType: "API_KEY" }),
+            PostTable: new DynamoDB.Table({ KeySchema: [{ AttributeName: "id", KeyType: "HASH" }] }),
+            PostTableDataSource: new AppSync.DataSource({ ApiId: Fn.Ref("API"), Name: "PostDataSource", Type: "AMAZON_DYNAMODB" })
+        }
+        for (const fieldName of fieldNames) {
+            resources[`PostResolver${fieldName}`] = new AppSync.Resolver({
+                ApiId: Fn.Ref("API"),
+                DataSourceName: Fn.GetAtt("PostTableDataSource", "Name"),
+                FieldName: `${fieldName}Post`,
+                TypeName: "Mutation"
+            })
+        }
+        return { Parameters: {}, Resources: resources }
+    }
+    const format = (fieldNames: string[], deployedStackMapping?: { [resourceId: string]: string }) => {
+        const stackRules = new Map<string, string>();
+        stackRules.set('^Post.*', 'PostModel');
+        const formatter = new TransformFormatter({
+            stackRules,
+            stackLimits: { resources: 4, parameters: 60, outputs: 60 },
+            deployedStackMapping
+        });
+        const context = new TransformerContext('type Post @model { id: ID! title: String }')
+        context.template = makeTemplate(fieldNames);
+        return formatter.format(context)
+    }
+    const getStackMapping = (deploymentResources): { [resourceId: string]: string } => Object.keys(deploymentResources.stacks).reduce(
+        (acc, stackName) => Object.keys(deploymentResources.stacks[stackName].Resources)
+            .reduce((stackAcc, resourceId) => ({ ...stackAcc, [resourceId]: stackName }), acc),
+        {}
+    )
+    const deployed = getStackMapping(format(['a', 'b', 'c', 'd', 'e', 'f']))
+    expect(deployed).toEqual({
+        PostTable: 'PostModel',
+        PostTableDataSource: 'PostModel',
+        PostResolvera: 'PostModel',
+        PostResolverb: 'PostModel',
+        PostResolverc: 'PostModelOverflow1',
+        PostResolverd: 'PostModelOverflow1',
+        PostResolvere: 'PostModelOverflow1',
+        PostResolverf: 'PostModelOverflow1'
+    })
+
+    // Removing "b" and adding "g" would shift the split. The deployed resolvers stay where they are.
+    const next = getStackMapping(format(['a', 'c', 'd', 'e', 'f', 'g'], deployed))
+    const { PostResolverb, ...unchanged } = deployed
+    expect(next).toEqual({ ...unchanged, PostResolverg: 'PostModel' })
+    expect(getStackMapping(format(['a', 'c', 'd', 'e', 'f', 'g']))).not.toEqual(next)
+
+    // New resolvers are spilled before the deployed ones.
+    expect(getStackMapping(format(['a', 'c', 'd', 'e', 'f', 'g', 'h', 'i'], deployed))).toEqual({
+        ...unchanged, PostResolverg: 'PostModel', PostResolverh: 'PostModelOverflow2', PostResolveri: 'PostModelOverflow2'
+    })
+});
+
+test('Test formatter fails when a stack exceeds its limits without resolvers to spill', () => {
+    const stackRules = new Map<string, string>();
+    stackRules.set('^PostTable.*', 'PostModel');
+    const formatter = new TransformFormatter({
+        stackRules,
+        stackLimits: { resources: 1, parameters: 60, outputs: 60 }
+    });
+    const context = new TransformerContext('type Post @model { id: ID! title: String }')
+    context.template = {
+        Parameters: {},
+        Resources: {
+            API: new AppSync.GraphQLApi({ Name: "My AppSync API", AuthenticationType: "API_KEY" }),
+            PostTable: new DynamoDB.Table({ KeySchema: [{ AttributeName: "id", KeyType: "HASH" }] }),
+            PostTableDataSource: new AppSync.DataSource({ ApiId: Fn.Ref("API"), Name: "PostDataSource", Type: "AMAZON_DYNAMODB" })
+        }
+    };
+    expect(() => formatter.format(context)).toThrow(/PostModel exceeds the CloudFormation limit/)
+});
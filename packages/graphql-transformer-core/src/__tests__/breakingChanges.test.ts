@@ -0,0 +1,77 @@
+import { DynamoDB, Elasticsearch, Template } from 'cloudform-types'
+import { getBreakingChanges, BuildOutput } from '../util/breakingChanges'
+
+const makeTable = (keys: string[], indexNames: string[] = []) => new DynamoDB.Table({
+    KeySchema: keys.map((name, i) => ({ AttributeName: name, KeyType: i === 0 ? 'HASH' : 'RANGE' })),
+    GlobalSecondaryIndexes: indexNames.map(indexName => ({
+        IndexName: indexName,
+        KeySchema: [{ AttributeName: 'status', KeyType: 'HASH' }],
+        Projection: { ProjectionType: 'ALL' }
+    }))
+})
+
+const makeBuild = (schema: string, stacks: { [name: string]: Template }, rootStack: Template = { Resources: {} }): BuildOutput =>
+    JSON.parse(JSON.stringify({ schema, stacks, rootStack }))
+
+const schema = `
+type Post { id: ID! title: String comments: [Comment] }
+type Comment { id: ID! content: String }
+type Query { getPost(id: ID!): Post }
+`
+
+test('Test getBreakingChanges ignores additive changes', () => {
+    const deployed = makeBuild(schema, { Post: { Resources: { PostTable: makeTable(['id']) } } })
+    const next = makeBuild(schema + 'type Tag { id: ID! }', {
+        Post: { Resources: { PostTable: makeTable(['id'], ['ByStatus']) } },
+        Tag: { Resources: { TagTable: makeTable(['id']) } }
+    })
+    expect(getBreakingChanges(deployed, next)).toEqual([])
+})
+
+test('Test getBreakingChanges flags replaced and deleted tables and removed indexes', () => {
+    const deployed = makeBuild(schema, {
+        Post: { Resources: { PostTable: makeTable(['id'], ['ByStatus']) } },
+        Comment: { Resources: { CommentTable: makeTable(['id']) } },
+        Tag: { Resources: { TagTable: makeTable(['id']) } }
+    })
+    const next = makeBuild(schema, {
+        Post: { Resources: { PostTable: makeTable(['id']) } },
+        Comment: { Resources: { CommentTable: makeTable(['postId', 'id']) } },
+        Label: { Resources: { LabelTable: makeTable(['id']) } }
+    })
+    const changes = getBreakingChanges(deployed, next)
+    expect(changes.map(c => c.path)).toEqual(['Comment.CommentTable', 'Tag.TagTable', 'Post.PostTable'])
+    expect(changes[0].message).toEqual(
+        'Table "CommentTable" is replaced and its data is lost because its KeySchema changed.'
+    )
+    expect(changes[1].message).toEqual(
+        'Table "TagTable" is deleted along with its data. A renamed @model type gets a new, empty table.'
+    )
+    expect(changes[2].message).toContain('Global secondary index "ByStatus" is removed from table "PostTable".')
+})
+
+test('Test getBreakingChanges flags tables that move between stacks and replaced domains', () => {
+    const domain = (version: string) => new Elasticsearch.Domain({ ElasticsearchVersion: version })
+    const deployed = makeBuild(schema, { Post: { Resources: { PostTable: makeTable(['id']) } } }, {
+        Resources: { ElasticSearchDomain: domain('6.2') }
+    })
+    const next = makeBuild(schema, { Blog: { Resources: { PostTable: makeTable(['id']) } } }, {
+        Resources: { ElasticSearchDomain: domain('6.3') }
+    })
+    expect(getBreakingChanges(deployed, next).map(c => c.message)).toEqual([
+        'Table "PostTable" moves from stack "Post" to stack "Blog". It is deleted along with its data and created again.',
+        'Elasticsearch domain "ElasticSearchDomain" is replaced and its data is lost because its ElasticsearchVersion changed.'
+    ])
+})
+
+test('Test getBreakingChanges flags types and fields removed from the schema', () => {
+    const deployed = makeBuild(schema, {})
+    const next = makeBuild(`
+    type Post { id: ID! title: String }
+    type Query { getPost(id: ID!): Post }
+    `, {})
+    expect(getBreakingChanges(deployed, next)).toEqual([
+        { path: 'Post.comments', message: 'Field "Post.comments" is removed from the schema.' },
+        { path: 'Comment', message: 'Type "Comment" is removed from the schema.' }
+    ])
+})
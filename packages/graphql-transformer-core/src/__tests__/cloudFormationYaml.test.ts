@@ -0,0 +1,73 @@
+import * as fs from 'fs'
+import * as os from 'os'
+import * as path from 'path'
+import { parseYamlTemplate } from '../util/cloudFormationYaml'
+import { readProjectConfiguration } from '../util/amplifyUtils'
+
+const yamlTemplate = `
+AWSTemplateFormatVersion: "2010-09-09"
+Parameters:
+  AppSyncApiId:
+    Type: String
+  env:
+    Type: String
+Conditions:
+  HasEnvironmentParameter: !Not [!Equals [!Ref env, NONE]]
+Resources:
+  QueryEchoResolver:
+    Type: AWS::AppSync::Resolver
+    Properties:
+      ApiId: !Ref AppSyncApiId
+      DataSourceName: !GetAtt EchoDataSource.Name
+      TypeName: Query
+      FieldName: echo
+      RequestMappingTemplateS3Location: !Sub
+        - s3://\${S3DeploymentBucket}/\${S3DeploymentRootKey}/resolvers/Query.echo.req.vtl
+        - S3DeploymentBucket: !Ref S3DeploymentBucket
+          S3DeploymentRootKey: !Ref S3DeploymentRootKey
+      ResponseMappingTemplate: !Join ["", ["$util.toJson(", "$ctx.result", ")"]]
+Outputs:
+  EchoArn:
+    Value: !GetAtt [QueryEchoResolver, ResolverArn]
+    Condition: HasEnvironmentParameter
+`
+
+test('Test parseYamlTemplate parses the short form of intrinsic functions', () => {
+    const template = parseYamlTemplate(yamlTemplate)
+    expect(template.Conditions.HasEnvironmentParameter).toEqual({
+        'Fn::Not': [{ 'Fn::Equals': [{ Ref: 'env' }, 'NONE'] }]
+    })
+    const resolver = template.Resources.QueryEchoResolver
+    expect(resolver.Properties.ApiId).toEqual({ Ref: 'AppSyncApiId' })
+    expect(resolver.Properties.DataSourceName).toEqual({ 'Fn::GetAtt': ['EchoDataSource', 'Name'] })
+    expect(resolver.Properties.RequestMappingTemplateS3Location).toEqual({
+        'Fn::Sub': [
+            's3://${S3DeploymentBucket}/${S3DeploymentRootKey}/resolvers/Query.echo.req.vtl',
+            { S3DeploymentBucket: { Ref: 'S3DeploymentBucket' }, S3DeploymentRootKey: { Ref: 'S3DeploymentRootKey' } }
+        ]
+    })
+    expect(resolver.Properties.ResponseMappingTemplate).toEqual({
+        'Fn::Join': ['', ['$util.toJson(', '$ctx.result', ')']]
+    })
+    expect(template.Outputs.EchoArn.Value).toEqual({ 'Fn::GetAtt': ['QueryEchoResolver', 'ResolverArn'] })
+})
+
+test('Test readProjectConfiguration reads YAML stacks as JSON stacks', async () => {
+    const projectDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'transform-'))
+    fs.writeFileSync(path.join(projectDirectory, 'schema.graphql'), 'type Query { echo: String }')
+    fs.mkdirSync(path.join(projectDirectory, 'stacks'))
+    fs.writeFileSync(path.join(projectDirectory, 'stacks', 'CustomResources.yml'), yamlTemplate)
+    const project = await readProjectConfiguration(projectDirectory)
+    expect(Object.keys(project.stacks)).toEqual(['CustomResources.json'])
+    expect(project.stacks['CustomResources.json']).toEqual(parseYamlTemplate(yamlTemplate))
+
+    fs.writeFileSync(path.join(projectDirectory, 'stacks', 'CustomResources.json'), '{}')
+    await expect(readProjectConfiguration(projectDirectory)).rejects.toThrow(
+        'The CloudFormation stack CustomResources.yml conflicts with another stack named CustomResources.json.'
+    )
+    fs.unlinkSync(path.join(projectDirectory, 'stacks', 'CustomResources.yml'))
+    fs.unlinkSync(path.join(projectDirectory, 'stacks', 'CustomResources.json'))
+    fs.rmdirSync(path.join(projectDirectory, 'stacks'))
+    fs.unlinkSync(path.join(projectDirectory, 'schema.graphql'))
+    fs.rmdirSync(projectDirectory)
+})
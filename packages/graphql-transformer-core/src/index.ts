@@ -1,8 +1,8 @@
 import './polyfills/Object.assign'
-import TransformerContext from './TransformerContext'
+import TransformerContext, { PipelineFunction, PipelineSlot, FieldPipeline, PIPELINE_SLOTS } from './TransformerContext'
 import Transformer from './Transformer'
 import GraphQLTransform from './GraphQLTransform'
-import { collectDirectiveNames } from './collectDirectives'
+import { collectDirectiveNames, collectDirectives } from './collectDirectives'
 import { stripDirectives } from './stripDirectives'
 import {
     buildProject as buildAPIProject,
@@ -10,8 +10,10 @@ import {
     readSchema as readProjectSchema,
     migrateAPIProject,
     revertAPIMigration,
-    readProjectConfiguration
+    readProjectConfiguration,
+    readBuildOutput
 } from './util/amplifyUtils'
+import { getBreakingChanges, BreakingChange, BuildOutput } from './util/breakingChanges'
 
 export * from './errors'
 
@@ -19,13 +21,22 @@ export default GraphQLTransform
 
 export {
     TransformerContext,
+    PipelineFunction,
+    PipelineSlot,
+    FieldPipeline,
+    PIPELINE_SLOTS,
     Transformer,
     collectDirectiveNames,
+    collectDirectives,
     stripDirectives,
     buildAPIProject,
     migrateAPIProject,
     uploadAPIProject,
     readProjectSchema,
     readProjectConfiguration,
-    revertAPIMigration
+    revertAPIMigration,
+    readBuildOutput,
+    getBreakingChanges,
+    BreakingChange,
+    BuildOutput
 }
\ No newline at end of file
@@ -4,6 +4,7 @@ import { Fn, StringParameter } from 'cloudform-types'
 import { ResourceConstants } from 'graphql-transformer-common'
 import Resource from "cloudform-types/types/resource";
 import Parameter from 'cloudform-types/types/parameter';
+import { Value } from 'cloudform-types/types/dataTypes';
 
 const RESOLVERS_DIRECTORY_NAME = "resolvers"
 const STACKS_DIRECTORY_NAME = "stacks"
@@ -40,6 +41,8 @@ export class SchemaResourceUtil {
             DataSourceName: resource.Properties.DataSourceName,
             FieldName: resource.Properties.FieldName,
             TypeName: resource.Properties.TypeName,
+            Kind: resource.Properties.Kind,
+            PipelineConfig: resource.Properties.PipelineConfig,
             RequestMappingTemplateS3Location: Fn.Sub(
                 "s3://${S3DeploymentBucket}/${S3DeploymentRootKey}/resolvers/${ResolverFileName}",
                 {
@@ -69,6 +72,58 @@ export class SchemaResourceUtil {
         })
     }
 
+    /**
+     * The location of a template in the resolvers directory of the deployment.
+     * @param fileName The name of the template file.
+     */
+    public makeResolverS3Location(fileName: Value<string>) {
+        return Fn.Sub(
+            "s3://${S3DeploymentBucket}/${S3DeploymentRootKey}/resolvers/${ResolverFileName}",
+            {
+                S3DeploymentBucket: Fn.Ref(ResourceConstants.PARAMETERS.S3DeploymentBucket),
+                S3DeploymentRootKey: Fn.Ref(ResourceConstants.PARAMETERS.S3DeploymentRootKey),
+                ResolverFileName: fileName
+            }
+        )
+    }
+
+    public makeNoneDataSource() {
+        return new AppSync.DataSource({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            Name: ResourceConstants.RESOURCES.NoneDataSource,
+            Type: 'NONE'
+        })
+    }
+
+    public makeFunctionConfiguration(name: string, dataSourceName: Value<string>) {
+        return new AppSync.FunctionConfiguration({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            Name: name,
+            DataSourceName: dataSourceName,
+            FunctionVersion: '2018-05-29'
+        })
+    }
+
+    /**
+     * Create a pipeline resolver that runs the given functions in order.
+     * @param typeName The name of the parent type.
+     * @param fieldName The name of the field.
+     * @param functionIds The logical ids of the function configurations.
+     */
+    public makePipelineResolver(typeName: string, fieldName: string, functionIds: string[]) {
+        return new AppSync.Resolver({
+            ApiId: Fn.GetAtt(ResourceConstants.RESOURCES.GraphQLAPILogicalID, 'ApiId'),
+            TypeName: typeName,
+            FieldName: fieldName,
+            Kind: 'PIPELINE',
+            PipelineConfig: {
+                Functions: functionIds.map(id => Fn.GetAtt(id, 'FunctionId'))
+            },
+            RequestMappingTemplateS3Location: this.makeResolverS3Location(`${typeName}.${fieldName}.before.vtl`),
+            ResponseMappingTemplateS3Location: this.makeResolverS3Location(`${typeName}.${fieldName}.after.vtl`)
+        }).dependsOn([ResourceConstants.RESOURCES.GraphQLSchemaLogicalID])
+    }
+
     public makeAppSyncSchema(schema?: string) {
         if (schema) {
             return new AppSync.GraphQLSchema({
@@ -6,6 +6,8 @@ import Transformer from '../Transformer';
 import DeploymentResources from '../DeploymentResources';
 import { StackMappingOption } from '../GraphQLTransform';
 import { ResourceConstants } from 'graphql-transformer-common';
+import { BuildOutput } from './breakingChanges';
+import { parseYamlTemplate } from './cloudFormationYaml';
 
 const TRANSFORM_CONFIG_FILE_NAME = `transform.conf.json`;
 const CLOUDFORMATION_FILE_NAME = 'cloudformation-template.json';
@@ -15,14 +17,20 @@ export interface ProjectOptions {
     projectDirectory: string
     transformers: Transformer[]
     rootStackFileName?: string
+    // The project directory of the last deployment. Its build decides which stacks hold the resolvers.
+    previouslyDeployedBackendDir?: string
 }
 
 export async function buildProject(opts: ProjectOptions) {
     const userProjectConfig = await readProjectConfiguration(opts.projectDirectory)
     const stackMapping = getStackMappingsFromMigrationConfig(userProjectConfig.config.Migration);
+    const deployedBuild = opts.previouslyDeployedBackendDir ?
+        await readBuildOutput(opts.previouslyDeployedBackendDir, opts.rootStackFileName) :
+        undefined;
     const transform = new GraphQLTransform({
         transformers: opts.transformers,
-        stackMapping
+        stackMapping,
+        deployedStackMapping: deployedBuild ? getDeployedStackMapping(deployedBuild) : {}
     });
     let transformOutput = transform.transform(userProjectConfig.schema.toString());
     if (userProjectConfig.config && userProjectConfig.config.Migration) {
@@ -32,6 +40,46 @@ export async function buildProject(opts: ProjectOptions) {
     writeDeploymentToDisk(merged, path.join(opts.projectDirectory, 'build'), opts.rootStackFileName)
 }
 
+/**
+ * Reads the build of a project from disk, e.g. to compare it with a new build before it is
+ * deployed. Returns undefined when the project has not been built.
+ * @param projectDirectory The project directory holding the build directory.
+ * @param rootStackFileName The file name of the root stack in the build directory.
+ */
+export async function readBuildOutput(
+    projectDirectory: string,
+    rootStackFileName: string = CLOUDFORMATION_FILE_NAME
+): Promise<BuildOutput | undefined> {
+    const buildDirectory = path.join(projectDirectory, 'build')
+    if (!fs.existsSync(path.join(buildDirectory, rootStackFileName))) {
+        return undefined
+    }
+    const build = await readFromPath(buildDirectory)
+    const stackFiles = build.stacks || {}
+    const stacks = Object.keys(stackFiles)
+        .filter(fileName => fileName.endsWith('.json'))
+        .reduce((acc, fileName) => ({ ...acc, [fileName.replace(/\.json$/, '')]: JSON.parse(stackFiles[fileName]) }), {})
+    return {
+        schema: build['schema.graphql'],
+        rootStack: JSON.parse(build[rootStackFileName]),
+        stacks
+    }
+}
+
+/**
+ * Returns a map where the keys are the resources of the nested stacks of a build and the
+ * values are the names of their stacks.
+ */
+function getDeployedStackMapping(build: BuildOutput): { [resourceId: string]: string } {
+    const stackMapping = {};
+    for (const stackName of Object.keys(build.stacks)) {
+        for (const resourceId of Object.keys(build.stacks[stackName].Resources || {})) {
+            stackMapping[resourceId] = stackName;
+        }
+    }
+    return stackMapping;
+}
+
 /**
  * Returns a map where the keys are the names of the resources and the values are root.
  * This will be passed to the transform constructor to cause resources from a migration
@@ -224,12 +272,25 @@ export async function readProjectConfiguration(projectDirectory: string): Promis
         const stackFiles = await readDir(stacksDirectory)
         for (const stackFile of stackFiles) {
             const stackFilePath = path.join(stacksDirectory, stackFile)
-            throwIfNotJSON(stackFile);
             const stackBuffer = await readFile(stackFilePath);
+            if (isYAML(stackFile)) {
+                // Stacks are deployed as JSON so a YAML stack takes the name of its JSON counterpart.
+                const jsonStackFile = stackFile.replace(/\.ya?ml$/, '.json');
+                if (stackFiles.indexOf(jsonStackFile) !== -1 || stacks[jsonStackFile]) {
+                    throw new Error(`The CloudFormation stack ${stackFile} conflicts with another stack named ${jsonStackFile}.`)
+                }
+                try {
+                    stacks[jsonStackFile] = parseYamlTemplate(stackBuffer.toString());
+                } catch (e) {
+                    throw new Error(`The CloudFormation template ${stackFile} does not contain valid YAML. ${e.message}`)
+                }
+                continue;
+            }
+            throwIfNotJSON(stackFile);
             try {
                 stacks[stackFile] = JSON.parse(stackBuffer.toString());
             } catch (e) {
-                throw new Error(`The CloudFormation template ${stackFiles} does not contain valid JSON.`)
+                throw new Error(`The CloudFormation template ${stackFile} does not contain valid JSON.`)
             }
         }
     }
@@ -249,12 +310,15 @@ export async function readProjectConfiguration(projectDirectory: string): Promis
     }
 }
 
+function isYAML(stackFile: string) {
+    const nameParts = stackFile.split('.');
+    const extension = nameParts[nameParts.length - 1];
+    return extension === "yaml" || extension === "yml";
+}
+
 function throwIfNotJSON(stackFile: string) {
     const nameParts = stackFile.split('.');
     const extension = nameParts[nameParts.length - 1];
-    if (extension === "yaml" || extension === "yml") {
-        throw new Error(`Yaml is not yet supported. Please convert the CloudFormation stack ${stackFile} to json.`)
-    }
     if (extension !== "json") {
         throw new Error(`Invalid extension .${extension} for stack ${stackFile}`);
     }
@@ -0,0 +1,173 @@
+import { parse, Kind, ObjectTypeDefinitionNode, InterfaceTypeDefinitionNode, TypeDefinitionNode } from 'graphql'
+import { Template } from 'cloudform-types'
+import DeploymentResources from '../DeploymentResources'
+
+/**
+ * The parts of a build that are compared to detect breaking changes.
+ */
+export type BuildOutput = Pick<DeploymentResources, 'schema' | 'rootStack' | 'stacks'>
+
+/**
+ * A change that destroys data when it is deployed or breaks the clients of the API.
+ */
+export interface BreakingChange {
+    // The stack and logical id of the resource, or the schema coordinate, that changes.
+    path: string
+    message: string
+}
+
+interface ResourceLocation {
+    stackName: string
+    logicalId: string
+    resource: any
+}
+
+const ROOT_STACK_NAME = 'root'
+const TABLE_TYPE = 'AWS::DynamoDB::Table'
+const DOMAIN_TYPE = 'AWS::Elasticsearch::Domain'
+
+// Updating these properties makes CloudFormation replace the resource.
+const TABLE_REPLACEMENT_PROPERTIES = ['KeySchema', 'LocalSecondaryIndexes', 'TableName']
+const DOMAIN_REPLACEMENT_PROPERTIES = ['DomainName', 'ElasticsearchVersion']
+
+/**
+ * Compares a new build with the deployed build and returns the changes that replace or
+ * delete DynamoDB tables and Elasticsearch domains, remove global secondary indexes, or
+ * remove types and fields from the schema.
+ * @param deployed The build that is currently deployed.
+ * @param next The build about to be deployed.
+ */
+export function getBreakingChanges(deployed: BuildOutput, next: BuildOutput): BreakingChange[] {
+    return [
+        ...getResourceChanges(deployed, next, TABLE_TYPE, 'Table', TABLE_REPLACEMENT_PROPERTIES),
+        ...getIndexChanges(deployed, next),
+        ...getResourceChanges(deployed, next, DOMAIN_TYPE, 'Elasticsearch domain', DOMAIN_REPLACEMENT_PROPERTIES),
+        ...getSchemaChanges(deployed.schema, next.schema)
+    ]
+}
+
+function getResourceChanges(
+    deployed: BuildOutput,
+    next: BuildOutput,
+    resourceType: string,
+    description: string,
+    replacementProperties: string[]
+): BreakingChange[] {
+    const deployedResources = getResourcesOfType(deployed, resourceType)
+    const nextResources = getResourcesOfType(next, resourceType)
+    const added = nextResources.filter(r => !deployedResources.find(d => d.logicalId === r.logicalId))
+    const changes: BreakingChange[] = []
+    for (const { stackName, logicalId, resource } of deployedResources) {
+        const path = `${stackName}.${logicalId}`
+        const moved = nextResources.find(r => r.logicalId === logicalId && r.stackName !== stackName)
+        const nextResource = nextResources.find(r => r.logicalId === logicalId && r.stackName === stackName)
+        if (moved && !nextResource) {
+            changes.push({
+                path,
+                message: `${description} "${logicalId}" moves from stack "${stackName}" to stack "${moved.stackName}". ` +
+                    `It is deleted along with its data and created again.`
+            })
+        } else if (!nextResource) {
+            const renameHint = added.length > 0 && resourceType === TABLE_TYPE ?
+                ` A renamed @model type gets a new, empty table.` :
+                ''
+            changes.push({
+                path,
+                message: `${description} "${logicalId}" is deleted along with its data.${renameHint}`
+            })
+        } else {
+            const replacedBy = replacementProperties.filter(
+                property => !isEqual(resource.Properties[property], nextResource.resource.Properties[property])
+            )
+            if (replacedBy.length > 0) {
+                changes.push({
+                    path,
+                    message: `${description} "${logicalId}" is replaced and its data is lost because its ` +
+                        `${replacedBy.join(', ')} changed.`
+                })
+            }
+        }
+    }
+    return changes
+}
+
+function getIndexChanges(deployed: BuildOutput, next: BuildOutput): BreakingChange[] {
+    const nextTables = getResourcesOfType(next, TABLE_TYPE)
+    const changes: BreakingChange[] = []
+    for (const { stackName, logicalId, resource } of getResourcesOfType(deployed, TABLE_TYPE)) {
+        const nextTable = nextTables.find(r => r.logicalId === logicalId && r.stackName === stackName)
+        if (!nextTable) {
+            continue
+        }
+        const nextIndexNames = (nextTable.resource.Properties.GlobalSecondaryIndexes || []).map(index => index.IndexName)
+        for (const index of resource.Properties.GlobalSecondaryIndexes || []) {
+            if (!nextIndexNames.find(name => isEqual(name, index.IndexName))) {
+                changes.push({
+                    path: `${stackName}.${logicalId}`,
+                    message: `Global secondary index "${index.IndexName}" is removed from table "${logicalId}". ` +
+                        `Queries and connections that use it stop working.`
+                })
+            }
+        }
+    }
+    return changes
+}
+
+function getSchemaChanges(deployedSchema: string, nextSchema: string): BreakingChange[] {
+    if (!deployedSchema || !nextSchema) {
+        return []
+    }
+    const deployedTypes = getTypeDefinitions(deployedSchema)
+    const nextTypes = getTypeDefinitions(nextSchema)
+    const changes: BreakingChange[] = []
+    for (const typeName of Object.keys(deployedTypes)) {
+        const nextType = nextTypes[typeName]
+        if (!nextType) {
+            changes.push({ path: typeName, message: `Type "${typeName}" is removed from the schema.` })
+            continue
+        }
+        const deployedType = deployedTypes[typeName]
+        if (!hasFields(deployedType) || !hasFields(nextType)) {
+            continue
+        }
+        for (const field of deployedType.fields) {
+            if (!nextType.fields.find(f => f.name.value === field.name.value)) {
+                changes.push({
+                    path: `${typeName}.${field.name.value}`,
+                    message: `Field "${typeName}.${field.name.value}" is removed from the schema.`
+                })
+            }
+        }
+    }
+    return changes
+}
+
+function getResourcesOfType(build: BuildOutput, resourceType: string): ResourceLocation[] {
+    const templates: { [stackName: string]: Template } = { ...build.stacks, [ROOT_STACK_NAME]: build.rootStack }
+    const resources: ResourceLocation[] = []
+    for (const stackName of Object.keys(templates)) {
+        const stackResources = (templates[stackName] && templates[stackName].Resources) || {}
+        for (const logicalId of Object.keys(stackResources)) {
+            const resource: any = stackResources[logicalId]
+            if (resource.Type === resourceType) {
+                resources.push({ stackName, logicalId, resource: { ...resource, Properties: resource.Properties || {} } })
+            }
+        }
+    }
+    return resources
+}
+
+function getTypeDefinitions(schema: string): { [typeName: string]: TypeDefinitionNode } {
+    const definitions = parse(schema).definitions as TypeDefinitionNode[]
+    return definitions
+        .filter(def => def.name)
+        .reduce((acc, def) => ({ ...acc, [def.name.value]: def }), {})
+}
+
+function hasFields(def: TypeDefinitionNode): def is ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode {
+    return def.kind === Kind.OBJECT_TYPE_DEFINITION || def.kind === Kind.INTERFACE_TYPE_DEFINITION
+}
+
+function isEqual(a: any, b: any): boolean {
+    return JSON.stringify(a) === JSON.stringify(b)
+}
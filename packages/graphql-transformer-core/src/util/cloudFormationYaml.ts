@@ -0,0 +1,40 @@
+import * as yaml from 'js-yaml'
+import { Template } from 'cloudform-types'
+
+// Intrinsic functions with a short form tag, e.g. !Sub for Fn::Sub.
+const INTRINSIC_FUNCTIONS = [
+    'And', 'Base64', 'Cidr', 'Equals', 'FindInMap', 'GetAtt', 'GetAZs', 'If',
+    'ImportValue', 'Join', 'Not', 'Or', 'Select', 'Split', 'Sub', 'Transform'
+]
+const NODE_KINDS: ('scalar' | 'sequence' | 'mapping')[] = ['scalar', 'sequence', 'mapping']
+
+function makeTagTypes(tag: string, construct: (data: any, kind: string) => any): yaml.Type[] {
+    return NODE_KINDS.map(kind => new yaml.Type(tag, { kind, construct: data => construct(data, kind) }))
+}
+
+const CLOUDFORMATION_SCHEMA = yaml.Schema.create([
+    ...makeTagTypes('!Ref', data => ({ Ref: data })),
+    ...makeTagTypes('!Condition', data => ({ Condition: data })),
+    ...INTRINSIC_FUNCTIONS.reduce((acc, name) => [
+        ...acc,
+        ...makeTagTypes(`!${name}`, (data, kind) => ({
+            // The short form of GetAtt takes "LogicalId.Attribute" as a single string.
+            [`Fn::${name}`]: name === 'GetAtt' && kind === 'scalar' ? splitGetAtt(data) : data
+        }))
+    ], [])
+])
+
+function splitGetAtt(data: string): string[] {
+    const separatorIndex = data.indexOf('.')
+    return separatorIndex === -1 ? [data] : [data.slice(0, separatorIndex), data.slice(separatorIndex + 1)]
+}
+
+/**
+ * Parses a CloudFormation template written in YAML, including the short form
+ * tags of intrinsic functions such as !Ref, !GetAtt and !Sub, into the same
+ * object as the template written in JSON.
+ * @param template The YAML text of the template.
+ */
+export function parseYamlTemplate(template: string): Template {
+    return yaml.safeLoad(template, { schema: CLOUDFORMATION_SCHEMA }) as Template
+}
@@ -25,13 +25,29 @@ interface NestedStackInfo {
 //     [key: string]: RegExp[];
 // }
 export type StackRules = Map<string, string>;
+/**
+ * The most resources, parameters and outputs a nested stack may have.
+ */
+export interface StackLimits {
+    resources: number,
+    parameters: number,
+    outputs: number
+}
+export const CLOUDFORMATION_STACK_LIMITS: StackLimits = {
+    resources: 200,
+    parameters: 60,
+    outputs: 60
+};
 export interface SplitStackOptions {
     stack: Template,
     stackRules: StackRules,
+    stackLimits?: StackLimits,
     rootStackName?: string,
     defaultParameterValues?: { [k: string]: any },
     defaultParameterDefinitions?: { [k: string]: any }
     defaultDependencies?: string[],
+    // The names of the stacks the resources were last deployed to, keyed by logical id.
+    deployedStackMapping?: { [resourceId: string]: string },
     importExportPrefix: any,
     deployment: {
         deploymentBucketParameterName: string,
@@ -46,6 +62,8 @@ export default function splitStack(opts: SplitStackOptions): NestedStacks {
     const defaultParameterDefinitions = opts.defaultParameterDefinitions || {};
     const defaultDependencies = opts.defaultDependencies || [];
     const importExportPrefix = opts.importExportPrefix;
+    const stackLimits = opts.stackLimits || CLOUDFORMATION_STACK_LIMITS;
+    const deployedStackMapping = opts.deployedStackMapping || {};
     /**
      * Returns a map where the keys are the resource ids and the values are the
      * names of the stack where that resource belongs.
@@ -71,6 +89,126 @@ export default function splitStack(opts: SplitStackOptions): NestedStacks {
         return resourceStackMap;
     }
 
+    /**
+     * Moves resolvers, along with the functions of their pipelines, out of the nested stacks
+     * that exceed the stack limits into overflow stacks. A stack named Post overflows into
+     * PostOverflow1 which overflows into PostOverflow2 and so on.
+     *
+     * AppSync allows one resolver per field and CloudFormation creates a moved resolver before
+     * it deletes the old one, so deployed resolvers are not moved between stacks. Resolvers
+     * that were deployed to an overflow stack stay there and resolvers that are new to a stack
+     * are moved out of it first. Otherwise the resolvers with the last logical ids are moved
+     * first so the same template is always split the same way.
+     */
+    function spillOverflowingStacks(
+        template: Template,
+        resourceToStackMap: { [key: string]: string }
+    ): { [key: string]: string } {
+        keepDeployedOverflowResolvers(template, resourceToStackMap);
+        let overflowingStack = findOverflowingStack(template, resourceToStackMap);
+        while (overflowingStack) {
+            const { stackName, resourceCount } = overflowingStack;
+            const stackResourceIds = Object.keys(resourceToStackMap).filter(id => resourceToStackMap[id] === stackName);
+            const isDeployedToStack = (group: string[]) => deployedStackMapping[group[0]] === stackName;
+            // Groups are moved from the end of the list.
+            const stackResolverGroups = getResolverGroups(template, stackResourceIds);
+            const resolverGroups = [
+                ...stackResolverGroups.filter(group => isDeployedToStack(group)),
+                ...stackResolverGroups.filter(group => !isDeployedToStack(group))
+            ];
+            const isOnlyResolverGroup = resolverGroups.length === 1 && resolverGroups[0].length === stackResourceIds.length;
+            if (resolverGroups.length === 0 || isOnlyResolverGroup) {
+                throw new Error(
+                    `The nested stack ${stackName} exceeds the CloudFormation limit of ${stackLimits.resources} resources, ` +
+                    `${stackLimits.parameters} parameters or ${stackLimits.outputs} outputs and has no resolvers to move to another stack.`
+                );
+            }
+            const overflowStackName = getOverflowStackName(stackName);
+            // Move enough resolvers to get under the resource limit, or one at a time for the other limits.
+            let excessResources = resourceCount - stackLimits.resources;
+            do {
+                const group = resolverGroups.pop();
+                group.forEach(id => resourceToStackMap[id] = overflowStackName);
+                excessResources -= group.length;
+            } while (excessResources > 0 && resolverGroups.length > 0);
+            overflowingStack = findOverflowingStack(template, resourceToStackMap);
+        }
+        return resourceToStackMap;
+    }
+
+    /**
+     * Puts the resolvers that were deployed to an overflow stack of their stack back
+     * into that overflow stack.
+     */
+    function keepDeployedOverflowResolvers(
+        template: Template,
+        resourceToStackMap: { [key: string]: string }
+    ) {
+        const stackNames = Object.keys(resourceToStackMap)
+            .map(id => resourceToStackMap[id])
+            .filter((stackName, index, names) => names.indexOf(stackName) === index);
+        for (const stackName of stackNames) {
+            const stackResourceIds = Object.keys(resourceToStackMap).filter(id => resourceToStackMap[id] === stackName);
+            for (const group of getResolverGroups(template, stackResourceIds)) {
+                const deployedStackName = deployedStackMapping[group[0]];
+                if (deployedStackName && isOverflowStackOf(deployedStackName, stackName)) {
+                    group.forEach(id => resourceToStackMap[id] = deployedStackName);
+                }
+            }
+        }
+    }
+
+    function isOverflowStackOf(overflowStackName: string, stackName: string): boolean {
+        return overflowStackName.indexOf(stackName) === 0 &&
+            /^Overflow\d+$/.test(overflowStackName.slice(stackName.length));
+    }
+
+    /**
+     * Splits a copy of the template and returns the first nested stack, by name,
+     * that exceeds a stack limit.
+     */
+    function findOverflowingStack(
+        template: Template,
+        resourceToStackMap: { [key: string]: string }
+    ): { stackName: string, resourceCount: number } | undefined {
+        const templateCopy = JSON.parse(JSON.stringify(template));
+        const stacks = collectTemplates(templateCopy, resourceToStackMap);
+        replaceReferences(stacks, resourceToStackMap);
+        const stackName = Object.keys(stacks).sort().find(name => {
+            const stackTemplate = stacks[name];
+            return name !== rootStackName && (
+                Object.keys(stackTemplate.Resources || {}).length > stackLimits.resources ||
+                Object.keys(stackTemplate.Parameters || {}).length > stackLimits.parameters ||
+                Object.keys(stackTemplate.Outputs || {}).length > stackLimits.outputs
+            );
+        });
+        return stackName ?
+            { stackName, resourceCount: Object.keys(stacks[stackName].Resources).length } :
+            undefined;
+    }
+
+    /**
+     * Returns the resolvers of a stack, sorted by logical id, each grouped with
+     * the functions of its pipeline that are in the same stack.
+     */
+    function getResolverGroups(template: Template, stackResourceIds: string[]): string[][] {
+        return stackResourceIds
+            .filter(id => template.Resources[id].Type === 'AWS::AppSync::Resolver')
+            .sort()
+            .map(id => {
+                const pipelineConfig = template.Resources[id].Properties.PipelineConfig;
+                const functionIds: string[] = ((pipelineConfig && pipelineConfig.Functions) || [])
+                    .map(fn => fn['Fn::GetAtt'] && fn['Fn::GetAtt'][0])
+                    .filter(functionId => stackResourceIds.indexOf(functionId) !== -1);
+                return [id, ...functionIds];
+            });
+    }
+
+    function getOverflowStackName(stackName: string): string {
+        const match = stackName.match(/^(.*)Overflow(\d+)$/);
+        return match ? `${match[1]}Overflow${Number(match[2]) + 1}` : `${stackName}Overflow1`;
+    }
+
     /**
      * Uses the stackRules to split resources out into the different stacks.
      */
@@ -316,7 +454,7 @@ export default function splitStack(opts: SplitStackOptions): NestedStacks {
     }
 
     const templateJson: any = JSON.parse(JSON.stringify(stack));
-    const resourceToStackMap = mapResourcesToStack(templateJson);
+    const resourceToStackMap = spillOverflowingStacks(templateJson, mapResourcesToStack(templateJson));
     const stacks = collectTemplates(templateJson, resourceToStackMap);
     const stackInfo = replaceReferences(stacks, resourceToStackMap);
     let rootStack = stacks[rootStackName];
@@ -5,7 +5,9 @@ import {
     SchemaDefinitionNode, TypeDefinitionNode
 } from 'graphql/language'
 import { GraphQLSchema, GraphQLObjectType, isOutputType } from 'graphql/type'
-import { validate } from 'graphql/validation'
+import { validate, ValidationContext } from 'graphql/validation'
+import { GraphQLError } from 'graphql/error'
+import { ASTVisitor } from 'graphql/language/visitor'
 import { ASTDefinitionBuilder } from 'graphql/utilities/buildASTSchema'
 
 // Spec Section: "Subscriptions with Single Root Field"
@@ -30,7 +32,7 @@ import { FieldsOnCorrectType } from 'graphql/validation/rules/FieldsOnCorrectTyp
 import { KnownDirectives } from 'graphql/validation/rules/KnownDirectives';
 
 // Spec Section: "Directives Are Unique Per Location"
-import { UniqueDirectivesPerLocation } from 'graphql/validation/rules/UniqueDirectivesPerLocation';
+import { duplicateDirectiveMessage } from 'graphql/validation/rules/UniqueDirectivesPerLocation';
 
 // Spec Section: "Argument Names"
 import { KnownArgumentNames } from 'graphql/validation/rules/KnownArgumentNames';
@@ -51,7 +53,39 @@ import { OverlappingFieldsCanBeMerged } from 'graphql/validation/rules/Overlappi
 import { UniqueInputFieldNames } from 'graphql/validation/rules/UniqueInputFieldNames';
 
 /**
- * This set includes all validation rules defined by the GraphQL spec.
+ * UniqueDirectivesPerLocation except that the directives named in repeatableDirectives
+ * may be repeated.
+ * @param repeatableDirectives The names of the directives that may be used more than once at a location.
+ */
+function uniqueNonRepeatableDirectivesPerLocation(repeatableDirectives: string[]) {
+    return (context: ValidationContext): ASTVisitor => ({
+        enter(node: any) {
+            const directives = node.directives
+            if (directives) {
+                const knownDirectives = {}
+                for (const directive of directives) {
+                    const directiveName = directive.name.value
+                    if (repeatableDirectives.indexOf(directiveName) !== -1) {
+                        continue
+                    }
+                    if (knownDirectives[directiveName]) {
+                        context.reportError(new GraphQLError(
+                            duplicateDirectiveMessage(directiveName),
+                            [knownDirectives[directiveName], directive]
+                        ))
+                    } else {
+                        knownDirectives[directiveName] = directive
+                    }
+                }
+            }
+        }
+    })
+}
+
+/**
+ * This set includes all validation rules defined by the GraphQL spec except
+ * "Directives Are Unique Per Location", which validateModelSchema adds so that
+ * transformers can mark their directive as repeatable.
  *
  * The order of the rules in this list has been adjusted to lead to the
  * most clear output when encountering multiple validation errors.
@@ -64,7 +98,6 @@ export const specifiedRules = [
     ScalarLeafs,
     FieldsOnCorrectType,
     KnownDirectives,
-    UniqueDirectivesPerLocation,
     KnownArgumentNames,
     UniqueArgumentNames,
     ValuesOfCorrectType,
@@ -90,6 +123,9 @@ scalar Double
 const EXTRA_DIRECTIVES_DOCUMENT = parse(`
 directive @aws_subscribe(mutations: [String!]!) on FIELD_DEFINITION
 directive @aws_auth(cognito_groups: [String!]!) on FIELD_DEFINITION
+directive @aws_api_key on FIELD_DEFINITION | OBJECT
+directive @aws_iam on FIELD_DEFINITION | OBJECT
+directive @aws_cognito_user_pools(cognito_groups: [String!]) on FIELD_DEFINITION | OBJECT
 `)
 
 export function astBuilder(doc: DocumentNode): ASTDefinitionBuilder {
@@ -109,7 +145,7 @@ export function astBuilder(doc: DocumentNode): ASTDefinitionBuilder {
     )
 }
 
-export function validateModelSchema(doc: DocumentNode) {
+export function validateModelSchema(doc: DocumentNode, repeatableDirectives: string[] = []) {
     const fullDocument = {
         kind: Kind.DOCUMENT,
         definitions: [
@@ -144,5 +180,8 @@ export function validateModelSchema(doc: DocumentNode) {
             fields
         })
     const schema = new GraphQLSchema({ query: queryType, types, directives });
-    return validate(schema, fullDocument, specifiedRules)
+    return validate(schema, fullDocument, [
+        ...specifiedRules,
+        uniqueNonRepeatableDirectivesPerLocation(repeatableDirectives)
+    ])
 }
\ No newline at end of file
@@ -0,0 +1,247 @@
+import { Transformer, TransformerContext, InvalidDirectiveError } from 'graphql-transformer-core'
+import { DirectiveNode, ObjectTypeDefinitionNode, FieldDefinitionNode, InterfaceTypeDefinitionNode, Kind } from 'graphql'
+import { printBlock, iff, and, or, not, parens, raw, qref, forEach, ref, Expression } from 'graphql-mapping-template'
+import {
+    ResolverResourceIDs, DEFAULT_SCALARS, NUMERIC_SCALARS, getBaseType, isListType
+} from 'graphql-transformer-common'
+
+const VALIDATION_ERROR_TYPE = 'ValidationError'
+
+// The address part of the HTML living standard's definition of a valid email address.
+const EMAIL_PATTERN =
+    '[a-zA-Z0-9.!#%&*+/=?^_`{|}~-]+@[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(?:\\.[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*'
+// An absolute URL with a scheme and a host.
+const URL_PATTERN = '[a-zA-Z][a-zA-Z0-9+.-]*://[^\\s/?#]+[^\\s]*'
+
+/**
+ * The base of the validation transforms. A validation directive on a field of a
+ * @model type prepends a guard to the create, update and batch create request templates
+ * of the type that fails the mutation with a "ValidationError" when the field is given
+ * a value that is not valid:
+ *
+ * type Post @model {
+ *   id: ID!
+ *   title: String! @length(min: 3, max: 100)
+ *   rating: Int @range(min: 1, max: 5)
+ *   slug: String @pattern(regex: "[a-z0-9-]+")
+ *   authorEmail: String @email
+ *   website: String @url
+ * }
+ *
+ * Null values are left to the GraphQL type of the field. The data of the error names
+ * the field and the directive, e.g. { "field": "title", "validation": "length" }.
+ */
+export abstract class ValidationTransformer extends Transformer {
+
+    public field = (
+        parent: ObjectTypeDefinitionNode | InterfaceTypeDefinitionNode,
+        definition: FieldDefinitionNode,
+        directive: DirectiveNode,
+        ctx: TransformerContext
+    ): void => {
+        const directiveName = directive.name.value
+        const typeName = parent.name.value
+        const fieldName = definition.name.value
+        if (parent.kind !== Kind.OBJECT_TYPE_DEFINITION || !parent.directives.find(dir => dir.name.value === 'model')) {
+            throw new InvalidDirectiveError(`@${directiveName} on "${typeName}.${fieldName}" may only be used on fields of @model types.`)
+        }
+        if (isListType(definition.type)) {
+            throw new InvalidDirectiveError(`@${directiveName} on "${typeName}.${fieldName}" may not be used on a list field.`)
+        }
+        const baseType = getBaseType(definition.type)
+        const guard = (value: string) => {
+            const { invalid, message } = this.makeValidation(typeName, fieldName, baseType, directive, value)
+            return iff(
+                and([raw(`!$util.isNull(${value})`), invalid]),
+                qref(`$util.error("${message}", "${VALIDATION_ERROR_TYPE}", null, ` +
+                    `{ "field": "${fieldName}", "validation": "${directiveName}" })`)
+            )
+        }
+        const comment = `Validate "${fieldName}" with @${directiveName}`
+        const snippet = printBlock(comment)(guard(`$ctx.args.input.${fieldName}`))
+        const batchSnippet = printBlock(comment)(
+            forEach(ref('item'), ref('ctx.args.input'), [guard(`$item.${fieldName}`)])
+        )
+        for (const [resolverId, resolverSnippet] of [
+            [ResolverResourceIDs.DynamoDBCreateResolverResourceID(typeName), snippet],
+            [ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName), snippet],
+            [ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(typeName), batchSnippet]
+        ]) {
+            const resolver = ctx.getResource(resolverId)
+            if (resolver) {
+                resolver.Properties.RequestMappingTemplate = resolverSnippet + '\n\n' + resolver.Properties.RequestMappingTemplate
+                ctx.setResource(resolverId, resolver)
+            }
+        }
+    }
+
+    /**
+     * Returns the condition under which the value of a field is not valid and the
+     * message of the error that is raised when it is not.
+     * @param value The reference to the value of the field in the mutation input or batch item.
+     */
+    protected abstract makeValidation(
+        typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string
+    ): { invalid: Expression, message: string }
+
+    protected requireStringField(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode) {
+        if (DEFAULT_SCALARS[baseType] !== 'String' && DEFAULT_SCALARS[baseType] !== 'ID') {
+            throw new InvalidDirectiveError(
+                `@${directive.name.value} on "${typeName}.${fieldName}" may only be used on a field of a string type.`
+            )
+        }
+    }
+
+    /**
+     * Returns the condition under which a value is out of the bounds of the
+     * "min" and "max" arguments of the directive and the message that says so.
+     */
+    protected makeBoundsValidation(
+        typeName: string, fieldName: string, directive: DirectiveNode, value: string, unit: string
+    ): { invalid: Expression, message: string } {
+        const { min, max } = this.getDirectiveArgumentMap(directive) as { min?: number, max?: number }
+        const hasMin = typeof min === 'number'
+        const hasMax = typeof max === 'number'
+        if (!hasMin && !hasMax) {
+            throw new InvalidDirectiveError(`@${directive.name.value} on "${typeName}.${fieldName}" requires a "min" or a "max".`)
+        }
+        if (hasMin && hasMax && min > max) {
+            throw new InvalidDirectiveError(`@${directive.name.value} on "${typeName}.${fieldName}" has a "min" greater than its "max".`)
+        }
+        const conditions: Expression[] = []
+        if (hasMin) {
+            conditions.push(raw(`${value} < ${min}`))
+        }
+        if (hasMax) {
+            conditions.push(raw(`${value} > ${max}`))
+        }
+        const bounds = hasMin && hasMax ?
+            `between ${min} and ${max}` :
+            hasMin ? `at least ${min}` : `at most ${max}`
+        return {
+            invalid: conditions.length === 1 ? conditions[0] : parens(or(conditions)),
+            message: `${fieldName} must be ${bounds}${unit}.`
+        }
+    }
+
+    /**
+     * Returns the condition under which a value does not match a regular expression.
+     * The expression is printed as a single quoted string so that it is not interpolated.
+     */
+    protected makePatternCondition(pattern: string, value: string): Expression {
+        return not(raw(`$util.matches('${pattern}', ${value})`))
+    }
+}
+
+/**
+ * @length(min: Int, max: Int) bounds the number of characters of a string.
+ */
+export class LengthTransformer extends ValidationTransformer {
+
+    constructor() {
+        super(
+            'LengthTransformer',
+            `directive @length(min: Int, max: Int) on FIELD_DEFINITION`
+        )
+    }
+
+    protected makeValidation(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string) {
+        this.requireStringField(typeName, fieldName, baseType, directive)
+        return this.makeBoundsValidation(typeName, fieldName, directive, `${value}.length()`, ' characters long')
+    }
+}
+
+/**
+ * @range(min: Float, max: Float) bounds a number.
+ */
+export class RangeTransformer extends ValidationTransformer {
+
+    constructor() {
+        super(
+            'RangeTransformer',
+            `directive @range(min: Float, max: Float) on FIELD_DEFINITION`
+        )
+    }
+
+    protected makeValidation(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string) {
+        if (!NUMERIC_SCALARS[baseType]) {
+            throw new InvalidDirectiveError(`@range on "${typeName}.${fieldName}" may only be used on a field of a numeric type.`)
+        }
+        return this.makeBoundsValidation(typeName, fieldName, directive, value, '')
+    }
+}
+
+/**
+ * @pattern(regex: String!) requires a string to match a Java regular expression as a whole.
+ */
+export class PatternTransformer extends ValidationTransformer {
+
+    constructor() {
+        super(
+            'PatternTransformer',
+            `directive @pattern(regex: String!) on FIELD_DEFINITION`
+        )
+    }
+
+    protected makeValidation(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string) {
+        this.requireStringField(typeName, fieldName, baseType, directive)
+        const { regex } = this.getDirectiveArgumentMap(directive) as { regex: string }
+        if (regex.indexOf(`'`) !== -1) {
+            throw new InvalidDirectiveError(
+                `@pattern on "${typeName}.${fieldName}" may not contain a single quote. Use \\x27 to match one.`
+            )
+        }
+        try {
+            // tslint:disable-next-line:no-unused-expression
+            new RegExp(regex)
+        } catch (e) {
+            throw new InvalidDirectiveError(`@pattern on "${typeName}.${fieldName}" is not a valid regular expression. ${e.message}`)
+        }
+        return {
+            invalid: this.makePatternCondition(regex, value),
+            message: `${fieldName} does not match the required pattern.`
+        }
+    }
+}
+
+/**
+ * @email requires a string to be an email address.
+ */
+export class EmailTransformer extends ValidationTransformer {
+
+    constructor() {
+        super(
+            'EmailTransformer',
+            `directive @email on FIELD_DEFINITION`
+        )
+    }
+
+    protected makeValidation(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string) {
+        this.requireStringField(typeName, fieldName, baseType, directive)
+        return {
+            invalid: this.makePatternCondition(EMAIL_PATTERN, value),
+            message: `${fieldName} must be an email address.`
+        }
+    }
+}
+
+/**
+ * @url requires a string to be an absolute URL.
+ */
+export class UrlTransformer extends ValidationTransformer {
+
+    constructor() {
+        super(
+            'UrlTransformer',
+            `directive @url on FIELD_DEFINITION`
+        )
+    }
+
+    protected makeValidation(typeName: string, fieldName: string, baseType: string, directive: DirectiveNode, value: string) {
+        this.requireStringField(typeName, fieldName, baseType, directive)
+        return {
+            invalid: this.makePatternCondition(URL_PATTERN, value),
+            message: `${fieldName} must be a URL.`
+        }
+    }
+}
@@ -0,0 +1,114 @@
+import GraphQLTransform from 'graphql-transformer-core'
+import { renderTemplate } from 'graphql-mapping-template'
+import { DynamoDBModelTransformer } from 'graphql-dynamodb-transformer'
+import {
+    LengthTransformer, RangeTransformer, PatternTransformer, EmailTransformer, UrlTransformer
+} from '../ValidationTransformer'
+
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new LengthTransformer(),
+        new RangeTransformer(),
+        new PatternTransformer(),
+        new EmailTransformer(),
+        new UrlTransformer()
+    ]
+})
+
+const validSchema = `
+type Post @model {
+    id: ID!
+    title: String! @length(min: 3, max: 10)
+    rating: Int @range(min: 1, max: 5)
+    slug: String @pattern(regex: "[a-z0-9-]+")
+    authorEmail: String @email
+    website: String @url
+}
+`
+
+const validPost = {
+    title: 'Hello',
+    rating: 3,
+    slug: 'hello-world',
+    authorEmail: 'author@example.com',
+    website: 'https://example.com/posts?id=1'
+}
+
+test('Test validation directives guard the create and update request templates', () => {
+    const out = makeTransformer().transform(validSchema)
+    const createTemplate = out.resolvers['Mutation.createPost.req.vtl']
+    const updateTemplate = out.resolvers['Mutation.updatePost.req.vtl']
+    for (const template of [createTemplate, updateTemplate]) {
+        expect(template).toContain('## [Start] Validate "title" with @length. **')
+        expect(template).toContain('## [Start] Validate "website" with @url. **')
+    }
+    expect(out.resolvers['Mutation.deletePost.req.vtl']).not.toContain('Validate')
+
+    const valid = renderTemplate(createTemplate, { arguments: { input: validPost } })
+    expect(valid.error).toBeUndefined()
+
+    const invalidInputs: [{ [field: string]: any }, string, string][] = [
+        [{ title: 'Hi' }, 'title must be between 3 and 10 characters long.', 'length'],
+        [{ title: 'Hello world!' }, 'title must be between 3 and 10 characters long.', 'length'],
+        [{ rating: 6 }, 'rating must be between 1 and 5.', 'range'],
+        [{ slug: 'Hello World' }, 'slug does not match the required pattern.', 'pattern'],
+        [{ authorEmail: 'author@' }, 'authorEmail must be an email address.', 'email'],
+        [{ website: 'example.com' }, 'website must be a URL.', 'url']
+    ]
+    for (const [input, message, validation] of invalidInputs) {
+        const result = renderTemplate(createTemplate, { arguments: { input: { ...validPost, ...input } } })
+        expect(result.error).toMatchObject({ message, errorType: 'ValidationError' })
+        expect(result.error.errorInfo).toEqual({ field: Object.keys(input)[0], validation })
+    }
+})
+
+test('Test validation directives guard each item of a batch create', () => {
+    const out = makeTransformer().transform(validSchema.replace('@model', '@model(batch: { create: "batchCreatePost" })'))
+    const template = out.stacks.Post.Resources.BatchCreatePostResolver.Properties.RequestMappingTemplate['Fn::Sub'][0]
+    const valid = renderTemplate(template, { arguments: { input: [validPost, { ...validPost, rating: null }] } })
+    expect(valid.error).toBeUndefined()
+
+    const result = renderTemplate(template, { arguments: { input: [validPost, { ...validPost, authorEmail: 'author@' }] } })
+    expect(result.error).toMatchObject({ message: 'authorEmail must be an email address.', errorType: 'ValidationError' })
+    expect(result.error.errorInfo).toEqual({ field: 'authorEmail', validation: 'email' })
+})
+
+test('Test validation directives leave fields that are not given to the GraphQL types', () => {
+    const out = makeTransformer().transform(validSchema)
+    const result = renderTemplate(out.resolvers['Mutation.updatePost.req.vtl'], {
+        arguments: { input: { id: '1', rating: null } }
+    })
+    expect(result.error).toBeUndefined()
+})
+
+test('Test validation directives with only a lower or upper bound', () => {
+    const out = makeTransformer().transform(`
+    type Post @model {
+        id: ID!
+        title: String @length(min: 3)
+        rating: Float @range(max: 4.5)
+    }
+    `)
+    const template = out.resolvers['Mutation.createPost.req.vtl']
+    expect(renderTemplate(template, { arguments: { input: { title: 'Hi' } } }).error.message)
+        .toEqual('title must be at least 3 characters long.')
+    expect(renderTemplate(template, { arguments: { input: { title: 'Hello', rating: 5 } } }).error.message)
+        .toEqual('rating must be at most 4.5.')
+})
+
+test('Test validation directives reject fields they cannot validate', () => {
+    const invalidSchemas = [
+        'type Post { id: ID! title: String @length(max: 3) }',
+        'type Post @model { id: ID! title: String @length }',
+        'type Post @model { id: ID! title: String @length(min: 5, max: 3) }',
+        'type Post @model { id: ID! rating: Int @length(max: 3) }',
+        'type Post @model { id: ID! title: String @range(max: 3) }',
+        'type Post @model { id: ID! tags: [String] @email }',
+        'type Post @model { id: ID! slug: String @pattern(regex: "[a-z") }',
+        `type Post @model { id: ID! slug: String @pattern(regex: "[a-z']+") }`
+    ]
+    for (const schema of invalidSchemas) {
+        expect(() => makeTransformer().transform(schema)).toThrow(/^@\w+ on "Post\.\w+"/)
+    }
+})
@@ -6,7 +6,10 @@ import {
     DirectiveNode,
     Kind
 } from "graphql";
-import { printBlock, compoundExpression, set, ref, qref, obj, str, raw } from 'graphql-mapping-template'
+import { Fn, IAM } from 'cloudform'
+import {
+    printBlock, compoundExpression, set, ref, qref, obj, str, raw, int, list, iff, ifElse, forEach, Expression
+} from 'graphql-mapping-template'
 import {
     ResourceConstants,
     ModelResourceIDs,
@@ -18,16 +21,36 @@ import {
     makeField
 } from "graphql-transformer-common";
 
+export type VersionedStrategy = 'OPTIMISTIC' | 'AUTOMERGE' | 'LAST_WRITER_WINS' | 'LAMBDA'
+
+// Stands in for the conflict handler's ARN until the request templates are final.
+const CONFLICT_HANDLER_ARN_PLACEHOLDER = '__ConflictHandlerArn__'
+
 export class VersionedModelTransformer extends Transformer {
 
+    // Request templates whose conflict handler ARN is filled in once all transformers have run.
+    private conflictHandlers: { resolverId: string, handlerName: string }[] = []
+
     constructor() {
         super(
             'VersionedModelTransformer',
             // TODO: Allow version attribute selection. Could be `@version on FIELD_DEFINITION`
-            'directive @versioned(versionField: String = "version", versionInput: String = "expectedVersion") on OBJECT'
+            `
+            directive @versioned(
+                versionField: String = "version",
+                versionInput: String = "expectedVersion",
+                strategy: VersionedStrategy = OPTIMISTIC,
+                lambdaConflictHandler: String
+            ) on OBJECT
+            enum VersionedStrategy { OPTIMISTIC AUTOMERGE LAST_WRITER_WINS LAMBDA }
+            `
         )
     }
 
+    public before = (ctx: TransformerContext): void => {
+        this.conflictHandlers = []
+    }
+
     /**
      * When a type is annotated with @versioned enable conflict resolution for the type.
      *
@@ -44,6 +67,26 @@ export class VersionedModelTransformer extends Transformer {
      * the types mutations that actually perform the conflict resolutions by
      * checking the "version" attribute in the table with the "expectedVersion" passed
      * by the user.
+     *
+     * The "strategy" argument selects how conflicts are resolved:
+     *
+     * - OPTIMISTIC (default) rejects updates and deletes whose "expectedVersion" is stale.
+     * - AUTOMERGE applies updates on top of the latest item so that changes to different
+     *   fields made by concurrent clients are merged. An update with a stale "expectedVersion"
+     *   is rejected when a field it writes has changed since that version. Deletes are still
+     *   rejected when stale.
+     * - LAST_WRITER_WINS applies every update and delete regardless of the version, overwriting
+     *   concurrent changes to the same fields.
+     * - LAMBDA hands conflicts to the Lambda function named by "lambdaConflictHandler",
+     *   which may retry the mutation with a resolved item or reject it.
+     *
+     * type Post @model @versioned(strategy: LAMBDA, lambdaConflictHandler: "resolver-${env}") {
+     *   id: ID!
+     *   title: String
+     * }
+     *
+     * Rejected mutations fail with a "ConflictUnhandled" error whose data is the item
+     * currently stored in the table.
      */
     public object = (def: ObjectTypeDefinitionNode, directive: DirectiveNode, ctx: TransformerContext): void => {
         // @versioned may only be used on types that are also @model
@@ -60,18 +103,59 @@ export class VersionedModelTransformer extends Transformer {
 
         const versionField = getArg('versionField', "version")
         const versionInput = getArg('versionInput', "expectedVersion")
+        const strategy: VersionedStrategy = getArg('strategy', 'OPTIMISTIC')
+        const lambdaConflictHandler = getArg('lambdaConflictHandler')
         const typeName = def.name.value
+        if (strategy === 'LAMBDA' && !lambdaConflictHandler) {
+            throw new InvalidDirectiveError(
+                `@versioned on type "${typeName}" must name a "lambdaConflictHandler" when using the LAMBDA strategy.`
+            )
+        }
+        if (strategy !== 'LAMBDA' && lambdaConflictHandler) {
+            throw new InvalidDirectiveError(
+                `@versioned on type "${typeName}" may only set "lambdaConflictHandler" when using the LAMBDA strategy.`
+            )
+        }
 
         // Make the necessary changes to the context
         this.augmentCreateMutation(ctx, typeName, versionField, versionInput)
-        this.augmentUpdateMutation(ctx, typeName, versionField, versionInput)
-        this.augmentDeleteMutation(ctx, typeName, versionField, versionInput)
+        this.augmentBatchMutations(ctx, typeName, versionField, strategy)
+        this.augmentUpdateMutation(ctx, def, versionField, versionInput, strategy)
+        this.augmentDeleteMutation(ctx, typeName, versionField, versionInput, strategy)
+        this.addConflictErrors(ctx, def, versionField, strategy)
+        if (strategy === 'LAMBDA') {
+            this.addConflictHandler(ctx, typeName, lambdaConflictHandler)
+        }
         this.stripCreateInputVersionedField(ctx, typeName, versionField)
-        this.addVersionedInputToDeleteInput(ctx, typeName, versionInput)
-        this.addVersionedInputToUpdateInput(ctx, typeName, versionInput)
+        this.addVersionedInputToDeleteInput(ctx, typeName, versionInput, strategy !== 'LAST_WRITER_WINS')
+        this.addVersionedInputToUpdateInput(ctx, typeName, versionInput, strategy === 'OPTIMISTIC' || strategy === 'LAMBDA')
         this.enforceVersionedFieldOnType(ctx, typeName, versionField)
     }
 
+    /**
+     * The conflict handler ARN depends on the region, account and environment which are only
+     * known to CloudFormation. The request templates are rewritten last so that the snippets
+     * other transformers prepend to them are kept.
+     */
+    public after = (ctx: TransformerContext): void => {
+        for (const { resolverId, handlerName } of this.conflictHandlers) {
+            const resolver = ctx.getResource(resolverId)
+            const template = resolver.Properties.RequestMappingTemplate
+            if (typeof template === 'string') {
+                const parts = template.split(CONFLICT_HANDLER_ARN_PLACEHOLDER)
+                const withArns = []
+                parts.forEach((part, i) => {
+                    withArns.push(part)
+                    if (i < parts.length - 1) {
+                        withArns.push(this.lambdaFunctionArn(handlerName))
+                    }
+                })
+                resolver.Properties.RequestMappingTemplate = Fn.Join('', withArns)
+                ctx.setResource(resolverId, resolver)
+            }
+        }
+    }
+
     /**
      * Set the "version"  to 1.
      * @param ctx
@@ -90,6 +174,31 @@ export class VersionedModelTransformer extends Transformer {
         }
     }
 
+    /**
+     * Set the "version" of each created item to 1. BatchDeleteItem does not support
+     * conditions so batch deletes are only allowed when conflicts are ignored.
+     */
+    private augmentBatchMutations(ctx: TransformerContext, typeName: string, versionField: string, strategy: VersionedStrategy) {
+        const batchDeleteResolver = ctx.getResource(ResolverResourceIDs.DynamoDBBatchDeleteResolverResourceID(typeName))
+        if (batchDeleteResolver && strategy !== 'LAST_WRITER_WINS') {
+            throw new InvalidDirectiveError(
+                `Type "${typeName}" cannot define a batch delete operation because @versioned deletes check the version of each item. ` +
+                `Use the LAST_WRITER_WINS strategy to allow batch deletes.`
+            )
+        }
+        const snippet = printBlock(`Setting "${versionField}" to 1`)(
+            forEach(ref('item'), ref('ctx.args.input'), [
+                qref(`$item.put("${versionField}", 1)`)
+            ])
+        )
+        const mutationResolverLogicalId = ResolverResourceIDs.DynamoDBBatchCreateResolverResourceID(typeName)
+        const resolver = ctx.getResource(mutationResolverLogicalId)
+        if (resolver) {
+            resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
+            ctx.setResource(mutationResolverLogicalId, resolver)
+        }
+    }
+
     /**
      * Prefix the update operation with a conditional expression that checks
      * the object versions.
@@ -97,22 +206,20 @@ export class VersionedModelTransformer extends Transformer {
      * @param versionField
      * @param versionInput
      */
-    private augmentDeleteMutation(ctx: TransformerContext, typeName: string, versionField: string, versionInput: string) {
+    private augmentDeleteMutation(
+        ctx: TransformerContext, typeName: string, versionField: string, versionInput: string, strategy: VersionedStrategy
+    ) {
         const mutationResolverLogicalId = ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName)
-        const snippet = printBlock(`Inject @versioned condition.`)(
-            compoundExpression([
-                set(ref(ResourceConstants.SNIPPETS.VersionedCondition), obj({
-                    expression: str(`#${versionField} = :${versionInput}`),
-                    expressionValues: obj({
-                        [`:${versionInput}`]: raw(`$util.dynamodb.toDynamoDB($ctx.args.input.${versionInput})`)
-                    }),
-                    expressionNames: obj({
-                        [`#${versionField}`]: str(`${versionField}`)
-                    })
-                })),
+        const snippet = strategy === 'LAST_WRITER_WINS' ?
+            printBlock(`Ignore @versioned conflicts`)(
                 qref(`$ctx.args.input.remove("${versionInput}")`)
-            ])
-        )
+            ) :
+            printBlock(`Inject @versioned condition.`)(
+                compoundExpression([
+                    set(ref(ResourceConstants.SNIPPETS.VersionedCondition), this.makeVersionedCondition(versionField, versionInput, strategy)),
+                    qref(`$ctx.args.input.remove("${versionInput}")`)
+                ])
+            )
         const resolver = ctx.getResource(mutationResolverLogicalId)
         if (resolver) {
             resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
@@ -120,24 +227,75 @@ export class VersionedModelTransformer extends Transformer {
         }
     }
 
-    private augmentUpdateMutation(ctx: TransformerContext, typeName: string, versionField: string, versionInput: string) {
+    /**
+     * OPTIMISTIC and LAMBDA updates are conditioned on the "expectedVersion". LAST_WRITER_WINS updates
+     * overwrite the fields they write. AUTOMERGE updates record the version at which each field was
+     * last written so that an update with a stale "expectedVersion" is merged when none of the
+     * fields it writes has changed since that version.
+     */
+    private augmentUpdateMutation(
+        ctx: TransformerContext, def: ObjectTypeDefinitionNode, versionField: string, versionInput: string, strategy: VersionedStrategy
+    ) {
+        const typeName = def.name.value
         const mutationResolverLogicalId = ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName)
-        const snippet = printBlock(`Inject @versioned condition.`)(
-            compoundExpression([
-                set(ref(ResourceConstants.SNIPPETS.VersionedCondition), obj({
-                    expression: str(`#${versionField} = :${versionInput}`),
-                    expressionValues: obj({
-                        [`:${versionInput}`]: raw(`$util.dynamodb.toDynamoDB($ctx.args.input.${versionInput})`)
-                    }),
-                    expressionNames: obj({
-                        [`#${versionField}`]: str(`${versionField}`)
-                    })
-                })),
-                set(ref('newVersion'), raw(`$ctx.args.input.${versionInput} + 1`)),
-                qref(`$ctx.args.input.put("${versionField}", $newVersion)`),
-                qref(`$ctx.args.input.remove("${versionInput}")`)
-            ])
-        )
+        const incrementVersion = [
+            // Only the fields in the input are written and the version is incremented in place.
+            set(ref(ResourceConstants.SNIPPETS.VersionedIncrement), obj({
+                [versionField]: int(1)
+            })),
+            qref(`$ctx.args.input.remove("${versionField}")`)
+        ]
+        let snippet: string
+        if (strategy === 'LAST_WRITER_WINS') {
+            snippet = printBlock(`Overwrite the latest "${versionField}"`)(
+                compoundExpression([
+                    ...incrementVersion,
+                    qref(`$ctx.args.input.remove("${versionInput}")`)
+                ])
+            )
+        } else if (strategy === 'AUTOMERGE') {
+            // The attribute that holds the version at which $field was last written.
+            const fieldVersion = `__${versionField}_$field`
+            snippet = printBlock(`Merge the update into the latest "${versionField}"`)(
+                compoundExpression([
+                    ...incrementVersion,
+                    set(ref('expectedVersion'), ref(`ctx.args.input.remove("${versionInput}")`)),
+                    set(ref(ResourceConstants.SNIPPETS.VersionedSet), obj({})),
+                    set(ref('mergeExpression'), str(`attribute_exists(#${versionField})`)),
+                    set(ref('mergeNames'), obj({ [`#${versionField}`]: str(versionField) })),
+                    set(ref('mergedFields'), list(this.mergedFields(ctx, def, versionField, versionInput).map(str))),
+                    forEach(ref('field'), ref('mergedFields'), [
+                        iff(raw('$ctx.args.input.containsKey($field)'), compoundExpression([
+                            // The field is written in the step from the current version to the next.
+                            qref(`$${ResourceConstants.SNIPPETS.VersionedSet}.put("${fieldVersion}", "#${versionField}")`),
+                            qref(`$mergeNames.put("#${fieldVersion}", "${fieldVersion}")`),
+                            set(ref('mergeExpression'), str(
+                                `$mergeExpression AND (attribute_not_exists(#${fieldVersion}) OR #${fieldVersion} < :${versionInput})`
+                            ))
+                        ]))
+                    ]),
+                    iff(
+                        raw('!$util.isNull($expectedVersion)'),
+                        set(ref(ResourceConstants.SNIPPETS.VersionedCondition), obj({
+                            expression: str(`(#${versionField} = :${versionInput} OR ($mergeExpression))`),
+                            expressionValues: obj({
+                                [`:${versionInput}`]: raw('$util.dynamodb.toDynamoDB($expectedVersion)')
+                            }),
+                            expressionNames: ref('mergeNames')
+                        }))
+                    )
+                ])
+            )
+        } else {
+            snippet = printBlock(`Inject @versioned condition.`)(
+                compoundExpression([
+                    set(ref(ResourceConstants.SNIPPETS.VersionedCondition), this.makeVersionedCondition(versionField, versionInput, strategy)),
+                    set(ref('newVersion'), raw(`$ctx.args.input.${versionInput} + 1`)),
+                    qref(`$ctx.args.input.put("${versionField}", $newVersion)`),
+                    qref(`$ctx.args.input.remove("${versionInput}")`)
+                ])
+            )
+        }
         const resolver = ctx.getResource(mutationResolverLogicalId)
         if (resolver) {
             resolver.Properties.RequestMappingTemplate = snippet + '\n\n' + resolver.Properties.RequestMappingTemplate
@@ -145,6 +303,135 @@ export class VersionedModelTransformer extends Transformer {
         }
     }
 
+    /**
+     * The fields of the update input that clients write, leaving out the fields of the table's
+     * key, which are given by a primary @key on the type or are "id".
+     */
+    private mergedFields(ctx: TransformerContext, def: ObjectTypeDefinitionNode, versionField: string, versionInput: string) {
+        const primaryKey = def.directives.find(
+            dir => dir.name.value === 'key' && !dir.arguments.find(arg => arg.name.value === 'name')
+        )
+        const fieldsArgument = primaryKey && primaryKey.arguments.find(arg => arg.name.value === 'fields')
+        const skipped: string[] = [...(fieldsArgument ? valueFromASTUntyped(fieldsArgument.value) : ['id']), versionField, versionInput]
+        const input = ctx.getType(ModelResourceIDs.ModelUpdateInputObjectName(def.name.value))
+        return input && input.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION ?
+            input.fields.map(field => field.name.value).filter(name => skipped.indexOf(name) === -1) :
+            []
+    }
+
+    private makeVersionedCondition(versionField: string, versionInput: string, strategy: VersionedStrategy) {
+        return obj({
+            expression: str(`#${versionField} = :${versionInput}`),
+            expressionValues: obj({
+                [`:${versionInput}`]: raw(`$util.dynamodb.toDynamoDB($ctx.args.input.${versionInput})`)
+            }),
+            expressionNames: obj({
+                [`#${versionField}`]: str(`${versionField}`)
+            }),
+            ...(strategy === 'LAMBDA' ? {
+                conditionalCheckFailedHandler: obj({
+                    strategy: str('Custom'),
+                    lambdaArn: str(CONFLICT_HANDLER_ARN_PLACEHOLDER)
+                })
+            } : {})
+        })
+    }
+
+    /**
+     * Prefix the update and delete response templates with a snippet that turns a failed
+     * version check into a "ConflictUnhandled" error. The error data is the item currently
+     * in the table, reduced to its version when the type has @auth rules so that a
+     * conflicting caller can not read an item it may not be allowed to see.
+     */
+    private addConflictErrors(
+        ctx: TransformerContext, def: ObjectTypeDefinitionNode, versionField: string, strategy: VersionedStrategy
+    ) {
+        if (strategy === 'LAST_WRITER_WINS') {
+            return
+        }
+        const typeName = def.name.value
+        const hasAuth = [def, ...def.fields].some(node => node.directives.some(dir => dir.name.value === 'auth'))
+        const conflictData: Expression = hasAuth ?
+            obj({ [versionField]: ref(`ctx.result.${versionField}`) }) :
+            ref('ctx.result')
+        const snippet = printBlock(`Handle @versioned conflicts`)(
+            iff(
+                ref('ctx.error'),
+                ifElse(
+                    raw('$ctx.error.type == "DynamoDB:ConditionalCheckFailedException" && !$util.isNull($ctx.result)'),
+                    compoundExpression([
+                        set(ref('conflictData'), conflictData),
+                        qref(`$util.error("Conflict on ${typeName}. The item has been modified since the expected version.", ` +
+                            `"ConflictUnhandled", $conflictData)`)
+                    ]),
+                    qref('$util.error($ctx.error.message, $ctx.error.type)')
+                )
+            )
+        )
+        for (const resolverId of [
+            ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName),
+            ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName)
+        ]) {
+            const resolver = ctx.getResource(resolverId)
+            if (resolver) {
+                resolver.Properties.ResponseMappingTemplate = snippet + '\n\n' + resolver.Properties.ResponseMappingTemplate
+                ctx.setResource(resolverId, resolver)
+            }
+        }
+    }
+
+    /**
+     * Allow the type's data source to invoke the conflict handler and record the request
+     * templates whose ARN placeholder is replaced in after().
+     */
+    private addConflictHandler(ctx: TransformerContext, typeName: string, handlerName: string) {
+        const roleId = ModelResourceIDs.ModelTableIAMRoleID(typeName)
+        const role = ctx.getResource(roleId)
+        if (role) {
+            role.Properties.Policies = [
+                ...(role.Properties.Policies || []),
+                new IAM.Role.Policy({
+                    PolicyName: 'InvokeConflictHandler',
+                    PolicyDocument: {
+                        Version: '2012-10-17',
+                        Statement: [{
+                            Effect: 'Allow',
+                            Action: ['lambda:InvokeFunction'],
+                            Resource: this.lambdaFunctionArn(handlerName)
+                        }]
+                    }
+                })
+            ]
+            ctx.setResource(roleId, role)
+        }
+        for (const resolverId of [
+            ResolverResourceIDs.DynamoDBUpdateResolverResourceID(typeName),
+            ResolverResourceIDs.DynamoDBDeleteResolverResourceID(typeName)
+        ]) {
+            if (ctx.getResource(resolverId)) {
+                this.conflictHandlers.push({ resolverId, handlerName })
+            }
+        }
+    }
+
+    /**
+     * A "${env}" placeholder in the handler name is replaced with the environment name,
+     * or removed along with a leading "-" when the API is deployed without an environment.
+     */
+    private lambdaFunctionArn(name: string) {
+        const functionName = name.indexOf('${env}') === -1 ?
+            name :
+            Fn.If(
+                ResourceConstants.CONDITIONS.HasEnvironmentParameter,
+                Fn.Sub(name, { env: Fn.Ref(ResourceConstants.PARAMETERS.Env) }),
+                Fn.Sub(name.replace(/-?\$\{env\}/g, ''), {})
+            )
+        return Fn.Sub(
+            'arn:aws:lambda:${AWS::Region}:${AWS::AccountId}:function:${name}',
+            { name: functionName }
+        )
+    }
+
     private stripCreateInputVersionedField(
         ctx: TransformerContext,
         typeName: string,
@@ -173,11 +460,13 @@ export class VersionedModelTransformer extends Transformer {
         ctx: TransformerContext,
         typeName: string,
         versionInput: string,
+        required: boolean
     ) {
         return this.addVersionedInputToInput(
             ctx,
             ModelResourceIDs.ModelUpdateInputObjectName(typeName),
-            versionInput
+            versionInput,
+            required
         )
     }
 
@@ -185,11 +474,13 @@ export class VersionedModelTransformer extends Transformer {
         ctx: TransformerContext,
         typeName: string,
         versionInput: string,
+        required: boolean
     ) {
         return this.addVersionedInputToInput(
             ctx,
             ModelResourceIDs.ModelDeleteInputObjectName(typeName),
-            versionInput
+            versionInput,
+            required
         )
     }
 
@@ -197,12 +488,14 @@ export class VersionedModelTransformer extends Transformer {
         ctx: TransformerContext,
         inputName: string,
         versionInput: string,
+        required: boolean
     ) {
         const input = ctx.getType(inputName)
         if (input && input.kind === Kind.INPUT_OBJECT_TYPE_DEFINITION) {
+            const versionType = makeNamedType("Int")
             const updatedFields = [
                 ...input.fields,
-                makeInputValueDefinition(versionInput, makeNonNullType(makeNamedType("Int")))
+                makeInputValueDefinition(versionInput, required ? makeNonNullType(versionType) : versionType)
             ]
             const updatedInput = {
                 ...input,
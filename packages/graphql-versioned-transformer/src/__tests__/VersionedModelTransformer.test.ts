@@ -4,6 +4,7 @@ import {
 } from 'graphql'
 import GraphQLTransform from 'graphql-transformer-core'
 import { ResourceConstants } from 'graphql-transformer-common'
+import { renderTemplate } from 'graphql-mapping-template'
 import { VersionedModelTransformer } from '../VersionedModelTransformer'
 import DynamoDBModelTransformer from 'graphql-dynamodb-transformer'
 
@@ -87,4 +88,151 @@ test('Test VersionedModelTransformer version field replaced by non-null if provi
     const versionField = getField(getType(schemaDoc)('Post'), 'version')
     expect(versionField).toBeDefined()
     expect(versionField.type.kind).toEqual(Kind.NON_NULL_TYPE)
-});
\ No newline at end of file
+});
+const makeTransformer = () => new GraphQLTransform({
+    transformers: [
+        new DynamoDBModelTransformer(),
+        new VersionedModelTransformer()
+    ]
+})
+
+test('Test VersionedModelTransformer returns the current item on conflicts.', () => {
+    const validSchema = `
+    type Post @model @versioned {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema);
+    for (const mutation of ['updatePost', 'deletePost']) {
+        const responseTemplate = out.resolvers[`Mutation.${mutation}.res.vtl`]
+        expect(responseTemplate).toContain('"ConflictUnhandled"')
+        expect(responseTemplate).toContain('#set( $conflictData = $ctx.result )')
+        expect(out.resolvers[`Mutation.${mutation}.req.vtl`]).toContain('$versionedCondition')
+    }
+    expect(out.resolvers['Mutation.updatePost.req.vtl']).toContain('$versionedIncrement')
+});
+
+test('Test VersionedModelTransformer AUTOMERGE and LAST_WRITER_WINS strategies.', () => {
+    const automergeSchema = `
+    type Post @model @versioned(strategy: AUTOMERGE) {
+        id: ID!
+        title: String!
+    }
+    `
+    const automerge = makeTransformer().transform(automergeSchema);
+    const automergeDoc = parse(automerge.schema)
+    const updateTemplate = automerge.resolvers['Mutation.updatePost.req.vtl']
+    expect(updateTemplate).toContain('#set( $versionedIncrement = {')
+    expect(automerge.resolvers['Mutation.updatePost.res.vtl']).toContain('ConflictUnhandled')
+    expect(automerge.resolvers['Mutation.deletePost.res.vtl']).toContain('ConflictUnhandled')
+    const updateInput = getInputField(getInputType(automergeDoc)('UpdatePostInput'), 'expectedVersion')
+    expect(updateInput.type.kind).toEqual(Kind.NAMED_TYPE)
+    const deleteInput = getInputField(getInputType(automergeDoc)('DeletePostInput'), 'expectedVersion')
+    expect(deleteInput.type.kind).toEqual(Kind.NON_NULL_TYPE)
+
+    const lwwSchema = `
+    type Post @model @versioned(strategy: LAST_WRITER_WINS) {
+        id: ID!
+        title: String!
+    }
+    `
+    const lww = makeTransformer().transform(lwwSchema);
+    const lwwDoc = parse(lww.schema)
+    expect(lww.resolvers['Mutation.deletePost.req.vtl']).not.toContain('#set( $versionedCondition')
+    expect(lww.resolvers['Mutation.deletePost.res.vtl']).not.toContain('ConflictUnhandled')
+    const lwwDeleteInput = getInputField(getInputType(lwwDoc)('DeletePostInput'), 'expectedVersion')
+    expect(lwwDeleteInput.type.kind).toEqual(Kind.NAMED_TYPE)
+    expect(lww.resolvers['Mutation.updatePost.res.vtl']).not.toContain('ConflictUnhandled')
+});
+
+test('Test VersionedModelTransformer AUTOMERGE merges stale updates that LAST_WRITER_WINS overwrites.', () => {
+    const schema = `
+    type Post @model @versioned(strategy: AUTOMERGE) {
+        id: ID!
+        title: String!
+        content: String
+    }
+    `
+    const renderUpdate = (out, input) =>
+        JSON.parse(renderTemplate(out.resolvers['Mutation.updatePost.req.vtl'], { arguments: { input } }).output)
+    const input = { id: '1', title: 'Hello', content: null, expectedVersion: 2 }
+
+    // AUTOMERGE records the version at which each written field was last written and applies a
+    // stale update only when none of those fields changed since the expected version.
+    const automerge = renderUpdate(makeTransformer().transform(schema), input)
+    expect(automerge.update.expression).toContain('#__version_title = #version, #__version_content = #version')
+    expect(automerge.update.expression).toContain('ADD #version :version')
+    expect(automerge.condition.expression).toEqual(
+        '(attribute_exists(#id)) AND (#version = :expectedVersion OR (attribute_exists(#version) AND ' +
+        '(attribute_not_exists(#__version_title) OR #__version_title < :expectedVersion) AND ' +
+        '(attribute_not_exists(#__version_content) OR #__version_content < :expectedVersion)))'
+    )
+    expect(automerge.condition.expressionValues).toEqual({ ':expectedVersion': { N: '2' } })
+    expect(automerge.condition.expressionNames).toMatchObject({
+        '#version': 'version', '#__version_title': '__version_title', '#__version_content': '__version_content'
+    })
+
+    // Only the fields in the input are compared and an update without a version is merged as is.
+    const titleOnly = renderUpdate(makeTransformer().transform(schema), { id: '1', title: 'Hello', expectedVersion: 2 })
+    expect(titleOnly.condition.expression).not.toContain('__version_content')
+    const unversioned = renderUpdate(makeTransformer().transform(schema), { id: '1', title: 'Hello' })
+    expect(unversioned.condition.expression).toEqual('attribute_exists(#id)')
+    expect(unversioned.update.expression).toContain('#__version_title = #version')
+
+    // LAST_WRITER_WINS overwrites the fields regardless of the expected version.
+    const lww = renderUpdate(makeTransformer().transform(schema.replace('AUTOMERGE', 'LAST_WRITER_WINS')), input)
+    expect(lww.condition.expression).toEqual('attribute_exists(#id)')
+    expect(lww.update.expression).not.toContain('__version_')
+    expect(lww.update.expression).toContain('ADD #version :version')
+});
+
+test('Test VersionedModelTransformer with batch operations.', () => {
+    const validSchema = `
+    type Post @model(batch: { create: "batchCreatePost" }) @versioned {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema);
+    const template = out.stacks.Post.Resources.BatchCreatePostResolver.Properties.RequestMappingTemplate['Fn::Sub'][0]
+    expect(template).toContain('$util.qr($item.put("version", 1))')
+
+    const batchDeleteSchema = `
+    type Post @model(batch: { delete: "batchDeletePost" }) @versioned {
+        id: ID!
+        title: String!
+    }
+    `
+    expect(() => makeTransformer().transform(batchDeleteSchema)).toThrow(
+        'Type "Post" cannot define a batch delete operation because @versioned deletes check the version of each item.'
+    )
+    const lww = makeTransformer().transform(batchDeleteSchema.replace('@versioned', '@versioned(strategy: LAST_WRITER_WINS)'))
+    expect(lww.stacks.Post.Resources.BatchDeletePostResolver).toBeDefined()
+});
+
+test('Test VersionedModelTransformer LAMBDA strategy.', () => {
+    const validSchema = `
+    type Post @model @versioned(strategy: LAMBDA, lambdaConflictHandler: "resolver-\${env}") {
+        id: ID!
+        title: String!
+    }
+    `
+    const out = makeTransformer().transform(validSchema);
+    const updateResolver = out.stacks.Post.Resources.UpdatePostResolver
+    // The request template embeds the handler ARN and is kept inline in the stack.
+    expect(out.resolvers['Mutation.updatePost.req.vtl']).toBeUndefined()
+    const templateParts = updateResolver.Properties.RequestMappingTemplate['Fn::Join'][1]
+    expect(templateParts[0]).toContain('"conditionalCheckFailedHandler": {')
+    expect(templateParts[0]).toContain('"strategy": "Custom"')
+    expect(templateParts[1]['Fn::Sub'][1].name['Fn::If']).toBeDefined()
+    const role = out.stacks.Post.Resources.PostIAMRole
+    expect(role.Properties.Policies.map(p => p.PolicyName)).toContain('InvokeConflictHandler')
+
+    try {
+        makeTransformer().transform(`type Post @model @versioned(strategy: LAMBDA) { id: ID! title: String }`)
+        expect(true).toEqual(false)
+    } catch (e) {
+        expect(e.name).toEqual('InvalidDirectiveError')
+    }
+});